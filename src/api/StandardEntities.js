@@ -5,6 +5,7 @@
 
 import { BaseEntity } from './BaseEntity';
 import { ValidationSchema } from './StandardApiClient';
+import { calculateCvss, getCvssSeverity, isValidCvssVector } from '../utils/cvss';
 
 // User entity
 export class User extends BaseEntity {
@@ -162,6 +163,7 @@ export class Vulnerability extends BaseEntity {
       validationSchema: new ValidationSchema({
         cve_id: { type: 'string', pattern: /^CVE-\d{4}-\d{4,}$/ },
         cvss_score: { type: 'number', custom: (value) => value >= 0 && value <= 10 ? null : 'CVSS score must be between 0 and 10' },
+        cvss_vector: { type: 'string', custom: (value) => isValidCvssVector(value) ? null : 'CVSS vector must be a valid CVSS v3.x or v4.0 vector' },
         severity: { 
           required: true, 
           enum: ['critical', 'high', 'medium', 'low'] 
@@ -172,11 +174,17 @@ export class Vulnerability extends BaseEntity {
   }
 
   // Vulnerability-specific methods
-  getSeverityFromCvss() {
-    if (this.cvss_score >= 9.0) return 'critical';
-    if (this.cvss_score >= 7.0) return 'high';
-    if (this.cvss_score >= 4.0) return 'medium';
-    return 'low';
+  getSeverityFromCvss(environment = {}) {
+    const score = this.cvss_vector ? this.getCvssScores(environment).score : this.cvss_score;
+    const severity = getCvssSeverity(score);
+    return severity === 'none' ? 'low' : severity;
+  }
+
+  /**
+   * Base, temporal/threat and environmental scores from the CVSS vector
+   */
+  getCvssScores(environment = {}) {
+    return calculateCvss(this.cvss_vector, environment);
   }
 
   static async getByCve(cveId) {
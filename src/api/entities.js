@@ -11,6 +11,8 @@ export const Scan = base44.entities.Scan;
 
 export const Finding = base44.entities.Finding;
 
+export const Vulnerability = base44.entities.Vulnerability;
+
 export const Suggestion = base44.entities.Suggestion;
 
 export const Task = base44.entities.Task;
@@ -153,6 +155,10 @@ export const M365PostureProfile = base44.entities.M365PostureProfile;
 
 export const M365PostureRun = base44.entities.M365PostureRun;
 
+export const AuditorAccessGrant = base44.entities.AuditorAccessGrant;
+
+export const AuditorRequest = base44.entities.AuditorRequest;
+
 
 
 // auth sdk:
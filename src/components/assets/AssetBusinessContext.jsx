@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Briefcase, X } from "lucide-react";
+import { toast } from "sonner";
+import { businessServiceModel, CRITICALITY_LEVELS, DATA_CLASSIFICATIONS } from "@/services/BusinessServiceModel";
+
+const criticalityColors = {
+  critical: 'bg-red-500/20 text-red-400 border-red-500/40',
+  high: 'bg-orange-500/20 text-orange-400 border-orange-500/40',
+  medium: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40',
+  low: 'bg-blue-500/20 text-blue-400 border-blue-500/40'
+};
+
+const INHERIT = 'inherit';
+
+const describeSource = (source) => {
+  if (!source) return null;
+  return source.kind === 'asset' ? 'set on this asset' : `from ${source.kind} ${source.name}`;
+};
+
+export default function AssetBusinessContext({ asset, canEdit }) {
+  const [context, setContext] = useState(null);
+  const [ownership, setOwnership] = useState({ owner: '', criticality: INHERIT, dataClassification: INHERIT });
+  const [applicationId, setApplicationId] = useState('');
+
+  const refresh = useCallback(() => {
+    setContext(businessServiceModel.getAssetContext({ id: asset.id, name: asset.name, hostname: asset.hostname }));
+    const own = businessServiceModel.getAssetOwnership(asset.id) || {};
+    setOwnership({
+      owner: own.owner || '',
+      criticality: own.criticality || INHERIT,
+      dataClassification: own.dataClassification || INHERIT
+    });
+  }, [asset.id, asset.name, asset.hostname]);
+
+  useEffect(() => {
+    refresh();
+    businessServiceModel.on('model_updated', refresh);
+    return () => businessServiceModel.off('model_updated', refresh);
+  }, [refresh]);
+
+  const handleSaveOwnership = () => {
+    try {
+      businessServiceModel.setAssetOwnership(asset.id, {
+        owner: ownership.owner.trim() || null,
+        criticality: ownership.criticality === INHERIT ? null : ownership.criticality,
+        dataClassification: ownership.dataClassification === INHERIT ? null : ownership.dataClassification
+      });
+      toast.success('Asset ownership updated');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleAssign = () => {
+    try {
+      businessServiceModel.assignAsset(applicationId, asset.id);
+      setApplicationId('');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (!context) return null;
+
+  const assigned = new Set(businessServiceModel.getApplications()
+    .filter(application => application.assets.includes(asset.id))
+    .map(application => application.id));
+
+  return (
+    <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <Briefcase className="w-5 h-5 text-blue-400" />
+          Business Context
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <p className="text-sm text-slate-400">Criticality</p>
+            {context.criticality ? (
+              <>
+                <Badge className={`${criticalityColors[context.criticality]} border`}>{context.criticality}</Badge>
+                <p className="text-xs text-slate-500 mt-1">{describeSource(context.provenance.criticality)}</p>
+              </>
+            ) : (
+              <p className="text-slate-500">Not set</p>
+            )}
+          </div>
+          <div>
+            <p className="text-sm text-slate-400">Data Classification</p>
+            <p className="font-medium text-white capitalize">{context.dataClassification || 'Not set'}</p>
+            <p className="text-xs text-slate-500">{describeSource(context.provenance.dataClassification)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-slate-400">Owner</p>
+            <p className="font-medium text-white">{context.owner || 'Unassigned'}</p>
+            <p className="text-xs text-slate-500">{describeSource(context.provenance.owner)}</p>
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm text-slate-400 mb-2">Supports</p>
+          {context.applications.length === 0 ? (
+            <p className="text-sm text-slate-500">Not mapped to any business service.</p>
+          ) : (
+            <div className="space-y-2">
+              {context.applications.map(application => (
+                <div key={application.id} className="flex items-center justify-between p-2 bg-slate-900/30 border border-slate-700 rounded-lg">
+                  <div className="text-sm">
+                    <span className="text-white">{application.name}</span>
+                    <span className="text-slate-400">
+                      {' → '}
+                      {businessServiceModel.getServicesForApplication(application.id).map(service => service.name).join(', ') || 'no service'}
+                    </span>
+                    {!assigned.has(application.id) && <span className="text-xs text-slate-500"> (matched by host name)</span>}
+                  </div>
+                  {canEdit && assigned.has(application.id) && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => businessServiceModel.unassignAsset(application.id, asset.id)}
+                      className="text-slate-400 hover:text-red-400"
+                    >
+                      <X className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {canEdit && (
+          <div className="space-y-4 border-t border-slate-700 pt-4">
+            <div className="flex gap-2">
+              <Select value={applicationId} onValueChange={setApplicationId}>
+                <SelectTrigger className="bg-slate-900/50 border-slate-700 text-white">
+                  <SelectValue placeholder="Add to application..." />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  {businessServiceModel.getApplications()
+                    .filter(application => !assigned.has(application.id))
+                    .map(application => (
+                      <SelectItem key={application.id} value={application.id} className="text-white">
+                        {application.name}
+                      </SelectItem>
+                    ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={handleAssign} disabled={!applicationId} className="border-slate-600 text-slate-300">
+                Add
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <div className="space-y-1">
+                <Label className="text-slate-400">Owner</Label>
+                <Input
+                  value={ownership.owner}
+                  onChange={(e) => setOwnership(prev => ({ ...prev, owner: e.target.value }))}
+                  placeholder="Inherited"
+                  className="bg-slate-900/50 border-slate-700 text-white"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-slate-400">Criticality</Label>
+                <Select value={ownership.criticality} onValueChange={value => setOwnership(prev => ({ ...prev, criticality: value }))}>
+                  <SelectTrigger className="bg-slate-900/50 border-slate-700 text-white"><SelectValue /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    <SelectItem value={INHERIT} className="text-white">Inherited</SelectItem>
+                    {CRITICALITY_LEVELS.map(level => (
+                      <SelectItem key={level} value={level} className="text-white capitalize">{level}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-slate-400">Data Classification</Label>
+                <Select value={ownership.dataClassification} onValueChange={value => setOwnership(prev => ({ ...prev, dataClassification: value }))}>
+                  <SelectTrigger className="bg-slate-900/50 border-slate-700 text-white"><SelectValue /></SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    <SelectItem value={INHERIT} className="text-white">Inherited</SelectItem>
+                    {DATA_CLASSIFICATIONS.map(level => (
+                      <SelectItem key={level} value={level} className="text-white capitalize">{level}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <p className="text-xs text-slate-500">
+              Criticality and classification set here can only raise what the asset inherits from its services.
+            </p>
+            <Button onClick={handleSaveOwnership} className="bg-blue-600 hover:bg-blue-700">Save Ownership</Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
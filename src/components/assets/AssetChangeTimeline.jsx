@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { GitCommitVertical, AlertTriangle } from "lucide-react";
+import { assetChangeHistory } from "@/services/AssetChangeHistory";
+import { assetIdentityResolver } from "@/services/AssetIdentityResolver";
+
+const severityColors = {
+  critical: 'bg-red-500/20 text-red-400 border-red-500/40',
+  high: 'bg-orange-500/20 text-orange-400 border-orange-500/40',
+  medium: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40',
+  low: 'bg-blue-500/20 text-blue-400 border-blue-500/40',
+  info: 'bg-slate-500/20 text-slate-300 border-slate-500/40'
+};
+
+const sourceLabels = {
+  discovery: 'Discovery',
+  update: 'Update'
+};
+
+const fieldLabels = {
+  hostname: 'Hostname',
+  ip: 'IP address',
+  mac: 'MAC address',
+  os: 'OS',
+  status: 'Status'
+};
+
+const serviceLabel = (key) => /^\d+$/.test(key) ? `port ${key}` : key;
+
+function describeChange(change) {
+  switch (change.field) {
+    case 'ports':
+      return change.type === 'added' ? `Port ${change.key} opened` : `Port ${change.key} closed`;
+    case 'services':
+      if (change.type === 'added') return `Service on ${serviceLabel(change.key)}: ${change.current}`;
+      if (change.type === 'removed') return `Service on ${serviceLabel(change.key)} stopped (${change.previous})`;
+      return `Service on ${serviceLabel(change.key)}: ${change.previous} → ${change.current}`;
+    case 'software':
+      if (change.type === 'added') return `${change.key} ${change.current} installed`;
+      if (change.type === 'removed') return `${change.key} ${change.previous} removed`;
+      return `${change.key} ${change.previous} → ${change.current}`;
+    case 'certificate':
+      return change.type === 'added'
+        ? `Certificate issued by ${change.current.issuer || 'unknown issuer'} observed`
+        : `Certificate rotated (issuer ${change.current.issuer || 'unknown'}, valid to ${change.current.notAfter || 'unknown'})`;
+    default:
+      return change.type === 'added'
+        ? `${fieldLabels[change.field]} set to ${change.current}`
+        : `${fieldLabels[change.field]} ${change.previous} → ${change.current}`;
+  }
+}
+
+export default function AssetChangeTimeline({ asset }) {
+  const [entries, setEntries] = useState([]);
+
+  // Discovery records the asset under its resolved identity
+  const refresh = useCallback(() => {
+    const identity = assetIdentityResolver.getIdentityForSource('inventory', asset.id);
+    setEntries(assetChangeHistory.getHistory(identity?.id || asset.id));
+  }, [asset.id]);
+
+  useEffect(() => {
+    refresh();
+    assetChangeHistory.on('asset_changed', refresh);
+    assetIdentityResolver.on('identity_merged', refresh);
+    return () => {
+      assetChangeHistory.off('asset_changed', refresh);
+      assetIdentityResolver.off('identity_merged', refresh);
+    };
+  }, [refresh]);
+
+  return (
+    <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <GitCommitVertical className="w-5 h-5 text-blue-400" />
+          Change Timeline
+        </CardTitle>
+        <p className="text-sm text-slate-400">What changed between discovery runs and updates, newest first.</p>
+      </CardHeader>
+      <CardContent>
+        {entries.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">No changes recorded for this asset yet.</p>
+        ) : (
+          <div className="relative border-l border-slate-700 ml-2 space-y-6">
+            {entries.map(entry => {
+              const drift = Object.fromEntries(entry.drift.map(event => [event.id, event]));
+              return (
+                <div key={entry.id} className="relative pl-6">
+                  <span className={`absolute -left-1.5 top-1.5 w-3 h-3 rounded-full ${entry.drift.length > 0 ? 'bg-orange-400' : 'bg-slate-500'}`} />
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <span className="text-white font-medium">
+                      {entry.type === 'discovered' ? 'First discovered' : `${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'}`}
+                    </span>
+                    <Badge variant="outline" className="text-slate-300 border-slate-600">
+                      {sourceLabels[entry.source] || entry.source}
+                    </Badge>
+                    <span className="text-sm text-slate-400">
+                      {new Date(entry.at).toLocaleString()}
+                      {entry.actor && ` • by ${entry.actor}`}
+                      {entry.jobId && ` • job ${entry.jobId}`}
+                    </span>
+                  </div>
+                  <ul className="space-y-1">
+                    {entry.changes.map((change, index) => {
+                      const event = drift[change.driftId];
+                      return (
+                        <li key={index} className="flex items-center gap-2 text-sm">
+                          {event ? (
+                            <>
+                              <AlertTriangle className="w-3.5 h-3.5 text-orange-400" />
+                              <span className="text-slate-200">{describeChange(change)}</span>
+                              <Badge className={`${severityColors[event.severity]} border text-xs`}>
+                                {event.severity}
+                              </Badge>
+                            </>
+                          ) : (
+                            <span className="text-slate-400 pl-5">{describeChange(change)}</span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
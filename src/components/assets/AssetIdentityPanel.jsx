@@ -0,0 +1,274 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Fingerprint, GitMerge, Split, History } from "lucide-react";
+import { toast } from "sonner";
+import { assetIdentityResolver } from "@/services/AssetIdentityResolver";
+
+const sourceLabels = {
+  inventory: 'Inventory',
+  agent_discovery: 'Agent',
+  cloud_discovery: 'Cloud API',
+  network_scan: 'Network Scan',
+  certificate_discovery: 'Certificates',
+  passive_discovery: 'Passive'
+};
+
+const historyLabels = {
+  auto_merged: 'Merged automatically',
+  merged: 'Merged',
+  split: 'Split off records',
+  split_from: 'Split from asset'
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : 'N/A';
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// The inventory record the page shows, as an observation for the resolver
+function inventoryObservation(asset) {
+  let host = null;
+  try {
+    host = asset.url ? new URL(asset.url.includes('://') ? asset.url : `https://${asset.url}`).hostname : null;
+  } catch {
+    host = null;
+  }
+  const isIp = host && /^[\d.]+$|:/.test(host);
+
+  return {
+    source: 'inventory',
+    sourceId: asset.id,
+    identifiers: {
+      hostname: asset.hostname || (isIp ? null : host),
+      mac: asset.mac_address,
+      serial_number: asset.serial_number,
+      cloud_instance_id: asset.instance_id
+    },
+    attributes: {
+      name: asset.name,
+      type: asset.type,
+      url: asset.url,
+      ip: asset.ip_address || (isIp ? host : undefined),
+      status: asset.status
+    },
+    observedAt: asset.updated_date || asset.created_date || new Date().toISOString()
+  };
+}
+
+export default function AssetIdentityPanel({ asset, user, canEdit }) {
+  const [identity, setIdentity] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+  const [selected, setSelected] = useState([]);
+
+  const refresh = useCallback(() => {
+    const current = assetIdentityResolver.getIdentityForSource('inventory', asset.id);
+    setIdentity(current ? { ...current } : null);
+    setDuplicates(current ? assetIdentityResolver.getPossibleDuplicates(current.id) : []);
+    setSelected([]);
+  }, [asset.id]);
+
+  useEffect(() => {
+    try {
+      assetIdentityResolver.resolve(inventoryObservation(asset));
+    } catch (error) {
+      console.error('Error resolving asset identity:', error);
+    }
+    refresh();
+
+    assetIdentityResolver.on('identity_merged', refresh);
+    assetIdentityResolver.on('identity_split', refresh);
+    assetIdentityResolver.on('precedence_updated', refresh);
+    return () => {
+      assetIdentityResolver.off('identity_merged', refresh);
+      assetIdentityResolver.off('identity_split', refresh);
+      assetIdentityResolver.off('precedence_updated', refresh);
+    };
+  }, [asset, refresh]);
+
+  const toggleSelected = (observationId) => {
+    setSelected(prev => prev.includes(observationId)
+      ? prev.filter(id => id !== observationId)
+      : [...prev, observationId]);
+  };
+
+  const handleSplit = () => {
+    try {
+      const created = assetIdentityResolver.split(identity.id, selected, { actor: user?.email });
+      toast.success(`Split ${selected.length} record(s) into a new asset (${created.id})`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleMerge = (other) => {
+    try {
+      assetIdentityResolver.merge(identity.id, [other.id], { actor: user?.email });
+      toast.success(`Merged ${other.attributes.hostname || other.id} into this asset`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (!identity) {
+    return <p className="text-slate-400 text-center py-8">No identity information for this asset.</p>;
+  }
+
+  const attributes = Object.entries(identity.attributes).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+        <CardHeader>
+          <CardTitle className="text-white flex items-center gap-2">
+            <Fingerprint className="w-5 h-5 text-blue-400" />
+            Resolved Attributes
+          </CardTitle>
+          <p className="text-sm text-slate-400">
+            First seen {formatDate(identity.firstSeen)} • Last seen {formatDate(identity.lastSeen)}
+          </p>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow className="border-slate-700">
+                <TableHead className="text-slate-300">Attribute</TableHead>
+                <TableHead className="text-slate-300">Value</TableHead>
+                <TableHead className="text-slate-300">Source</TableHead>
+                <TableHead className="text-slate-300">Observed</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {attributes.map(([attribute, value]) => (
+                <TableRow key={attribute} className="border-slate-700">
+                  <TableCell className="text-slate-300">{attribute}</TableCell>
+                  <TableCell className="text-white max-w-xs truncate">{formatValue(value)}</TableCell>
+                  <TableCell>
+                    <Badge variant="outline" className="text-slate-300 border-slate-600">
+                      {sourceLabels[identity.provenance[attribute]?.source] || identity.provenance[attribute]?.source}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-slate-400">{formatDate(identity.provenance[attribute]?.observedAt)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="text-white">Source Records</CardTitle>
+          {canEdit && (
+            <Button
+              variant="outline"
+              onClick={handleSplit}
+              disabled={selected.length === 0}
+              className="border-slate-600 text-slate-300"
+            >
+              <Split className="w-4 h-4 mr-2" />
+              Split selected into new asset
+            </Button>
+          )}
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow className="border-slate-700">
+                {canEdit && <TableHead className="w-8" />}
+                <TableHead className="text-slate-300">Source</TableHead>
+                <TableHead className="text-slate-300">Identifiers</TableHead>
+                <TableHead className="text-slate-300">First Seen</TableHead>
+                <TableHead className="text-slate-300">Last Seen</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {identity.observations.map(observation => (
+                <TableRow key={observation.id} className="border-slate-700">
+                  {canEdit && (
+                    <TableCell>
+                      <Checkbox
+                        checked={selected.includes(observation.id)}
+                        onCheckedChange={() => toggleSelected(observation.id)}
+                      />
+                    </TableCell>
+                  )}
+                  <TableCell className="text-white">
+                    {sourceLabels[observation.source] || observation.source}
+                    {observation.sourceId && <div className="text-xs text-slate-500">{observation.sourceId}</div>}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {observation.keys.map(key => (
+                        <Badge key={key} variant="secondary" className="bg-slate-700 text-slate-300 text-xs">{key}</Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-slate-400">{formatDate(observation.firstSeen)}</TableCell>
+                  <TableCell className="text-slate-400">{formatDate(observation.lastSeen)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {duplicates.length > 0 && (
+        <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center gap-2">
+              <GitMerge className="w-5 h-5 text-orange-400" />
+              Possible Duplicates
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {duplicates.map(other => (
+              <div key={other.id} className="flex items-center justify-between p-3 bg-slate-900/30 border border-slate-700 rounded-lg">
+                <div>
+                  <p className="text-white">{other.attributes.hostname || other.attributes.name || other.id}</p>
+                  <p className="text-sm text-slate-400">
+                    {Object.keys(other.sources).map(source => sourceLabels[source] || source).join(', ')}
+                    {other.attributes.ip && ` • ${other.attributes.ip}`} • last seen {formatDate(other.lastSeen)}
+                  </p>
+                </div>
+                {canEdit && (
+                  <Button variant="outline" onClick={() => handleMerge(other)} className="border-slate-600 text-slate-300">
+                    <GitMerge className="w-4 h-4 mr-2" />
+                    Merge
+                  </Button>
+                )}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {identity.history.length > 0 && (
+        <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center gap-2">
+              <History className="w-5 h-5 text-slate-400" />
+              Merge History
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {[...identity.history].reverse().map((entry, index) => (
+              <div key={index} className="p-3 bg-slate-900/30 border border-slate-700 rounded-lg">
+                <p className="text-white">{historyLabels[entry.type] || entry.type}</p>
+                <p className="text-sm text-slate-400">
+                  {entry.reason} • by {entry.actor || 'System'} • {formatDate(entry.at)}
+                </p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -5,88 +5,69 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Upload, FileJson } from "lucide-react";
-import { Finding } from "@/api/entities";
+import { Finding, Vulnerability } from "@/api/entities";
 import { toast } from "sonner";
+import { importScanFiles, saveScanImport, SCAN_FILE_EXTENSIONS } from "@/services/ScanResultImporter";
+import ScanImportResults from "../findings/ScanImportResults";
 
-function parseTrivyJson(jsonData, assetId, organizationId) {
-    const findings = [];
-    if (!jsonData.Results) return findings;
-
-    const mapSeverity = (sev) => {
-        const lowerSev = sev.toLowerCase();
-        if (lowerSev === 'critical') return 'critical';
-        if (lowerSev === 'high') return 'high';
-        if (lowerSev === 'medium') return 'medium';
-        if (lowerSev === 'low') return 'low';
-        return 'info';
-    };
-
-    for (const result of jsonData.Results) {
-        if (!result.Vulnerabilities) continue;
-
-        for (const vuln of result.Vulnerabilities) {
-            const finding = {
-                title: `${vuln.PkgName}: ${vuln.VulnerabilityID}`,
-                description: vuln.Description || `Vulnerability ${vuln.VulnerabilityID} found in ${vuln.PkgName}.`,
-                severity: mapSeverity(vuln.Severity),
-                status: 'open',
-                asset_id: assetId,
-                organization_id: organizationId,
-                source: 'cspm',
-                cve_ids: [vuln.VulnerabilityID],
-                evidence: {
-                    location: `Package: ${vuln.PkgName}@${vuln.InstalledVersion}`,
-                    snippet: `Fixed Version: ${vuln.FixedVersion || 'N/A'}`
-                },
-                first_seen: new Date().toISOString(),
-                last_seen: new Date().toISOString(),
-            };
-            findings.push(finding);
-        }
-    }
-    return findings;
-}
+const AUTO_MATCH = "auto";
 
 export default function UploadCloudResultsModal({ cloudAssets = [], onUploadComplete }) {
   const [open, setOpen] = useState(false);
-  const [file, setFile] = useState(null);
-  const [assetId, setAssetId] = useState("");
+  const [files, setFiles] = useState([]);
+  const [assetId, setAssetId] = useState(AUTO_MATCH);
   const [loading, setLoading] = useState(false);
+  const [results, setResults] = useState(null);
 
   const handleFileChange = (e) => {
     if (e.target.files) {
-      setFile(e.target.files[0]);
+      setFiles(Array.from(e.target.files));
+    }
+  };
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (!isOpen) {
+      setFiles([]);
+      setAssetId(AUTO_MATCH);
+      setResults(null);
     }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!file || !assetId) {
-      toast.error("Please select an account and a results file.");
+    if (files.length === 0) {
+      toast.error("Please select one or more results files.");
       return;
     }
     setLoading(true);
 
     try {
-      const fileContent = await file.text();
-      const jsonData = JSON.parse(fileContent);
-      
-      const findingsToCreate = parseTrivyJson(jsonData, assetId, "demo-org-1");
+      // Results are matched to accounts and images by name; anything unmatched goes to the selected default
+      const fileResults = await importScanFiles(files, {
+        assets: cloudAssets,
+        defaultAssetId: assetId === AUTO_MATCH ? null : assetId,
+        organizationId: "demo-org-1"
+      });
+
+      const saved = await saveScanImport(fileResults, { Finding, Vulnerability });
+      const imported = saved.findings;
 
-      if (findingsToCreate.length > 0) {
-        for (const finding of findingsToCreate) {
-          await Finding.create(finding);
+      const failedFiles = fileResults.filter(result => result.errors.length > 0).length;
+      if (imported > 0) {
+        toast.success(`Successfully imported ${imported} findings and ${saved.vulnerabilities} new vulnerabilities.`);
+        if (onUploadComplete) {
+          onUploadComplete();
         }
-        toast.success(`Successfully imported ${findingsToCreate.length} findings.`);
-      } else {
-        toast.info("No findings were found in the uploaded file.");
+      } else if (failedFiles === 0) {
+        toast.info("No findings were found in the uploaded files.");
       }
 
-      setFile(null);
-      setAssetId("");
-      setOpen(false);
-      if (onUploadComplete) {
-        onUploadComplete();
+      if (failedFiles > 0) {
+        toast.warning(`${failedFiles} of ${fileResults.length} files had errors.`);
+        setResults(fileResults);
+      } else {
+        handleOpenChange(false);
       }
     } catch (error) {
       console.error("Error parsing or uploading results:", error);
@@ -96,7 +77,7 @@ export default function UploadCloudResultsModal({ cloudAssets = [], onUploadComp
   };
 
   return (
-    <Dialog open={open} onOpenChange={setOpen}>
+    <Dialog open={open} onOpenChange={handleOpenChange}>
       <DialogTrigger asChild>
         <Button variant="outline" className="border-slate-600 text-slate-300 hover:bg-slate-700">
           <Upload className="w-4 h-4 mr-2" />
@@ -112,12 +93,15 @@ export default function UploadCloudResultsModal({ cloudAssets = [], onUploadComp
         </DialogHeader>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="space-y-2">
-            <Label>Target Account</Label>
+            <Label>Default Account</Label>
             <Select value={assetId} onValueChange={setAssetId}>
               <SelectTrigger className="bg-slate-900/50 border-slate-700 text-white">
                 <SelectValue placeholder="Select a cloud account" />
               </SelectTrigger>
               <SelectContent className="bg-slate-800 border-slate-700">
+                <SelectItem value={AUTO_MATCH} className="text-white">
+                  Match from scan results
+                </SelectItem>
                 {cloudAssets && cloudAssets.length > 0 ? (
                   cloudAssets.map(asset => (
                     <SelectItem key={asset.id} value={asset.id} className="text-white">
@@ -134,18 +118,21 @@ export default function UploadCloudResultsModal({ cloudAssets = [], onUploadComp
           </div>
 
           <div className="space-y-2">
-            <Label>Results File (Trivy JSON, etc.)</Label>
+            <Label>Results Files (Trivy, Nessus, OpenVAS, Nuclei, SARIF)</Label>
             <Input
               type="file"
+              multiple
               onChange={handleFileChange}
-              accept=".json"
+              accept={SCAN_FILE_EXTENSIONS.join(",")}
               className="bg-slate-900/50 border-slate-700 text-white file:text-slate-300 file:bg-slate-700 file:border-none file:px-2 file:py-1 file:rounded"
               required
             />
           </div>
 
+          <ScanImportResults results={results} />
+
           <div className="flex justify-end gap-2 pt-4">
-            <Button type="button" variant="outline" onClick={() => setOpen(false)} className="border-slate-600 text-slate-300">
+            <Button type="button" variant="outline" onClick={() => handleOpenChange(false)} className="border-slate-600 text-slate-300">
               Cancel
             </Button>
             <Button type="submit" disabled={loading} className="bg-[var(--color-primary)] hover:bg-red-700">
@@ -5,110 +5,69 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Upload, FileJson } from "lucide-react";
-import { Finding } from "@/api/entities";
+import { Finding, Vulnerability } from "@/api/entities";
 import { toast } from "sonner";
+import { importScanFiles, saveScanImport, SCAN_FILE_EXTENSIONS } from "@/services/ScanResultImporter";
+import ScanImportResults from "../findings/ScanImportResults";
 
-// SARIF parsing logic moved here from the invalid utils/ directory
-function getSourceFromRuleId(ruleId) {
-    if (!ruleId) return 'sast';
-    const lowerRuleId = ruleId.toLowerCase();
-    if (lowerRuleId.includes('gitleaks')) return 'secrets';
-    if (lowerRuleId.includes('semgrep')) return 'sast';
-    if (lowerRuleId.includes('grype') || lowerRuleId.includes('dependency')) return 'sca';
-    if (lowerRuleId.includes('checkov')) return 'iac';
-    if (lowerRuleId.includes('bandit')) return 'sast';
-    if (lowerRuleId.includes('gosec')) return 'sast';
-    return 'sast'; // Default to SAST
-}
-
-function mapSeverity(level) {
-    switch (level) {
-        case 'error': return 'high';
-        case 'warning': return 'medium';
-        case 'note': return 'low';
-        default: return 'info';
-    }
-}
-
-function parseSarif(sarifData, assetId, organizationId) {
-    const findings = [];
-    if (!sarifData.runs) return findings;
-
-    for (const run of sarifData.runs) {
-        if (!run.results) continue;
-
-        for (const result of run.results) {
-            const location = result.locations?.[0]?.physicalLocation;
-            const file = location?.artifactLocation?.uri || 'Unknown file';
-            const line = location?.region?.startLine || 1;
-
-            const cveIdMatch = result.ruleId?.match(/(CVE-\d{4}-\d{4,7})/);
-
-            const finding = {
-                title: result.message.text || result.ruleId,
-                description: `Finding for rule: ${result.ruleId}. Full details in scan report.`,
-                severity: mapSeverity(result.level || 'note'),
-                status: 'open',
-                asset_id: assetId,
-                organization_id: organizationId,
-                source: getSourceFromRuleId(result.ruleId),
-                cve_ids: cveIdMatch ? [cveIdMatch[0]] : [],
-                evidence: {
-                    location: `${file}#L${line}`,
-                    snippet: location?.contextRegion?.snippet?.text || location?.region?.snippet?.text || 'No snippet available.'
-                },
-                first_seen: new Date().toISOString(),
-                last_seen: new Date().toISOString(),
-            };
-            findings.push(finding);
-        }
-    }
-    return findings;
-}
-
+const AUTO_MATCH = "auto";
 
 export default function UploadResultsModal({ codeAssets, onUploadComplete }) {
   const [open, setOpen] = useState(false);
-  const [file, setFile] = useState(null);
-  const [assetId, setAssetId] = useState("");
+  const [files, setFiles] = useState([]);
+  const [assetId, setAssetId] = useState(AUTO_MATCH);
   const [loading, setLoading] = useState(false);
+  const [results, setResults] = useState(null);
 
   const handleFileChange = (e) => {
     if (e.target.files) {
-      setFile(e.target.files[0]);
+      setFiles(Array.from(e.target.files));
+    }
+  };
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (!isOpen) {
+      setFiles([]);
+      setAssetId(AUTO_MATCH);
+      setResults(null);
     }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!file || !assetId) {
-      toast.error("Please select an asset and a results file.");
+    if (files.length === 0) {
+      toast.error("Please select one or more results files.");
       return;
     }
     setLoading(true);
 
     try {
-      const fileContent = await file.text();
-      const jsonData = JSON.parse(fileContent);
-
-      // Currently only supports SARIF
-      const findingsToCreate = parseSarif(jsonData, assetId, "demo-org-1");
+      // Results are matched to repositories by URL; anything unmatched goes to the selected default
+      const fileResults = await importScanFiles(files, {
+        assets: codeAssets,
+        defaultAssetId: assetId === AUTO_MATCH ? null : assetId,
+        organizationId: "demo-org-1"
+      });
+
+      // The SDK might not have a bulkCreate, so records are created one by one
+      const saved = await saveScanImport(fileResults, { Finding, Vulnerability });
+      const imported = saved.findings;
+
+      const failedFiles = fileResults.filter(result => result.errors.length > 0).length;
+      if (imported > 0) {
+        toast.success(`Successfully imported ${imported} findings and ${saved.vulnerabilities} new vulnerabilities.`);
+        onUploadComplete();
+      } else if (failedFiles === 0) {
+        toast.info("No findings were found in the uploaded files.");
+      }
 
-      if (findingsToCreate.length > 0) {
-        // The SDK might not have a bulkCreate, so we create one by one.
-        // In a real scenario, a bulk endpoint would be more efficient.
-        for (const finding of findingsToCreate) {
-          await Finding.create(finding);
-        }
-        toast.success(`Successfully imported ${findingsToCreate.length} findings.`);
+      if (failedFiles > 0) {
+        toast.warning(`${failedFiles} of ${fileResults.length} files had errors.`);
+        setResults(fileResults);
       } else {
-        toast.info("No findings were found in the uploaded file.");
+        handleOpenChange(false);
       }
-
-      setFile(null);
-      setAssetId("");
-      setOpen(false);
-      onUploadComplete();
     } catch (error) {
       console.error("Error parsing or uploading results:", error);
       toast.error(`Failed to import findings: ${error.message}`);
@@ -117,7 +76,7 @@ export default function UploadResultsModal({ codeAssets, onUploadComplete }) {
   };
 
   return (
-    <Dialog open={open} onOpenChange={setOpen}>
+    <Dialog open={open} onOpenChange={handleOpenChange}>
       <DialogTrigger asChild>
         <Button variant="outline" className="border-slate-600 text-slate-300 hover:bg-slate-700">
           <Upload className="w-4 h-4 mr-2" />
@@ -133,12 +92,15 @@ export default function UploadResultsModal({ codeAssets, onUploadComplete }) {
         </DialogHeader>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="space-y-2">
-            <Label>Target Repository</Label>
+            <Label>Default Repository</Label>
             <Select value={assetId} onValueChange={setAssetId}>
               <SelectTrigger className="bg-slate-900/50 border-slate-700 text-white">
                 <SelectValue placeholder="Select a repository" />
               </SelectTrigger>
               <SelectContent className="bg-slate-800 border-slate-700">
+                <SelectItem value={AUTO_MATCH} className="text-white">
+                  Match from scan results
+                </SelectItem>
                 {codeAssets.map(asset => (
                   <SelectItem key={asset.id} value={asset.id} className="text-white">
                     {asset.name}
@@ -149,18 +111,21 @@ export default function UploadResultsModal({ codeAssets, onUploadComplete }) {
           </div>
 
           <div className="space-y-2">
-            <Label>Results File (SARIF format)</Label>
+            <Label>Results Files (SARIF, Trivy, Nessus, OpenVAS, Nuclei)</Label>
             <Input
               type="file"
+              multiple
               onChange={handleFileChange}
-              accept=".sarif,.json"
+              accept={SCAN_FILE_EXTENSIONS.join(",")}
               className="bg-slate-900/50 border-slate-700 text-white file:text-slate-300 file:bg-slate-700 file:border-none file:px-2 file:py-1 file:rounded"
               required
             />
           </div>
 
+          <ScanImportResults results={results} />
+
           <div className="flex justify-end gap-2 pt-4">
-            <Button type="button" variant="outline" onClick={() => setOpen(false)} className="border-slate-600 text-slate-300">
+            <Button type="button" variant="outline" onClick={() => handleOpenChange(false)} className="border-slate-600 text-slate-300">
               Cancel
             </Button>
             <Button type="submit" disabled={loading} className="bg-[var(--color-primary)] hover:bg-red-700">
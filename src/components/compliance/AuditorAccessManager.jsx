@@ -0,0 +1,326 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { UserPlus, Copy, Ban, MessageSquare, FileQuestion, UploadCloud } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { User } from '@/api/entities';
+import { complianceAutomationEngine } from '@/services/ComplianceAutomationEngine';
+import { auditorAccessService, MAX_AUDITOR_ACCESS_DAYS } from '@/services/AuditorAccessService';
+
+const grantStatusColors = {
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-800',
+  revoked: 'bg-red-100 text-red-800'
+};
+
+const requestStatusColors = {
+  open: 'bg-yellow-100 text-yellow-800',
+  fulfilled: 'bg-green-100 text-green-800',
+  closed: 'bg-gray-100 text-gray-800'
+};
+
+const emptyGrant = {
+  auditorEmail: '',
+  auditorName: '',
+  firm: '',
+  frameworkId: '',
+  periodStart: '',
+  periodEnd: '',
+  expiresAt: ''
+};
+
+const getCurrentUserEmail = async () => {
+  const user = await User.me().catch(() => null);
+  return user?.email || 'unknown';
+};
+
+const AuditorAccessManager = () => {
+  const [grants, setGrants] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(emptyGrant);
+  const [issuedLink, setIssuedLink] = useState(null);
+  const [responses, setResponses] = useState({});
+
+  const frameworks = Array.from(complianceAutomationEngine.frameworks.entries());
+
+  const refresh = useCallback(async () => {
+    try {
+      const [allGrants, allRequests] = await Promise.all([
+        auditorAccessService.getGrants(),
+        auditorAccessService.getRequests()
+      ]);
+      setGrants(allGrants);
+      setRequests(allRequests);
+    } catch (error) {
+      toast.error(`Failed to load auditor access: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    auditorAccessService.on('request_created', refresh);
+    auditorAccessService.on('grant_expired', refresh);
+    return () => {
+      auditorAccessService.off('request_created', refresh);
+      auditorAccessService.off('grant_expired', refresh);
+    };
+  }, [refresh]);
+
+  const updateForm = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const handleCreate = async () => {
+    try {
+      const { token } = await auditorAccessService.createGrant({
+        ...form,
+        // The audit period includes its last day
+        periodEnd: form.periodEnd && `${form.periodEnd}T23:59:59.999`,
+        createdBy: await getCurrentUserEmail()
+      });
+      setIssuedLink(`${window.location.origin}/AuditorPortalLogin?token=${token}`);
+      setForm(emptyGrant);
+      await refresh();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const closeDialog = () => {
+    setDialogOpen(false);
+    setIssuedLink(null);
+    setForm(emptyGrant);
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(issuedLink);
+    toast.success('Link copied');
+  };
+
+  const handleRevoke = async (grantId) => {
+    try {
+      await auditorAccessService.revokeGrant(grantId, { revokedBy: await getCurrentUserEmail() });
+      await refresh();
+      toast.success('Auditor access revoked');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Evidence collected after the grant was created only reaches the auditor once published
+  const handlePublish = async (grant) => {
+    try {
+      const published = await auditorAccessService.publishScope(grant);
+      await refresh();
+      toast.success(`Published ${published.scope.evidence.length} evidence item(s) to ${grant.auditorEmail}`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRespond = async (requestId, status) => {
+    const body = (responses[requestId] || '').trim();
+    if (!body) return;
+
+    try {
+      await auditorAccessService.respondToRequest(requestId, { author: await getCurrentUserEmail(), body, status });
+      setResponses(current => ({ ...current, [requestId]: '' }));
+      await refresh();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const grantById = new Map(grants.map(grant => [grant.id, grant]));
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <div>
+              <CardTitle>Auditor Access</CardTitle>
+              <CardDescription>
+                Read-only portal access for external auditors, scoped to one framework and audit period
+              </CardDescription>
+            </div>
+            <Button onClick={() => setDialogOpen(true)}>
+              <UserPlus className="w-4 h-4 mr-2" />
+              Invite Auditor
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {grants.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">No auditors have been invited</p>
+          ) : (
+            <div className="space-y-3">
+              {grants.map(grant => (
+                <div key={grant.id} className="flex items-center justify-between p-4 border rounded-lg">
+                  <div>
+                    <div className="flex items-center space-x-2 mb-1">
+                      <h3 className="font-semibold">{grant.auditorName || grant.auditorEmail}</h3>
+                      {grant.firm && <span className="text-sm text-gray-500">{grant.firm}</span>}
+                      <Badge className={grantStatusColors[grant.status]}>{grant.status}</Badge>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {grant.frameworkName} · period {format(new Date(grant.periodStart), 'MMM d, yyyy')} – {format(new Date(grant.periodEnd), 'MMM d, yyyy')}
+                    </p>
+                    <div className="flex items-center space-x-4 text-xs text-gray-500">
+                      <span>Expires: {format(new Date(grant.expiresAt), 'MMM d, yyyy HH:mm')}</span>
+                      <span>Logins: {grant.accessCount}</span>
+                      {grant.lastAccessAt && <span>Last access: {format(new Date(grant.lastAccessAt), 'MMM d, yyyy HH:mm')}</span>}
+                      {grant.publishedAt && <span>Evidence published: {format(new Date(grant.publishedAt), 'MMM d, yyyy HH:mm')}</span>}
+                    </div>
+                  </div>
+                  {grant.status === 'active' && (
+                    <div className="flex space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => handlePublish(grant)}>
+                        <UploadCloud className="w-4 h-4 mr-2" />
+                        Publish Evidence
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => handleRevoke(grant.id)}>
+                        <Ban className="w-4 h-4 mr-2" />
+                        Revoke
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Auditor Comments & Requests</CardTitle>
+          <CardDescription>Questions and evidence requests raised in the auditor portal</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {requests.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">No auditor comments yet</p>
+          ) : (
+            <div className="space-y-4">
+              {requests.map(request => (
+                <div key={request.id} className="p-4 border rounded-lg space-y-2">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      {request.type === 'evidence_request'
+                        ? <FileQuestion className="w-4 h-4" />
+                        : <MessageSquare className="w-4 h-4" />}
+                      <span>{request.author}</span>
+                      <span>· {grantById.get(request.grantId)?.frameworkName} {request.controlId || 'General'}</span>
+                      <span>· {format(new Date(request.createdAt), 'MMM d, yyyy HH:mm')}</span>
+                    </div>
+                    <Badge className={requestStatusColors[request.status]}>{request.status}</Badge>
+                  </div>
+                  <p>{request.body}</p>
+                  {request.responses.map((response, index) => (
+                    <div key={index} className="ml-4 pl-3 border-l text-sm">
+                      <p className="text-gray-500">{response.author} · {format(new Date(response.createdAt), 'MMM d, yyyy HH:mm')}</p>
+                      <p>{response.body}</p>
+                    </div>
+                  ))}
+                  {request.status === 'open' && (
+                    <div className="flex items-start space-x-2">
+                      <Textarea
+                        value={responses[request.id] || ''}
+                        onChange={(e) => setResponses(current => ({ ...current, [request.id]: e.target.value }))}
+                        placeholder="Reply to the auditor"
+                        rows={2}
+                      />
+                      <div className="flex flex-col space-y-2">
+                        <Button size="sm" variant="outline" onClick={() => handleRespond(request.id, 'open')}>Reply</Button>
+                        <Button size="sm" onClick={() => handleRespond(request.id, request.type === 'evidence_request' ? 'fulfilled' : 'closed')}>
+                          {request.type === 'evidence_request' ? 'Fulfil' : 'Resolve'}
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={dialogOpen} onOpenChange={(open) => !open && closeDialog()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Invite Auditor</DialogTitle>
+            <DialogDescription>
+              Access is read-only and ends automatically at the expiry date (at most {MAX_AUDITOR_ACCESS_DAYS} days).
+            </DialogDescription>
+          </DialogHeader>
+          {issuedLink ? (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                Send this sign-in link to the auditor. It is shown only once.
+              </p>
+              <div className="flex space-x-2">
+                <Input value={issuedLink} readOnly />
+                <Button variant="outline" onClick={copyLink}><Copy className="w-4 h-4" /></Button>
+              </div>
+              <DialogFooter>
+                <Button onClick={closeDialog}>Done</Button>
+              </DialogFooter>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label>Auditor email</Label>
+                  <Input type="email" value={form.auditorEmail} onChange={(e) => updateForm('auditorEmail', e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label>Name</Label>
+                  <Input value={form.auditorName} onChange={(e) => updateForm('auditorName', e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label>Audit firm</Label>
+                  <Input value={form.firm} onChange={(e) => updateForm('firm', e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label>Framework</Label>
+                  <Select value={form.frameworkId} onValueChange={(value) => updateForm('frameworkId', value)}>
+                    <SelectTrigger><SelectValue placeholder="Select framework" /></SelectTrigger>
+                    <SelectContent>
+                      {frameworks.map(([frameworkId, framework]) => (
+                        <SelectItem key={frameworkId} value={frameworkId}>{framework.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label>Audit period start</Label>
+                  <Input type="date" value={form.periodStart} onChange={(e) => updateForm('periodStart', e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label>Audit period end</Label>
+                  <Input type="date" value={form.periodEnd} onChange={(e) => updateForm('periodEnd', e.target.value)} />
+                </div>
+                <div className="space-y-1 col-span-2">
+                  <Label>Access expires</Label>
+                  <Input type="datetime-local" value={form.expiresAt} onChange={(e) => updateForm('expiresAt', e.target.value)} />
+                </div>
+              </div>
+              <DialogFooter>
+                <Button variant="outline" onClick={closeDialog}>Cancel</Button>
+                <Button onClick={handleCreate}>Create Access Link</Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default AuditorAccessManager;
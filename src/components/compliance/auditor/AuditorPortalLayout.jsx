@@ -0,0 +1,69 @@
+import { useNavigate } from 'react-router-dom';
+import { Shield, Clock, User, LogOut } from 'lucide-react';
+import { format } from 'date-fns';
+
+export const AUDITOR_SESSION_KEY = 'auditorPortalSession';
+
+const AuditorPortalLayout = ({ grant, children }) => {
+  const navigate = useNavigate();
+
+  const handleLogout = () => {
+    sessionStorage.removeItem(AUDITOR_SESSION_KEY);
+    navigate('/AuditorPortalLogin');
+  };
+
+  return (
+    <div className="min-h-screen flex bg-slate-900 text-white">
+      <aside className="w-64 bg-slate-800/50 p-4 border-r border-slate-700 flex flex-col">
+        <div className="flex items-center gap-3 mb-8">
+          <div className="w-10 h-10 bg-[var(--color-primary)] rounded-lg flex items-center justify-center">
+            <Shield className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h2 className="font-bold text-lg">RedScan Portal</h2>
+            <p className="text-xs text-slate-400">Auditor Access (read-only)</p>
+          </div>
+        </div>
+        {grant && (
+          <div className="flex-1 space-y-4 text-sm">
+            <div>
+              <p className="text-xs text-slate-400">Framework</p>
+              <p className="font-medium">{grant.frameworkName}</p>
+            </div>
+            <div>
+              <p className="text-xs text-slate-400">Audit period</p>
+              <p>{format(new Date(grant.periodStart), 'MMM d, yyyy')} – {format(new Date(grant.periodEnd), 'MMM d, yyyy')}</p>
+            </div>
+            <div className="flex items-center gap-2 text-slate-300">
+              <Clock className="w-4 h-4" />
+              <span>Access until {format(new Date(grant.expiresAt), 'MMM d, yyyy HH:mm')}</span>
+            </div>
+          </div>
+        )}
+        <div className="border-t border-slate-700 pt-4 mt-auto">
+          <div className="flex items-center gap-3 mb-4">
+            <div className="w-8 h-8 rounded-full bg-slate-600 flex items-center justify-center">
+              <User className="w-5 h-5" />
+            </div>
+            <div className="min-w-0">
+              <p className="font-medium text-sm truncate">{grant?.auditorName || 'External Auditor'}</p>
+              <p className="text-xs text-slate-400 truncate">{grant?.auditorEmail}</p>
+            </div>
+          </div>
+          <button
+            onClick={handleLogout}
+            className="w-full flex items-center justify-center gap-2 p-2 rounded-lg text-slate-300 hover:bg-slate-700"
+          >
+            <LogOut className="w-4 h-4" />
+            Logout
+          </button>
+        </div>
+      </aside>
+      <main className="flex-1 p-8 overflow-auto">
+        {children}
+      </main>
+    </div>
+  );
+};
+
+export default AuditorPortalLayout;
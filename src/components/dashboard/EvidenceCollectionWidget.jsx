@@ -17,9 +17,12 @@ import {
   Filter,
   Eye,
   Lock,
+  Unlock,
+  Upload,
   Verified
 } from 'lucide-react';
 import { complianceAutomationEngine } from '../../services/ComplianceAutomationEngine';
+import { User } from '@/api/entities';
 import { format } from 'date-fns';
 
 export default function EvidenceCollectionWidget({ className }) {
@@ -29,6 +32,11 @@ export default function EvidenceCollectionWidget({ className }) {
   const [isLoading, setIsLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterType, setFilterType] = useState('all');
+  const [frameworks, setFrameworks] = useState([]);
+  const [uploadTarget, setUploadTarget] = useState('');
+  const [uploadType, setUploadType] = useState('policy_document');
+  const [isUploading, setIsUploading] = useState(false);
+  const [vaultError, setVaultError] = useState(null);
 
   useEffect(() => {
     initializeEvidenceCollection();
@@ -47,6 +55,7 @@ export default function EvidenceCollectionWidget({ className }) {
 
     complianceAutomationEngine.on('workflow_completed', handleWorkflowCompleted);
     complianceAutomationEngine.on('control_tested', handleControlTested);
+    complianceAutomationEngine.on('audit_trail_updated', handleControlTested);
 
     // Refresh data periodically
     const interval = setInterval(() => {
@@ -57,6 +66,7 @@ export default function EvidenceCollectionWidget({ className }) {
     return () => {
       complianceAutomationEngine.off('workflow_completed', handleWorkflowCompleted);
       complianceAutomationEngine.off('control_tested', handleControlTested);
+      complianceAutomationEngine.off('audit_trail_updated', handleControlTested);
       clearInterval(interval);
     };
   }, []);
@@ -67,6 +77,16 @@ export default function EvidenceCollectionWidget({ className }) {
         await complianceAutomationEngine.initialize();
       }
       
+      const available = Array.from(complianceAutomationEngine.frameworks.entries()).map(([id, framework]) => ({
+        id,
+        name: framework.name,
+        controls: framework.controls || []
+      }));
+      setFrameworks(available);
+      if (available[0]?.controls[0]) {
+        setUploadTarget(`${available[0].id}:${available[0].controls[0].id}`);
+      }
+
       updateEvidenceRepository();
       updateAuditTrail();
       
@@ -84,7 +104,7 @@ export default function EvidenceCollectionWidget({ className }) {
 
   const updateAuditTrail = () => {
     const trail = complianceAutomationEngine.getRecentAuditTrail(24);
-    setAuditTrail(trail);
+    setAuditTrail([...trail].reverse());
   };
 
   const handleRefresh = () => {
@@ -92,6 +112,82 @@ export default function EvidenceCollectionWidget({ className }) {
     updateAuditTrail();
   };
 
+  const getCurrentUserEmail = async () => {
+    const user = await User.me().catch(() => null);
+    return user?.email || null;
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !uploadTarget) return;
+
+    const separator = uploadTarget.indexOf(':');
+    const frameworkId = uploadTarget.slice(0, separator);
+    const controlId = uploadTarget.slice(separator + 1);
+
+    setIsUploading(true);
+    setVaultError(null);
+    try {
+      await complianceAutomationEngine.recordControlEvidence(frameworkId, controlId, {
+        file,
+        type: uploadType,
+        description: file.name,
+        collectedBy: await getCurrentUserEmail()
+      });
+      updateEvidenceRepository();
+    } catch (error) {
+      console.error('Failed to upload evidence:', error);
+      setVaultError(error.message);
+    }
+    setIsUploading(false);
+  };
+
+  const handleVerify = async (evidence) => {
+    const result = await complianceAutomationEngine.verifyEvidence(evidence.id);
+    setVaultError(result.verified ? null : `${evidence.fileName}: ${result.reason}`);
+    updateEvidenceRepository();
+  };
+
+  const handleToggleLegalHold = async (evidence) => {
+    setVaultError(null);
+    try {
+      const user = await getCurrentUserEmail();
+      if (evidence.legalHold) {
+        complianceAutomationEngine.releaseLegalHold(evidence.id, { releasedBy: user });
+      } else {
+        const reason = prompt('Reason for legal hold (e.g. litigation matter or investigation):');
+        if (!reason) return;
+        complianceAutomationEngine.placeLegalHold(evidence.id, { reason, placedBy: user });
+      }
+      updateEvidenceRepository();
+    } catch (error) {
+      setVaultError(error.message);
+    }
+  };
+
+  const handleExport = async (evidenceIds) => {
+    setVaultError(null);
+    try {
+      const { archive, fileName } = await complianceAutomationEngine.exportEvidenceBundle(evidenceIds, {
+        exportedBy: await getCurrentUserEmail()
+      });
+
+      const blob = new Blob([archive], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export evidence bundle:', error);
+      setVaultError(error.message);
+    }
+  };
+
   const getEvidenceTypeIcon = (type) => {
     switch (type) {
       case 'automated_test': return <Shield className="w-4 h-4 text-blue-400" />;
@@ -119,7 +215,9 @@ export default function EvidenceCollectionWidget({ className }) {
 
   const filteredEvidence = evidenceRepository.filter(evidence => {
     const matchesSearch = evidence.controlId.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         evidence.type.toLowerCase().includes(searchTerm.toLowerCase());
+                         evidence.type.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         evidence.fileName.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         evidence.contentHash.startsWith(searchTerm.toLowerCase());
     const matchesFilter = filterType === 'all' || evidence.type === filterType;
     return matchesSearch && matchesFilter;
   });
@@ -207,7 +305,60 @@ export default function EvidenceCollectionWidget({ className }) {
                   <option value="screenshot">Screenshots</option>
                   <option value="configuration">Configurations</option>
                 </select>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleExport(filteredEvidence.filter(e => e.status === 'active').map(e => e.id))}
+                  disabled={!filteredEvidence.some(e => e.status === 'active')}
+                  className="h-auto px-3 text-xs border-slate-600 text-slate-300"
+                >
+                  <Download className="w-3 h-3 mr-1" />
+                  Export Bundle
+                </Button>
               </div>
+
+              {/* Upload */}
+              <div className="flex gap-2">
+                <select
+                  value={uploadTarget}
+                  onChange={(e) => setUploadTarget(e.target.value)}
+                  className="flex-1 min-w-0 px-3 py-2 bg-slate-700/50 border border-slate-600 rounded text-white text-xs focus:outline-none focus:border-slate-500"
+                >
+                  {frameworks.map(framework => (
+                    <optgroup key={framework.id} label={framework.name}>
+                      {framework.controls.map(control => (
+                        <option key={control.id} value={`${framework.id}:${control.id}`}>
+                          {control.id} - {control.description}
+                        </option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+                <select
+                  value={uploadType}
+                  onChange={(e) => setUploadType(e.target.value)}
+                  className="px-3 py-2 bg-slate-700/50 border border-slate-600 rounded text-white text-xs focus:outline-none focus:border-slate-500"
+                >
+                  <option value="policy_document">Policy Doc</option>
+                  <option value="audit_log">Audit Log</option>
+                  <option value="screenshot">Screenshot</option>
+                  <option value="configuration">Configuration</option>
+                </select>
+                <label className={`flex items-center px-3 py-2 bg-slate-700/50 border border-slate-600 rounded text-white text-xs ${isUploading || !uploadTarget ? 'opacity-50' : 'cursor-pointer hover:border-slate-500'}`}>
+                  <Upload className={`w-3 h-3 mr-1 ${isUploading ? 'animate-pulse' : ''}`} />
+                  {isUploading ? 'Uploading...' : 'Upload'}
+                  <input
+                    type="file"
+                    className="hidden"
+                    onChange={handleUpload}
+                    disabled={isUploading || !uploadTarget}
+                  />
+                </label>
+              </div>
+
+              {vaultError && (
+                <div className="text-xs text-red-400">{vaultError}</div>
+              )}
             </div>
 
             {/* Evidence List */}
@@ -220,7 +371,20 @@ export default function EvidenceCollectionWidget({ className }) {
                         {getEvidenceTypeIcon(evidence.type)}
                         <span className="text-sm text-white font-medium">{evidence.controlId}</span>
                       </div>
-                      {getIntegrityStatus(evidence.integrity)}
+                      <div className="flex gap-1">
+                        {evidence.legalHold && (
+                          <Badge className="bg-yellow-500/20 text-yellow-400 border-yellow-500/30" title={evidence.legalHold.reason}>
+                            <Lock className="w-3 h-3 mr-1" />
+                            Legal Hold
+                          </Badge>
+                        )}
+                        {evidence.status === 'expired' ? (
+                          <Badge className="bg-slate-500/20 text-slate-400 border-slate-500/30">
+                            <Clock className="w-3 h-3 mr-1" />
+                            Expired
+                          </Badge>
+                        ) : getIntegrityStatus(evidence.integrity)}
+                      </div>
                     </div>
 
                     <div className="flex items-center justify-between mb-2">
@@ -229,19 +393,48 @@ export default function EvidenceCollectionWidget({ className }) {
                       </Badge>
                       <span className="text-xs text-slate-400">
                         {format(new Date(evidence.timestamp), 'MMM d, HH:mm')}
+                        {evidence.observations > 1 && (
+                          <> · seen {evidence.observations}× (last {format(new Date(evidence.lastObservedAt), 'MMM d, HH:mm')})</>
+                        )}
                       </span>
                     </div>
 
+                    <div className="text-xs text-slate-300 mb-2 truncate" title={evidence.fileName}>
+                      {evidence.fileName} · {(evidence.size / 1024).toFixed(1)} KB · retain until {format(new Date(evidence.retainUntil), 'MMM d, yyyy')}
+                    </div>
+
                     <div className="flex items-center justify-between">
-                      <span className="text-xs text-slate-300">
-                        ID: {evidence.id.slice(-8)}
+                      <span className="text-xs text-slate-400 font-mono" title={evidence.contentHash}>
+                        SHA-256: {evidence.contentHash.slice(0, 12)}
                       </span>
                       <div className="flex gap-1">
-                        <Button size="sm" variant="ghost" className="h-6 px-2 text-xs">
-                          <Eye className="w-3 h-3 mr-1" />
-                          View
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="h-6 px-2 text-xs"
+                          onClick={() => handleVerify(evidence)}
+                          disabled={evidence.status !== 'active'}
+                        >
+                          <Verified className="w-3 h-3 mr-1" />
+                          Verify
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="h-6 px-2 text-xs"
+                          onClick={() => handleToggleLegalHold(evidence)}
+                          disabled={evidence.status !== 'active'}
+                        >
+                          {evidence.legalHold ? <Unlock className="w-3 h-3 mr-1" /> : <Lock className="w-3 h-3 mr-1" />}
+                          {evidence.legalHold ? 'Release' : 'Hold'}
                         </Button>
-                        <Button size="sm" variant="ghost" className="h-6 px-2 text-xs">
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="h-6 px-2 text-xs"
+                          onClick={() => handleExport([evidence.id])}
+                          disabled={evidence.status !== 'active'}
+                        >
                           <Download className="w-3 h-3 mr-1" />
                           Export
                         </Button>
@@ -266,13 +459,19 @@ export default function EvidenceCollectionWidget({ className }) {
 
             {/* Evidence Summary */}
             <div className="pt-2 border-t border-slate-600">
-              <div className="grid grid-cols-3 gap-3 text-center">
+              <div className="grid grid-cols-4 gap-3 text-center">
                 <div className="bg-slate-700/30 rounded p-2">
                   <div className="text-lg font-bold text-green-400">
                     {evidenceRepository.filter(e => e.integrity).length}
                   </div>
                   <div className="text-xs text-slate-400">Verified</div>
                 </div>
+                <div className="bg-slate-700/30 rounded p-2">
+                  <div className="text-lg font-bold text-yellow-400">
+                    {evidenceRepository.filter(e => e.legalHold).length}
+                  </div>
+                  <div className="text-xs text-slate-400">On Hold</div>
+                </div>
                 <div className="bg-slate-700/30 rounded p-2">
                   <div className="text-lg font-bold text-blue-400">
                     {evidenceRepository.filter(e => e.type === 'automated_test').length}
@@ -300,49 +499,7 @@ export default function EvidenceCollectionWidget({ className }) {
             
             <ScrollArea className="h-64">
               <div className="space-y-2">
-                {/* Simulated audit trail entries */}
-                {[
-                  {
-                    id: 1,
-                    action: 'Evidence Collection',
-                    description: 'Automated access review evidence collected for SOC 2 CC6.1',
-                    timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(),
-                    type: 'collection',
-                    status: 'success'
-                  },
-                  {
-                    id: 2,
-                    action: 'Control Test',
-                    description: 'Vulnerability scanning control executed for PCI DSS Req.11',
-                    timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-                    type: 'test',
-                    status: 'success'
-                  },
-                  {
-                    id: 3,
-                    action: 'Evidence Validation',
-                    description: 'Evidence integrity verification completed for ISO 27001 A.9.1.1',
-                    timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(),
-                    type: 'validation',
-                    status: 'success'
-                  },
-                  {
-                    id: 4,
-                    action: 'Policy Review',
-                    description: 'Automated policy compliance check for GDPR Art.25',
-                    timestamp: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
-                    type: 'review',
-                    status: 'warning'
-                  },
-                  {
-                    id: 5,
-                    action: 'Evidence Export',
-                    description: 'Audit evidence package generated for Q3 SOC 2 review',
-                    timestamp: new Date(Date.now() - 8 * 60 * 60 * 1000).toISOString(),
-                    type: 'export',
-                    status: 'success'
-                  }
-                ].map((entry) => (
+                {auditTrail.map((entry) => (
                   <div key={entry.id} className="p-3 bg-slate-700/30 rounded-lg border border-slate-600">
                     <div className="flex items-center justify-between mb-2">
                       <div className="flex items-center gap-2">
@@ -351,6 +508,8 @@ export default function EvidenceCollectionWidget({ className }) {
                         {entry.type === 'validation' && <Verified className="w-4 h-4 text-purple-400" />}
                         {entry.type === 'review' && <FileText className="w-4 h-4 text-yellow-400" />}
                         {entry.type === 'export' && <Download className="w-4 h-4 text-orange-400" />}
+                        {entry.type === 'retention' && <Clock className="w-4 h-4 text-slate-400" />}
+                        {entry.type === 'legal_hold' && <Lock className="w-4 h-4 text-yellow-400" />}
                         <span className="text-sm text-white font-medium">{entry.action}</span>
                       </div>
                       <Badge className={
@@ -974,6 +974,62 @@ const IncidentResponseDashboardWidget = ({ className = "" }) => {
                     </CardContent>
                   </Card>
                 </div>
+
+                {/* Blast Radius */}
+                {selectedIncident.blastRadius && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle className="flex items-center gap-2">
+                        <Target className="h-5 w-5" />
+                        Blast Radius
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      <div className="grid grid-cols-3 gap-4">
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">Reachable</p>
+                          <p className="text-lg font-semibold">{selectedIncident.blastRadius.reachable.length}</p>
+                        </div>
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">Dependents</p>
+                          <p className="text-lg font-semibold">{selectedIncident.blastRadius.dependents.length}</p>
+                        </div>
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">High / Critical</p>
+                          <p className={`text-lg font-semibold ${getSeverityColor(selectedIncident.blastRadius.highestCriticality)}`}>
+                            {selectedIncident.blastRadius.criticalCount}
+                          </p>
+                        </div>
+                      </div>
+                      {selectedIncident.blastRadius.services.length > 0 && (
+                        <p className="text-sm text-gray-600">
+                          Business services: {selectedIncident.blastRadius.services.map(service => service.name).join(', ')}
+                        </p>
+                      )}
+                      {selectedIncident.blastRadius.unresolved.length > 0 && (
+                        <p className="text-sm text-gray-600">
+                          Not in the dependency graph: {selectedIncident.blastRadius.unresolved.join(', ')}
+                        </p>
+                      )}
+                      <div className="space-y-2">
+                        {selectedIncident.blastRadius.affected.slice(0, 10).map(asset => (
+                          <div key={asset.id} className="flex items-center justify-between p-2 border rounded">
+                            <span className="font-mono text-sm">{asset.name}</span>
+                            <div className="flex items-center gap-2">
+                              <span className="text-xs text-gray-600">
+                                {asset.relation === 'dependent' ? 'depends on incident' : asset.relation === 'both' ? 'reachable, dependent' : 'reachable'} • {asset.hops} hop{asset.hops === 1 ? '' : 's'}
+                              </span>
+                              {asset.criticality && <Badge variant={getSeverityBadge(asset.criticality)}>{asset.criticality}</Badge>}
+                            </div>
+                          </div>
+                        ))}
+                        {selectedIncident.blastRadius.affected.length === 0 && (
+                          <p className="text-sm text-gray-600">No observed dependencies on or from the affected assets.</p>
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+                )}
               </div>
             )}
           </DialogContent>
@@ -548,6 +548,12 @@ const RiskAnalyticsOverviewWidget = ({ className = "" }) => {
                         <span className="text-sm font-medium">Type:</span>
                         <span className="text-sm capitalize">{asset.type}</span>
                       </div>
+                      {asset.owner && (
+                        <div className="flex justify-between">
+                          <span className="text-sm font-medium">Owner:</span>
+                          <span className="text-sm">{asset.owner}</span>
+                        </div>
+                      )}
                       {asset.impactAnalysis && (
                         <div className="pt-2 border-t">
                           <p className="text-sm font-medium mb-2">Impact Analysis:</p>
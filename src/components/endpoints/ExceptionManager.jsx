@@ -1,9 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { 
   Shield, 
   Clock, 
@@ -16,91 +20,131 @@ import {
 } from 'lucide-react';
 import { format, isBefore, addDays } from 'date-fns';
 import { toast } from 'sonner';
+import { User } from '@/api/entities';
+import { complianceAutomationEngine } from '../../services/ComplianceAutomationEngine';
+import { EXCEPTION_STATUS, MAX_EXCEPTION_DAYS, canDecideException, getNextApprovalRole } from '../../services/ComplianceExceptions';
 
-// Mock exception data - in real app this would come from an Exception entity
-const mockExceptions = [
-  {
-    id: 'exc-1',
-    device_id: 'device-1',
-    device_name: 'LAPTOP-001',
-    issue_type: 'encryption_missing',
-    reason: 'Legacy system compatibility issues',
-    approved_by: 'admin@redscan.ai',
-    approved_at: '2024-01-15T10:30:00Z',
-    expires_at: '2024-02-15T23:59:59Z',
-    status: 'active'
-  },
-  {
-    id: 'exc-2', 
-    device_id: 'device-2',
-    device_name: 'MAC-DEV-05',
-    issue_type: 'outdated_os',
-    reason: 'Critical development environment - scheduled for maintenance',
-    approved_by: 'admin@redscan.ai',
-    approved_at: '2024-01-20T14:15:00Z',
-    expires_at: '2024-01-28T23:59:59Z',
-    status: 'expired'
-  },
-  {
-    id: 'exc-3',
-    device_id: 'device-3',
-    device_name: 'TABLET-HR-02',
-    issue_type: 'missing_edr',
-    reason: 'BYOD device - limited management capabilities',
-    approved_by: 'security@redscan.ai',
-    approved_at: '2024-01-10T09:00:00Z',
-    expires_at: '2024-03-10T23:59:59Z',
-    status: 'active'
-  }
-];
+const ISSUE_TYPES = {
+  encryption_missing: { color: 'bg-red-500/20 text-red-400', text: 'Missing Encryption' },
+  outdated_os: { color: 'bg-orange-500/20 text-orange-400', text: 'Outdated OS' },
+  missing_edr: { color: 'bg-purple-500/20 text-purple-400', text: 'Missing EDR' },
+  firewall_disabled: { color: 'bg-yellow-500/20 text-yellow-400', text: 'Firewall Disabled' }
+};
+
+const emptyRequest = () => ({
+  assetId: '',
+  issueType: 'encryption_missing',
+  riskRating: 'medium',
+  justification: '',
+  compensatingControls: '',
+  expiresAt: format(addDays(new Date(), 30), 'yyyy-MM-dd')
+});
 
 export default function ExceptionManager({ devices, canManage, onDataChange }) {
-  const [exceptions, setExceptions] = useState(mockExceptions);
+  const [exceptions, setExceptions] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [currentUser, setCurrentUser] = useState(null);
+  const [currentRoles, setCurrentRoles] = useState([]);
+  const [showRequestForm, setShowRequestForm] = useState(false);
+  const [request, setRequest] = useState(emptyRequest);
+
+  // Endpoint exceptions share the compliance exception model and approval workflow
+  const loadExceptions = useCallback(() => {
+    setExceptions(complianceAutomationEngine.getExceptions({ scopeType: 'asset' }));
+  }, []);
+
+  useEffect(() => {
+    loadExceptions();
+    // Approval steps name roles, so decisions carry the user's roles as well as their email
+    User.me()
+      .then(user => {
+        setCurrentUser(user?.email || null);
+        setCurrentRoles([user?.role, ...(user?.roles || [])].filter(Boolean));
+      })
+      .catch(() => {
+        setCurrentUser(null);
+        setCurrentRoles([]);
+      });
+
+    complianceAutomationEngine.on('audit_trail_updated', loadExceptions);
+    return () => complianceAutomationEngine.off('audit_trail_updated', loadExceptions);
+  }, [loadExceptions]);
 
   const filteredExceptions = exceptions.filter(exc =>
-    exc.device_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    exc.reason?.toLowerCase().includes(searchTerm.toLowerCase())
+    exc.scope.assetName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    exc.justification.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  const handleRevokeException = async (exceptionId) => {
+  const runAction = (action, successMessage) => {
     try {
-      // Simulate revoke action
-      setExceptions(prev => 
-        prev.map(exc => 
-          exc.id === exceptionId 
-            ? { ...exc, status: 'revoked' }
-            : exc
-        )
-      );
-      toast.success('Exception revoked successfully');
+      action();
+      toast.success(successMessage);
+      loadExceptions();
       onDataChange();
     } catch (error) {
-      toast.error('Failed to revoke exception');
+      toast.error(error.message);
     }
   };
 
-  const handleExtendException = async (exceptionId) => {
-    try {
-      // Simulate extend action
-      setExceptions(prev => 
-        prev.map(exc => 
-          exc.id === exceptionId 
-            ? { ...exc, expires_at: addDays(new Date(exc.expires_at), 30).toISOString() }
-            : exc
-        )
-      );
-      toast.success('Exception extended by 30 days');
-      onDataChange();
-    } catch (error) {
-      toast.error('Failed to extend exception');
+  const runManagerAction = (action, successMessage) => {
+    if (!canManage) {
+      toast.error('You do not have permission to manage exceptions');
+      return;
     }
+    runAction(action, successMessage);
+  };
+
+  const handleRequestException = () => {
+    const device = devices.find(d => d.id === request.assetId);
+    runAction(() => {
+      complianceAutomationEngine.requestException({
+        scope: { type: 'asset', assetId: request.assetId, assetName: device?.hostname, issueType: request.issueType },
+        justification: request.justification,
+        compensatingControls: request.compensatingControls.split('\n'),
+        riskRating: request.riskRating,
+        expiresAt: new Date(`${request.expiresAt}T23:59:59`).toISOString(),
+        requestedBy: currentUser
+      });
+      setShowRequestForm(false);
+      setRequest(emptyRequest());
+    }, 'Exception submitted for approval');
+  };
+
+  const handleApproveException = (exceptionId) => {
+    runManagerAction(
+      () => complianceAutomationEngine.approveException(exceptionId, { approver: currentUser, roles: currentRoles }),
+      'Approval recorded'
+    );
+  };
+
+  const handleRejectException = (exceptionId) => {
+    runManagerAction(
+      () => complianceAutomationEngine.rejectException(exceptionId, { approver: currentUser, roles: currentRoles }),
+      'Exception rejected'
+    );
+  };
+
+  const handleRevokeException = (exceptionId) => {
+    runManagerAction(
+      () => complianceAutomationEngine.revokeException(exceptionId, { revokedBy: currentUser }),
+      'Exception revoked successfully'
+    );
+  };
+
+  const handleExtendException = (exception) => {
+    runManagerAction(
+      () => complianceAutomationEngine.extendException(exception.id, {
+        expiresAt: addDays(new Date(exception.expiresAt), 30).toISOString(),
+        approver: currentUser
+      }),
+      'Exception extended by 30 days'
+    );
   };
 
   const handleExportExceptions = () => {
-    const csvHeaders = 'Device,Issue Type,Reason,Approved By,Approved Date,Expires,Status\n';
+    const csvHeaders = 'Device,Issue Type,Justification,Compensating Controls,Requested By,Approved By,Expires,Status\n';
     const csvData = exceptions.map(exc => 
-      `"${exc.device_name}","${exc.issue_type}","${exc.reason}","${exc.approved_by}","${format(new Date(exc.approved_at), 'yyyy-MM-dd')}","${format(new Date(exc.expires_at), 'yyyy-MM-dd')}","${exc.status}"`
+      `"${exc.scope.assetName || exc.scope.assetId}","${exc.scope.issueType}","${exc.justification}","${exc.compensatingControls.join('; ')}","${exc.requestedBy}","${exc.approvals.map(approval => approval.approver).join('; ')}","${format(new Date(exc.expiresAt), 'yyyy-MM-dd')}","${exc.status}"`
     ).join('\n');
     
     const blob = new Blob([csvHeaders + csvData], { type: 'text/csv' });
@@ -115,54 +159,52 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
   };
 
   const getStatusBadge = (exception) => {
-    const now = new Date();
-    const expiresAt = new Date(exception.expires_at);
-    
-    if (exception.status === 'revoked') {
-      return <Badge className="bg-red-500/20 text-red-400">Revoked</Badge>;
+    switch (exception.status) {
+      case EXCEPTION_STATUS.PENDING:
+        return (
+          <Badge className="bg-blue-500/20 text-blue-400">
+            Pending {exception.approvals.length}/{exception.approvalRoute.length}
+          </Badge>
+        );
+      case EXCEPTION_STATUS.REJECTED:
+        return <Badge className="bg-red-500/20 text-red-400">Rejected</Badge>;
+      case EXCEPTION_STATUS.REVOKED:
+        return <Badge className="bg-red-500/20 text-red-400">Revoked</Badge>;
+      case EXCEPTION_STATUS.EXPIRED:
+        return <Badge className="bg-yellow-500/20 text-yellow-400">Expired</Badge>;
+      default:
+        return <Badge className="bg-green-500/20 text-green-400">Active</Badge>;
     }
-    
-    if (isBefore(expiresAt, now)) {
-      return <Badge className="bg-yellow-500/20 text-yellow-400">Expired</Badge>;
-    }
-    
-    return <Badge className="bg-green-500/20 text-green-400">Active</Badge>;
   };
 
   const getIssueTypeBadge = (issueType) => {
-    const types = {
-      encryption_missing: { color: 'bg-red-500/20 text-red-400', text: 'Missing Encryption' },
-      outdated_os: { color: 'bg-orange-500/20 text-orange-400', text: 'Outdated OS' },
-      missing_edr: { color: 'bg-purple-500/20 text-purple-400', text: 'Missing EDR' },
-      firewall_disabled: { color: 'bg-yellow-500/20 text-yellow-400', text: 'Firewall Disabled' }
-    };
-    
-    const config = types[issueType] || { color: 'bg-slate-500/20 text-slate-400', text: issueType };
+    const config = ISSUE_TYPES[issueType] || { color: 'bg-slate-500/20 text-slate-400', text: issueType };
     return <Badge className={config.color}>{config.text}</Badge>;
   };
 
-  const activeExceptions = exceptions.filter(exc => {
-    const now = new Date();
-    const expiresAt = new Date(exc.expires_at);
-    return exc.status === 'active' && !isBefore(expiresAt, now);
-  }).length;
+  const activeExceptions = exceptions.filter(exc => exc.status === EXCEPTION_STATUS.APPROVED).length;
 
-  const expiredExceptions = exceptions.filter(exc => {
-    const now = new Date();
-    const expiresAt = new Date(exc.expires_at);
-    return isBefore(expiresAt, now) && exc.status !== 'revoked';
-  }).length;
+  const pendingExceptions = exceptions.filter(exc => exc.status === EXCEPTION_STATUS.PENDING).length;
+
+  const expiredExceptions = exceptions.filter(exc => exc.status === EXCEPTION_STATUS.EXPIRED).length;
 
   return (
     <div className="space-y-6">
       {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <Card className="bg-slate-800/50 border-slate-700">
           <CardContent className="p-6 text-center">
             <div className="text-3xl font-bold text-green-400">{activeExceptions}</div>
             <div className="text-sm text-slate-400">Active Exceptions</div>
           </CardContent>
         </Card>
+
+        <Card className="bg-slate-800/50 border-slate-700">
+          <CardContent className="p-6 text-center">
+            <div className="text-3xl font-bold text-blue-400">{pendingExceptions}</div>
+            <div className="text-sm text-slate-400">Awaiting Approval</div>
+          </CardContent>
+        </Card>
         
         <Card className="bg-slate-800/50 border-slate-700">
           <CardContent className="p-6 text-center">
@@ -197,12 +239,10 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
                 <Download className="w-4 h-4 mr-2" />
                 Export CSV
               </Button>
-              {canManage && (
-                <Button size="sm" className="bg-blue-600 hover:bg-blue-700">
-                  <Plus className="w-4 h-4 mr-2" />
-                  New Exception
-                </Button>
-              )}
+              <Button size="sm" className="bg-blue-600 hover:bg-blue-700" onClick={() => setShowRequestForm(true)}>
+                <Plus className="w-4 h-4 mr-2" />
+                Request Exception
+              </Button>
             </div>
           </CardTitle>
           
@@ -222,8 +262,8 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
               <TableRow className="border-slate-700 hover:bg-transparent">
                 <TableHead className="text-slate-300">Device</TableHead>
                 <TableHead className="text-slate-300">Issue</TableHead>
-                <TableHead className="text-slate-300">Reason</TableHead>
-                <TableHead className="text-slate-300">Approved By</TableHead>
+                <TableHead className="text-slate-300">Justification</TableHead>
+                <TableHead className="text-slate-300">Requested / Approved By</TableHead>
                 <TableHead className="text-slate-300">Expires</TableHead>
                 <TableHead className="text-slate-300">Status</TableHead>
                 {canManage && <TableHead className="text-slate-300">Actions</TableHead>}
@@ -239,28 +279,40 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
                 </TableRow>
               ) : (
                 filteredExceptions.map((exception) => {
-                  const isExpired = isBefore(new Date(exception.expires_at), new Date());
+                  const isExpired = isBefore(new Date(exception.expiresAt), new Date());
+                  const canDecide = canDecideException(exception, { approver: currentUser, roles: currentRoles });
+                  const nextRole = exception.status === EXCEPTION_STATUS.PENDING ? getNextApprovalRole(exception) : null;
                   
                   return (
                     <TableRow key={exception.id} className="border-slate-800 hover:bg-slate-800/30">
                       <TableCell>
-                        <div className="font-medium text-white">{exception.device_name}</div>
+                        <div className="font-medium text-white">{exception.scope.assetName || exception.scope.assetId}</div>
                       </TableCell>
                       <TableCell>
-                        {getIssueTypeBadge(exception.issue_type)}
+                        {getIssueTypeBadge(exception.scope.issueType)}
                       </TableCell>
                       <TableCell>
-                        <div className="max-w-xs text-sm text-slate-300 truncate" title={exception.reason}>
-                          {exception.reason}
+                        <div className="max-w-xs text-sm text-slate-300 truncate" title={exception.justification}>
+                          {exception.justification}
                         </div>
+                        {exception.compensatingControls.length > 0 && (
+                          <div className="max-w-xs text-xs text-slate-500 truncate" title={exception.compensatingControls.join('\n')}>
+                            Compensating: {exception.compensatingControls.join('; ')}
+                          </div>
+                        )}
                       </TableCell>
                       <TableCell className="text-slate-400 text-sm">
-                        {exception.approved_by}
+                        <div>{exception.requestedBy}</div>
+                        {exception.approvals.map(approval => (
+                          <div key={approval.approver} className="text-xs text-green-400">
+                            {approval.approver} ({approval.role.replace('_', ' ')})
+                          </div>
+                        ))}
                       </TableCell>
                       <TableCell className="text-slate-400 text-sm">
                         <div className="flex items-center gap-2">
                           <Calendar className="w-3 h-3" />
-                          {format(new Date(exception.expires_at), 'MMM dd, yyyy')}
+                          {format(new Date(exception.expiresAt), 'MMM dd, yyyy')}
                           {isExpired && (
                             <AlertTriangle className="w-3 h-3 text-yellow-400" />
                           )}
@@ -272,13 +324,40 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
                       {canManage && (
                         <TableCell>
                           <div className="flex gap-1">
-                            {exception.status === 'active' && !isExpired && (
+                            {nextRole && !canDecide && (
+                              <span className="text-xs text-slate-500">
+                                Awaiting {nextRole.replace('_', ' ')}
+                              </span>
+                            )}
+                            {canDecide && (
+                              <>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  className="border-green-500/50 text-green-300 text-xs"
+                                  onClick={() => handleApproveException(exception.id)}
+                                >
+                                  <CheckCircle2 className="w-3 h-3 mr-1" />
+                                  Approve
+                                </Button>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  className="border-red-500/50 text-red-300 text-xs"
+                                  onClick={() => handleRejectException(exception.id)}
+                                >
+                                  <X className="w-3 h-3 mr-1" />
+                                  Reject
+                                </Button>
+                              </>
+                            )}
+                            {exception.status === EXCEPTION_STATUS.APPROVED && !isExpired && (
                               <>
                                 <Button
                                   size="sm"
                                   variant="outline"
                                   className="border-blue-500/50 text-blue-300 text-xs"
-                                  onClick={() => handleExtendException(exception.id)}
+                                  onClick={() => handleExtendException(exception)}
                                 >
                                   <Clock className="w-3 h-3 mr-1" />
                                   Extend
@@ -305,6 +384,109 @@ export default function ExceptionManager({ devices, canManage, onDataChange }) {
           </Table>
         </CardContent>
       </Card>
+
+      {showRequestForm && (
+        <Dialog open onOpenChange={() => setShowRequestForm(false)}>
+          <DialogContent className="bg-slate-800 border-slate-700 text-white max-w-lg">
+            <DialogHeader>
+              <DialogTitle className="flex items-center gap-2">
+                <Shield className="w-5 h-5 text-yellow-400" />
+                Request Compliance Exception
+              </DialogTitle>
+            </DialogHeader>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Device</Label>
+                  <Select value={request.assetId} onValueChange={value => setRequest(prev => ({ ...prev, assetId: value }))}>
+                    <SelectTrigger className="bg-slate-900/50 border-slate-700">
+                      <SelectValue placeholder="Select device" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {devices.map(device => (
+                        <SelectItem key={device.id} value={device.id}>{device.hostname}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Issue</Label>
+                  <Select value={request.issueType} onValueChange={value => setRequest(prev => ({ ...prev, issueType: value }))}>
+                    <SelectTrigger className="bg-slate-900/50 border-slate-700">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(ISSUE_TYPES).map(([value, config]) => (
+                        <SelectItem key={value} value={value}>{config.text}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label>Justification</Label>
+                <Textarea
+                  value={request.justification}
+                  onChange={e => setRequest(prev => ({ ...prev, justification: e.target.value }))}
+                  placeholder="Why the requirement cannot be met and the business impact of enforcing it"
+                  className="bg-slate-900/50 border-slate-700"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Compensating Controls (one per line)</Label>
+                <Textarea
+                  value={request.compensatingControls}
+                  onChange={e => setRequest(prev => ({ ...prev, compensatingControls: e.target.value }))}
+                  placeholder="e.g. Device restricted to isolated VLAN"
+                  className="bg-slate-900/50 border-slate-700"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Accepted Risk</Label>
+                  <Select value={request.riskRating} onValueChange={value => setRequest(prev => ({ ...prev, riskRating: value }))}>
+                    <SelectTrigger className="bg-slate-900/50 border-slate-700">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="low">Low (1 approval)</SelectItem>
+                      <SelectItem value="medium">Medium (1 approval)</SelectItem>
+                      <SelectItem value="high">High (2 approvals)</SelectItem>
+                      <SelectItem value="critical">Critical (2 approvals incl. CISO)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Expires (max {MAX_EXCEPTION_DAYS} days)</Label>
+                  <Input
+                    type="date"
+                    value={request.expiresAt}
+                    onChange={e => setRequest(prev => ({ ...prev, expiresAt: e.target.value }))}
+                    className="bg-slate-900/50 border-slate-700"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" className="border-slate-600" onClick={() => setShowRequestForm(false)}>
+                  Cancel
+                </Button>
+                <Button
+                  className="bg-blue-600 hover:bg-blue-700"
+                  onClick={handleRequestException}
+                  disabled={!request.assetId || !request.justification.trim()}
+                >
+                  Submit for Approval
+                </Button>
+              </div>
+            </div>
+          </DialogContent>
+        </Dialog>
+      )}
     </div>
   );
 }
\ No newline at end of file
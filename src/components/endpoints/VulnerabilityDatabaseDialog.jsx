@@ -0,0 +1,89 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogTrigger } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Database, Trash2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import { vulnerabilityDatabase } from "@/services/VulnerabilityDatabase";
+
+const sourceNames = { nvd: "NVD feed", osv: "OSV" };
+
+export default function VulnerabilityDatabaseDialog() {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(vulnerabilityDatabase.getStatus());
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => setStatus(vulnerabilityDatabase.getStatus());
+    const events = ["database_loaded", "dataset_imported", "dataset_removed"];
+    events.forEach(event => vulnerabilityDatabase.on(event, refresh));
+    return () => events.forEach(event => vulnerabilityDatabase.off(event, refresh));
+  }, []);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    setImporting(true);
+    for (const file of files) {
+      try {
+        const dataset = await vulnerabilityDatabase.importFile(file);
+        toast.success(`Imported ${dataset.count.toLocaleString()} advisories from ${file.name}`);
+      } catch (error) {
+        toast.error(`${file.name}: ${error.message}`);
+      }
+    }
+    setImporting(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm"><Database className="w-4 h-4 mr-2"/>Vulnerability Data</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-slate-800 border-slate-700 text-white max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Vulnerability Database</DialogTitle>
+          <DialogDescription className="text-slate-400">
+            Load NVD JSON feeds (.json, .json.gz) and OSV exports (.json, .jsonl or an ecosystem all.zip) downloaded on another machine. Software is matched against these files only.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {status.datasets.length === 0 ? (
+            <p className="p-3 bg-slate-900/50 rounded-lg text-sm text-slate-500">No vulnerability data loaded.</p>
+          ) : (
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {status.datasets.map(dataset => (
+                <div key={dataset.id} className="flex items-start justify-between p-3 bg-slate-900/50 rounded-lg">
+                  <div className="text-sm">
+                    <p className="font-medium">{dataset.fileName || sourceNames[dataset.source]}</p>
+                    <p className="text-slate-300">
+                      {sourceNames[dataset.source]} · {dataset.count.toLocaleString()} advisories
+                      {dataset.generatedAt && ` · generated ${dataset.generatedAt.slice(0, 10)}`}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      imported {format(new Date(dataset.importedAt), "MMM d, yyyy HH:mm")}
+                    </p>
+                  </div>
+                  <Button variant="ghost" size="icon" onClick={() => vulnerabilityDatabase.removeDataset(dataset.id)} className="text-slate-400 hover:text-red-400">
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <Input
+            type="file"
+            multiple
+            accept=".json,.jsonl,.gz,.zip"
+            disabled={importing}
+            onChange={handleFiles}
+            className="bg-slate-900/50 border-slate-700"
+          />
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogTrigger } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Database, Trash2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import { exploitIntelligence } from "@/services/ExploitIntelligence";
+
+const datasets = [
+  { kind: "epss", name: "EPSS scores", files: "epss_scores-YYYY-MM-DD.csv or .csv.gz from FIRST" },
+  { kind: "kev", name: "CISA KEV catalogue", files: "known_exploited_vulnerabilities.json or .csv" }
+];
+
+export default function ExploitDataDialog() {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(exploitIntelligence.getStatus());
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => setStatus(exploitIntelligence.getStatus());
+    const events = ["dataset_loaded", "dataset_imported", "dataset_cleared"];
+    events.forEach(event => exploitIntelligence.on(event, refresh));
+    return () => events.forEach(event => exploitIntelligence.off(event, refresh));
+  }, []);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    setImporting(true);
+    for (const file of files) {
+      try {
+        const dataset = await exploitIntelligence.importFile(file);
+        toast.success(`Imported ${dataset.count.toLocaleString()} entries from ${file.name}`);
+      } catch (error) {
+        toast.error(`${file.name}: ${error.message}`);
+      }
+    }
+    setImporting(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><Database className="w-4 h-4 mr-2"/>Exploit Data</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-slate-800 border-slate-700 text-white max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Exploit Intelligence Data</DialogTitle>
+          <DialogDescription className="text-slate-400">
+            Load EPSS and KEV files downloaded on another machine. Priorities are recalculated as soon as a file is imported.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {datasets.map(({ kind, name, files }) => {
+            const dataset = status[kind];
+            return (
+              <div key={kind} className="flex items-start justify-between p-3 bg-slate-900/50 rounded-lg">
+                <div className="text-sm">
+                  <p className="font-medium">{name}</p>
+                  {dataset ? (
+                    <>
+                      <p className="text-slate-300">
+                        {dataset.count.toLocaleString()} CVEs
+                        {kind === "epss" && dataset.scoreDate && ` · scored ${dataset.scoreDate.slice(0, 10)}`}
+                        {kind === "kev" && dataset.catalogVersion && ` · version ${dataset.catalogVersion}`}
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        {dataset.fileName} · imported {format(new Date(dataset.importedAt), "MMM d, yyyy HH:mm")}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-slate-500">Not loaded. Expects {files}.</p>
+                  )}
+                </div>
+                {dataset && (
+                  <Button variant="ghost" size="icon" onClick={() => exploitIntelligence.clear(kind)} className="text-slate-400 hover:text-red-400">
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+
+          <Input
+            type="file"
+            multiple
+            accept=".csv,.gz,.json"
+            disabled={importing}
+            onChange={handleFiles}
+            className="bg-slate-900/50 border-slate-700"
+          />
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,89 @@
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { ShieldAlert, ArrowRight } from "lucide-react";
+
+export const priorityColors = {
+  P1: "bg-red-500/20 text-red-400 border-red-500/30",
+  P2: "bg-orange-500/20 text-orange-400 border-orange-500/30",
+  P3: "bg-yellow-500/20 text-yellow-400 border-yellow-500/30",
+  P4: "bg-blue-500/20 text-blue-400 border-blue-500/30"
+};
+
+const factorLabels = {
+  cvss_score: "CVSS",
+  exploitability: "Exploitability (EPSS)",
+  asset_criticality: "Asset criticality",
+  threat_intelligence: "Threat intelligence (KEV)"
+};
+
+export default function PriorityBreakdown({ finding, priority, open, onOpenChange }) {
+  if (!finding || !priority) return null;
+
+  const factorTotal = priority.factors.reduce((sum, factor) => sum + factor.score, 0);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-800 border-slate-700 text-white max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-3">
+            <Badge className={priorityColors[priority.rank]}>{priority.rank}</Badge>
+            <span className="truncate">{finding.title}</span>
+          </DialogTitle>
+          <DialogDescription className="text-slate-400">
+            Priority score {priority.score} of 100 ({priority.level})
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            {priority.factors.map(factor => (
+              <div key={factor.factor} className="p-3 bg-slate-900/50 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{factorLabels[factor.factor] || factor.factor}</span>
+                  <span className="text-sm text-slate-300">
+                    {factor.value} × {Math.round(factor.weight * 100)}% = <span className="font-semibold text-white">{factor.score}</span>
+                  </span>
+                </div>
+                <p className="text-sm text-slate-400 mt-1">{factor.reason}</p>
+              </div>
+            ))}
+          </div>
+
+          {priority.multipliers.length > 0 && (
+            <div className="space-y-1 text-sm">
+              <p className="text-slate-300">Weighted total {Math.round(factorTotal * 10) / 10}, then:</p>
+              {priority.multipliers.map(multiplier => (
+                <p key={multiplier.multiplier} className="text-slate-400">
+                  × {multiplier.value} — {multiplier.reason}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {priority.overrides.map(override => (
+            <div key={override.override} className="flex items-start gap-3 p-3 rounded-lg border border-red-500/30 bg-red-500/10">
+              <ShieldAlert className="w-5 h-5 text-red-400 mt-0.5" />
+              <div className="text-sm">
+                <p className="flex items-center gap-2 font-medium">
+                  {override.from} <ArrowRight className="w-3 h-3" /> {override.to}
+                </p>
+                <p className="text-slate-300">{override.reason}</p>
+                {priority.exploit.kev?.requiredAction && (
+                  <p className="text-slate-400 mt-1">
+                    Required action: {priority.exploit.kev.requiredAction}
+                    {priority.exploit.kev.dueDate && ` (due ${priority.exploit.kev.dueDate})`}
+                  </p>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <p className="text-xs text-slate-500">
+            EPSS scores from {priority.exploit.epssScoreDate || "no EPSS file loaded"} ·
+            KEV catalogue {priority.exploit.kevCatalogVersion || "not loaded"}
+          </p>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,40 @@
+import { Badge } from "@/components/ui/badge";
+import { CheckCircle2, AlertTriangle } from "lucide-react";
+import { SCAN_FORMATS } from "@/services/ScanResultImporter";
+
+export default function ScanImportResults({ results }) {
+  if (!results || results.length === 0) return null;
+
+  return (
+    <div className="space-y-2 max-h-64 overflow-y-auto">
+      {results.map(result => (
+        <div key={result.fileName} className="p-3 bg-slate-900/50 rounded-lg text-sm">
+          <div className="flex items-center justify-between gap-2">
+            <span className="flex items-center gap-2 font-medium truncate">
+              {result.errors.length === 0
+                ? <CheckCircle2 className="w-4 h-4 text-green-400 shrink-0" />
+                : <AlertTriangle className="w-4 h-4 text-yellow-400 shrink-0" />}
+              <span className="truncate">{result.fileName}</span>
+            </span>
+            {result.format && (
+              <Badge variant="outline" className="text-slate-300 border-slate-600 shrink-0">
+                {SCAN_FORMATS[result.format].label}
+              </Badge>
+            )}
+          </div>
+          <p className="text-slate-400 mt-1">
+            {result.findings.length} findings imported
+            {result.saved && `, ${result.saved.vulnerabilities} new vulnerabilities`}
+            {result.saved?.existingVulnerabilities > 0 && ` (${result.saved.existingVulnerabilities} already recorded)`}
+            {result.skipped > 0 && `, ${result.skipped} informational results skipped`}
+          </p>
+          {result.errors.map((error, index) => (
+            <p key={index} className="text-xs text-yellow-400 mt-1">
+              {error.line ? `Line ${error.line}: ` : error.item ? `${error.item}: ` : ""}{error.message}
+            </p>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -15,8 +15,53 @@ import {
   ZoomOut,
   Maximize2,
   Download,
-  Settings
+  Settings,
+  Upload
 } from 'lucide-react';
+import { toast } from 'sonner';
+import { assetDependencyGraph } from '@/services/AssetDependencyGraph';
+
+// Blast radius highlighting in the dependency view: [fill, selected fill, border]
+const BLAST_COLORS = {
+  source: ['#7f1d1d', '#991b1b', '#ef4444'],
+  reachable: ['#7c2d12', '#9a3412', '#f97316'],
+  dependent: ['#713f12', '#854d0e', '#eab308'],
+  both: ['#7c2d12', '#9a3412', '#f97316']
+};
+
+/**
+ * Lay the dependency graph out in rows: assets nothing depends on at the
+ * top, each row below holding what the row above connects to
+ */
+function layoutDependencyGraph({ nodes, edges }) {
+  const incoming = new Map(nodes.map(node => [node.id, 0]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    incoming.set(edge.to, (incoming.get(edge.to) || 0) + 1);
+    outgoing.get(edge.from)?.push(edge.to);
+  });
+
+  const layers = new Map();
+  let frontier = nodes.filter(node => incoming.get(node.id) === 0).map(node => node.id);
+  for (let layer = 0; frontier.length > 0; layer++) {
+    frontier.forEach(id => layers.set(id, layer));
+    frontier = [...new Set(frontier.flatMap(id => outgoing.get(id)))].filter(id => !layers.has(id));
+  }
+  // Nodes only reachable through a cycle
+  nodes.filter(node => !layers.has(node.id)).forEach(node => layers.set(node.id, 0));
+
+  const rows = [];
+  nodes.forEach(node => {
+    const layer = layers.get(node.id);
+    (rows[layer] = rows[layer] || []).push(node);
+  });
+
+  return rows.flatMap((row, layer) => row.map((node, index) => ({
+    ...node,
+    x: (800 / (row.length + 1)) * (index + 1),
+    y: 60 + layer * 110
+  })));
+}
 
 /**
  * NetworkTopology - Interactive network topology visualization
@@ -29,19 +74,43 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [topology, setTopology] = useState({ devices: [], connections: [] });
   const [isLoading, setIsLoading] = useState(true);
+  const [view, setView] = useState('network');
+  const [blastRadius, setBlastRadius] = useState(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
-    generateTopology();
-  }, [networkData]);
+    generateTopology(view);
+  }, [networkData, view]);
 
   useEffect(() => {
-    if (topology.devices.length > 0) {
-      drawTopology();
-    }
-  }, [topology, zoom, pan]);
+    if (view !== 'dependencies') return;
+    const refresh = () => generateTopology('dependencies');
+    assetDependencyGraph.on('graph_updated', refresh);
+    return () => assetDependencyGraph.off('graph_updated', refresh);
+  }, [view]);
+
+  useEffect(() => {
+    drawTopology();
+  }, [topology, zoom, pan, blastRadius]);
 
-  const generateTopology = () => {
+  const generateTopology = (mode) => {
     setIsLoading(true);
+    setSelectedDevice(null);
+    setBlastRadius(null);
+
+    if (mode === 'dependencies') {
+      const graph = assetDependencyGraph.toTopology();
+      const connections = graph.edges.map(edge => ({
+        source: edge.from,
+        target: edge.to,
+        type: edge.sources.includes('declared') ? 'declared' : edge.sources.includes('cloud_config') ? 'cloud' : 'flow',
+        label: edge.port ? `${edge.protocol}/${edge.port}` : edge.protocol,
+        directed: true
+      }));
+      setTopology({ devices: layoutDependencyGraph(graph), connections });
+      setIsLoading(false);
+      return;
+    }
     
     // Generate topology based on network integrations
     const devices = [
@@ -242,6 +311,15 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
         break;
+      case 'flow':
+        ctx.strokeStyle = '#3b82f6'; // blue
+        ctx.lineWidth = 2;
+        break;
+      case 'declared':
+        ctx.strokeStyle = '#10b981'; // green
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 4]);
+        break;
       default:
         ctx.strokeStyle = '#4b5563';
         ctx.lineWidth = 1;
@@ -250,6 +328,20 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
     ctx.stroke();
     ctx.setLineDash([]);
 
+    // Arrowhead at the edge of the target for dependencies
+    if (connection.directed) {
+      const angle = Math.atan2(targetDevice.y - sourceDevice.y, targetDevice.x - sourceDevice.x);
+      const tipX = targetDevice.x - Math.cos(angle) * 27;
+      const tipY = targetDevice.y - Math.sin(angle) * 27;
+      ctx.beginPath();
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(tipX - Math.cos(angle - 0.4) * 10, tipY - Math.sin(angle - 0.4) * 10);
+      ctx.lineTo(tipX - Math.cos(angle + 0.4) * 10, tipY - Math.sin(angle + 0.4) * 10);
+      ctx.closePath();
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fill();
+    }
+
     // Draw bandwidth label
     const midX = (sourceDevice.x + targetDevice.x) / 2;
     const midY = (sourceDevice.y + targetDevice.y) / 2;
@@ -259,7 +351,7 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
     ctx.fillStyle = '#9ca3af';
     ctx.font = '10px sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(connection.bandwidth, midX, midY + 3);
+    ctx.fillText(connection.label || connection.bandwidth, midX, midY + 3);
   };
 
   const drawDevice = (ctx, device) => {
@@ -269,9 +361,14 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
     ctx.beginPath();
     ctx.arc(device.x, device.y, radius, 0, 2 * Math.PI);
     
-    // Color based on health
+    // Color based on blast radius role, otherwise health
     const health = device.health || 100;
-    if (health > 80) {
+    const role = blastRadius?.roles.get(device.id);
+    if (role) {
+      ctx.fillStyle = BLAST_COLORS[role][device.id === selectedDevice?.id ? 1 : 0];
+    } else if (blastRadius) {
+      ctx.fillStyle = '#1e293b'; // outside the blast radius
+    } else if (health > 80) {
       ctx.fillStyle = device.id === selectedDevice?.id ? '#065f46' : '#064e3b'; // green
     } else if (health > 60) {
       ctx.fillStyle = device.id === selectedDevice?.id ? '#92400e' : '#78350f'; // yellow
@@ -282,7 +379,9 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
     ctx.fill();
     
     // Border
-    ctx.strokeStyle = health > 80 ? '#10b981' : health > 60 ? '#f59e0b' : '#ef4444';
+    ctx.strokeStyle = role ? BLAST_COLORS[role][2]
+      : blastRadius ? '#475569'
+      : health > 80 ? '#10b981' : health > 60 ? '#f59e0b' : '#ef4444';
     ctx.lineWidth = 2;
     ctx.stroke();
 
@@ -301,6 +400,10 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
       case 'cloud': icon = '☁️'; break;
       case 'internet': icon = '🌐'; break;
       case 'security': icon = '🔒'; break;
+      case 'external': icon = '🌐'; break;
+      case 'workstation': icon = '💻'; break;
+      case 'database': icon = '🗄️'; break;
+      case 'host': icon = '🖥️'; break;
     }
     
     ctx.fillText(icon, device.x, device.y + 4);
@@ -336,6 +439,30 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
     } else {
       setSelectedDevice(null);
     }
+
+    // What a compromise of the selected asset would reach and disrupt
+    if (clickedDevice && view === 'dependencies') {
+      const radius = assetDependencyGraph.blastRadius([clickedDevice.id]);
+      const roles = new Map([[clickedDevice.id, 'source']]);
+      radius.affected.forEach(asset => roles.set(asset.id, asset.relation === 'dependent' ? 'dependent' : asset.relation));
+      setBlastRadius({ ...radius, roles });
+    } else {
+      setBlastRadius(null);
+    }
+  };
+
+  const handleImportFlows = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = await assetDependencyGraph.importFlowFile(file);
+      toast.success(`Imported ${result.accepted} flows from ${file.name}${result.rejected ? ` (${result.rejected} rejected flows skipped)` : ''}`);
+      setView('dependencies');
+    } catch (error) {
+      toast.error(`Flow import failed: ${error.message}`);
+    }
   };
 
   const handleZoomIn = () => setZoom(prev => Math.min(prev * 1.2, 3));
@@ -354,6 +481,30 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
             Network Topology
           </CardTitle>
           <div className="flex gap-2">
+            <Button
+              size="sm"
+              variant={view === 'network' ? 'default' : 'outline'}
+              onClick={() => setView('network')}
+            >
+              Network
+            </Button>
+            <Button
+              size="sm"
+              variant={view === 'dependencies' ? 'default' : 'outline'}
+              onClick={() => setView('dependencies')}
+            >
+              Dependencies
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".log,.txt,.csv,.json,.jsonl"
+              className="hidden"
+              onChange={handleImportFlows}
+            />
+            <Button size="sm" variant="outline" onClick={() => fileInputRef.current?.click()} title="Import flow logs">
+              <Upload className="w-4 h-4" />
+            </Button>
             <Button size="sm" variant="outline" onClick={handleZoomOut}>
               <ZoomOut className="w-4 h-4" />
             </Button>
@@ -363,7 +514,7 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
             <Button size="sm" variant="outline" onClick={handleResetView}>
               <Maximize2 className="w-4 h-4" />
             </Button>
-            <Button size="sm" variant="outline" onClick={generateTopology}>
+            <Button size="sm" variant="outline" onClick={() => generateTopology(view)}>
               <RefreshCcw className="w-4 h-4" />
             </Button>
           </div>
@@ -376,6 +527,14 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
             className="w-full h-96 bg-slate-900/50 rounded-lg cursor-pointer"
             onClick={handleCanvasClick}
           />
+
+          {view === 'dependencies' && !isLoading && topology.devices.length === 0 && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <p className="text-slate-400 text-sm">
+                No dependencies observed yet. Import VPC flow logs, Zeek conn.log or a CSV/JSON flow export.
+              </p>
+            </div>
+          )}
           
           {/* Device Details Panel */}
           {selectedDevice && (
@@ -386,20 +545,30 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
                   <span className="text-slate-400">Type:</span>
                   <span className="text-white capitalize">{selectedDevice.type}</span>
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-slate-400">Vendor:</span>
-                  <span className="text-white capitalize">{selectedDevice.vendor}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-slate-400">Status:</span>
-                  <Badge variant="outline" className={
-                    selectedDevice.status === 'active' 
-                      ? 'bg-green-100 text-green-800 border-green-200'
-                      : 'bg-red-100 text-red-800 border-red-200'
-                  }>
-                    {selectedDevice.status}
-                  </Badge>
-                </div>
+                {selectedDevice.vendor && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Vendor:</span>
+                    <span className="text-white capitalize">{selectedDevice.vendor}</span>
+                  </div>
+                )}
+                {selectedDevice.status && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Status:</span>
+                    <Badge variant="outline" className={
+                      selectedDevice.status === 'active' 
+                        ? 'bg-green-100 text-green-800 border-green-200'
+                        : 'bg-red-100 text-red-800 border-red-200'
+                    }>
+                      {selectedDevice.status}
+                    </Badge>
+                  </div>
+                )}
+                {selectedDevice.ip && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">IP:</span>
+                    <span className="text-white font-mono">{selectedDevice.ip}</span>
+                  </div>
+                )}
                 {selectedDevice.health && (
                   <div className="flex justify-between">
                     <span className="text-slate-400">Health:</span>
@@ -411,6 +580,27 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
                     </span>
                   </div>
                 )}
+                {blastRadius && (
+                  <div className="border-t border-slate-600 pt-2 space-y-2">
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Reachable:</span>
+                      <span className="text-orange-400 font-semibold">{blastRadius.reachable.length}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">Dependents:</span>
+                      <span className="text-yellow-400 font-semibold">{blastRadius.dependents.length}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">High / critical:</span>
+                      <span className="text-red-400 font-semibold">{blastRadius.criticalCount}</span>
+                    </div>
+                    {blastRadius.services.length > 0 && (
+                      <p className="text-xs text-slate-400">
+                        Services: {blastRadius.services.map(service => service.name).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -418,20 +608,49 @@ export default function NetworkTopology({ networkData, onDeviceClick }) {
           {/* Legend */}
           <div className="absolute bottom-4 left-4 bg-slate-800 border border-slate-600 rounded-lg p-3">
             <h5 className="text-white text-sm font-semibold mb-2">Legend</h5>
-            <div className="space-y-1 text-xs">
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-0.5 bg-blue-500"></div>
-                <span className="text-slate-400">Primary Connection</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-0.5 bg-gray-500"></div>
-                <span className="text-slate-400">Secondary Connection</span>
+            {view === 'dependencies' ? (
+              <div className="space-y-1 text-xs">
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-blue-500"></div>
+                  <span className="text-slate-400">Observed Flow</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-purple-500 border-dashed"></div>
+                  <span className="text-slate-400">Cloud Configuration</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-green-500 border-dashed"></div>
+                  <span className="text-slate-400">Declared Dependency</span>
+                </div>
+                {blastRadius && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full bg-orange-500"></div>
+                      <span className="text-slate-400">Reachable from selection</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full bg-yellow-500"></div>
+                      <span className="text-slate-400">Depends on selection</span>
+                    </div>
+                  </>
+                )}
               </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-0.5 bg-purple-500 border-dashed"></div>
-                <span className="text-slate-400">Cloud Connection</span>
+            ) : (
+              <div className="space-y-1 text-xs">
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-blue-500"></div>
+                  <span className="text-slate-400">Primary Connection</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-gray-500"></div>
+                  <span className="text-slate-400">Secondary Connection</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0.5 bg-purple-500 border-dashed"></div>
+                  <span className="text-slate-400">Cloud Connection</span>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
       </CardContent>
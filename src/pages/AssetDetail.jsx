@@ -24,6 +24,9 @@ import {
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
+import AssetIdentityPanel from "@/components/assets/AssetIdentityPanel";
+import AssetChangeTimeline from "@/components/assets/AssetChangeTimeline";
+import AssetBusinessContext from "@/components/assets/AssetBusinessContext";
 
 // New component for displaying scan history
 function ScanHistoryComponent({ assetId }) {
@@ -345,7 +348,7 @@ export default function AssetDetailPage() {
 
         {/* Tabs */}
         <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
-          <TabsList className="grid w-full grid-cols-4 bg-slate-800/50 border border-slate-700">
+          <TabsList className="grid w-full grid-cols-6 bg-slate-800/50 border border-slate-700">
             <TabsTrigger value="overview" className="text-slate-300 data-[state=active]:text-white data-[state=active]:bg-slate-700">
               Overview
             </TabsTrigger>
@@ -355,6 +358,12 @@ export default function AssetDetailPage() {
             <TabsTrigger value="findings" className="text-slate-300 data-[state=active]:text-white data-[state=active]:bg-slate-700">
               Findings
             </TabsTrigger>
+            <TabsTrigger value="identity" className="text-slate-300 data-[state=active]:text-white data-[state=active]:bg-slate-700">
+              Identity
+            </TabsTrigger>
+            <TabsTrigger value="changes" className="text-slate-300 data-[state=active]:text-white data-[state=active]:bg-slate-700">
+              Changes
+            </TabsTrigger>
             <TabsTrigger value="activity" className="text-slate-300 data-[state=active]:text-white data-[state=active]:bg-slate-700">
               Activity
             </TabsTrigger>
@@ -409,6 +418,8 @@ export default function AssetDetailPage() {
                     )}
                   </CardContent>
                 </Card>
+
+                <AssetBusinessContext asset={asset} canEdit={canEdit()} />
               </div>
 
               <div>
@@ -503,6 +514,14 @@ export default function AssetDetailPage() {
             </Card>
           </TabsContent>
 
+          <TabsContent value="identity">
+            <AssetIdentityPanel asset={asset} user={user} canEdit={canEdit()} />
+          </TabsContent>
+
+          <TabsContent value="changes">
+            <AssetChangeTimeline asset={asset} />
+          </TabsContent>
+
           <TabsContent value="activity">
             <Card className="bg-slate-800/50 border-slate-700 backdrop-blur-sm">
               <CardHeader>
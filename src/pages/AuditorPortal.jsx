@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { CheckCircle2, XCircle, Download, Camera, MessageSquare, FileQuestion } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { auditorAccessService } from '@/services/AuditorAccessService';
+import AuditorPortalLayout, { AUDITOR_SESSION_KEY } from '@/components/compliance/auditor/AuditorPortalLayout';
+
+const requestStatusColors = {
+  open: 'bg-yellow-500/20 text-yellow-400',
+  fulfilled: 'bg-green-500/20 text-green-400',
+  closed: 'bg-slate-600/20 text-slate-400',
+};
+
+const NO_CONTROL = 'none';
+
+export default function AuditorPortal() {
+  const navigate = useNavigate();
+  const [grant, setGrant] = useState(null);
+  const [view, setView] = useState(null);
+  const [activeTab, setActiveTab] = useState('controls');
+  const [requestType, setRequestType] = useState('comment');
+  const [requestControl, setRequestControl] = useState(NO_CONTROL);
+  const [requestBody, setRequestBody] = useState('');
+
+  const endSession = useCallback((message) => {
+    sessionStorage.removeItem(AUDITOR_SESSION_KEY);
+    toast.error(message);
+    navigate('/AuditorPortalLogin');
+  }, [navigate]);
+
+  useEffect(() => {
+    const session = JSON.parse(sessionStorage.getItem(AUDITOR_SESSION_KEY) || 'null');
+    if (!session?.token) {
+      navigate('/AuditorPortalLogin');
+      return;
+    }
+
+    const loadScope = async () => {
+      try {
+        const activeGrant = await auditorAccessService.authenticate(session.token);
+        setGrant(activeGrant);
+        setView(await auditorAccessService.getScopedView(activeGrant));
+      } catch (error) {
+        endSession(error.message);
+      }
+    };
+    loadScope();
+  }, [navigate, endSession]);
+
+  // Access ends at the grant's expiry or revocation even while the portal is open
+  useEffect(() => {
+    if (!grant) return;
+
+    const interval = setInterval(() => {
+      const session = JSON.parse(sessionStorage.getItem(AUDITOR_SESSION_KEY) || 'null');
+      auditorAccessService.authenticate(session?.token).catch(error => endSession(error.message));
+    }, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [grant, endSession]);
+
+  useEffect(() => {
+    if (grant) {
+      auditorAccessService.recordView(grant, activeTab);
+    }
+  }, [grant, activeTab]);
+
+  const refreshView = async () => setView(await auditorAccessService.getScopedView(grant));
+
+  const handleExport = async (evidenceId) => {
+    try {
+      const { url, fileName } = await auditorAccessService.exportEvidence(grant, evidenceId);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleViewSnapshot = (snapshot) => {
+    auditorAccessService.recordView(grant, 'snapshot', { snapshotId: snapshot.id });
+  };
+
+  const handleSubmitRequest = async () => {
+    try {
+      await auditorAccessService.addRequest(grant, {
+        type: requestType,
+        controlId: requestControl === NO_CONTROL ? null : requestControl,
+        body: requestBody
+      });
+      setRequestBody('');
+      setRequestControl(NO_CONTROL);
+      await refreshView();
+      toast.success(requestType === 'evidence_request' ? 'Evidence request sent' : 'Comment added');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (!grant || !view) {
+    return <AuditorPortalLayout grant={grant}><div className="text-center p-8">Loading audit scope...</div></AuditorPortalLayout>;
+  }
+
+  const satisfiedCount = view.controls.filter(control => control.satisfied).length;
+
+  return (
+    <AuditorPortalLayout grant={grant}>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold">{view.framework.name} Audit</h1>
+          <p className="text-slate-400">
+            {satisfiedCount} of {view.controls.length} controls have evidence collected between{' '}
+            {format(new Date(view.period.start), 'MMM d, yyyy')} and {format(new Date(view.period.end), 'MMM d, yyyy')}
+          </p>
+        </div>
+
+        <Tabs value={activeTab} onValueChange={setActiveTab}>
+          <TabsList className="bg-slate-800">
+            <TabsTrigger value="controls">Controls</TabsTrigger>
+            <TabsTrigger value="evidence">Evidence ({view.evidence.length})</TabsTrigger>
+            <TabsTrigger value="snapshots">Snapshots ({view.snapshots.length})</TabsTrigger>
+            <TabsTrigger value="requests">Requests ({view.requests.length})</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="controls">
+            <Card className="bg-slate-800/50 border-slate-700 text-white">
+              <CardContent className="pt-6 space-y-2">
+                {view.controls.map(control => (
+                  <div key={control.controlId} className="flex items-start justify-between p-3 bg-slate-900/50 rounded-lg">
+                    <div className="flex items-start gap-3">
+                      {control.satisfied
+                        ? <CheckCircle2 className="w-5 h-5 text-green-400 mt-0.5" />
+                        : <XCircle className="w-5 h-5 text-red-400 mt-0.5" />}
+                      <div>
+                        <p className="font-medium">{control.controlId}</p>
+                        <p className="text-sm text-slate-400">{control.description}</p>
+                      </div>
+                    </div>
+                    <span className="text-xs text-slate-400">{control.evidence.length} evidence</span>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="evidence">
+            <Card className="bg-slate-800/50 border-slate-700 text-white">
+              <CardContent className="pt-6 space-y-2">
+                {view.evidence.length === 0 && (
+                  <p className="text-center text-slate-400 py-8">No evidence was collected for this framework during the audit period.</p>
+                )}
+                {view.evidence.map(item => (
+                  <div key={item.id} className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg">
+                    <div>
+                      <p className="font-medium">{item.description || item.fileName}</p>
+                      <p className="text-xs text-slate-400">
+                        {item.controlId} · {format(new Date(item.timestamp), 'MMM d, yyyy HH:mm')} · sha256 {item.contentHash.slice(0, 12)}
+                      </p>
+                    </div>
+                    <Button variant="outline" size="sm" onClick={() => handleExport(item.id)} className="border-slate-600">
+                      <Download className="w-4 h-4 mr-2" />
+                      Download
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="snapshots">
+            <Card className="bg-slate-800/50 border-slate-700 text-white">
+              <CardContent className="pt-6 space-y-2">
+                {view.snapshots.length === 0 && (
+                  <p className="text-center text-slate-400 py-8">No snapshots were captured during the audit period.</p>
+                )}
+                {view.snapshots.map(snapshot => (
+                  <details key={snapshot.id} className="p-3 bg-slate-900/50 rounded-lg" onToggle={(e) => e.target.open && handleViewSnapshot(snapshot)}>
+                    <summary className="flex items-center justify-between cursor-pointer">
+                      <span className="flex items-center gap-2">
+                        <Camera className="w-4 h-4 text-slate-400" />
+                        {snapshot.label}
+                      </span>
+                      <span className="text-sm">
+                        {snapshot.frameworkScore ?? '—'}% · {format(new Date(snapshot.capturedAt), 'MMM d, yyyy')}
+                      </span>
+                    </summary>
+                    <div className="mt-3 space-y-1 text-sm">
+                      {snapshot.controls.map(control => (
+                        <div key={control.controlId} className="flex justify-between text-slate-300">
+                          <span>{control.controlId}</span>
+                          <span>{control.status}</span>
+                        </div>
+                      ))}
+                      <p className="text-xs text-slate-500 pt-2">sha256 {snapshot.contentHash}</p>
+                    </div>
+                  </details>
+                ))}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="requests" className="space-y-4">
+            <Card className="bg-slate-800/50 border-slate-700 text-white">
+              <CardHeader>
+                <CardTitle>New Comment or Request</CardTitle>
+                <CardDescription className="text-slate-400">Ask a question or request additional evidence.</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                  <Select value={requestType} onValueChange={setRequestType}>
+                    <SelectTrigger className="bg-slate-900/50 border-slate-700"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="comment">Comment</SelectItem>
+                      <SelectItem value="evidence_request">Evidence request</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Select value={requestControl} onValueChange={setRequestControl}>
+                    <SelectTrigger className="bg-slate-900/50 border-slate-700"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NO_CONTROL}>General</SelectItem>
+                      {view.controls.map(control => (
+                        <SelectItem key={control.controlId} value={control.controlId}>{control.controlId}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Textarea
+                  value={requestBody}
+                  onChange={(e) => setRequestBody(e.target.value)}
+                  placeholder="Describe your question or the evidence you need"
+                  className="bg-slate-900/50 border-slate-700"
+                />
+                <Button onClick={handleSubmitRequest} disabled={!requestBody.trim()} className="bg-[var(--color-primary)] hover:bg-red-700">
+                  Submit
+                </Button>
+              </CardContent>
+            </Card>
+
+            {view.requests.map(request => (
+              <Card key={request.id} className="bg-slate-800/50 border-slate-700 text-white">
+                <CardContent className="pt-6 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-2 text-sm text-slate-400">
+                      {request.type === 'evidence_request'
+                        ? <FileQuestion className="w-4 h-4" />
+                        : <MessageSquare className="w-4 h-4" />}
+                      {request.controlId || 'General'} · {format(new Date(request.createdAt), 'MMM d, yyyy HH:mm')}
+                    </span>
+                    <Badge className={requestStatusColors[request.status]}>{request.status}</Badge>
+                  </div>
+                  <p>{request.body}</p>
+                  {request.responses.map((response, index) => (
+                    <div key={index} className="ml-4 pl-3 border-l border-slate-600 text-sm">
+                      <p className="text-slate-400">{response.author} · {format(new Date(response.createdAt), 'MMM d, yyyy HH:mm')}</p>
+                      <p>{response.body}</p>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            ))}
+          </TabsContent>
+        </Tabs>
+      </div>
+    </AuditorPortalLayout>
+  );
+}
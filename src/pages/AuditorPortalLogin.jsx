@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Shield } from 'lucide-react';
+import { toast } from 'sonner';
+import { auditorAccessService } from '@/services/AuditorAccessService';
+import { AUDITOR_SESSION_KEY } from '@/components/compliance/auditor/AuditorPortalLayout';
+
+export default function AuditorPortalLogin() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verifyToken = async () => {
+      try {
+        await auditorAccessService.authenticate(token, { login: true });
+        sessionStorage.setItem(AUDITOR_SESSION_KEY, JSON.stringify({ token }));
+        toast.success('Login successful!');
+        navigate('/AuditorPortal');
+      } catch (err) {
+        setError(err.message);
+        toast.error(err.message);
+      }
+    };
+    verifyToken();
+  }, [token, navigate]);
+
+  if (token && !error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-900 text-white">
+        <div className="text-center">
+          <Shield className="w-12 h-12 mx-auto mb-4 animate-pulse" />
+          <h1 className="text-2xl font-bold">Verifying your access...</h1>
+          <p className="text-slate-400">Please wait while we securely log you in.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <Card className="w-[400px] bg-slate-800/50 border-slate-700 text-white">
+        <CardHeader className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="w-14 h-14 bg-[var(--color-primary)] rounded-lg flex items-center justify-center">
+              <Shield className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <CardTitle>Auditor Portal</CardTitle>
+          <CardDescription className="text-slate-400">Read-only access to audit evidence.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {error && <p className="text-sm text-red-400 text-center mb-4">{error}</p>}
+          <p className="text-xs text-slate-500 text-center">
+            Auditor access is by invitation only. Open the secure link you received from the
+            organisation being audited, or ask them to issue a new one if your access has expired.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
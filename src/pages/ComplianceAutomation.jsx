@@ -18,8 +18,24 @@ import {
   Shield, CheckCircle, AlertTriangle, FileText, Settings, 
   Calendar, Clock, Users, Database, Lock, Eye,
   Download, Upload, RefreshCw, Target, TrendingUp,
-  BookOpen, Award, AlertCircle, CheckSquare
+  BookOpen, Award, AlertCircle, CheckSquare, Camera
 } from 'lucide-react';
+import { complianceAutomationEngine } from '@/services/ComplianceAutomationEngine';
+import AuditorAccessManager from '@/components/compliance/AuditorAccessManager';
+
+const CONTROL_TEST_STATUS = {
+  passed: 'compliant',
+  failed: 'non_compliant',
+  inconclusive: 'not_tested'
+};
+
+const TREND_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4', '#ec4899'];
+
+const SNAPSHOT_CONTROL_STATUS = {
+  satisfied: 'compliant',
+  unsatisfied: 'non_compliant',
+  excepted: 'not_tested'
+};
 
 const ComplianceAutomation = () => {
   const [complianceData, setComplianceData] = useState({
@@ -33,6 +49,14 @@ const ComplianceAutomation = () => {
   const [loading, setLoading] = useState(true);
   const [selectedFramework, setSelectedFramework] = useState('soc2');
   const [assessmentStatus, setAssessmentStatus] = useState('idle');
+  const [testingControls, setTestingControls] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotTrend, setSnapshotTrend] = useState([]);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [snapshotDiff, setSnapshotDiff] = useState(null);
+  const [asOfDate, setAsOfDate] = useState('');
+  const [capturingSnapshot, setCapturingSnapshot] = useState(false);
 
   useEffect(() => {
     loadComplianceData();
@@ -41,9 +65,18 @@ const ComplianceAutomation = () => {
   const loadComplianceData = async () => {
     setLoading(true);
     try {
-      // Simulate loading compliance framework data
+      if (!complianceAutomationEngine.isRunning) {
+        await complianceAutomationEngine.initialize();
+      }
+
+      // Scores and controls come from control tests; the rest is still sample data
       const mockData = generateMockComplianceData();
-      setComplianceData(mockData);
+      setComplianceData({
+        ...mockData,
+        frameworks: applyControlCoverage(mockData.frameworks),
+        controls: getControlTestResults()
+      });
+      loadSnapshotHistory();
     } catch (error) {
       console.error('Failed to load compliance data:', error);
     } finally {
@@ -252,7 +285,7 @@ const ComplianceAutomation = () => {
         }
       ],
       
-      controls: generateControlsData(),
+      controls: [],
       
       audits: [
         {
@@ -283,30 +316,104 @@ const ComplianceAutomation = () => {
     };
   };
 
-  const generateControlsData = () => {
-    const controls = [];
-    const frameworks = ['soc2', 'iso27001', 'gdpr'];
-    const statuses = ['compliant', 'partial', 'non_compliant'];
-    const severities = ['low', 'medium', 'high', 'critical'];
-    
-    for (let i = 1; i <= 50; i++) {
-      controls.push({
-        id: `ctrl_${i.toString().padStart(3, '0')}`,
-        framework: frameworks[Math.floor(Math.random() * frameworks.length)],
-        controlId: `CTRL-${i}`,
-        title: `Control ${i}`,
-        description: `Description for control ${i}`,
-        category: ['Technical', 'Administrative', 'Physical'][Math.floor(Math.random() * 3)],
-        status: statuses[Math.floor(Math.random() * statuses.length)],
-        severity: severities[Math.floor(Math.random() * severities.length)],
-        lastTested: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
-        nextTest: new Date(Date.now() + Math.random() * 90 * 24 * 60 * 60 * 1000).toISOString(),
-        automated: Math.random() > 0.6,
-        owner: ['Security Team', 'IT Operations', 'Compliance', 'HR'][Math.floor(Math.random() * 4)]
+  const applyControlCoverage = (frameworks) => {
+    const scores = complianceAutomationEngine.calculateFrameworkScores();
+
+    return frameworks.map(framework => {
+      const coverage = complianceAutomationEngine.getControlCoverage(framework.id);
+      if (coverage.length === 0) return framework;
+
+      // Controls under an approved exception are neither compliant nor non-compliant
+      const scored = coverage.filter(control => !control.excepted);
+      const compliant = scored.filter(control => control.satisfied).length;
+      const groups = new Map();
+      scored.forEach(control => {
+        const group = groups.get(control.group) || { name: control.group, controls: 0, compliant: 0 };
+        group.controls++;
+        if (control.satisfied) group.compliant++;
+        groups.set(control.group, group);
       });
+
+      return {
+        ...framework,
+        overallScore: scores[framework.id] ?? 0,
+        controlsTotal: coverage.length,
+        controlsCompliant: compliant,
+        controlsPartial: 0,
+        controlsNonCompliant: scored.length - compliant,
+        controlsExcepted: coverage.length - scored.length,
+        categories: Array.from(groups.values()).map(group => ({
+          ...group,
+          score: Math.round((group.compliant / group.controls) * 100)
+        }))
+      };
+    });
+  };
+
+  const loadSnapshotHistory = () => {
+    const history = complianceAutomationEngine.getSnapshots();
+    setSnapshots(history);
+    setSnapshotTrend(complianceAutomationEngine.getComplianceTrend());
+
+    // Default comparison: previous snapshot against the latest
+    if (history.length >= 2 && !compareFrom && !compareTo) {
+      setCompareFrom(history[history.length - 2].id);
+      setCompareTo(history[history.length - 1].id);
+    }
+  };
+
+  const captureSnapshot = async () => {
+    setCapturingSnapshot(true);
+    try {
+      const snapshot = await complianceAutomationEngine.captureSnapshot();
+      loadSnapshotHistory();
+      setCompareTo(snapshot.id);
+    } catch (error) {
+      console.error('Failed to capture compliance snapshot:', error);
+    } finally {
+      setCapturingSnapshot(false);
+    }
+  };
+
+  useEffect(() => {
+    if (compareFrom && compareTo && compareFrom !== compareTo) {
+      setSnapshotDiff(complianceAutomationEngine.compareSnapshots(compareFrom, compareTo));
+    } else {
+      setSnapshotDiff(null);
+    }
+  }, [compareFrom, compareTo]);
+
+  const snapshotAsOf = asOfDate ? complianceAutomationEngine.getSnapshotAt(new Date(`${asOfDate}T23:59:59`)) : null;
+
+  const getControlTestResults = () => {
+    return complianceAutomationEngine.getControlStatus().map(control => ({
+      id: control.id,
+      framework: (control.frameworks || []).join(', '),
+      controlId: control.id,
+      title: control.name,
+      description: control.description,
+      status: CONTROL_TEST_STATUS[control.lastResult?.status] || 'not_tested',
+      lastTested: control.lastExecution,
+      automated: true,
+      tests: control.lastResult?.tests || [],
+      offendingRecords: control.lastResult?.offendingRecords || []
+    }));
+  };
+
+  const runControlTests = async () => {
+    setTestingControls(true);
+    try {
+      await complianceAutomationEngine.runAutomatedTests({ force: true });
+      setComplianceData(prev => ({
+        ...prev,
+        frameworks: applyControlCoverage(prev.frameworks),
+        controls: getControlTestResults()
+      }));
+    } catch (error) {
+      console.error('Control tests failed:', error);
+    } finally {
+      setTestingControls(false);
     }
-    
-    return controls;
   };
 
   const getStatusColor = (status) => {
@@ -321,7 +428,8 @@ const ComplianceAutomation = () => {
       overdue: 'bg-red-100 text-red-800 border-red-200',
       completed: 'bg-green-100 text-green-800 border-green-200',
       active: 'bg-green-100 text-green-800 border-green-200',
-      pending: 'bg-gray-100 text-gray-800 border-gray-200'
+      pending: 'bg-gray-100 text-gray-800 border-gray-200',
+      not_tested: 'bg-gray-100 text-gray-800 border-gray-200'
     };
     return colors[status] || colors.pending;
   };
@@ -398,24 +506,42 @@ const ComplianceAutomation = () => {
   };
 
   const ComplianceTrendChart = () => {
-    const trendData = Array.from({ length: 12 }, (_, i) => ({
-      month: new Date(Date.now() - (11 - i) * 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en', { month: 'short' }),
-      soc2: Math.floor(Math.random() * 10) + 80,
-      iso27001: Math.floor(Math.random() * 15) + 65,
-      gdpr: Math.floor(Math.random() * 8) + 85
+    if (snapshotTrend.length < 2) {
+      return (
+        <div className="h-[300px] flex flex-col items-center justify-center text-gray-500 text-sm">
+          <TrendingUp className="w-8 h-8 mb-2 opacity-50" />
+          Trends appear once at least two compliance snapshots exist
+        </div>
+      );
+    }
+
+    const trendData = snapshotTrend.map(row => ({
+      ...row,
+      date: new Date(row.capturedAt).toLocaleDateString('en', { month: 'short', day: 'numeric' })
     }));
+    const frameworkNames = Array.from(complianceAutomationEngine.frameworks.entries())
+      .map(([id, framework]) => ({ id, name: framework.name }));
 
     return (
       <ResponsiveContainer width="100%" height={300}>
         <LineChart data={trendData}>
           <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="month" />
+          <XAxis dataKey="date" />
           <YAxis domain={[0, 100]} />
-          <Tooltip />
+          <Tooltip labelFormatter={(_, payload) => payload?.[0]?.payload.label} />
           <Legend />
-          <Line type="monotone" dataKey="soc2" stroke="#3b82f6" strokeWidth={2} name="SOC 2" />
-          <Line type="monotone" dataKey="iso27001" stroke="#ef4444" strokeWidth={2} name="ISO 27001" />
-          <Line type="monotone" dataKey="gdpr" stroke="#10b981" strokeWidth={2} name="GDPR" />
+          <Line type="monotone" dataKey="overall" stroke="#111827" strokeWidth={3} name="Overall" />
+          {frameworkNames.map((framework, index) => (
+            <Line
+              key={framework.id}
+              type="monotone"
+              dataKey={framework.id}
+              stroke={TREND_COLORS[index % TREND_COLORS.length]}
+              strokeWidth={2}
+              name={framework.name}
+              connectNulls
+            />
+          ))}
         </LineChart>
       </ResponsiveContainer>
     );
@@ -557,13 +683,14 @@ const ComplianceAutomation = () => {
 
       {/* Main Content Tabs */}
       <Tabs defaultValue="overview" className="space-y-6">
-        <TabsList className="grid w-full grid-cols-6">
+        <TabsList className="grid w-full grid-cols-7">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="controls">Controls</TabsTrigger>
           <TabsTrigger value="gaps">Gap Analysis</TabsTrigger>
           <TabsTrigger value="evidence">Evidence</TabsTrigger>
           <TabsTrigger value="assessments">Assessments</TabsTrigger>
           <TabsTrigger value="audits">Audits</TabsTrigger>
+          <TabsTrigger value="snapshots">Snapshots</TabsTrigger>
         </TabsList>
 
         {/* Overview Tab */}
@@ -584,7 +711,7 @@ const ComplianceAutomation = () => {
             <Card>
               <CardHeader>
                 <CardTitle>Compliance Trends</CardTitle>
-                <CardDescription>Historical compliance scores over time</CardDescription>
+                <CardDescription>Compliance scores from snapshot history</CardDescription>
               </CardHeader>
               <CardContent>
                 <ComplianceTrendChart />
@@ -656,42 +783,81 @@ const ComplianceAutomation = () => {
         {/* Controls Tab */}
         <TabsContent value="controls" className="space-y-6">
           <Card>
-            <CardHeader>
-              <CardTitle>Control Status Overview</CardTitle>
-              <CardDescription>Status of all compliance controls</CardDescription>
+            <CardHeader className="flex flex-row items-start justify-between space-y-0">
+              <div>
+                <CardTitle>Control Status Overview</CardTitle>
+                <CardDescription>Automated control tests evaluated against platform data</CardDescription>
+              </div>
+              <Button variant="outline" size="sm" onClick={runControlTests} disabled={testingControls}>
+                <RefreshCw className={`w-4 h-4 mr-2 ${testingControls ? 'animate-spin' : ''}`} />
+                Run Control Tests
+              </Button>
             </CardHeader>
             <CardContent>
               <div className="space-y-4">
                 {complianceData.controls.slice(0, 10).map(control => (
-                  <div key={control.id} className="flex items-center justify-between p-4 border rounded-lg">
-                    <div className="flex-1">
-                      <div className="flex items-center space-x-3">
-                        <div className={`w-3 h-3 rounded-full ${
-                          control.status === 'compliant' ? 'bg-green-600' :
-                          control.status === 'partial' ? 'bg-yellow-600' : 'bg-red-600'
-                        }`} />
-                        <div>
-                          <p className="font-medium">{control.controlId}: {control.title}</p>
-                          <p className="text-sm text-gray-600">{control.description}</p>
-                          <div className="flex items-center space-x-4 mt-1">
-                            <span className="text-xs text-gray-500">Framework: {control.framework.toUpperCase()}</span>
-                            <span className="text-xs text-gray-500">Category: {control.category}</span>
-                            <span className="text-xs text-gray-500">Owner: {control.owner}</span>
+                  <div key={control.id} className="p-4 border rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-3">
+                          <div className={`w-3 h-3 rounded-full ${
+                            control.status === 'compliant' ? 'bg-green-600' :
+                            control.status === 'partial' ? 'bg-yellow-600' :
+                            control.status === 'not_tested' ? 'bg-gray-400' : 'bg-red-600'
+                          }`} />
+                          <div>
+                            <p className="font-medium">{control.title}</p>
+                            <p className="text-sm text-gray-600">{control.description}</p>
+                            <div className="flex items-center space-x-4 mt-1">
+                              <span className="text-xs text-gray-500">Frameworks: {control.framework.toUpperCase()}</span>
+                              <span className="text-xs text-gray-500">Tests: {control.tests.length}</span>
+                            </div>
                           </div>
                         </div>
                       </div>
+                      <div className="text-right">
+                        <Badge className={getStatusColor(control.status)}>
+                          {control.status}
+                        </Badge>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Last tested: {control.lastTested ? new Date(control.lastTested).toLocaleDateString() : 'Never'}
+                        </p>
+                        {control.automated && (
+                          <p className="text-xs text-blue-600">Automated Testing</p>
+                        )}
+                      </div>
                     </div>
-                    <div className="text-right">
-                      <Badge className={getStatusColor(control.status)}>
-                        {control.status}
-                      </Badge>
-                      <p className="text-xs text-gray-500 mt-1">
-                        Last tested: {new Date(control.lastTested).toLocaleDateString()}
-                      </p>
-                      {control.automated && (
-                        <p className="text-xs text-blue-600">Automated Testing</p>
-                      )}
-                    </div>
+
+                    {control.tests.length > 0 && (
+                      <div className="mt-3 ml-6 space-y-1">
+                        {control.tests.map(test => (
+                          <div key={test.testId || test.name} className="flex items-center justify-between text-sm">
+                            <span className="text-gray-700">{test.name}</span>
+                            <span className="text-xs text-gray-500">
+                              {test.status === 'inconclusive'
+                                ? test.findings[0]
+                                : `${test.passedCount}/${test.populationSize} passed`}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {control.offendingRecords.length > 0 && (
+                      <div className="mt-3 ml-6 p-3 bg-red-50 rounded-lg">
+                        <p className="text-xs font-medium text-red-800 mb-1">Offending records</p>
+                        {control.offendingRecords.slice(0, 5).map((record, index) => (
+                          <p key={`${record.testId}-${record.id ?? index}`} className="text-xs text-red-700">
+                            {record.source}: {record.title || record.hostname || record.email || record.name || record.id}
+                          </p>
+                        ))}
+                        {control.offendingRecords.length > 5 && (
+                          <p className="text-xs text-red-600 mt-1">
+                            and {control.offendingRecords.length - 5} more attached as evidence
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -877,6 +1043,182 @@ const ComplianceAutomation = () => {
               </div>
             </CardContent>
           </Card>
+
+          <AuditorAccessManager />
+        </TabsContent>
+
+        {/* Snapshots Tab */}
+        <TabsContent value="snapshots" className="space-y-6">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Card className="lg:col-span-2">
+              <CardHeader>
+                <div className="flex justify-between items-center">
+                  <div>
+                    <CardTitle>Snapshot History</CardTitle>
+                    <CardDescription>
+                      Immutable point-in-time records, captured daily and on demand
+                    </CardDescription>
+                  </div>
+                  <Button onClick={captureSnapshot} disabled={capturingSnapshot}>
+                    {capturingSnapshot ? (
+                      <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                    ) : (
+                      <Camera className="w-4 h-4 mr-2" />
+                    )}
+                    Capture Snapshot
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2 max-h-80 overflow-y-auto">
+                  {snapshots.length === 0 && (
+                    <p className="text-sm text-gray-500">No snapshots captured yet</p>
+                  )}
+                  {[...snapshots].reverse().map(snapshot => (
+                    <div key={snapshot.id} className="flex items-center justify-between p-3 border rounded-lg">
+                      <div>
+                        <div className="flex items-center space-x-2">
+                          <span className="font-medium">{snapshot.label}</span>
+                          <Badge variant="outline">{snapshot.trigger}</Badge>
+                        </div>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {new Date(snapshot.capturedAt).toLocaleString()}
+                          {snapshot.capturedBy && ` · ${snapshot.capturedBy}`}
+                          <span className="font-mono ml-2" title={snapshot.contentHash}>
+                            sha256 {snapshot.contentHash.slice(0, 12)}
+                          </span>
+                        </div>
+                      </div>
+                      <span className="font-bold text-lg">{snapshot.overallScore}%</span>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Score as of Date</CardTitle>
+                <CardDescription>Framework scores from the snapshot in effect on a date</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <input
+                  type="date"
+                  value={asOfDate}
+                  onChange={(e) => setAsOfDate(e.target.value)}
+                  className="w-full px-3 py-2 border rounded text-sm"
+                />
+                {asOfDate && !snapshotAsOf && (
+                  <p className="text-sm text-gray-500">No snapshot exists on or before this date</p>
+                )}
+                {snapshotAsOf && (
+                  <div className="space-y-2">
+                    <p className="text-xs text-gray-500">
+                      {snapshotAsOf.label} · {new Date(snapshotAsOf.capturedAt).toLocaleString()}
+                    </p>
+                    {snapshotAsOf.frameworks.map(framework => (
+                      <div key={framework.id} className="flex justify-between text-sm">
+                        <span>{framework.name}</span>
+                        <span className="font-semibold">{framework.score}%</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Compare Snapshots</CardTitle>
+              <CardDescription>Score changes and controls that regressed or improved between two snapshots</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-col sm:flex-row gap-3">
+                {[['From', compareFrom, setCompareFrom], ['To', compareTo, setCompareTo]].map(([label, value, setValue]) => (
+                  <label key={label} className="flex-1 text-sm">
+                    <span className="text-gray-600">{label}</span>
+                    <select
+                      value={value}
+                      onChange={(e) => setValue(e.target.value)}
+                      className="w-full mt-1 px-3 py-2 border rounded text-sm"
+                    >
+                      <option value="">Select snapshot</option>
+                      {snapshots.map(snapshot => (
+                        <option key={snapshot.id} value={snapshot.id}>
+                          {snapshot.label} ({new Date(snapshot.capturedAt).toLocaleString()})
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {!snapshotDiff && (
+                <p className="text-sm text-gray-500">Select two different snapshots to compare</p>
+              )}
+
+              {snapshotDiff && (
+                <div className="space-y-4">
+                  <div className="flex items-center space-x-3 text-sm">
+                    <span>Overall: {snapshotDiff.overallScore.from}% → {snapshotDiff.overallScore.to}%</span>
+                    <Badge className={snapshotDiff.overallScore.delta < 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}>
+                      {snapshotDiff.overallScore.delta > 0 ? '+' : ''}{snapshotDiff.overallScore.delta}
+                    </Badge>
+                    <span className="text-gray-500">
+                      Gaps opened: {snapshotDiff.gaps.opened.length} · closed: {snapshotDiff.gaps.closed.length}
+                    </span>
+                  </div>
+
+                  {snapshotDiff.frameworks.map(framework => (
+                    <div key={framework.id} className="p-4 border rounded-lg">
+                      <div className="flex items-center justify-between mb-2">
+                        <h3 className="font-semibold">{framework.name}</h3>
+                        <span className="text-sm">
+                          {framework.scoreFrom ?? '—'}% → {framework.scoreTo ?? '—'}%
+                          {framework.delta !== null && framework.delta !== 0 && (
+                            <span className={framework.delta < 0 ? 'text-red-600 ml-2' : 'text-green-600 ml-2'}>
+                              {framework.delta > 0 ? '+' : ''}{framework.delta}
+                            </span>
+                          )}
+                        </span>
+                      </div>
+                      {framework.versionFrom !== framework.versionTo && (
+                        <p className="text-xs text-gray-500 mb-2">
+                          Catalogue version {framework.versionFrom || 'none'} → {framework.versionTo || 'none'}
+                        </p>
+                      )}
+                      {framework.regressed.length === 0 && framework.improved.length === 0 && (
+                        <p className="text-xs text-gray-500">No control status changes</p>
+                      )}
+                      {[['Regressed', framework.regressed], ['Improved', framework.improved]]
+                        .filter(([, changes]) => changes.length > 0)
+                        .map(([title, changes]) => (
+                          <div key={title} className="mt-2">
+                            <p className="text-xs font-medium text-gray-600 mb-1">{title} ({changes.length})</p>
+                            <div className="space-y-1">
+                              {changes.map(change => (
+                                <div key={change.controlId} className="flex items-center justify-between text-sm">
+                                  <span>
+                                    <span className="font-mono mr-2">{change.controlId}</span>
+                                    <span className="text-gray-600">{change.description}</span>
+                                  </span>
+                                  <span className="flex items-center space-x-1">
+                                    <Badge className={getStatusColor(SNAPSHOT_CONTROL_STATUS[change.from])}>{change.from}</Badge>
+                                    <span>→</span>
+                                    <Badge className={getStatusColor(SNAPSHOT_CONTROL_STATUS[change.to])}>{change.to}</Badge>
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
         </TabsContent>
       </Tabs>
     </div>
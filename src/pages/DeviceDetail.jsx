@@ -13,6 +13,15 @@ import { toast } from 'sonner';
 import { format } from 'date-fns';
 import RemediationCard from '../components/endpoints/RemediationCard';
 import { RemediationEngine } from '../components/endpoints/RemediationEngine';
+import VulnerabilityDatabaseDialog from '../components/endpoints/VulnerabilityDatabaseDialog';
+import { vulnerabilityDatabase } from '@/services/VulnerabilityDatabase';
+
+const severityColors = {
+  critical: 'bg-red-500/20 text-red-400 border-red-500/40',
+  high: 'bg-orange-500/20 text-orange-400 border-orange-500/40',
+  medium: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40',
+  low: 'bg-blue-500/20 text-blue-400 border-blue-500/40'
+};
 
 const platformIcons = {
   windows: <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3,6H21V18H3V6M3,6L12,2L21,6"/><path d="M12,2V18"/></svg>,
@@ -28,6 +37,7 @@ export default function DeviceDetailPage() {
   const [software, setSoftware] = useState([]);
   const [posture, setPosture] = useState([]);
   const [findings, setFindings] = useState([]);
+  const [softwareVulns, setSoftwareVulns] = useState({});
   const [loading, setLoading] = useState(true);
 
   const triggerRemediationIfNeeded = useCallback(async (device, posture) => {
@@ -101,6 +111,23 @@ export default function DeviceDetailPage() {
     loadData();
   }, [deviceId, navigate, loadData]); // Added navigate and loadData to dependencies
 
+  // Match installed software against the local vulnerability database
+  useEffect(() => {
+    if (!device) return;
+    const operatingSystem = [device.os_name, device.os_version].filter(Boolean).join(' ');
+    const matchSoftware = () => {
+      setSoftwareVulns(Object.fromEntries(software.map(item => [
+        item.id,
+        vulnerabilityDatabase.match(item, { operatingSystem })
+      ])));
+    };
+
+    vulnerabilityDatabase.ready.then(matchSoftware);
+    const events = ['database_loaded', 'dataset_imported', 'dataset_removed'];
+    events.forEach(event => vulnerabilityDatabase.on(event, matchSoftware));
+    return () => events.forEach(event => vulnerabilityDatabase.off(event, matchSoftware));
+  }, [device, software]);
+
   const getComplianceStatus = (compliancePercent) => {
     if (compliancePercent >= 90) return 'Compliant';
     if (compliancePercent < 90 && compliancePercent > 0) return 'Non-Compliant';
@@ -188,18 +215,35 @@ export default function DeviceDetailPage() {
 
             {/* Installed Software */}
             <Card className="bg-slate-800/50 border-slate-700">
-                <CardHeader><CardTitle className="text-white flex items-center gap-2"><List className="w-5 h-5 text-blue-400"/>Installed Software</CardTitle></CardHeader>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <CardTitle className="text-white flex items-center gap-2"><List className="w-5 h-5 text-blue-400"/>Installed Software</CardTitle>
+                    <VulnerabilityDatabaseDialog />
+                </CardHeader>
                 <CardContent className="max-h-96 overflow-y-auto">
                     <Table>
                          <TableHeader><TableRow className="border-slate-700 hover:bg-transparent">
                             <TableHead className="text-slate-300">Name</TableHead>
                             <TableHead className="text-slate-300">Version</TableHead>
+                            <TableHead className="text-slate-300">Known Vulnerabilities</TableHead>
                         </TableRow></TableHeader>
                         <TableBody>
                            {software.map(item => (
                                 <TableRow key={item.id} className="border-slate-800">
                                     <TableCell className="text-white">{item.name}</TableCell>
                                     <TableCell className="text-slate-400">{item.version}</TableCell>
+                                    <TableCell>
+                                        <div className="flex flex-wrap gap-1">
+                                            {(softwareVulns[item.id] || []).map(vuln => (
+                                                <Badge
+                                                    key={vuln.id}
+                                                    title={[vuln.description, vuln.fixedVersion && `Fixed in ${vuln.fixedVersion}`].filter(Boolean).join('\n')}
+                                                    className={`text-xs ${severityColors[vuln.severity] || 'bg-slate-500/20 text-slate-400 border-slate-500/40'}`}
+                                                >
+                                                    {vuln.id}
+                                                </Badge>
+                                            ))}
+                                        </div>
+                                    </TableCell>
                                 </TableRow>
                             ))}
                         </TableBody>
@@ -9,6 +9,11 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Zap, Filter, Ticket } from 'lucide-react';
 import CreateTicketModal from '../components/findings/CreateTicketModal';
 import ActionButton from '../components/ui/ActionButton';
+import PriorityBreakdown, { priorityColors } from '../components/findings/PriorityBreakdown';
+import ExploitDataDialog from '../components/findings/ExploitDataDialog';
+import { vulnerabilityManagementEngine } from '@/services/AdvancedVulnerabilityManagementEngine';
+import { exploitIntelligence } from '@/services/ExploitIntelligence';
+import { businessServiceModel } from '@/services/BusinessServiceModel';
 
 const createTicketAction = async (props) => {
     console.log("Creating ticket for finding:", props.finding.id);
@@ -22,10 +27,17 @@ const createTicketAction = async (props) => {
     return { ticketUrl: 'https://jira.example.com/browse/SEC-123' };
 };
 
+const scoreFindings = (findings) => Object.fromEntries(findings.map(finding => [
+    finding.id,
+    vulnerabilityManagementEngine.scorePriority(finding, vulnerabilityManagementEngine.getBusinessAssetInfo(finding.asset_id))
+]));
+
 export default function FindingsPage() {
     const [findings, setFindings] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filters, setFilters] = useState({ severity: 'all', status: 'all', search: '' });
+    const [priorities, setPriorities] = useState({});
+    const [breakdownFinding, setBreakdownFinding] = useState(null);
 
     useEffect(() => {
         const loadFindings = async () => {
@@ -34,18 +46,35 @@ export default function FindingsPage() {
             if(filters.severity !== 'all') query.severity = filters.severity;
             if(filters.status !== 'all') query.status = 'open'; // Hardcode for demo
             
-            const fetched = await Finding.filter(query, '-created_date', 200);
+            const [fetched] = await Promise.all([
+                Finding.filter(query, '-created_date', 200),
+                exploitIntelligence.ready
+            ]);
             
             const searchFiltered = filters.search
                 ? fetched.filter(f => f.title.toLowerCase().includes(filters.search.toLowerCase()))
                 : fetched;
 
             setFindings(searchFiltered);
+            setPriorities(scoreFindings(searchFiltered));
             setLoading(false);
         };
         loadFindings();
     }, [filters]);
 
+    // Re-rank when EPSS or KEV data or business criticality changes
+    useEffect(() => {
+        const rescore = () => setPriorities(scoreFindings(findings));
+        exploitIntelligence.on('dataset_imported', rescore);
+        exploitIntelligence.on('dataset_cleared', rescore);
+        businessServiceModel.on('model_updated', rescore);
+        return () => {
+            exploitIntelligence.off('dataset_imported', rescore);
+            exploitIntelligence.off('dataset_cleared', rescore);
+            businessServiceModel.off('model_updated', rescore);
+        };
+    }, [findings]);
+
     return (
         <div className="space-y-8">
             <header>
@@ -81,6 +110,7 @@ export default function FindingsPage() {
                                     <SelectItem value="resolved">Resolved</SelectItem>
                                 </SelectContent>
                             </Select>
+                            <ExploitDataDialog />
                             <Button variant="outline"><Filter className="w-4 h-4 mr-2"/>More Filters</Button>
                             <ActionButton
                                 actionFn={() => { /* Mock bulk update */ }}
@@ -96,6 +126,7 @@ export default function FindingsPage() {
                     <Table>
                         <TableHeader>
                             <TableRow className="border-slate-700">
+                                <TableHead className="text-slate-300">Priority</TableHead>
                                 <TableHead className="text-slate-300">Title</TableHead>
                                 <TableHead className="text-slate-300">Severity</TableHead>
                                 <TableHead className="text-slate-300">Status</TableHead>
@@ -105,9 +136,30 @@ export default function FindingsPage() {
                         </TableHeader>
                         <TableBody>
                             {loading ? (
-                                <TableRow><TableCell colSpan="5" className="text-center text-slate-400">Loading...</TableCell></TableRow>
+                                <TableRow><TableCell colSpan="6" className="text-center text-slate-400">Loading...</TableCell></TableRow>
                             ) : findings.map(finding => (
                                 <TableRow key={finding.id} className="border-slate-800">
+                                    <TableCell>
+                                        {priorities[finding.id] && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setBreakdownFinding(finding)}
+                                                className="flex items-center gap-2 text-left"
+                                                title="Show score breakdown"
+                                            >
+                                                <Badge className={priorityColors[priorities[finding.id].rank]}>{priorities[finding.id].rank}</Badge>
+                                                <span className="text-sm text-slate-300">{priorities[finding.id].score}</span>
+                                                {priorities[finding.id].exploit.kev && (
+                                                    <Badge className="bg-red-500/20 text-red-400 border-red-500/30">KEV</Badge>
+                                                )}
+                                                {priorities[finding.id].exploit.epss && (
+                                                    <span className="text-xs text-slate-400">
+                                                        EPSS {(priorities[finding.id].exploit.epss.epss * 100).toFixed(1)}%
+                                                    </span>
+                                                )}
+                                            </button>
+                                        )}
+                                    </TableCell>
                                     <TableCell className="font-medium text-white max-w-sm truncate">{finding.title}</TableCell>
                                     <TableCell><Badge variant={finding.severity}>{finding.severity}</Badge></TableCell>
                                     <TableCell><Badge variant="secondary">{finding.status}</Badge></TableCell>
@@ -130,6 +182,13 @@ export default function FindingsPage() {
                     </Table>
                 </CardContent>
             </Card>
+
+            <PriorityBreakdown
+                finding={breakdownFinding}
+                priority={breakdownFinding && priorities[breakdownFinding.id]}
+                open={!!breakdownFinding}
+                onOpenChange={(open) => !open && setBreakdownFinding(null)}
+            />
         </div>
     );
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ import { Badge } from '../components/ui/badge';
 import { Button } from '../components/ui/button';
 import { Progress } from '../components/ui/progress';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import { Textarea } from '../components/ui/textarea';
 import { 
   Play, 
   Pause, 
@@ -19,8 +20,12 @@ import {
   Bot,
   FileText,
   BarChart3,
-  RefreshCw
+  RefreshCw,
+  UserCheck,
+  XCircle
 } from 'lucide-react';
+import { toast } from 'sonner';
+import { User } from '@/api/entities';
 import soarOrchestrationEngine from '../services/SoarOrchestrationEngine';
 
 const SoarPlatform = () => {
@@ -30,10 +35,14 @@ const SoarPlatform = () => {
   const [incidents, setIncidents] = useState([]);
   const [automationStats, setAutomationStats] = useState({});
   const [activeWorkflows, setActiveWorkflows] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [justifications, setJustifications] = useState({});
+  const [approverIdentity, setApproverIdentity] = useState(null);
 
   useEffect(() => {
     // Initialize SOAR platform data
     loadSoarData();
+    loadApproverIdentity().then(setApproverIdentity).catch(() => setApproverIdentity(null));
     
     // Set up real-time updates
     const handleWorkflowUpdate = (data) => {
@@ -48,12 +57,22 @@ const SoarPlatform = () => {
       );
     };
 
+    const handleApprovalUpdate = () => {
+      setApprovals(soarOrchestrationEngine.getApprovals('pending'));
+    };
+
     soarOrchestrationEngine.on('workflowExecuted', handleWorkflowUpdate);
     soarOrchestrationEngine.on('incidentUpdated', handleIncidentUpdate);
+    soarOrchestrationEngine.on('approvalRequested', handleApprovalUpdate);
+    soarOrchestrationEngine.on('approvalDecided', handleApprovalUpdate);
+    soarOrchestrationEngine.on('approvalEscalated', handleApprovalUpdate);
 
     return () => {
       soarOrchestrationEngine.off('workflowExecuted', handleWorkflowUpdate);
       soarOrchestrationEngine.off('incidentUpdated', handleIncidentUpdate);
+      soarOrchestrationEngine.off('approvalRequested', handleApprovalUpdate);
+      soarOrchestrationEngine.off('approvalDecided', handleApprovalUpdate);
+      soarOrchestrationEngine.off('approvalEscalated', handleApprovalUpdate);
     };
   }, []);
 
@@ -77,6 +96,9 @@ const SoarPlatform = () => {
     // Load active workflows
     const activeWf = soarOrchestrationEngine.getActiveWorkflows();
     setActiveWorkflows(activeWf);
+
+    // Load pending approvals
+    setApprovals(soarOrchestrationEngine.getApprovals('pending'));
   };
 
   const executeWorkflow = async (workflowId, incidentId) => {
@@ -94,6 +116,44 @@ const SoarPlatform = () => {
     loadSoarData();
   };
 
+  // Approval steps list users or roles, so decisions carry both
+  const loadApproverIdentity = async () => {
+    const user = await User.me();
+    return {
+      approver: user.email || user.id,
+      roles: [user.role, ...(user.roles || [])].filter(Boolean)
+    };
+  };
+
+  const canDecide = (approval) =>
+    approverIdentity !== null && soarOrchestrationEngine.canDecideApproval(approval.id, approverIdentity);
+
+  const decideApproval = async (approval, approved) => {
+    const justification = justifications[approval.id] || '';
+    if (!justification.trim()) {
+      toast.error('A justification is required');
+      return;
+    }
+
+    try {
+      const identity = await loadApproverIdentity();
+      setApproverIdentity(identity);
+      const decide = approved ? soarOrchestrationEngine.approveStep : soarOrchestrationEngine.denyStep;
+      const result = decide.call(soarOrchestrationEngine, approval.id, { ...identity, justification });
+
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+
+      toast.success(`${approval.stepName} ${approved ? 'approved' : 'denied'}`);
+      setJustifications(prev => ({ ...prev, [approval.id]: '' }));
+      loadSoarData();
+    } catch (error) {
+      toast.error(`Failed to record decision: ${error.message}`);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'running': return 'bg-green-500';
@@ -207,11 +267,14 @@ const SoarPlatform = () => {
 
       {/* Main Content Tabs */}
       <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
-        <TabsList className="grid w-full grid-cols-5">
+        <TabsList className="grid w-full grid-cols-6">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="workflows">Workflows</TabsTrigger>
           <TabsTrigger value="playbooks">Playbooks</TabsTrigger>
           <TabsTrigger value="incidents">Incidents</TabsTrigger>
+          <TabsTrigger value="approvals">
+            Approvals{approvals.length > 0 && ` (${approvals.length})`}
+          </TabsTrigger>
           <TabsTrigger value="analytics">Analytics</TabsTrigger>
         </TabsList>
 
@@ -441,6 +504,95 @@ const SoarPlatform = () => {
           </div>
         </TabsContent>
 
+        {/* Approvals Tab */}
+        <TabsContent value="approvals" className="space-y-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold">Approval Inbox</h2>
+            <Badge variant="outline">{approvals.length} pending</Badge>
+          </div>
+
+          {approvals.length === 0 ? (
+            <Card>
+              <CardContent className="p-6 text-center text-gray-500 dark:text-gray-400">
+                No workflow steps are waiting for approval
+              </CardContent>
+            </Card>
+          ) : (
+            <div className="space-y-4">
+              {approvals.map((approval) => {
+                const workflow = workflows.find(wf => wf.id === approval.workflowId);
+                return (
+                  <Card key={approval.id}>
+                    <CardHeader>
+                      <div className="flex items-center justify-between">
+                        <CardTitle className="text-lg flex items-center">
+                          <UserCheck className="w-5 h-5 mr-2" />
+                          {approval.stepName}
+                        </CardTitle>
+                        {approval.escalated && (
+                          <Badge variant="destructive">Escalated</Badge>
+                        )}
+                      </div>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      {approval.message && (
+                        <p className="text-gray-600 dark:text-gray-400">{approval.message}</p>
+                      )}
+
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <div>
+                          <span className="text-gray-500">Workflow:</span>
+                          <p className="font-medium">{workflow?.name || approval.workflowId}</p>
+                        </div>
+                        <div>
+                          <span className="text-gray-500">Incident:</span>
+                          <p className="font-medium">{approval.incidentId || 'N/A'}</p>
+                        </div>
+                        <div>
+                          <span className="text-gray-500">Approvers:</span>
+                          <p className="font-medium">{approval.approvers.join(', ')}</p>
+                        </div>
+                        <div>
+                          <span className="text-gray-500">Due:</span>
+                          <p className="font-medium flex items-center">
+                            <Clock className="w-3 h-3 mr-1" />
+                            {approval.dueAt ? new Date(approval.dueAt).toLocaleString() : 'No SLA'}
+                          </p>
+                        </div>
+                      </div>
+
+                      {canDecide(approval) ? (
+                        <>
+                          <Textarea
+                            placeholder="Justification (required)"
+                            value={justifications[approval.id] || ''}
+                            onChange={(e) => setJustifications(prev => ({ ...prev, [approval.id]: e.target.value }))}
+                          />
+
+                          <div className="flex space-x-2">
+                            <Button size="sm" onClick={() => decideApproval(approval, true)}>
+                              <CheckCircle className="w-4 h-4 mr-1" />
+                              Approve
+                            </Button>
+                            <Button size="sm" variant="destructive" onClick={() => decideApproval(approval, false)}>
+                              <XCircle className="w-4 h-4 mr-1" />
+                              Deny
+                            </Button>
+                          </div>
+                        </>
+                      ) : (
+                        <p className="text-sm text-gray-500">
+                          Only {approval.approvers.join(', ') || 'listed approvers'} can decide this step
+                        </p>
+                      )}
+                    </CardContent>
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+        </TabsContent>
+
         {/* Incidents Tab */}
         <TabsContent value="incidents" className="space-y-6">
           <div className="flex items-center justify-between">
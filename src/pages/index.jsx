@@ -67,6 +67,10 @@ import SupplierPortalDocuments from "./SupplierPortalDocuments";
 
 import SupplierPortalQuestionnaire from "./SupplierPortalQuestionnaire";
 
+import AuditorPortalLogin from "./AuditorPortalLogin";
+
+import AuditorPortal from "./AuditorPortal";
+
 import SupplierIncidents from "./SupplierIncidents";
 
 import SupplierIncidentDetail from "./SupplierIncidentDetail";
@@ -197,6 +201,10 @@ const PAGES = {
     
     SupplierPortalQuestionnaire: SupplierPortalQuestionnaire,
     
+    AuditorPortalLogin: AuditorPortalLogin,
+    
+    AuditorPortal: AuditorPortal,
+    
     SupplierIncidents: SupplierIncidents,
     
     SupplierIncidentDetail: SupplierIncidentDetail,
@@ -356,6 +364,10 @@ function PagesContent() {
                 
                 <Route path="/SupplierPortalQuestionnaire" element={<SupplierPortalQuestionnaire />} />
                 
+                <Route path="/AuditorPortalLogin" element={<AuditorPortalLogin />} />
+                
+                <Route path="/AuditorPortal" element={<AuditorPortal />} />
+                
                 <Route path="/SupplierIncidents" element={<SupplierIncidents />} />
                 
                 <Route path="/SupplierIncidentDetail" element={<SupplierIncidentDetail />} />
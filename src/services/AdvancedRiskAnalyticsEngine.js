@@ -5,6 +5,7 @@
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
+import { businessServiceModel } from './BusinessServiceModel.js';
 
 // ============================================================================
 // ADVANCED RISK ANALYTICS ENGINE
@@ -16,6 +17,7 @@ export class AdvancedRiskAnalyticsEngine extends EventEmitter {
     this.riskModels = new Map();
     this.riskFactors = new Map();
     this.businessAssets = new Map();
+    this.businessServices = businessServiceModel;
     this.riskAssessments = new Map();
     this.riskTrends = [];
     this.correlationMatrix = new Map();
@@ -34,6 +36,7 @@ export class AdvancedRiskAnalyticsEngine extends EventEmitter {
     
     this.setupRiskModels();
     this.setupBusinessAssets();
+    this.businessServices.on('model_updated', () => this.setupBusinessAssets());
     this.setupRiskFactors();
     this.initializePredictiveModels();
     this.startContinuousAnalysis();
@@ -119,76 +122,36 @@ export class AdvancedRiskAnalyticsEngine extends EventEmitter {
   }
 
   /**
-   * Setup business assets for impact analysis
+   * Business assets for impact analysis, one per service in the business
+   * service model. Rebuilt when the model changes; risk levels carry over.
    */
   setupBusinessAssets() {
-    const assets = [
-      {
-        id: 'customer_data',
-        name: 'Customer Personal Data',
-        type: 'data',
-        criticality: 'critical',
-        financialValue: 50000000, // $50M
-        regulatoryImplications: ['GDPR', 'CCPA', 'HIPAA'],
-        dependencies: ['database_systems', 'application_infrastructure']
-      },
-      {
-        id: 'intellectual_property',
-        name: 'Intellectual Property',
-        type: 'data',
-        criticality: 'critical',
-        financialValue: 100000000, // $100M
-        regulatoryImplications: ['Trade Secrets', 'Patents'],
-        dependencies: ['development_systems', 'source_code_repositories']
-      },
-      {
-        id: 'payment_systems',
-        name: 'Payment Processing Systems',
-        type: 'system',
-        criticality: 'critical',
-        financialValue: 75000000, // $75M
-        regulatoryImplications: ['PCI-DSS', 'SOX'],
-        dependencies: ['payment_gateways', 'financial_networks']
-      },
-      {
-        id: 'operational_systems',
-        name: 'Core Operational Systems',
-        type: 'system',
-        criticality: 'high',
-        financialValue: 25000000, // $25M
-        regulatoryImplications: ['SOC2', 'ISO27001'],
-        dependencies: ['cloud_infrastructure', 'network_systems']
-      },
-      {
-        id: 'brand_reputation',
-        name: 'Brand and Reputation',
-        type: 'intangible',
-        criticality: 'high',
-        financialValue: 200000000, // $200M
-        regulatoryImplications: ['Public Relations', 'Marketing'],
-        dependencies: ['public_communications', 'customer_experience']
-      },
-      {
-        id: 'employee_data',
-        name: 'Employee Information',
-        type: 'data',
-        criticality: 'medium',
-        financialValue: 5000000, // $5M
-        regulatoryImplications: ['GDPR', 'Employment Law'],
-        dependencies: ['hr_systems', 'payroll_systems']
-      }
-    ];
+    const services = this.businessServices.getServices();
+    const previous = this.businessAssets;
+    this.businessAssets = new Map();
+
+    services.forEach(service => {
+      const asset = {
+        id: service.id,
+        name: service.name,
+        type: 'service',
+        criticality: service.criticality,
+        owner: service.owner,
+        dataClassification: service.dataClassification,
+        financialValue: service.financialValue || 0,
+        regulatoryImplications: service.regulatoryImplications || [],
+        dependencies: service.applications
+      };
 
-    assets.forEach(asset => {
       this.businessAssets.set(asset.id, {
         ...asset,
-        currentRiskLevel: 0,
+        currentRiskLevel: previous.get(asset.id)?.currentRiskLevel || 0,
         impactAnalysis: this.calculateBusinessImpact(asset),
         lastAssessment: new Date().toISOString()
       });
     });
 
-    console.log(`Configured ${assets.length} business assets for impact analysis`);
+    console.log(`Configured ${services.length} business assets for impact analysis`);
   }
 
   /**
@@ -983,6 +946,8 @@ export class AdvancedRiskAnalyticsEngine extends EventEmitter {
       name: asset.name,
       type: asset.type,
       criticality: asset.criticality,
+      owner: asset.owner,
+      dataClassification: asset.dataClassification,
       financialValue: asset.financialValue,
       currentRiskLevel: asset.currentRiskLevel,
       impactAnalysis: asset.impactAnalysis
@@ -5,6 +5,34 @@
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
+import { calculateCvss, deriveEnvironmentalMetrics, getCvssSeverity } from '../utils/cvss.js';
+import { exploitIntelligence } from './ExploitIntelligence.js';
+import { businessServiceModel, CRITICALITY_SCORES } from './BusinessServiceModel.js';
+import { assetDiscoveryEngine } from './AssetDiscoveryEngine.js';
+
+const SEVERITY_CVSS_FLOOR = {
+  critical: 9.0,
+  high: 7.0,
+  medium: 4.0,
+  low: 0.1
+};
+
+const PRIORITY_RANKS = {
+  critical: 'P1',
+  high: 'P2',
+  medium: 'P3',
+  low: 'P4'
+};
+
+// Representative CVSS v3.1 vectors for simulated scan findings
+const CATEGORY_CVSS_VECTORS = {
+  remote_code_execution: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H',
+  privilege_escalation: 'CVSS:3.1/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H',
+  information_disclosure: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:N/A:N',
+  denial_of_service: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H',
+  cross_site_scripting: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N',
+  sql_injection: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:N'
+};
 
 class AdvancedVulnerabilityManagementEngine extends EventEmitter {
   constructor() {
@@ -17,6 +45,9 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
     this.scanners = new Map();
     this.integrations = new Map();
     this.policies = new Map();
+    this.exploitIntelligence = exploitIntelligence;
+    this.businessServices = businessServiceModel;
+    this.assetDiscovery = assetDiscoveryEngine;
     this.metrics = {
       totalVulnerabilities: 0,
       criticalVulnerabilities: 0,
@@ -125,6 +156,11 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
         medium: 4.0,
         low: 0.1
       },
+      // EPSS probability drives exploitability, KEV listing drives threat intelligence
+      sources: ['epss', 'cisa_kev'],
+      overrides: {
+        known_exploited: 'critical'
+      },
       enabled: true
     });
 
@@ -585,7 +621,6 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
       'CVE-2023-44487', 'CVE-2023-5631', 'CVE-2023-6345', 'CVE-2023-7024'
     ];
 
-    const severities = ['critical', 'high', 'medium', 'low'];
     const categories = [
       'remote_code_execution', 'privilege_escalation', 'information_disclosure',
       'denial_of_service', 'cross_site_scripting', 'sql_injection'
@@ -594,8 +629,9 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
     const vulnCount = Math.floor(Math.random() * 15) + 5; // 5-19 vulnerabilities
 
     for (let i = 0; i < vulnCount; i++) {
-      const severity = severities[Math.floor(Math.random() * severities.length)];
       const category = categories[Math.floor(Math.random() * categories.length)];
+      const cvss = calculateCvss(this.generateCVSSVector(category));
+      const severity = cvss.baseSeverity;
       
       const vulnerability = {
         id: `VULN_${Date.now()}_${i}`,
@@ -603,7 +639,9 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
         title: `${category.replace('_', ' ')} vulnerability`,
         description: `A ${severity} severity ${category.replace('_', ' ')} vulnerability has been identified.`,
         severity: severity,
-        cvss_score: this.generateCVSSScore(severity),
+        cvss_vector: cvss.vector,
+        cvss_version: cvss.version,
+        cvss_score: cvss.baseScore,
         category: category,
         discovery_date: new Date().toISOString(),
         first_seen: new Date().toISOString(),
@@ -611,8 +649,6 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
         scanner: 'authenticated',
         status: 'open',
         false_positive: false,
-        exploitability: this.generateExploitabilityScore(),
-        threat_intelligence: this.generateThreatIntelligence(),
         affected_software: this.generateAffectedSoftware(),
         remediation: this.generateRemediationGuidance(category),
         references: this.generateReferences()
@@ -629,7 +665,14 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
     const priorityScore = await this.calculatePriorityScore(vulnerability, assetId);
     vulnerability.priority_score = priorityScore.score;
     vulnerability.priority_level = priorityScore.level;
+    vulnerability.priority_rank = priorityScore.rank;
     vulnerability.priority_factors = priorityScore.factors;
+    vulnerability.priority_multipliers = priorityScore.multipliers;
+    vulnerability.priority_overrides = priorityScore.overrides;
+    vulnerability.epss = priorityScore.exploit.epss;
+    vulnerability.known_exploited = Boolean(priorityScore.exploit.kev);
+    vulnerability.cvss_environmental_score = priorityScore.cvss.environmental_score;
+    vulnerability.cvss_details = priorityScore.cvss;
 
     // Determine remediation workflow
     const workflow = await this.selectRemediationWorkflow(vulnerability);
@@ -656,53 +699,112 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
   }
 
   async calculatePriorityScore(vulnerability, assetId) {
-    let totalScore = 0;
+    const asset = await this.getAssetInfo(assetId);
+    return this.scorePriority(vulnerability, asset);
+  }
+
+  /**
+   * Weighted priority score with a per-factor breakdown. Each factor is a
+   * 0-10 input scaled by its weight, so the factors add up to at most 100
+   * before business impact multipliers. KEV-listed vulnerabilities are P1.
+   */
+  scorePriority(vulnerability, asset = null) {
+    const rule = this.prioritizationRules.get('cvss_priority');
+    const exploit = this.exploitIntelligence.getExploitContext(this.getCveIds(vulnerability));
     const factors = [];
 
-    // Get asset information
-    const asset = await this.getAssetInfo(assetId);
+    const addFactor = (factor, value, reason, detail = {}) => {
+      const weight = rule.weights[factor];
+      factors.push({ factor, weight, value: Math.round(value * 100) / 100, score: Math.round(value * weight * 100) / 10, reason, ...detail });
+    };
 
-    // CVSS Score Factor
-    const cvssWeight = this.prioritizationRules.get('cvss_priority').weights.cvss_score;
-    const cvssScore = vulnerability.cvss_score * cvssWeight * 10;
-    totalScore += cvssScore;
-    factors.push({ factor: 'cvss_score', weight: cvssWeight, score: cvssScore });
-
-    // Exploitability Factor
-    const exploitWeight = this.prioritizationRules.get('cvss_priority').weights.exploitability;
-    const exploitScore = vulnerability.exploitability * exploitWeight * 10;
-    totalScore += exploitScore;
-    factors.push({ factor: 'exploitability', weight: exploitWeight, score: exploitScore });
-
-    // Asset Criticality Factor
-    const assetWeight = this.prioritizationRules.get('cvss_priority').weights.asset_criticality;
-    const assetScore = (asset?.criticality_score || 5) * assetWeight;
-    totalScore += assetScore;
-    factors.push({ factor: 'asset_criticality', weight: assetWeight, score: assetScore });
-
-    // Threat Intelligence Factor
-    const threatWeight = this.prioritizationRules.get('cvss_priority').weights.threat_intelligence;
-    const threatScore = (vulnerability.threat_intelligence?.score || 0) * threatWeight * 10;
-    totalScore += threatScore;
-    factors.push({ factor: 'threat_intelligence', weight: threatWeight, score: threatScore });
+    // CVSS Score Factor (environmental score for the affected asset)
+    const cvss = this.scoreCVSS(vulnerability, asset);
+    addFactor('cvss_score', cvss.score, cvss.source === 'vector'
+      ? `CVSS ${cvss.version} environmental score ${cvss.environmental_score} (base ${cvss.base_score})`
+      : cvss.source === 'reported'
+        ? `Reported CVSS score ${cvss.score}`
+        : `No CVSS score, ${vulnerability.severity || 'unknown'} severity counted as ${cvss.score}`, { cvss });
+
+    // Exploitability Factor (EPSS probability of exploitation in the next 30 days)
+    const { epss } = exploit;
+    let epssReason = 'No CVE to look up in EPSS';
+    if (epss) {
+      epssReason = `EPSS ${(epss.epss * 100).toFixed(1)}% for ${epss.cve}` +
+        (epss.percentile !== null ? `, higher than ${(epss.percentile * 100).toFixed(1)}% of CVEs` : '');
+    } else if (exploit.cves.length > 0) {
+      epssReason = `No EPSS score loaded for ${exploit.cves.join(', ')}`;
+    }
+    addFactor('exploitability', epss ? epss.epss * 10 : 0, epssReason, { epss });
+
+    // Asset Criticality Factor (inherited from the business service model when mapped)
+    const criticality = asset?.criticality_score;
+    const inheritedFrom = asset?.business_context?.provenance.criticality;
+    let criticalityReason = 'Asset criticality unknown, assumed 5/10';
+    if (inheritedFrom) {
+      criticalityReason = `Asset criticality ${criticality}/10 (${asset.business_context.criticality}` +
+        (inheritedFrom.kind === 'asset' ? ', set on the asset)' : `, from ${inheritedFrom.kind} ${inheritedFrom.name})`);
+    } else if (asset?.criticality_source) {
+      criticalityReason = `Asset criticality ${criticality}/10 (${asset.criticality}, from ${asset.criticality_source.name})`;
+    } else if (criticality !== undefined && criticality !== null) {
+      criticalityReason = `Asset criticality ${criticality}/10`;
+    }
+    addFactor('asset_criticality', criticality ?? 5, criticalityReason);
+
+    // Threat Intelligence Factor (CISA KEV listing, otherwise a score from a named threat feed)
+    const { kev } = exploit;
+    const feed = vulnerability.threat_intelligence?.source ? vulnerability.threat_intelligence : null;
+    const feedScore = feed?.score || 0;
+    let threatReason = feedScore > 0 ? `${feed.source} score ${feedScore}/10` : 'Not listed in KEV';
+    if (kev) {
+      threatReason = `${kev.cve} listed in CISA KEV since ${kev.dateAdded}` +
+        (kev.knownRansomwareCampaignUse === 'Known' ? ', used in ransomware campaigns' : '');
+    }
+    addFactor('threat_intelligence', kev ? 10 : feedScore, threatReason, { kev });
 
     // Business Impact Multipliers
+    const impact = this.prioritizationRules.get('business_impact').multipliers;
+    const multipliers = [];
     if (asset?.public_facing) {
-      totalScore *= this.prioritizationRules.get('business_impact').multipliers.public_facing;
+      multipliers.push({ multiplier: 'public_facing', value: impact.public_facing, reason: 'Asset is internet facing' });
     }
     if (asset?.privileged_access) {
-      totalScore *= this.prioritizationRules.get('business_impact').multipliers.privileged_access;
+      multipliers.push({ multiplier: 'privileged_access', value: impact.privileged_access, reason: 'Asset grants privileged access' });
     }
 
-    const priorityLevel = this.getPriorityLevel(totalScore);
+    const totalScore = Math.min(
+      multipliers.reduce((score, multiplier) => score * multiplier.value, factors.reduce((sum, factor) => sum + factor.score, 0)),
+      100
+    );
+
+    let priorityLevel = this.getPriorityLevel(totalScore);
+    const overrides = [];
+    if (kev && priorityLevel !== rule.overrides.known_exploited) {
+      overrides.push({
+        override: 'known_exploited',
+        from: priorityLevel,
+        to: rule.overrides.known_exploited,
+        reason: 'Known exploited vulnerabilities (CISA KEV) are always P1'
+      });
+      priorityLevel = rule.overrides.known_exploited;
+    }
 
     return {
       score: Math.round(totalScore * 10) / 10,
       level: priorityLevel,
-      factors: factors
+      rank: PRIORITY_RANKS[priorityLevel],
+      factors: factors,
+      multipliers: multipliers,
+      overrides: overrides,
+      cvss: cvss,
+      exploit: exploit
     };
   }
 
+  getCveIds(vulnerability) {
+    return [...(vulnerability.cve_ids || []), vulnerability.cve_id].filter(Boolean);
+  }
+
   async selectRemediationWorkflow(vulnerability) {
     const workflows = Array.from(this.remediationWorkflows.keys());
     
@@ -959,29 +1061,51 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
     return 'low';
   }
 
-  generateCVSSScore(severity) {
-    const ranges = {
-      critical: [9.0, 10.0],
-      high: [7.0, 8.9],
-      medium: [4.0, 6.9],
-      low: [0.1, 3.9]
-    };
-    
-    const range = ranges[severity] || ranges.low;
-    return +(Math.random() * (range[1] - range[0]) + range[0]).toFixed(1);
+  generateCVSSVector(category) {
+    return CATEGORY_CVSS_VECTORS[category] || CATEGORY_CVSS_VECTORS.information_disclosure;
   }
 
-  generateExploitabilityScore() {
-    return +(Math.random() * 10).toFixed(1);
-  }
+  /**
+   * CVSS scores for a vulnerability on an asset. Vectors are scored with
+   * environmental metrics derived from the asset; without a vector the
+   * reported base score (or severity) is used as is.
+   */
+  scoreCVSS(vulnerability, asset) {
+    if (vulnerability.cvss_vector) {
+      try {
+        const environment = deriveEnvironmentalMetrics(vulnerability.cvss_vector, asset);
+        const cvss = calculateCvss(vulnerability.cvss_vector, environment.metrics);
+        return {
+          source: 'vector',
+          version: cvss.version,
+          vector: cvss.vector,
+          environmental_vector: cvss.environmentalVector,
+          base_score: cvss.baseScore,
+          temporal_score: cvss.temporalScore ?? cvss.threatScore,
+          environmental_score: cvss.environmentalScore,
+          score: cvss.score,
+          severity: cvss.severity,
+          modifiers: environment.reasons
+        };
+      } catch (error) {
+        console.warn(`Invalid CVSS vector for ${vulnerability.id}: ${error.message}`);
+      }
+    }
 
-  generateThreatIntelligence() {
+    // Without a score, fall back to the lower bound of the reported severity
+    const reported = typeof vulnerability.cvss_score === 'number';
+    const score = reported ? vulnerability.cvss_score : SEVERITY_CVSS_FLOOR[vulnerability.severity] || 0;
     return {
-      active_exploitation: Math.random() > 0.8,
-      public_exploit: Math.random() > 0.6,
-      weaponized: Math.random() > 0.7,
-      targeted_campaigns: Math.random() > 0.9,
-      score: +(Math.random() * 10).toFixed(1)
+      source: reported ? 'reported' : 'severity',
+      version: null,
+      vector: null,
+      environmental_vector: null,
+      base_score: score,
+      temporal_score: null,
+      environmental_score: null,
+      score: score,
+      severity: getCvssSeverity(score),
+      modifiers: []
     };
   }
 
@@ -1017,15 +1141,44 @@ class AdvancedVulnerabilityManagementEngine extends EventEmitter {
     ];
   }
 
+  /**
+   * Asset context for prioritisation. Assets outside the business service
+   * model fall back to the discovery engine's classification; assets that
+   * were never discovered have no criticality and are scored as unknown.
+   */
   async getAssetInfo(assetId) {
-    // Simulate asset information lookup
-    return {
+    const businessAsset = this.getBusinessAssetInfo(assetId);
+    const discovered = assetId ? await this.assetDiscovery.getAssetById(assetId) : null;
+    const info = {
       id: assetId,
-      criticality_score: Math.floor(Math.random() * 10) + 1,
-      public_facing: Math.random() > 0.7,
-      privileged_access: Math.random() > 0.8,
-      data_classification: 'confidential'
+      public_facing: Boolean(discovered?.public),
+      privileged_access: Boolean(discovered?.privileged_users)
     };
+
+    if (!businessAsset && discovered) {
+      const classification = discovered.classification || await this.assetDiscovery.classifyAsset(discovered);
+      info.criticality = classification.criticality;
+      info.criticality_score = CRITICALITY_SCORES[classification.criticality];
+      info.criticality_source = classification.criticalitySource || null;
+      if (classification.dataClassification) info.data_classification = classification.dataClassification;
+    }
+
+    return { ...info, ...businessAsset };
+  }
+
+  /**
+   * Criticality, data classification and owner of an asset from the
+   * business service model, or null when no service covers the asset
+   */
+  getBusinessAssetInfo(assetId) {
+    if (!assetId) return null;
+    const context = this.businessServices.getAssetContext(assetId);
+    if (!context.mapped) return null;
+
+    const info = { id: assetId, owner: context.owner, business_context: context };
+    if (context.criticalityScore !== null) info.criticality_score = context.criticalityScore;
+    if (context.dataClassification) info.data_classification = context.dataClassification;
+    return info;
   }
 
   calculateEstimatedCompletion(workflow) {
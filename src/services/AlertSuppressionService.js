@@ -0,0 +1,236 @@
+/**
+ * Alert Suppression Service
+ * Tuning rules that hide known-benign alerts (a scanner IP, a service
+ * account's nightly job) before they are emitted. Every rule carries an
+ * owner, a reason and an expiry date, and counts the alerts it hid so stale
+ * suppressions can be reviewed and retired.
+ *
+ * Matchers map alert fields (dotted paths allowed) to:
+ *   'value'                equality; strings are case-insensitive and allow * wildcards
+ *   ['a', 'b']             any of the values
+ *   { cidr: '10.0.0.0/24' } IPv4 address inside the range
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+export const SUPPRESSION_SCOPES = ['all', 'threat_detection', 'realtime_alerts'];
+
+const STORAGE_KEY = 'alert_suppressions';
+const MAX_SAMPLES = 20; // suppressed alerts kept per rule for review
+const HIT_SAVE_DELAY_MS = 2000; // hit counts from an alert burst are saved together
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getField(subject, field) {
+  if (subject == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(subject, field)) return subject[field];
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), subject);
+}
+
+function parseIPv4(value) {
+  const parts = String(value).split('.');
+  if (parts.length !== 4) return null;
+  const octets = parts.map(Number);
+  if (octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) return null;
+  return octets.reduce((address, octet) => ((address << 8) | octet) >>> 0, 0);
+}
+
+function inCidr(value, cidr) {
+  const [range, bits = '32'] = cidr.split('/');
+  const address = parseIPv4(value);
+  const network = parseIPv4(range);
+  if (address === null || network === null) return false;
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return ((address & mask) >>> 0) === ((network & mask) >>> 0);
+}
+
+function matchesValue(actual, expected) {
+  if (Array.isArray(actual)) {
+    return actual.some(item => matchesValue(item, expected));
+  }
+  if (Array.isArray(expected)) {
+    return expected.some(option => matchesValue(actual, option));
+  }
+  if (expected && typeof expected === 'object') {
+    return expected.cidr ? inCidr(actual, expected.cidr) : false;
+  }
+  if (actual === undefined || actual === null) {
+    return expected === null;
+  }
+  if (typeof expected === 'string') {
+    const pattern = expected
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${pattern}$`, 'i').test(String(actual));
+  }
+  return actual === expected;
+}
+
+export class AlertSuppressionService extends EventEmitter {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    super();
+    this.storage = storage;
+    this.rules = new Map();
+    this.saveTimer = null;
+    this.load();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener?.('beforeunload', () => {
+        if (this.saveTimer) this.save();
+      });
+    }
+  }
+
+  /**
+   * Create a suppression rule
+   * Requires matchers, an owner, a reason and a future expiry date
+   */
+  addRule({ name, matchers, owner, reason, expiresAt, scope = 'all', createdBy = null }) {
+    if (!matchers || typeof matchers !== 'object' || Object.keys(matchers).length === 0) {
+      throw new Error('Suppression rule requires at least one field matcher');
+    }
+    if (!owner) {
+      throw new Error('Suppression rule requires an owner');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error('Suppression rule requires a reason');
+    }
+    if (!SUPPRESSION_SCOPES.includes(scope)) {
+      throw new Error(`Unknown suppression scope: ${scope}`);
+    }
+
+    const expiry = new Date(expiresAt);
+    if (!expiresAt || Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new Error('Suppression rule requires an expiry date in the future');
+    }
+
+    const rule = {
+      id: `sup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: name || Object.entries(matchers).map(([field, value]) => `${field}=${JSON.stringify(value)}`).join(', '),
+      matchers,
+      scope,
+      owner,
+      reason: String(reason).trim(),
+      createdBy: createdBy || owner,
+      createdAt: new Date(),
+      expiresAt: expiry,
+      retiredAt: null,
+      retiredBy: null,
+      hitCount: 0,
+      lastHitAt: null,
+      samples: []
+    };
+
+    this.rules.set(rule.id, rule);
+    this.save();
+    this.emit('ruleAdded', rule);
+    return rule;
+  }
+
+  /**
+   * Retire a rule; it stops suppressing but stays available for review
+   */
+  retireRule(ruleId, retiredBy = null) {
+    const rule = this.rules.get(ruleId);
+    if (!rule || rule.retiredAt) return false;
+
+    rule.retiredAt = new Date();
+    rule.retiredBy = retiredBy;
+    this.save();
+    this.emit('ruleRetired', rule);
+    return true;
+  }
+
+  removeRule(ruleId) {
+    const removed = this.rules.delete(ruleId);
+    if (removed) this.save();
+    return removed;
+  }
+
+  getRuleStatus(rule, now = new Date()) {
+    if (rule.retiredAt) return 'retired';
+    if (new Date(rule.expiresAt) <= now) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Return the first active rule that suppresses the alert, recording the hit,
+   * or null when the alert should be emitted
+   */
+  check(alert, scope) {
+    const now = new Date();
+
+    for (const rule of this.rules.values()) {
+      if (this.getRuleStatus(rule, now) !== 'active') continue;
+      if (rule.scope !== 'all' && rule.scope !== scope) continue;
+
+      const matched = Object.entries(rule.matchers).every(([field, expected]) =>
+        matchesValue(getField(alert, field), expected)
+      );
+      if (!matched) continue;
+
+      rule.hitCount++;
+      rule.lastHitAt = now;
+      rule.samples = [
+        { id: alert.id ?? null, scope, severity: alert.severity ?? alert.threatLevel ?? null, suppressedAt: now },
+        ...rule.samples
+      ].slice(0, MAX_SAMPLES);
+      this.scheduleSave();
+
+      this.emit('alertSuppressed', { ruleId: rule.id, scope, alert });
+      return rule;
+    }
+
+    return null;
+  }
+
+  getRules() {
+    const now = new Date();
+    return Array.from(this.rules.values()).map(rule => ({ ...rule, status: this.getRuleStatus(rule, now) }));
+  }
+
+  /**
+   * Rules due for review: expired but not retired, or active without a hit
+   * in the last idleDays
+   */
+  getStaleRules({ idleDays = 30 } = {}) {
+    const now = new Date();
+    const idleSince = now.getTime() - idleDays * DAY_MS;
+
+    return this.getRules().filter(rule => {
+      if (rule.status === 'expired') return true;
+      if (rule.status !== 'active') return false;
+      const lastActivity = new Date(rule.lastHitAt || rule.createdAt).getTime();
+      return lastActivity < idleSince;
+    });
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+      stored.forEach(rule => this.rules.set(rule.id, rule));
+    } catch (error) {
+      console.error('Failed to load alert suppression rules:', error);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.storage || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), HIT_SAVE_DELAY_MS);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(Array.from(this.rules.values())));
+    } catch (error) {
+      console.error('Failed to save alert suppression rules:', error);
+    }
+  }
+}
+
+export const alertSuppressionService = new AlertSuppressionService();
+export default alertSuppressionService;
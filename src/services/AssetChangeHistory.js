@@ -0,0 +1,343 @@
+/**
+ * Asset Change History
+ * Keeps a per-asset change log across discovery runs and manual updates:
+ * every time an asset is seen its tracked attributes (addresses, OS, open
+ * ports, services, installed software, certificate) are compared with the
+ * previous sighting. Changes that matter for security are raised as drift
+ * events ("port 3389 newly exposed") shaped like any other detection event,
+ * so detection rules and SOAR trigger expressions can match on them.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { compareGeneric } from '../utils/versions.js';
+
+const STORAGE_KEY = 'asset_change_history';
+const MAX_ENTRIES_PER_ASSET = 100;
+
+// Newly exposed ports that open remote access, file sharing or a datastore
+const SENSITIVE_PORTS = {
+  21: 'FTP',
+  23: 'Telnet',
+  135: 'MS RPC',
+  139: 'NetBIOS',
+  445: 'SMB',
+  1433: 'SQL Server',
+  2375: 'Docker API',
+  3306: 'MySQL',
+  3389: 'RDP',
+  5432: 'PostgreSQL',
+  5900: 'VNC',
+  6379: 'Redis',
+  9200: 'Elasticsearch',
+  11211: 'Memcached',
+  27017: 'MongoDB'
+};
+
+const SCALAR_FIELDS = ['hostname', 'ip', 'mac', 'os', 'status'];
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * The attributes of an asset that the change log tracks
+ */
+export function snapshotAsset(asset) {
+  const certificate = asset.certificate || (asset.issuer || asset.validity || asset.fingerprint ? asset : null);
+
+  return {
+    hostname: asset.hostname || asset.name || null,
+    ip: asset.ip || asset.ip_address || null,
+    mac: asset.mac || null,
+    os: asset.os || null,
+    status: asset.status || null,
+    ports: [...new Set((asset.ports || []).map(Number).filter(Number.isFinite))].sort((a, b) => a - b),
+    services: Object.fromEntries((asset.services || []).map(service => [
+      service.port ? String(service.port) : service.name,
+      [service.name, service.version].filter(Boolean).join(' ')
+    ])),
+    software: Object.fromEntries((asset.software || []).map(item => [item.name, item.version || ''])),
+    certificate: certificate
+      ? {
+        issuer: certificate.issuer || null,
+        fingerprint: certificate.fingerprint || null,
+        serialNumber: certificate.serialNumber || null,
+        notBefore: certificate.validity?.notBefore || certificate.notBefore || null,
+        notAfter: certificate.validity?.notAfter || certificate.notAfter || null
+      }
+      : null
+  };
+}
+
+function diffKeyed(field, previous = {}, current = {}) {
+  const changes = [];
+  Object.keys(current).forEach(key => {
+    if (!(key in previous)) changes.push({ field, type: 'added', key, current: current[key] });
+    else if (previous[key] !== current[key]) changes.push({ field, type: 'changed', key, previous: previous[key], current: current[key] });
+  });
+  Object.keys(previous).forEach(key => {
+    if (!(key in current)) changes.push({ field, type: 'removed', key, previous: previous[key] });
+  });
+  return changes;
+}
+
+/**
+ * Changes between two snapshots as [{ field, type: added|removed|changed, key, previous, current }]
+ */
+export function diffSnapshots(previous, current) {
+  const changes = [];
+
+  SCALAR_FIELDS.forEach(field => {
+    const before = previous[field];
+    const after = current[field];
+    if (before === after || isBlank(after)) return;
+    changes.push(isBlank(before)
+      ? { field, type: 'added', current: after }
+      : { field, type: 'changed', previous: before, current: after });
+  });
+
+  const previousPorts = new Set(previous.ports);
+  const currentPorts = new Set(current.ports);
+  current.ports.filter(port => !previousPorts.has(port))
+    .forEach(port => changes.push({ field: 'ports', type: 'added', key: port, current: port }));
+  previous.ports.filter(port => !currentPorts.has(port))
+    .forEach(port => changes.push({ field: 'ports', type: 'removed', key: port, previous: port }));
+
+  changes.push(...diffKeyed('services', previous.services, current.services));
+  changes.push(...diffKeyed('software', previous.software, current.software));
+
+  const before = previous.certificate;
+  const after = current.certificate;
+  if (after && before) {
+    const rotated = ['fingerprint', 'serialNumber', 'notBefore', 'issuer'].some(key => (before[key] || null) !== (after[key] || null));
+    if (rotated) changes.push({ field: 'certificate', type: 'changed', previous: before, current: after });
+  } else if (after) {
+    changes.push({ field: 'certificate', type: 'added', current: after });
+  }
+
+  return changes;
+}
+
+function serviceLabel(key) {
+  return /^\d+$/.test(key) ? `port ${key}` : key;
+}
+
+/**
+ * Drift type, severity and description for a change, or null when the
+ * change is only logged
+ */
+function classifyChange(change, name) {
+  switch (`${change.field}:${change.type}`) {
+    case 'ports:added': {
+      const service = SENSITIVE_PORTS[change.key];
+      return {
+        driftType: 'port_exposed',
+        severity: service ? 'high' : change.key === 22 ? 'medium' : 'low',
+        title: `Port ${change.key}${service ? ` (${service})` : ''} newly exposed on ${name}`,
+        port: change.key
+      };
+    }
+    case 'ports:removed':
+      return { driftType: 'port_closed', severity: 'info', title: `Port ${change.key} no longer open on ${name}`, port: change.key };
+    case 'services:changed':
+      return { driftType: 'service_changed', severity: 'low', title: `Service on ${serviceLabel(change.key)} changed from ${change.previous} to ${change.current} on ${name}` };
+    case 'software:added':
+      return { driftType: 'software_installed', severity: 'low', title: `${change.key} ${change.current} installed on ${name}`, software: change.key, version: change.current };
+    case 'software:removed':
+      return { driftType: 'software_removed', severity: 'info', title: `${change.key} removed from ${name}`, software: change.key };
+    case 'software:changed': {
+      const downgrade = compareGeneric(change.current, change.previous) < 0;
+      return {
+        driftType: downgrade ? 'software_downgraded' : 'software_upgraded',
+        severity: downgrade ? 'medium' : 'info',
+        title: `${change.key} ${downgrade ? 'downgraded' : 'upgraded'} from ${change.previous} to ${change.current} on ${name}`,
+        software: change.key,
+        version: change.current
+      };
+    }
+    case 'os:changed':
+      return { driftType: 'os_changed', severity: 'low', title: `OS changed from ${change.previous} to ${change.current} on ${name}` };
+    case 'mac:changed':
+      return { driftType: 'mac_changed', severity: 'medium', title: `MAC address changed from ${change.previous} to ${change.current} on ${name}` };
+    case 'ip:changed':
+      return { driftType: 'ip_changed', severity: 'info', title: `IP address changed from ${change.previous} to ${change.current} on ${name}` };
+    case 'certificate:changed': {
+      const issuerChanged = change.previous.issuer !== change.current.issuer;
+      return {
+        driftType: 'certificate_rotated',
+        severity: issuerChanged ? 'medium' : 'low',
+        title: issuerChanged
+          ? `Certificate on ${name} replaced; issuer changed from ${change.previous.issuer} to ${change.current.issuer}`
+          : `Certificate on ${name} rotated`
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+export class AssetChangeHistory extends EventEmitter {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    super();
+    this.storage = storage;
+    this.snapshots = new Map(); // assetId -> last snapshot
+    this.entries = new Map(); // assetId -> change log, oldest first
+    this.load();
+  }
+
+  /**
+   * Compare an asset with its previous sighting and log what changed.
+   * Returns the log entry, or null when nothing changed.
+   */
+  record(asset, { source = 'discovery', jobId = null, actor = null, at = new Date().toISOString() } = {}) {
+    const entry = this.recordAsset(asset, { source, jobId, actor, at });
+    this.save();
+    if (entry) this.emitEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Record a batch of assets (one discovery job), saving once
+   */
+  recordAll(assets, options = {}) {
+    const at = options.at || new Date().toISOString();
+    const entries = assets.map(asset => this.recordAsset(asset, { ...options, at })).filter(Boolean);
+    this.save();
+    entries.forEach(entry => this.emitEntry(entry));
+    return entries;
+  }
+
+  recordAsset(asset, { source = 'discovery', jobId = null, actor = null, at }) {
+    const snapshot = snapshotAsset(asset);
+    const previous = this.snapshots.get(asset.id);
+    this.snapshots.set(asset.id, snapshot);
+
+    const name = snapshot.hostname || snapshot.ip || asset.id;
+    const entry = {
+      id: generateId('change'),
+      assetId: asset.id,
+      assetName: name,
+      at,
+      source,
+      jobId,
+      actor,
+      type: previous ? 'changed' : 'discovered',
+      changes: previous ? diffSnapshots(previous, snapshot) : [],
+      drift: []
+    };
+    if (previous && entry.changes.length === 0) return null;
+
+    entry.drift = entry.changes
+      .map(change => {
+        const drift = classifyChange(change, name);
+        if (!drift) return null;
+        change.driftId = generateId('drift');
+        return {
+          id: change.driftId,
+          type: 'asset_drift',
+          category: 'asset_drift',
+          source: 'asset_discovery',
+          timestamp: at,
+          assetId: asset.id,
+          assetName: name,
+          hostname: snapshot.hostname,
+          ip: snapshot.ip,
+          field: change.field,
+          previous: change.previous ?? null,
+          current: change.current ?? null,
+          description: drift.title,
+          jobId,
+          ...drift
+        };
+      })
+      .filter(Boolean);
+
+    const log = this.entries.get(asset.id) || [];
+    log.push(entry);
+    this.entries.set(asset.id, log.slice(-MAX_ENTRIES_PER_ASSET));
+    return entry;
+  }
+
+  emitEntry(entry) {
+    this.emit('asset_changed', entry);
+    entry.drift.forEach(drift => this.emit('drift_detected', drift));
+  }
+
+  /**
+   * Move the history of an asset merged into another onto the surviving asset
+   */
+  mergeHistory(targetId, mergedId) {
+    const merged = this.entries.get(mergedId);
+    if (!merged) return;
+    const combined = [...(this.entries.get(targetId) || []), ...merged]
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .slice(-MAX_ENTRIES_PER_ASSET);
+    this.entries.set(targetId, combined);
+    this.entries.delete(mergedId);
+    if (!this.snapshots.has(targetId)) this.snapshots.set(targetId, this.snapshots.get(mergedId));
+    this.snapshots.delete(mergedId);
+    this.save();
+  }
+
+  /**
+   * Change log of an asset, newest first
+   */
+  getHistory(assetId) {
+    return [...(this.entries.get(assetId) || [])].reverse();
+  }
+
+  /**
+   * Drift events across all assets, newest first
+   */
+  getDriftEvents({ assetId = null, since = null, minSeverity = null } = {}) {
+    const ranks = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+    const logs = assetId ? [this.entries.get(assetId) || []] : Array.from(this.entries.values());
+    return logs.flat()
+      .flatMap(entry => entry.drift)
+      .filter(drift => !since || drift.timestamp >= since)
+      .filter(drift => !minSeverity || ranks[drift.severity] >= ranks[minSeverity])
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  getSnapshot(assetId) {
+    return this.snapshots.get(assetId) || null;
+  }
+
+  forget(assetId) {
+    this.entries.delete(assetId);
+    this.snapshots.delete(assetId);
+    this.save();
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (stored) {
+        this.snapshots = new Map(Object.entries(stored.snapshots || {}));
+        this.entries = new Map(Object.entries(stored.entries || {}));
+      }
+    } catch (error) {
+      console.error('Failed to load asset change history:', error);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({
+        snapshots: Object.fromEntries(this.snapshots),
+        entries: Object.fromEntries(this.entries)
+      }));
+    } catch (error) {
+      console.error('Failed to save asset change history:', error);
+    }
+  }
+}
+
+export const assetChangeHistory = new AssetChangeHistory();
+export default assetChangeHistory;
@@ -0,0 +1,519 @@
+/**
+ * Asset Dependency Graph
+ * Directed graph of which assets use which: an edge A -> B on port P means
+ * A connects to a service on B, so A depends on B. Edges come from observed
+ * network flows (VPC flow logs, Zeek conn.log, CSV/JSON exports), cloud
+ * configuration (load balancer targets, declared resource dependencies) and
+ * dependencies declared by analysts.
+ *
+ * Walking edges backwards answers "what depends on this host"; walking them
+ * forwards answers "what can be reached from this compromised host". Both
+ * together give the blast radius of an incident.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { businessServiceModel } from './BusinessServiceModel.js';
+
+const STORAGE_KEY = 'asset_dependency_graph';
+const EDGE_SOURCES = ['network_flow', 'cloud_config', 'declared'];
+const PROTOCOL_NUMBERS = { 1: 'icmp', 6: 'tcp', 17: 'udp', 58: 'icmpv6' };
+const EPHEMERAL_PORT_START = 32768;
+
+const FLOW_FIELDS = {
+  src: ['src_ip', 'srcaddr', 'source_ip', 'src', 'id.orig_h', 'sourceAddress', 'src_addr'],
+  dst: ['dst_ip', 'dstaddr', 'destination_ip', 'dst', 'id.resp_h', 'destinationAddress', 'dst_addr'],
+  srcPort: ['src_port', 'srcport', 'source_port', 'id.orig_p', 'sourcePort'],
+  dstPort: ['dst_port', 'dstport', 'destination_port', 'id.resp_p', 'destinationPort'],
+  protocol: ['protocol', 'proto'],
+  bytes: ['bytes', 'total_bytes'],
+  timestamp: ['timestamp', 'ts', 'start', 'start_time'],
+  action: ['action']
+};
+
+function field(record, names) {
+  const name = names.find(key => record[key] !== undefined && record[key] !== '' && record[key] !== '-');
+  return name === undefined ? undefined : record[name];
+}
+
+function toIsoTime(value) {
+  if (value === undefined) return new Date().toISOString();
+  const number = Number(value);
+  // Flow logs and Zeek use epoch seconds
+  const date = Number.isFinite(number) ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * One flow record in the shape the graph ingests, or null when it has no
+ * usable endpoints. Response legs (ephemeral destination port) are turned
+ * around so the destination is always the side offering the service.
+ */
+export function normaliseFlow(record) {
+  const src = field(record, FLOW_FIELDS.src);
+  const dst = field(record, FLOW_FIELDS.dst);
+  if (!src || !dst || src === dst) return null;
+
+  const protocolValue = String(field(record, FLOW_FIELDS.protocol) ?? 'tcp').toLowerCase();
+  const flow = {
+    src: String(src),
+    dst: String(dst),
+    srcPort: Number(field(record, FLOW_FIELDS.srcPort)) || null,
+    dstPort: Number(field(record, FLOW_FIELDS.dstPort)) || null,
+    protocol: PROTOCOL_NUMBERS[protocolValue] || protocolValue,
+    bytes: Number(field(record, FLOW_FIELDS.bytes)) ||
+      (Number(record.orig_bytes) || 0) + (Number(record.resp_bytes) || 0),
+    timestamp: toIsoTime(field(record, FLOW_FIELDS.timestamp)),
+    action: String(field(record, FLOW_FIELDS.action) || 'ACCEPT').toUpperCase()
+  };
+
+  if (flow.dstPort >= EPHEMERAL_PORT_START && flow.srcPort && flow.srcPort < EPHEMERAL_PORT_START) {
+    [flow.src, flow.dst] = [flow.dst, flow.src];
+    [flow.srcPort, flow.dstPort] = [flow.dstPort, flow.srcPort];
+  }
+  return flow;
+}
+
+function parseZeekLog(text) {
+  const lines = text.split(/\r?\n/);
+  const fieldsLine = lines.find(line => line.startsWith('#fields'));
+  const columns = fieldsLine.split('\t').slice(1);
+  return lines
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const cells = line.split('\t');
+      return Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+    });
+}
+
+function parseVpcFlowLog(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = header.trim().split(/\s+/);
+  return lines.map(line => {
+    const cells = line.trim().split(/\s+/);
+    return Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+  });
+}
+
+/**
+ * Parse a flow export: AWS VPC flow logs (default format with header),
+ * Zeek conn.log, CSV with a header row, or JSON / JSON lines
+ */
+export function parseFlowLog(text) {
+  const trimmed = text.trim();
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  let records;
+
+  if (trimmed.startsWith('[')) {
+    records = JSON.parse(trimmed);
+  } else if (trimmed.startsWith('{')) {
+    records = trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  } else if (/^#fields\t/m.test(trimmed)) {
+    records = parseZeekLog(trimmed);
+  } else if (/\bsrcaddr\b/.test(firstLine) && !firstLine.includes(',')) {
+    records = parseVpcFlowLog(trimmed);
+  } else {
+    records = parseCsvRecords(trimmed);
+  }
+
+  return records.map(normaliseFlow).filter(Boolean);
+}
+
+function isIpAddress(value) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(value) || value.includes(':');
+}
+
+function isPrivateAddress(ip) {
+  return /^(10\.|127\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(ip) || /^(fc|fd|fe80|::1)/i.test(ip);
+}
+
+export class AssetDependencyGraph extends EventEmitter {
+  constructor({
+    storage = typeof localStorage !== 'undefined' ? localStorage : null,
+    businessServices = businessServiceModel
+  } = {}) {
+    super();
+    this.storage = storage;
+    this.businessServices = businessServices;
+    this.nodes = new Map(); // nodeId -> { id, name, type, ip, hostname, aliases, placeholder }
+    this.edges = new Map(); // from|to|protocol|port -> edge
+    this.aliases = new Map(); // lower-cased ip / hostname / instance id -> nodeId
+    this.load();
+  }
+
+  /**
+   * Add or refresh graph nodes for inventory or discovered assets. Addresses
+   * seen in flows before the asset was known are folded into the asset.
+   */
+  registerAssets(assets) {
+    assets.forEach(asset => {
+      const aliases = [asset.id, asset.ip, asset.ip_address, asset.hostname, asset.name, asset.instanceId, asset.domain]
+        .filter(Boolean)
+        .map(alias => String(alias).toLowerCase());
+
+      const node = {
+        ...this.nodes.get(asset.id),
+        id: asset.id,
+        name: asset.hostname || asset.name || asset.ip || asset.ip_address || asset.id,
+        type: asset.classification?.type && asset.classification.type !== 'unknown' ? asset.classification.type : asset.type || 'host',
+        ip: asset.ip || asset.ip_address || null,
+        hostname: asset.hostname || null,
+        aliases,
+        placeholder: false
+      };
+      this.nodes.set(node.id, node);
+
+      aliases.forEach(alias => {
+        const previous = this.aliases.get(alias);
+        if (previous && previous !== node.id && this.nodes.get(previous)?.placeholder) {
+          this.replaceNode(previous, node.id);
+        }
+        this.aliases.set(alias, node.id);
+      });
+    });
+
+    this.changed();
+  }
+
+  replaceNode(oldId, newId) {
+    Array.from(this.edges.values())
+      .filter(edge => edge.from === oldId || edge.to === oldId)
+      .forEach(edge => {
+        this.edges.delete(edge.id);
+        const from = edge.from === oldId ? newId : edge.from;
+        const to = edge.to === oldId ? newId : edge.to;
+        if (from !== to) this.mergeEdge({ ...edge, from, to });
+      });
+    this.nodes.delete(oldId);
+  }
+
+  /**
+   * Node id for an asset id, address or host name; null when unknown
+   */
+  resolve(reference) {
+    if (typeof reference === 'object' && reference !== null) {
+      return [reference.id, reference.hostname, reference.name, reference.ip]
+        .filter(Boolean)
+        .map(value => this.resolve(value))
+        .find(Boolean) || null;
+    }
+    if (!reference) return null;
+    if (this.nodes.has(reference)) return reference;
+    return this.aliases.get(String(reference).toLowerCase()) || null;
+  }
+
+  /**
+   * Node id for an address, creating a placeholder node for addresses that
+   * don't belong to a known asset yet
+   */
+  resolveOrCreate(address) {
+    const existing = this.resolve(address);
+    if (existing) return existing;
+
+    const id = `addr:${String(address).toLowerCase()}`;
+    const ip = isIpAddress(address) ? address : null;
+    this.nodes.set(id, {
+      id,
+      name: String(address),
+      type: ip && !isPrivateAddress(ip) ? 'external' : 'unknown',
+      ip,
+      hostname: ip ? null : address,
+      aliases: [String(address).toLowerCase()],
+      placeholder: true
+    });
+    this.aliases.set(String(address).toLowerCase(), id);
+    return id;
+  }
+
+  mergeEdge({ from, to, port = null, protocol = 'tcp', sources = [], count = 1, bytes = 0, firstSeen, lastSeen, description = null, declaredBy = null }) {
+    const id = `${from}|${to}|${protocol}|${port ?? ''}`;
+    const existing = this.edges.get(id);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      existing.sources = [...new Set([...existing.sources, ...sources])];
+      existing.count += count;
+      existing.bytes += bytes;
+      if (firstSeen && firstSeen < existing.firstSeen) existing.firstSeen = firstSeen;
+      if (lastSeen && lastSeen > existing.lastSeen) existing.lastSeen = lastSeen;
+      existing.description = description || existing.description;
+      existing.declaredBy = declaredBy || existing.declaredBy;
+      return existing;
+    }
+
+    const edge = {
+      id, from, to, port, protocol,
+      sources: [...new Set(sources)],
+      count, bytes,
+      firstSeen: firstSeen || now,
+      lastSeen: lastSeen || firstSeen || now,
+      description,
+      declaredBy
+    };
+    this.edges.set(id, edge);
+    return edge;
+  }
+
+  /**
+   * Add observed network flows. Rejected flows don't establish a dependency.
+   */
+  ingestFlows(flows) {
+    let accepted = 0;
+    flows.forEach(flow => {
+      if (flow.action === 'REJECT') return;
+      this.mergeEdge({
+        from: this.resolveOrCreate(flow.src),
+        to: this.resolveOrCreate(flow.dst),
+        port: flow.dstPort,
+        protocol: flow.protocol,
+        sources: ['network_flow'],
+        bytes: flow.bytes || 0,
+        firstSeen: flow.timestamp,
+        lastSeen: flow.timestamp
+      });
+      accepted++;
+    });
+
+    this.changed();
+    return { flows: flows.length, accepted, rejected: flows.length - accepted };
+  }
+
+  async importFlowFile(file) {
+    const flows = parseFlowLog(await file.text());
+    if (flows.length === 0) {
+      throw new Error(`${file.name} has no flow records with source and destination addresses`);
+    }
+    return this.ingestFlows(flows);
+  }
+
+  /**
+   * Add relationships from cloud configuration: load balancers depend on
+   * their targets, and resources on anything listed in dependsOn
+   * ({ id, targets: [id], port, dependsOn: [id | { id, port, protocol }] })
+   */
+  ingestCloudResources(resources) {
+    let added = 0;
+    resources.forEach(resource => {
+      const links = [
+        ...(resource.targets || []).map(target => ({ id: target, port: resource.port ?? null })),
+        ...(resource.dependsOn || []).map(dependency => typeof dependency === 'object' ? dependency : { id: dependency })
+      ];
+      if (links.length === 0) return;
+
+      const from = this.resolveOrCreate(resource.id || resource.instanceId);
+      links.forEach(link => {
+        this.mergeEdge({
+          from,
+          to: this.resolveOrCreate(link.id),
+          port: link.port ?? null,
+          protocol: link.protocol || 'tcp',
+          sources: ['cloud_config']
+        });
+        added++;
+      });
+    });
+
+    if (added > 0) this.changed();
+    return added;
+  }
+
+  /**
+   * Record a dependency an analyst knows about but flows may not show
+   */
+  declareDependency(from, to, { port = null, protocol = 'tcp', description = null, actor = null } = {}) {
+    const fromId = this.resolve(from);
+    const toId = this.resolve(to);
+    if (!fromId) throw new Error(`Unknown asset: ${from}`);
+    if (!toId) throw new Error(`Unknown asset: ${to}`);
+    if (fromId === toId) throw new Error('An asset cannot depend on itself');
+
+    const edge = this.mergeEdge({ from: fromId, to: toId, port, protocol, sources: ['declared'], count: 0, description, declaredBy: actor });
+    this.changed();
+    return edge;
+  }
+
+  removeEdge(edgeId) {
+    if (!this.edges.delete(edgeId)) return false;
+    this.changed();
+    return true;
+  }
+
+  getNode(reference) {
+    const id = this.resolve(reference);
+    return id ? this.nodes.get(id) : null;
+  }
+
+  /**
+   * What an asset depends on: [{ edge, node }]
+   */
+  getDependencies(reference) {
+    const id = this.resolve(reference);
+    if (!id) return [];
+    return Array.from(this.edges.values())
+      .filter(edge => edge.from === id)
+      .map(edge => ({ edge, node: this.nodes.get(edge.to) }));
+  }
+
+  /**
+   * Breadth-first walk from the start nodes. 'upstream' follows edges
+   * backwards (dependents), 'downstream' forwards (reachable services).
+   * Returns [{ node, hops, via }] where via is the edge that reached the node.
+   */
+  traverse(startIds, direction, maxDepth = Infinity) {
+    const adjacency = new Map();
+    this.edges.forEach(edge => {
+      const [key, next] = direction === 'upstream' ? [edge.to, edge.from] : [edge.from, edge.to];
+      if (!adjacency.has(key)) adjacency.set(key, []);
+      adjacency.get(key).push({ next, edge });
+    });
+
+    const visited = new Set(startIds);
+    const results = [];
+    let frontier = startIds;
+    for (let hops = 1; frontier.length > 0 && hops <= maxDepth; hops++) {
+      const nextFrontier = [];
+      frontier.forEach(id => (adjacency.get(id) || []).forEach(({ next, edge }) => {
+        if (visited.has(next)) return;
+        visited.add(next);
+        nextFrontier.push(next);
+        results.push({ node: this.nodes.get(next), hops, via: edge });
+      }));
+      frontier = nextFrontier;
+    }
+    return results;
+  }
+
+  /**
+   * Everything that depends on an asset, directly or through other assets
+   */
+  getDependents(reference, { depth = Infinity } = {}) {
+    const id = this.resolve(reference);
+    return id ? this.traverse([id], 'upstream', depth) : [];
+  }
+
+  /**
+   * Everything an attacker on the asset could connect to, following the
+   * connections the asset and the assets it reaches are seen to make
+   */
+  getReachable(reference, { depth = Infinity } = {}) {
+    const id = this.resolve(reference);
+    return id ? this.traverse([id], 'downstream', depth) : [];
+  }
+
+  /**
+   * Blast radius of compromised assets: what is reachable from them and what
+   * depends on them, with the business criticality of each affected asset
+   */
+  blastRadius(references, { depth = 3 } = {}) {
+    const sources = [];
+    const unresolved = [];
+    references.forEach(reference => {
+      const id = this.resolve(reference);
+      if (id) sources.push(id);
+      else unresolved.push(typeof reference === 'object' ? reference.name || reference.id : reference);
+    });
+
+    const describe = ({ node, hops, via }, relation) => {
+      const context = node.placeholder ? null : this.businessServices?.getAssetContext(node);
+      return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        relation,
+        hops,
+        port: via.port,
+        protocol: via.protocol,
+        criticality: context?.criticality || null,
+        services: context?.services || []
+      };
+    };
+
+    const reachable = this.traverse(sources, 'downstream', depth).map(entry => describe(entry, 'reachable'));
+    const dependents = this.traverse(sources, 'upstream', depth).map(entry => describe(entry, 'dependent'));
+
+    const affected = new Map();
+    [...reachable, ...dependents].forEach(entry => {
+      const existing = affected.get(entry.id);
+      if (!existing || entry.hops < existing.hops) affected.set(entry.id, existing ? { ...entry, relation: 'both' } : entry);
+      else if (existing.relation !== entry.relation) existing.relation = 'both';
+    });
+
+    const services = new Map();
+    affected.forEach(entry => entry.services.forEach(service => services.set(service.id, service)));
+    const ranks = ['low', 'medium', 'high', 'critical'];
+    const highestCriticality = Array.from(affected.values())
+      .map(entry => entry.criticality)
+      .reduce((highest, level) => ranks.indexOf(level) > ranks.indexOf(highest) ? level : highest, null);
+
+    return {
+      computedAt: new Date().toISOString(),
+      depth,
+      sources: sources.map(id => ({ id, name: this.nodes.get(id).name })),
+      unresolved,
+      reachable,
+      dependents,
+      affected: Array.from(affected.values()).sort((a, b) => a.hops - b.hops),
+      affectedCount: affected.size,
+      criticalCount: Array.from(affected.values()).filter(entry => ['high', 'critical'].includes(entry.criticality)).length,
+      highestCriticality,
+      services: Array.from(services.values())
+    };
+  }
+
+  /**
+   * Nodes and edges for visualisation
+   */
+  toTopology() {
+    return {
+      nodes: Array.from(this.nodes.values()),
+      edges: Array.from(this.edges.values())
+    };
+  }
+
+  getStats() {
+    const bySource = Object.fromEntries(EDGE_SOURCES.map(source => [
+      source,
+      Array.from(this.edges.values()).filter(edge => edge.sources.includes(source)).length
+    ]));
+    return { nodes: this.nodes.size, edges: this.edges.size, bySource };
+  }
+
+  clear() {
+    this.nodes = new Map();
+    this.edges = new Map();
+    this.aliases = new Map();
+    this.changed();
+  }
+
+  changed() {
+    this.save();
+    this.emit('graph_updated', this.getStats());
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (!stored) return;
+      (stored.nodes || []).forEach(node => {
+        this.nodes.set(node.id, node);
+        node.aliases.forEach(alias => this.aliases.set(alias, node.id));
+      });
+      (stored.edges || []).forEach(edge => this.edges.set(edge.id, edge));
+    } catch (error) {
+      console.error('Failed to load asset dependency graph:', error);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.toTopology()));
+    } catch (error) {
+      console.error('Failed to save asset dependency graph:', error);
+    }
+  }
+}
+
+export const assetDependencyGraph = new AssetDependencyGraph();
+export default assetDependencyGraph;
@@ -5,6 +5,21 @@
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
+import { assetIdentityResolver } from './AssetIdentityResolver.js';
+import { vulnerabilityDatabase } from './VulnerabilityDatabase.js';
+import { assetChangeHistory } from './AssetChangeHistory.js';
+import { businessServiceModel } from './BusinessServiceModel.js';
+import { assetDependencyGraph } from './AssetDependencyGraph.js';
+
+// Dependencies on these ports are infrastructure rather than application services
+const INFRASTRUCTURE_PORTS = {
+  53: 'dns',
+  67: 'dhcp',
+  88: 'kerberos',
+  123: 'ntp',
+  389: 'ldap',
+  636: 'ldap'
+};
 
 class AssetDiscoveryEngine extends EventEmitter {
   constructor() {
@@ -20,6 +35,10 @@ class AssetDiscoveryEngine extends EventEmitter {
     this.scanProfiles = new Map();
     this.isDiscovering = false;
     this.discoveryQueue = [];
+    this.identityResolver = assetIdentityResolver;
+    this.changeHistory = assetChangeHistory;
+    this.businessServices = businessServiceModel;
+    this.dependencyGraph = assetDependencyGraph;
     this.assetDatabase = {
       assets: new Map(),
       vulnerabilities: new Map(),
@@ -48,6 +67,13 @@ class AssetDiscoveryEngine extends EventEmitter {
     
     // Initialize scan profiles
     this.setupScanProfiles();
+
+    // Keep an asset's change log when its identity is merged into another,
+    // and surface drift to engine listeners
+    this.identityResolver.on('identity_merged', ({ identityId, mergedIdentityId }) => {
+      this.changeHistory.mergeHistory(identityId, mergedIdentityId);
+    });
+    this.changeHistory.on('drift_detected', drift => this.emit('asset_drift', drift));
     
     console.log('Asset Discovery Engine initialized successfully');
   }
@@ -521,6 +547,7 @@ class AssetDiscoveryEngine extends EventEmitter {
       for (let i = 0; i < assetCount; i++) {
         const asset = {
           id: `${provider}_${service}_${Date.now()}_${i}`,
+          instanceId: `${provider}-${service}-${i}`,
           provider: provider,
           service: service,
           type: assetTypes[Math.floor(Math.random() * assetTypes.length)],
@@ -623,36 +650,43 @@ class AssetDiscoveryEngine extends EventEmitter {
   }
 
   async processDiscoveredAssets(results, profile, jobId) {
-    const processedAssets = [];
-    
-    // Process network assets
-    for (const asset of results.networkAssets) {
-      const processed = await this.processAsset(asset, profile);
-      processedAssets.push(processed);
-    }
-
-    // Process cloud assets
-    for (const asset of results.cloudAssets) {
-      const processed = await this.processAsset(asset, profile);
-      processedAssets.push(processed);
-    }
+    const records = [
+      ...results.networkAssets,
+      ...results.cloudAssets,
+      ...results.agentAssets,
+      ...results.passiveAssets,
+      ...results.certificates
+    ];
 
-    // Process agent assets
-    for (const asset of results.agentAssets) {
-      const processed = await this.processAsset(asset, profile);
-      processedAssets.push(processed);
-    }
+    // Reconcile records that describe the same asset across discovery sources
+    const identities = this.identityResolver.resolveAll(records.map(record => ({
+      source: record.discoveryMethod,
+      sourceId: record.id,
+      identifiers: this.extractIdentifiers(record),
+      attributes: record,
+      observedAt: record.discoveryTime
+    })));
+
+    // Graph nodes first so dependency tracking can resolve flow addresses,
+    // then relationships declared in cloud configuration
+    const assets = identities.map(identity => this.identityResolver.toAsset(identity));
+    this.dependencyGraph.registerAssets(assets);
+    this.dependencyGraph.ingestCloudResources(results.cloudAssets.map(record => ({
+      ...record,
+      id: this.identityResolver.getIdentityForSource(record.discoveryMethod, record.id)?.id || record.id
+    })));
 
-    // Process passive assets
-    for (const asset of results.passiveAssets) {
+    const processedAssets = [];
+    for (const asset of assets) {
       const processed = await this.processAsset(asset, profile);
       processedAssets.push(processed);
     }
 
-    // Process certificates
-    for (const cert of results.certificates) {
-      const processed = await this.processAsset(cert, profile);
-      processedAssets.push(processed);
+    // Drop assets whose identity was merged into another
+    for (const assetId of this.assetDatabase.assets.keys()) {
+      if (!this.identityResolver.getIdentity(assetId)) {
+        this.assetDatabase.assets.delete(assetId);
+      }
     }
 
     // Store processed assets
@@ -660,9 +694,37 @@ class AssetDiscoveryEngine extends EventEmitter {
       this.assetDatabase.assets.set(asset.id, asset);
     }
 
+    // Log what changed since the previous run
+    this.changeHistory.recordAll(processedAssets, { source: 'discovery', jobId });
+
     return processedAssets;
   }
 
+  /**
+   * Identifiers each discovery source reports for a record
+   */
+  extractIdentifiers(record) {
+    switch (record.discoveryMethod) {
+      case 'network_scan':
+        return { mac: record.mac, hostname: record.hostname };
+      case 'cloud_discovery':
+        return { cloud_instance_id: record.instanceId || record.id, hostname: record.hostname };
+      case 'agent_discovery':
+        return {
+          agent_id: record.agentId || record.id,
+          hostname: record.hostname,
+          mac: record.mac,
+          serial_number: record.hardware?.serialNumber
+        };
+      case 'passive_discovery':
+        return { mac: record.indicators?.mac_address, hostname: record.indicators?.hostname };
+      case 'certificate_discovery':
+        return { fqdn: record.domain };
+      default:
+        return { hostname: record.hostname, mac: record.mac };
+    }
+  }
+
   async processAsset(asset, profile) {
     const processed = { ...asset };
 
@@ -734,15 +796,27 @@ class AssetDiscoveryEngine extends EventEmitter {
       }
     }
 
-    // Apply criticality assessment
-    const criticalityRules = this.classificationRules.get('criticality');
-    for (const rule of criticalityRules.rules) {
-      if (this.matchesCriteria(classification, rule.criteria)) {
-        classification.criticality = rule.criticality;
-        classification.confidence += 0.2;
-        break;
+    // Criticality comes from the business services the asset supports;
+    // the generic rules only apply to assets outside the service model
+    const context = this.businessServices.getAssetContext(asset);
+    if (context.criticality) {
+      classification.criticality = context.criticality;
+      classification.criticalitySource = context.provenance.criticality;
+      classification.confidence += 0.2;
+    } else {
+      const criticalityRules = this.classificationRules.get('criticality');
+      for (const rule of criticalityRules.rules) {
+        if (this.matchesCriteria(classification, rule.criteria)) {
+          classification.criticality = rule.criticality;
+          classification.criticalitySource = { kind: 'rule', id: 'criticality', name: 'Asset type rule' };
+          classification.confidence += 0.2;
+          break;
+        }
       }
     }
+    classification.owner = context.owner;
+    classification.dataClassification = context.dataClassification;
+    classification.businessServices = context.services;
 
     return classification;
   }
@@ -753,7 +827,7 @@ class AssetDiscoveryEngine extends EventEmitter {
     // CVE mapping
     if (asset.software) {
       for (const software of asset.software) {
-        const cves = await this.findCVEsForSoftware(software);
+        const cves = await this.findCVEsForSoftware(software, asset);
         vulnerabilities.push(...cves);
       }
     }
@@ -780,19 +854,28 @@ class AssetDiscoveryEngine extends EventEmitter {
       infrastructure: []
     };
 
-    // Track service dependencies
-    if (asset.services) {
-      dependencies.services = await this.discoverServiceDependencies(asset);
-    }
+    // Service and infrastructure dependencies come from the dependency graph
+    // (observed flows, cloud configuration and declared dependencies)
+    this.dependencyGraph.getDependencies(asset.id).forEach(({ edge, node }) => {
+      const infrastructure = INFRASTRUCTURE_PORTS[edge.port];
+      const criticality = node.placeholder ? null : this.businessServices.getAssetContext(node).criticality;
+      (infrastructure ? dependencies.infrastructure : dependencies.services).push({
+        type: infrastructure || (edge.port ? `${edge.protocol}/${edge.port}` : 'connection'),
+        target: node.name,
+        targetId: node.id,
+        port: edge.port,
+        protocol: edge.protocol,
+        sources: edge.sources,
+        lastSeen: edge.lastSeen,
+        critical: criticality === 'high' || criticality === 'critical'
+      });
+    });
 
     // Track application dependencies
     if (asset.software) {
       dependencies.applications = await this.discoverApplicationDependencies(asset);
     }
 
-    // Track infrastructure dependencies
-    dependencies.infrastructure = await this.discoverInfrastructureDependencies(asset);
-
     return dependencies;
   }
 
@@ -834,8 +917,8 @@ class AssetDiscoveryEngine extends EventEmitter {
   async initializeLifecycle(asset) {
     return {
       stage: 'discovery',
-      created: new Date().toISOString(),
-      lastSeen: new Date().toISOString(),
+      created: asset.firstSeen || new Date().toISOString(),
+      lastSeen: asset.lastSeen || new Date().toISOString(),
       lastUpdated: new Date().toISOString(),
       metadata: {
         discoverySource: asset.discoveryMethod,
@@ -867,7 +950,7 @@ class AssetDiscoveryEngine extends EventEmitter {
     return this.assetDatabase.assets.get(assetId);
   }
 
-  async updateAsset(assetId, updates) {
+  async updateAsset(assetId, updates, { actor = null } = {}) {
     const asset = this.assetDatabase.assets.get(assetId);
     if (!asset) {
       throw new Error(`Asset not found: ${assetId}`);
@@ -883,6 +966,7 @@ class AssetDiscoveryEngine extends EventEmitter {
     };
 
     this.assetDatabase.assets.set(assetId, updatedAsset);
+    this.changeHistory.record(updatedAsset, { source: 'update', actor });
     this.emit('asset_updated', { assetId, updates });
 
     return updatedAsset;
@@ -1036,7 +1120,8 @@ class AssetDiscoveryEngine extends EventEmitter {
     const hardware = {
       cpu: `${Math.floor(Math.random() * 16) + 1} cores`,
       memory: `${Math.pow(2, Math.floor(Math.random() * 4) + 2)}GB`,
-      storage: `${Math.floor(Math.random() * 1000) + 100}GB`
+      storage: `${Math.floor(Math.random() * 1000) + 100}GB`,
+      serialNumber: Math.random().toString(36).substr(2, 10).toUpperCase()
     };
 
     if (platform === 'windows') {
@@ -1134,23 +1219,11 @@ class AssetDiscoveryEngine extends EventEmitter {
     };
   }
 
-  async findCVEsForSoftware(software) {
-    // Simulate CVE lookup
-    const cves = [];
-    const cveCount = Math.random() > 0.7 ? Math.floor(Math.random() * 3) + 1 : 0;
-    
-    for (let i = 0; i < cveCount; i++) {
-      cves.push({
-        id: `CVE-2023-${Math.floor(Math.random() * 10000).toString().padStart(4, '0')}`,
-        software: software.name,
-        version: software.version,
-        severity: ['low', 'medium', 'high', 'critical'][Math.floor(Math.random() * 4)],
-        cvss: (Math.random() * 10).toFixed(1),
-        description: `Vulnerability in ${software.name} ${software.version}`
-      });
-    }
-
-    return cves;
+  async findCVEsForSoftware(software, asset = {}) {
+    // Match against the imported NVD/OSV snapshot; nothing is found until one is loaded
+    await vulnerabilityDatabase.ready;
+    const operatingSystem = asset.os || asset.software?.find(item => item.name === 'Operating System')?.version || null;
+    return vulnerabilityDatabase.match(software, { operatingSystem });
   }
 
   async findConfigurationVulnerabilities(asset) {
@@ -1185,22 +1258,6 @@ class AssetDiscoveryEngine extends EventEmitter {
     return vulns;
   }
 
-  async discoverServiceDependencies(asset) {
-    // Simulate service dependency discovery
-    const dependencies = [];
-    
-    if (asset.services.some(s => s.name === 'http')) {
-      dependencies.push({
-        type: 'database_connection',
-        target: 'mysql-server-01',
-        port: 3306,
-        critical: true
-      });
-    }
-
-    return dependencies;
-  }
-
   async discoverApplicationDependencies(asset) {
     // Simulate application dependency discovery
     const dependencies = [];
@@ -1216,22 +1273,6 @@ class AssetDiscoveryEngine extends EventEmitter {
 
     return dependencies;
   }
-
-  async discoverInfrastructureDependencies(asset) {
-    // Simulate infrastructure dependency discovery
-    return [
-      {
-        type: 'dns',
-        target: 'dns-server-01',
-        critical: true
-      },
-      {
-        type: 'network',
-        target: 'gateway-01',
-        critical: true
-      }
-    ];
-  }
 }
 
 // Create singleton instance
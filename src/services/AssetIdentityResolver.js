@@ -0,0 +1,493 @@
+/**
+ * Asset Identity Resolver
+ * Reconciles records from different discovery sources (network scans, cloud
+ * APIs, agents, passive monitoring, certificates, the asset inventory) into
+ * one identity per real asset. Records are matched on MAC address,
+ * hostname/FQDN, cloud instance ID, agent ID and serial number; each
+ * attribute of the merged asset comes from the source with the highest
+ * precedence for that attribute, and every source's observation is kept
+ * with its own first/last seen times so analysts can see where a value came
+ * from and undo a bad merge by splitting the asset again.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const STORAGE_KEY = 'asset_identities';
+
+// Strongest first: when an observation matches several identities it joins
+// the one matched by the strongest identifier
+export const IDENTIFIER_TYPES = ['agent_id', 'cloud_instance_id', 'serial_number', 'mac', 'fqdn', 'hostname'];
+
+// Identifiers that belong to exactly one machine. Two identities with
+// different values for one of these are never merged automatically.
+const EXCLUSIVE_IDENTIFIERS = ['cloud_instance_id', 'serial_number'];
+
+export const DEFAULT_ATTRIBUTE_PRECEDENCE = {
+  default: ['inventory', 'agent_discovery', 'cloud_discovery', 'network_scan', 'certificate_discovery', 'passive_discovery'],
+  hostname: ['inventory', 'agent_discovery', 'cloud_discovery', 'network_scan', 'passive_discovery', 'certificate_discovery'],
+  ip: ['network_scan', 'agent_discovery', 'cloud_discovery', 'passive_discovery', 'inventory'],
+  mac: ['agent_discovery', 'network_scan', 'passive_discovery'],
+  os: ['agent_discovery', 'network_scan', 'cloud_discovery', 'inventory'],
+  status: ['agent_discovery', 'cloud_discovery', 'network_scan', 'passive_discovery', 'certificate_discovery', 'inventory']
+};
+
+// Per-record bookkeeping that is not an attribute of the asset
+const RECORD_FIELDS = ['id', 'discoveryMethod', 'discoveryTime'];
+
+const IGNORED_VALUES = {
+  mac: ['00:00:00:00:00:00', 'ff:ff:ff:ff:ff:ff'],
+  hostname: ['localhost', 'unknown', 'localhost.localdomain']
+};
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function normaliseMac(value) {
+  const hex = String(value).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return hex.length === 12 ? hex.match(/.{2}/g).join(':') : null;
+}
+
+/**
+ * Identifier keys ('mac:aa:bb:..', 'hostname:web-01') for an observation
+ */
+export function identifierKeys(identifiers = {}) {
+  const keys = [];
+  const add = (type, value) => {
+    if (value === undefined || value === null || value === '') return;
+    const normalised = type === 'mac' ? normaliseMac(value) : String(value).trim().toLowerCase().replace(/\.$/, '');
+    if (!normalised || IGNORED_VALUES[type]?.includes(normalised)) return;
+    keys.push(`${type}:${normalised}`);
+  };
+
+  add('agent_id', identifiers.agent_id);
+  add('cloud_instance_id', identifiers.cloud_instance_id);
+  add('serial_number', identifiers.serial_number);
+  [identifiers.mac].flat().forEach(mac => add('mac', mac));
+
+  // A hostname given as an FQDN also matches its short name
+  const hostname = identifiers.hostname && String(identifiers.hostname).toLowerCase();
+  if (hostname && hostname.includes('.')) {
+    add('fqdn', hostname);
+    add('hostname', hostname.split('.')[0]);
+  } else {
+    add('hostname', hostname);
+  }
+  add('fqdn', identifiers.fqdn);
+
+  return [...new Set(keys)];
+}
+
+function keyType(key) {
+  return key.slice(0, key.indexOf(':'));
+}
+
+function keyStrength(key) {
+  return IDENTIFIER_TYPES.indexOf(keyType(key));
+}
+
+/**
+ * True when two key sets carry different values for an exclusive identifier
+ * (two cloud instance IDs, two serial numbers), i.e. they are different machines
+ */
+function exclusiveConflict(keysA, keysB) {
+  return EXCLUSIVE_IDENTIFIERS.some(type => {
+    const ours = [...keysA].filter(key => keyType(key) === type);
+    const theirs = [...keysB].filter(key => keyType(key) === type);
+    return ours.length > 0 && theirs.length > 0 && !ours.some(key => theirs.includes(key));
+  });
+}
+
+export class AssetIdentityResolver extends EventEmitter {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    super();
+    this.storage = storage;
+    this.identities = new Map();
+    this.keyIndex = new Map(); // identifier key -> identity id
+    this.distinct = new Set(); // 'idA|idB' pairs an analyst split apart
+    this.precedence = { ...DEFAULT_ATTRIBUTE_PRECEDENCE };
+    this.load();
+  }
+
+  /**
+   * Source order used to pick the value of an attribute
+   */
+  getPrecedence(attribute) {
+    return this.precedence[attribute] || this.precedence.default;
+  }
+
+  setAttributePrecedence(attribute, sources) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('Attribute precedence requires at least one source');
+    }
+    this.precedence[attribute] = [...sources];
+    this.identities.forEach(identity => this.recompute(identity));
+    this.save();
+    this.emit('precedence_updated', { attribute, sources: this.precedence[attribute] });
+  }
+
+  resetAttributePrecedence(attribute) {
+    if (DEFAULT_ATTRIBUTE_PRECEDENCE[attribute]) {
+      this.precedence[attribute] = [...DEFAULT_ATTRIBUTE_PRECEDENCE[attribute]];
+    } else {
+      delete this.precedence[attribute];
+    }
+    this.identities.forEach(identity => this.recompute(identity));
+    this.save();
+  }
+
+  /**
+   * Resolve one observation
+   * { source, sourceId, identifiers: { mac, hostname, fqdn, cloud_instance_id, agent_id, serial_number }, attributes, observedAt }
+   */
+  resolve(observation) {
+    const identity = this.resolveObservation(observation);
+    this.save();
+    return identity;
+  }
+
+  /**
+   * Resolve a batch of observations, saving once; returns the affected identities
+   */
+  resolveAll(observations) {
+    const touched = new Set();
+    observations.forEach(observation => touched.add(this.resolveObservation(observation).id));
+    this.save();
+    return [...touched].filter(id => this.identities.has(id)).map(id => this.identities.get(id));
+  }
+
+  resolveObservation({ source, sourceId = null, identifiers = {}, attributes = {}, observedAt = new Date().toISOString() }) {
+    if (!source) {
+      throw new Error('Observation requires a source');
+    }
+
+    const keys = identifierKeys(identifiers);
+    const record = {
+      id: generateId('obs'),
+      source,
+      sourceId,
+      keys,
+      identifiers,
+      attributes,
+      firstSeen: observedAt,
+      lastSeen: observedAt
+    };
+
+    // A record already seen from this source stays with its identity, even
+    // if an analyst split it away from identities its identifiers also match.
+    // Otherwise it never joins an identity with a different instance ID or
+    // serial number, however many weaker identifiers they share.
+    const known = sourceId !== null && this.findBySource(source, sourceId);
+    const matches = known
+      ? [known]
+      : this.findMatches(keys).filter(match => !exclusiveConflict(keys, match.keys));
+
+    let identity;
+    if (matches.length === 0) {
+      identity = this.createIdentity(observedAt);
+    } else {
+      [identity] = matches;
+      matches.slice(1)
+        .filter(other => this.canMerge(identity, other))
+        .forEach(other => this.mergeInto(identity, other, {
+          reason: `Shared ${keys.filter(key => other.keys.has(key)).map(keyType).join(', ')}`,
+          actor: null
+        }));
+    }
+
+    this.attachObservation(identity, record);
+    return identity;
+  }
+
+  /**
+   * Identities matching any of the keys, strongest match first
+   */
+  findMatches(keys) {
+    const matches = new Map();
+    [...keys].sort((a, b) => keyStrength(a) - keyStrength(b)).forEach(key => {
+      const identity = this.identities.get(this.keyIndex.get(key));
+      if (identity && !matches.has(identity.id)) matches.set(identity.id, identity);
+    });
+    return [...matches.values()];
+  }
+
+  findBySource(source, sourceId) {
+    for (const identity of this.identities.values()) {
+      if (identity.observations.some(observation => observation.source === source && observation.sourceId === sourceId)) {
+        return identity;
+      }
+    }
+    return null;
+  }
+
+  canMerge(identity, other) {
+    if (identity.id === other.id || this.isDistinct(identity.id, other.id)) return false;
+    return !exclusiveConflict(identity.keys, other.keys);
+  }
+
+  isDistinct(idA, idB) {
+    return this.distinct.has([idA, idB].sort().join('|'));
+  }
+
+  createIdentity(observedAt) {
+    const identity = {
+      id: generateId('asset'),
+      observations: [],
+      keys: new Set(),
+      attributes: {},
+      provenance: {},
+      sources: {},
+      firstSeen: observedAt,
+      lastSeen: observedAt,
+      history: []
+    };
+    this.identities.set(identity.id, identity);
+    return identity;
+  }
+
+  attachObservation(identity, record) {
+    // Repeat sightings replace the earlier observation of the same record.
+    // Records without a source ID can only be recognised by their identifiers.
+    const existing = identity.observations.find(observation =>
+      observation.source === record.source && (record.sourceId !== null
+        ? observation.sourceId === record.sourceId
+        : observation.sourceId === null &&
+          observation.keys.some(key => record.keys.includes(key)) &&
+          !exclusiveConflict(observation.keys, record.keys))
+    );
+
+    if (existing) {
+      Object.assign(existing, {
+        keys: record.keys,
+        identifiers: record.identifiers,
+        attributes: record.attributes,
+        lastSeen: record.lastSeen
+      });
+    } else {
+      identity.observations.push(record);
+    }
+
+    this.recompute(identity);
+  }
+
+  /**
+   * Rebuild keys, merged attributes, provenance and per-source timestamps
+   */
+  recompute(identity) {
+    const rank = (attribute, source) => {
+      const index = this.getPrecedence(attribute).indexOf(source);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+
+    identity.keys = new Set(identity.observations.flatMap(observation => observation.keys));
+    identity.keys.forEach(key => {
+      const owner = this.keyIndex.get(key);
+      if (!owner || !this.identities.has(owner) || !this.isDistinct(owner, identity.id)) {
+        this.keyIndex.set(key, identity.id);
+      }
+    });
+
+    identity.attributes = {};
+    identity.provenance = {};
+    identity.sources = {};
+
+    identity.observations.forEach(observation => {
+      const source = identity.sources[observation.source] || { firstSeen: observation.firstSeen, lastSeen: observation.lastSeen, records: 0 };
+      source.firstSeen = observation.firstSeen < source.firstSeen ? observation.firstSeen : source.firstSeen;
+      source.lastSeen = observation.lastSeen > source.lastSeen ? observation.lastSeen : source.lastSeen;
+      source.records++;
+      identity.sources[observation.source] = source;
+
+      Object.entries(observation.attributes).forEach(([attribute, value]) => {
+        if (RECORD_FIELDS.includes(attribute) || value === undefined || value === null || value === '') return;
+        const current = identity.provenance[attribute];
+        const better = !current ||
+          rank(attribute, observation.source) < rank(attribute, current.source) ||
+          (rank(attribute, observation.source) === rank(attribute, current.source) && observation.lastSeen > current.observedAt);
+        if (better) {
+          identity.attributes[attribute] = value;
+          identity.provenance[attribute] = { source: observation.source, observationId: observation.id, observedAt: observation.lastSeen };
+        }
+      });
+    });
+
+    const seen = identity.observations.flatMap(observation => [observation.firstSeen, observation.lastSeen]).sort();
+    if (seen.length > 0) {
+      identity.firstSeen = seen[0];
+      identity.lastSeen = seen[seen.length - 1];
+    }
+  }
+
+  mergeInto(target, other, { reason, actor }) {
+    target.observations.push(...other.observations);
+    target.history.push(...other.history, {
+      type: actor ? 'merged' : 'auto_merged',
+      at: new Date().toISOString(),
+      actor,
+      reason,
+      mergedIdentityId: other.id,
+      observationIds: other.observations.map(observation => observation.id)
+    });
+
+    // Separations recorded against the merged identity now apply to the target
+    [...this.distinct].forEach(pair => {
+      const [a, b] = pair.split('|');
+      if (a !== other.id && b !== other.id) return;
+      this.distinct.delete(pair);
+      const remaining = a === other.id ? b : a;
+      if (remaining !== target.id) this.distinct.add([target.id, remaining].sort().join('|'));
+    });
+
+    this.identities.delete(other.id);
+    this.keyIndex.forEach((owner, key) => {
+      if (owner === other.id) this.keyIndex.set(key, target.id);
+    });
+    this.recompute(target);
+    this.emit('identity_merged', { identityId: target.id, mergedIdentityId: other.id, reason, actor });
+  }
+
+  /**
+   * Analyst merge of one or more identities into the target
+   */
+  merge(targetId, otherIds, { actor, reason = 'Manual merge' } = {}) {
+    const target = this.getIdentity(targetId);
+    if (!target) {
+      throw new Error(`Asset identity not found: ${targetId}`);
+    }
+    const others = [otherIds].flat().map(id => {
+      const other = this.getIdentity(id);
+      if (!other) throw new Error(`Asset identity not found: ${id}`);
+      if (other.id === target.id) throw new Error('Cannot merge an asset into itself');
+      return other;
+    });
+
+    others.forEach(other => {
+      this.distinct.delete([target.id, other.id].sort().join('|'));
+      this.mergeInto(target, other, { reason, actor: actor || 'unknown' });
+    });
+    this.save();
+    return target;
+  }
+
+  /**
+   * Move observations out of an identity into a new one. The two are kept
+   * apart from then on; later sightings from those records follow them.
+   */
+  split(identityId, observationIds, { actor, reason = 'Manual split' } = {}) {
+    const identity = this.getIdentity(identityId);
+    if (!identity) {
+      throw new Error(`Asset identity not found: ${identityId}`);
+    }
+    const moving = identity.observations.filter(observation => observationIds.includes(observation.id));
+    if (moving.length === 0) {
+      throw new Error('Select at least one source record to split off');
+    }
+    if (moving.length === identity.observations.length) {
+      throw new Error('At least one source record must stay with the original asset');
+    }
+
+    const at = new Date().toISOString();
+    const created = this.createIdentity(moving[0].firstSeen);
+    identity.observations = identity.observations.filter(observation => !observationIds.includes(observation.id));
+    created.observations = moving;
+    this.distinct.add([identity.id, created.id].sort().join('|'));
+
+    // Keys now held only by the split-off records move with them
+    this.keyIndex.forEach((owner, key) => {
+      if (owner === identity.id) this.keyIndex.delete(key);
+    });
+    this.recompute(identity);
+    this.recompute(created);
+
+    const entry = { at, actor: actor || 'unknown', reason, observationIds: moving.map(observation => observation.id) };
+    identity.history.push({ type: 'split', ...entry, splitIdentityId: created.id });
+    created.history.push({ type: 'split_from', ...entry, originalIdentityId: identity.id });
+
+    this.save();
+    this.emit('identity_split', { identityId: identity.id, newIdentityId: created.id, actor: entry.actor });
+    return created;
+  }
+
+  getIdentity(identityId) {
+    return this.identities.get(identityId) || null;
+  }
+
+  getIdentities() {
+    return Array.from(this.identities.values());
+  }
+
+  /**
+   * Identity holding the record a source knows by sourceId
+   */
+  getIdentityForSource(source, sourceId) {
+    return this.findBySource(source, sourceId);
+  }
+
+  /**
+   * Identities that look like the same asset but were not merged, either
+   * because an analyst split them apart or an exclusive identifier differs
+   */
+  getPossibleDuplicates(identityId) {
+    const identity = this.getIdentity(identityId);
+    if (!identity) return [];
+
+    const ip = identity.attributes.ip;
+    return this.getIdentities().filter(other => {
+      if (other.id === identity.id) return false;
+      const sharedKey = [...other.keys].some(key => identity.keys.has(key));
+      return sharedKey || (ip && other.attributes.ip === ip);
+    });
+  }
+
+  /**
+   * Flattened asset record for an identity: merged attributes plus
+   * provenance, sources and first/last seen
+   */
+  toAsset(identity) {
+    const primary = Object.entries(identity.sources)
+      .sort(([a], [b]) => this.getPrecedence('default').indexOf(a) - this.getPrecedence('default').indexOf(b))[0]?.[0];
+
+    return {
+      ...identity.attributes,
+      id: identity.id,
+      discoveryMethod: primary,
+      discoveryTime: identity.lastSeen,
+      sources: Object.keys(identity.sources),
+      provenance: identity.provenance,
+      firstSeen: identity.firstSeen,
+      lastSeen: identity.lastSeen
+    };
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (!stored) return;
+      Object.assign(this.precedence, stored.precedence || {});
+      (stored.distinct || []).forEach(pair => this.distinct.add(pair));
+      (stored.identities || []).forEach(identity => {
+        this.identities.set(identity.id, { ...identity, keys: new Set() });
+      });
+      this.identities.forEach(identity => this.recompute(identity));
+    } catch (error) {
+      console.error('Failed to load asset identities:', error);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({
+        identities: this.getIdentities().map(identity => ({ ...identity, keys: undefined })), // rebuilt on load
+        distinct: [...this.distinct],
+        precedence: this.precedence
+      }));
+    } catch (error) {
+      console.error('Failed to save asset identities:', error);
+    }
+  }
+}
+
+export const assetIdentityResolver = new AssetIdentityResolver();
+export default assetIdentityResolver;
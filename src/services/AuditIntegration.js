@@ -361,6 +361,7 @@ export class AuditReporter {
       failedLogins: logs.filter(l => l.eventType === AuditEventTypes.AUTH_LOGIN_FAILURE),
       dataExports: logs.filter(l => l.eventType === AuditEventTypes.DATA_EXPORT),
       privilegeEscalations: logs.filter(l => l.eventType === AuditEventTypes.ADMIN_PERMISSION_CHANGED),
+      integrity: this.logger.verifyChain(),
       generatedAt: new Date().toISOString()
     };
 
@@ -385,6 +386,64 @@ export class AuditReporter {
     };
   }
 
+  /**
+   * Verification view of the hash-chained log between two sequence numbers.
+   * A broken chain is reported with the first broken link and the entries
+   * either side of it, and recorded as a critical audit event. Writes of the
+   * chain that storage has rejected are listed under `persistence`.
+   */
+  generateVerificationReport(from = null, to = null) {
+    const verification = this.logger.verifyChain(from, to);
+    const link = verification.firstBrokenLink;
+
+    const summarize = (entry) => entry && {
+      sequence: entry.sequence,
+      id: entry.id,
+      timestamp: entry.timestamp,
+      eventType: entry.eventType,
+      userId: entry.userId,
+      hash: entry.hash,
+      previousHash: entry.previousHash
+    };
+
+    const report = {
+      status: verification.valid ? 'verified' : 'broken',
+      range: { from: verification.from, to: verification.to },
+      entriesChecked: verification.checked,
+      checkpoints: {
+        ...verification.checkpoints,
+        latest: this.logger.getCheckpoints().pop() || null
+      },
+      firstBrokenLink: null,
+      persistence: verification.persistence,
+      verifiedAt: verification.verifiedAt
+    };
+
+    if (link) {
+      const entries = this.logger.chain;
+      report.firstBrokenLink = {
+        ...link,
+        entry: link.index !== null ? summarize(entries[link.index]) : null,
+        before: link.index > 0 ? summarize(entries[link.index - 1]) : null,
+        after: link.index !== null ? summarize(entries[link.index + 1]) : null
+      };
+    }
+
+    this.logger.log(
+      verification.valid ? AuditEventTypes.SYSTEM_AUDIT_CHAIN_VERIFIED : AuditEventTypes.SYSTEM_AUDIT_CHAIN_BROKEN,
+      {
+        range: report.range,
+        entriesChecked: report.entriesChecked,
+        reason: link?.reason,
+        brokenAt: link?.sequence,
+        persisted: report.persistence.persisted,
+        category: 'system'
+      }
+    );
+
+    return report;
+  }
+
   exportAuditLogs(format = 'json', startDate, endDate) {
     const logs = this.logger.getLogsSince(startDate)
       .filter(log => new Date(log.timestamp) <= new Date(endDate));
@@ -34,6 +34,12 @@ export const AuditEventTypes = {
   SECURITY_THREAT_DETECTED: 'SECURITY_THREAT_DETECTED',
   SECURITY_INCIDENT_CREATED: 'SECURITY_INCIDENT_CREATED',
 
+  // SOAR Approval Events
+  SOAR_APPROVAL_REQUESTED: 'SOAR_APPROVAL_REQUESTED',
+  SOAR_APPROVAL_GRANTED: 'SOAR_APPROVAL_GRANTED',
+  SOAR_APPROVAL_DENIED: 'SOAR_APPROVAL_DENIED',
+  SOAR_APPROVAL_ESCALATED: 'SOAR_APPROVAL_ESCALATED',
+
   // Cloud Integration Events
   CLOUD_PROVIDER_CONNECTED: 'CLOUD_PROVIDER_CONNECTED',
   CLOUD_PROVIDER_DISCONNECTED: 'CLOUD_PROVIDER_DISCONNECTED',
@@ -54,12 +60,24 @@ export const AuditEventTypes = {
   SYSTEM_SHUTDOWN: 'SYSTEM_SHUTDOWN',
   SYSTEM_BACKUP_CREATED: 'SYSTEM_BACKUP_CREATED',
   SYSTEM_CONFIGURATION_CHANGED: 'SYSTEM_CONFIGURATION_CHANGED',
+  SYSTEM_AUDIT_CHAIN_VERIFIED: 'SYSTEM_AUDIT_CHAIN_VERIFIED',
+  SYSTEM_AUDIT_CHAIN_BROKEN: 'SYSTEM_AUDIT_CHAIN_BROKEN',
 
   // Compliance Events
   COMPLIANCE_REPORT_GENERATED: 'COMPLIANCE_REPORT_GENERATED',
   COMPLIANCE_POLICY_VIOLATION: 'COMPLIANCE_POLICY_VIOLATION',
   COMPLIANCE_AUDIT_STARTED: 'COMPLIANCE_AUDIT_STARTED',
-  COMPLIANCE_AUDIT_COMPLETED: 'COMPLIANCE_AUDIT_COMPLETED'
+  COMPLIANCE_AUDIT_COMPLETED: 'COMPLIANCE_AUDIT_COMPLETED',
+
+  // Auditor Portal Events
+  AUDITOR_ACCESS_GRANTED: 'AUDITOR_ACCESS_GRANTED',
+  AUDITOR_ACCESS_REVOKED: 'AUDITOR_ACCESS_REVOKED',
+  AUDITOR_ACCESS_EXPIRED: 'AUDITOR_ACCESS_EXPIRED',
+  AUDITOR_ACCESS_DENIED: 'AUDITOR_ACCESS_DENIED',
+  AUDITOR_LOGIN: 'AUDITOR_LOGIN',
+  AUDITOR_VIEW: 'AUDITOR_VIEW',
+  AUDITOR_COMMENT_CREATED: 'AUDITOR_COMMENT_CREATED',
+  AUDITOR_EVIDENCE_EXPORTED: 'AUDITOR_EVIDENCE_EXPORTED'
 };
 
 export const AuditSeverity = {
@@ -69,13 +87,227 @@ export const AuditSeverity = {
   CRITICAL: 'CRITICAL'
 };
 
+// ============================================================================
+// HASH CHAIN
+// ============================================================================
+
+// previousHash of the first entry in a chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+// The chain is stored as fixed-size segments of entries plus a state record
+// (anchor and checkpoints), so appending an entry rewrites one segment only
+const CHAIN_STORAGE_KEY = 'audit_chain';
+const CHAIN_SEGMENT_SIZE = 250;
+
+/**
+ * Hash of an entry's content, including its link to the previous entry.
+ * Works on live entries and on plain objects read back from storage.
+ */
+export function computeEntryHash(entry) {
+  const data = {
+    id: entry.id,
+    sequence: entry.sequence,
+    previousHash: entry.previousHash,
+    timestamp: entry.timestamp,
+    eventType: entry.eventType,
+    severity: entry.severity,
+    userId: entry.userId,
+    sessionId: entry.sessionId,
+    details: entry.details
+  };
+
+  return CryptoJS.SHA256(JSON.stringify(data)).toString();
+}
+
+/**
+ * Plain-data copy of log details that never throws: circular references
+ * become "[Circular]", BigInts strings and Errors their name and message
+ */
+function cloneDetails(details) {
+  const ancestors = [];
+  try {
+    return JSON.parse(JSON.stringify(details ?? {}, function replace(key, value) {
+      if (typeof value === 'bigint') return value.toString();
+      if (value instanceof Error) value = { name: value.name, message: value.message };
+      if (typeof value !== 'object' || value === null) return value;
+
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+      if (ancestors.includes(value)) return '[Circular]';
+      ancestors.push(value);
+      return value;
+    }));
+  } catch (error) {
+    return { unserializableDetails: error.message };
+  }
+}
+
+function segmentOf(sequence) {
+  return Math.floor((sequence - 1) / CHAIN_SEGMENT_SIZE);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * HMAC over a checkpoint's position in the chain
+ */
+export function signCheckpoint(checkpoint, signingKey) {
+  const data = {
+    sequence: checkpoint.sequence,
+    entryId: checkpoint.entryId,
+    hash: checkpoint.hash,
+    createdAt: checkpoint.createdAt,
+    previousSignature: checkpoint.previousSignature
+  };
+
+  return CryptoJS.HmacSHA256(JSON.stringify(data), signingKey).toString();
+}
+
+function brokenLink(entry, index, reason, message, expected = null, actual = null) {
+  return {
+    sequence: entry?.sequence ?? null,
+    index,
+    entryId: entry?.id ?? null,
+    reason,
+    message,
+    expected,
+    actual
+  };
+}
+
+/**
+ * Verify a run of chained entries, stored oldest first, between two sequence
+ * numbers (inclusive). Stops at the first broken link.
+ *
+ * anchor is the { sequence, hash } of the entry before entries[0] when older
+ * entries have been trimmed; without it the chain must start at sequence 1.
+ * Signed checkpoints pin entry hashes and reveal entries removed from the end.
+ * Unsigned checkpoints, written while no signing key was configured, still
+ * pin hashes but are counted separately since anyone could have written them.
+ */
+export function verifyAuditChain(entries, { checkpoints = [], anchor = null, signingKey = null, from = null, to = null } = {}) {
+  const first = entries[0]?.sequence ?? 1;
+  const last = entries[entries.length - 1]?.sequence ?? 0;
+  const rangeFrom = from ?? Math.min(first, anchor ? anchor.sequence + 1 : 1);
+  const rangeTo = to ?? Math.max(last, ...checkpoints.map(checkpoint => checkpoint.sequence));
+
+  const result = {
+    valid: true,
+    from: rangeFrom,
+    to: rangeTo,
+    checked: 0,
+    checkpoints: { verified: 0, failed: 0, unsigned: 0 },
+    firstBrokenLink: null,
+    verifiedAt: new Date().toISOString()
+  };
+
+  const fail = (link) => {
+    result.valid = false;
+    result.firstBrokenLink = link;
+    return result;
+  };
+
+  const pinned = new Map();
+  for (const checkpoint of checkpoints) {
+    if (checkpoint.sequence < rangeFrom || checkpoint.sequence > rangeTo) continue;
+    if (signingKey && checkpoint.signature && signCheckpoint(checkpoint, signingKey) !== checkpoint.signature) {
+      result.checkpoints.failed++;
+      return fail(brokenLink(
+        { sequence: checkpoint.sequence, id: checkpoint.entryId }, null, 'checkpoint_signature_invalid',
+        `Checkpoint at #${checkpoint.sequence} has an invalid signature`
+      ));
+    }
+    pinned.set(checkpoint.sequence, checkpoint);
+  }
+
+  const start = entries.findIndex(entry => entry.sequence >= rangeFrom);
+  if (start === -1) {
+    const missing = Array.from(pinned.values()).find(checkpoint => checkpoint.sequence > last);
+    return missing
+      ? fail(brokenLink(
+        { sequence: missing.sequence, id: missing.entryId }, null, 'entries_missing',
+        `Entries up to checkpoint #${missing.sequence} are missing from the end of the log`
+      ))
+      : result;
+  }
+
+  let previous = start > 0 ? entries[start - 1] : anchor;
+
+  for (let index = start; index < entries.length; index++) {
+    const entry = entries[index];
+    if (entry.sequence > rangeTo) break;
+
+    const actualHash = computeEntryHash(entry);
+    if (actualHash !== entry.hash) {
+      return fail(brokenLink(entry, index, 'entry_modified',
+        `Entry #${entry.sequence} was modified after it was written`, entry.hash, actualHash));
+    }
+
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    if (entry.sequence !== expectedSequence) {
+      const displaced = entry.sequence < expectedSequence ||
+        entries.some((other, position) => position > index && other.sequence === expectedSequence);
+      const gap = entry.sequence - 1 > expectedSequence
+        ? `Entries #${expectedSequence}-#${entry.sequence - 1} are`
+        : `Entry #${expectedSequence} is`;
+      return fail(brokenLink(entry, index,
+        displaced ? 'out_of_order' : 'entries_missing',
+        displaced
+          ? `Entry #${entry.sequence} appears where #${expectedSequence} was expected`
+          : `${gap} missing before entry #${entry.sequence}`,
+        expectedSequence, entry.sequence));
+    }
+
+    const expectedPrevious = previous ? previous.hash : GENESIS_HASH;
+    if (entry.previousHash !== expectedPrevious) {
+      return fail(brokenLink(entry, index, 'previous_hash_mismatch',
+        `Entry #${entry.sequence} does not link to entry #${expectedSequence - 1}`,
+        expectedPrevious, entry.previousHash));
+    }
+
+    const checkpoint = pinned.get(entry.sequence);
+    if (checkpoint) {
+      if (checkpoint.hash !== entry.hash || checkpoint.entryId !== entry.id) {
+        result.checkpoints.failed++;
+        return fail(brokenLink(entry, index, 'checkpoint_mismatch',
+          `Entry #${entry.sequence} differs from the signed checkpoint`, checkpoint.hash, entry.hash));
+      }
+      if (checkpoint.signature && signingKey) result.checkpoints.verified++;
+      else result.checkpoints.unsigned++;
+      pinned.delete(entry.sequence);
+    }
+
+    result.checked++;
+    previous = entry;
+  }
+
+  // Checkpoints past the last entry mean the tail of the log was removed
+  const orphaned = Array.from(pinned.values()).sort((a, b) => a.sequence - b.sequence)[0];
+  if (orphaned) {
+    result.checkpoints.failed++;
+    return fail(brokenLink(
+      { sequence: orphaned.sequence, id: orphaned.entryId }, null, 'entries_missing',
+      `Entry #${orphaned.sequence} recorded by a signed checkpoint is missing from the log`
+    ));
+  }
+
+  return result;
+}
+
 // ============================================================================
 // AUDIT LOG ENTRY STRUCTURE
 // ============================================================================
 
 class AuditLogEntry {
-  constructor(eventType, details = {}) {
+  constructor(eventType, details = {}, { sequence = 1, previousHash = GENESIS_HASH } = {}) {
     this.id = this.generateId();
+    this.sequence = sequence;
+    this.previousHash = previousHash;
     this.timestamp = new Date().toISOString();
     this.eventType = eventType;
     this.severity = this.determineSeverity(eventType);
@@ -122,7 +354,8 @@ class AuditLogEntry {
       AuditEventTypes.SECURITY_THREAT_DETECTED,
       AuditEventTypes.SECURITY_INCIDENT_CREATED,
       AuditEventTypes.ADMIN_PERMISSION_CHANGED,
-      AuditEventTypes.SYSTEM_ERROR
+      AuditEventTypes.SYSTEM_ERROR,
+      AuditEventTypes.SYSTEM_AUDIT_CHAIN_BROKEN
     ];
 
     const highEvents = [
@@ -133,7 +366,13 @@ class AuditLogEntry {
       AuditEventTypes.SECURITY_VULNERABILITY_FOUND,
       AuditEventTypes.ADMIN_USER_CREATED,
       AuditEventTypes.ADMIN_USER_DELETED,
-      AuditEventTypes.COMPLIANCE_POLICY_VIOLATION
+      AuditEventTypes.COMPLIANCE_POLICY_VIOLATION,
+      AuditEventTypes.SOAR_APPROVAL_GRANTED,
+      AuditEventTypes.SOAR_APPROVAL_DENIED,
+      AuditEventTypes.SOAR_APPROVAL_ESCALATED,
+      AuditEventTypes.AUDITOR_ACCESS_GRANTED,
+      AuditEventTypes.AUDITOR_ACCESS_DENIED,
+      AuditEventTypes.AUDITOR_EVIDENCE_EXPORTED
     ];
 
     const mediumEvents = [
@@ -141,7 +380,11 @@ class AuditLogEntry {
       AuditEventTypes.DATA_UPDATE,
       AuditEventTypes.CLOUD_PROVIDER_CONNECTED,
       AuditEventTypes.CLOUD_PROVIDER_DISCONNECTED,
-      AuditEventTypes.ADMIN_SETTINGS_CHANGED
+      AuditEventTypes.ADMIN_SETTINGS_CHANGED,
+      AuditEventTypes.AUDITOR_ACCESS_REVOKED,
+      AuditEventTypes.AUDITOR_ACCESS_EXPIRED,
+      AuditEventTypes.AUDITOR_LOGIN,
+      AuditEventTypes.AUDITOR_COMMENT_CREATED
     ];
 
     if (criticalEvents.includes(eventType)) return AuditSeverity.CRITICAL;
@@ -150,8 +393,9 @@ class AuditLogEntry {
     return AuditSeverity.LOW;
   }
 
+  // Details are copied and frozen so later changes by the caller can't alter a hashed entry
   sanitizeDetails(details) {
-    const sanitized = { ...details };
+    const sanitized = cloneDetails(details);
     
     // Remove sensitive data
     const sensitiveKeys = ['password', 'token', 'secret', 'key', 'credential'];
@@ -162,19 +406,11 @@ class AuditLogEntry {
       }
     });
 
-    return sanitized;
+    return deepFreeze(sanitized);
   }
 
   generateHash() {
-    const data = {
-      id: this.id,
-      timestamp: this.timestamp,
-      eventType: this.eventType,
-      userId: this.userId,
-      details: this.details
-    };
-    
-    return CryptoJS.SHA256(JSON.stringify(data)).toString();
+    return computeEntryHash(this);
   }
 }
 
@@ -190,15 +426,32 @@ export class AuditLogger {
     this.flushInterval = 30000; // 30 seconds
     this.maxQueueSize = 1000;
     this.encryptionKey = this.getEncryptionKey();
+    this.signingKey = this.getSigningKey();
+
+    // Hash chain, kept separately from the upload queue so it survives flushes
+    this.chain = [];
+    this.maxChainSize = 5000;
+    this.chainAnchor = null; // { sequence, hash } of the last entry trimmed from the chain
+    this.checkpoints = [];
+    this.checkpointInterval = 100; // entries between signed checkpoints
+    this.maxCheckpoints = 1000;
+    this.persistenceFailures = new Map(); // storage key -> { error, since }
     
     this.setupEventListeners();
     this.startPeriodicFlush();
+    this.loadPersistedChain();
     this.loadPersistedLogs();
   }
 
   getEncryptionKey() {
     // In production, this should come from a secure key management system
-    return import.meta.env.VITE_AUDIT_ENCRYPTION_KEY || 'default-audit-key-change-in-production';
+    return import.meta.env?.VITE_AUDIT_ENCRYPTION_KEY || 'default-audit-key-change-in-production';
+  }
+
+  getSigningKey() {
+    // Checkpoints should be countersigned server-side; a client key only proves local integrity.
+    // Without a configured key checkpoints are written unsigned rather than with a known key.
+    return import.meta.env?.VITE_AUDIT_SIGNING_KEY || null;
   }
 
   setupEventListeners() {
@@ -215,6 +468,7 @@ export class AuditLogger {
     // Handle page unload
     window.addEventListener('beforeunload', () => {
       this.persistQueue();
+      this.persistChain();
     });
   }
 
@@ -228,7 +482,12 @@ export class AuditLogger {
 
   async log(eventType, details = {}) {
     try {
-      const entry = new AuditLogEntry(eventType, details);
+      const head = this.getChainHead();
+      const entry = new AuditLogEntry(eventType, details, {
+        sequence: head.sequence + 1,
+        previousHash: head.hash
+      });
+      this.appendToChain(entry);
       
       // Add to queue
       this.queue.push(entry);
@@ -239,7 +498,7 @@ export class AuditLogger {
       }
 
       // Console log in development
-      if (import.meta.env.DEV) {
+      if (import.meta.env?.DEV) {
         console.group(`[AUDIT] ${eventType}`);
         console.log('Entry:', entry);
         console.log('Details:', details);
@@ -298,6 +557,8 @@ export class AuditLogger {
       },
       body: JSON.stringify({
         logs: encryptedLogs,
+        chainHead: this.getChainHead(),
+        checkpoint: this.checkpoints[this.checkpoints.length - 1] || null,
         timestamp: new Date().toISOString(),
         source: 'web_client'
       })
@@ -356,6 +617,180 @@ export class AuditLogger {
     }
   }
 
+  // Hash chain
+  getChainHead() {
+    const last = this.chain[this.chain.length - 1];
+    if (last) return { sequence: last.sequence, hash: last.hash };
+    return this.chainAnchor || { sequence: 0, hash: GENESIS_HASH };
+  }
+
+  appendToChain(entry) {
+    this.chain.push(entry);
+
+    if (this.chain.length > this.maxChainSize) {
+      const trimmed = this.chain.shift();
+      this.chainAnchor = { sequence: trimmed.sequence, hash: trimmed.hash };
+      // A segment is dropped once all of it has been trimmed
+      if (trimmed.sequence % CHAIN_SEGMENT_SIZE === 0) {
+        this.removeChainItem(this.segmentKey(segmentOf(trimmed.sequence)));
+        this.persistChainState();
+      }
+    }
+
+    if (entry.sequence % this.checkpointInterval === 0) {
+      this.createCheckpoint();
+    }
+    this.persistSegment(segmentOf(entry.sequence));
+    this.retryFailedPersistence();
+  }
+
+  /**
+   * Sign the current chain head; checkpoints are chained through their signatures.
+   * Without a signing key the checkpoint is recorded with a null signature.
+   */
+  createCheckpoint() {
+    const last = this.chain[this.chain.length - 1];
+    if (!last) return null;
+
+    const previous = this.checkpoints[this.checkpoints.length - 1];
+    if (previous && previous.sequence === last.sequence) return previous;
+
+    const checkpoint = {
+      sequence: last.sequence,
+      entryId: last.id,
+      hash: last.hash,
+      createdAt: new Date().toISOString(),
+      previousSignature: previous ? previous.signature : null
+    };
+    checkpoint.signature = this.signingKey ? signCheckpoint(checkpoint, this.signingKey) : null;
+
+    this.checkpoints.push(checkpoint);
+    if (this.checkpoints.length > this.maxCheckpoints) {
+      this.checkpoints.shift();
+    }
+    this.persistChainState();
+
+    return checkpoint;
+  }
+
+  getCheckpoints() {
+    return [...this.checkpoints];
+  }
+
+  /**
+   * Verify the retained chain between two sequence numbers (inclusive).
+   * `persistence` reports whether the stored copy is keeping up with it.
+   */
+  verifyChain(from = null, to = null) {
+    return {
+      ...verifyAuditChain(this.chain, {
+        checkpoints: this.checkpoints,
+        anchor: this.chainAnchor,
+        signingKey: this.signingKey,
+        from,
+        to
+      }),
+      persistence: this.getPersistenceStatus()
+    };
+  }
+
+  getPersistenceStatus() {
+    const failures = Array.from(this.persistenceFailures, ([key, failure]) => ({ key, ...failure }));
+    return { persisted: failures.length === 0, failures };
+  }
+
+  getChainEntries(from = null, to = null) {
+    return this.chain.filter(entry =>
+      (from === null || entry.sequence >= from) && (to === null || entry.sequence <= to)
+    );
+  }
+
+  segmentKey(index) {
+    return `${CHAIN_STORAGE_KEY}_${index}`;
+  }
+
+  // Write everything, e.g. before unload
+  persistChain() {
+    const segments = new Set(this.chain.map(entry => segmentOf(entry.sequence)));
+    segments.forEach(index => this.persistSegment(index));
+    this.persistChainState();
+  }
+
+  persistChainState() {
+    this.writeChainItem(CHAIN_STORAGE_KEY, { anchor: this.chainAnchor, checkpoints: this.checkpoints });
+  }
+
+  persistSegment(index) {
+    const entries = this.chain.filter(entry => segmentOf(entry.sequence) === index);
+    this.writeChainItem(this.segmentKey(index), entries);
+  }
+
+  // Failed writes are retried with each new entry until storage accepts them
+  retryFailedPersistence() {
+    Array.from(this.persistenceFailures.keys()).forEach(key => {
+      if (key === CHAIN_STORAGE_KEY) this.persistChainState();
+      else this.persistSegment(Number(key.slice(CHAIN_STORAGE_KEY.length + 1)));
+    });
+  }
+
+  writeChainItem(key, value) {
+    try {
+      localStorage.setItem(key, CryptoJS.AES.encrypt(JSON.stringify(value), this.encryptionKey).toString());
+      this.persistenceFailures.delete(key);
+    } catch (error) {
+      console.error('Failed to persist audit chain:', error);
+      if (!this.persistenceFailures.has(key)) {
+        this.persistenceFailures.set(key, { error: error.message, since: new Date().toISOString() });
+      }
+    }
+  }
+
+  removeChainItem(key) {
+    localStorage.removeItem(key);
+    this.persistenceFailures.delete(key);
+  }
+
+  readChainItem(key) {
+    const encrypted = localStorage.getItem(key);
+    if (!encrypted) return null;
+    const decrypted = CryptoJS.AES.decrypt(encrypted, this.encryptionKey);
+    return JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+  }
+
+  loadPersistedChain() {
+    try {
+      const state = this.readChainItem(CHAIN_STORAGE_KEY);
+      if (!state) return;
+
+      this.chainAnchor = state.anchor || null;
+      this.checkpoints = Array.isArray(state.checkpoints) ? state.checkpoints : [];
+
+      // Older versions stored every entry in the state record
+      if (Array.isArray(state.entries)) {
+        this.chain = state.entries;
+        this.persistChain();
+        return;
+      }
+
+      // Segments are read until the first missing one; a gap shows up as
+      // missing entries when the chain is verified against its checkpoints
+      const entries = [];
+      let index = this.chainAnchor ? segmentOf(this.chainAnchor.sequence + 1) : 0;
+      for (let segment = this.readChainItem(this.segmentKey(index)); segment; segment = this.readChainItem(this.segmentKey(++index))) {
+        entries.push(...segment);
+      }
+
+      // Loaded as stored, without re-verifying, so tampering stays visible to verifyChain
+      this.chain = entries.filter(entry => !this.chainAnchor || entry.sequence > this.chainAnchor.sequence);
+      while (this.chain.length > this.maxChainSize) {
+        const trimmed = this.chain.shift();
+        this.chainAnchor = { sequence: trimmed.sequence, hash: trimmed.hash };
+      }
+    } catch (error) {
+      console.error('Failed to load persisted audit chain:', error);
+    }
+  }
+
   // Convenience methods for common events
   logAuth(eventType, details = {}) {
     return this.log(eventType, {
@@ -394,6 +829,16 @@ export class AuditLogger {
     });
   }
 
+  logAuditor(eventType, grant, details = {}) {
+    return this.log(eventType, {
+      ...details,
+      grantId: grant?.id,
+      auditorEmail: grant?.auditorEmail,
+      frameworkId: grant?.frameworkId,
+      category: 'auditor_portal'
+    });
+  }
+
   logSystemError(context, error) {
     return this.log(AuditEventTypes.SYSTEM_ERROR, {
       context,
@@ -491,7 +936,8 @@ export function useAuditLogger() {
     logSecurity,
     logCloud,
     logError,
-    getStatistics: () => logger.current.getStatistics()
+    getStatistics: () => logger.current.getStatistics(),
+    verifyChain: (from, to) => logger.current.verifyChain(from, to)
   };
 }
 
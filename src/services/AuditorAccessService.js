@@ -0,0 +1,410 @@
+/**
+ * Auditor Access Service
+ * Scoped, expiring read-only access for external auditors. A grant covers
+ * one framework and a fixed audit period; the auditor signs in with a
+ * one-time link token (only its hash is stored) and can browse that
+ * framework's controls, the evidence and snapshots from the audit period,
+ * and leave comments or evidence requests. Access ends automatically at
+ * the grant's expiry. Every auditor action is written to the AuditLogger.
+ *
+ * Grants and requests are backend entities, and the evidence in a grant's
+ * scope is published with it (metadata on the grant, content as private
+ * files), so the link works in the auditor's own browser.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { AuditEventTypes, globalAuditLogger } from './AuditLogger.js';
+import { complianceAutomationEngine } from './ComplianceAutomationEngine.js';
+import { sha256Hex } from './EvidenceVault.js';
+
+export const MAX_AUDITOR_ACCESS_DAYS = 90;
+
+export const AUDITOR_REQUEST_TYPES = ['comment', 'evidence_request'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signed download links for published evidence stay valid for an hour
+const DOWNLOAD_LINK_SECONDS = 60 * 60;
+
+const defaultBackend = {
+  grants: async () => (await import('../api/entities.js')).AuditorAccessGrant,
+  requests: async () => (await import('../api/entities.js')).AuditorRequest,
+  uploadPrivateFile: async (params) => (await import('../api/integrations.js')).UploadPrivateFile(params),
+  createFileSignedUrl: async (params) => (await import('../api/integrations.js')).CreateFileSignedUrl(params)
+};
+
+function generateToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hashToken(token) {
+  return sha256Hex(new TextEncoder().encode(token));
+}
+
+export function getGrantStatus(grant, now = new Date()) {
+  if (grant.revokedAt) return 'revoked';
+  if (new Date(grant.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+function fromGrantRecord(record) {
+  return {
+    id: record.id,
+    auditorEmail: record.auditor_email,
+    auditorName: record.auditor_name || '',
+    firm: record.firm || '',
+    frameworkId: record.framework_id,
+    frameworkName: record.framework_name,
+    periodStart: record.period_start,
+    periodEnd: record.period_end,
+    expiresAt: record.expires_at,
+    createdBy: record.created_by,
+    createdAt: record.created_at,
+    revokedAt: record.revoked_at || null,
+    revokedBy: record.revoked_by || null,
+    expiryLogged: Boolean(record.expiry_logged),
+    lastAccessAt: record.last_access_at || null,
+    accessCount: record.access_count || 0,
+    scope: record.scope || null,
+    publishedAt: record.published_at || null
+  };
+}
+
+function fromRequestRecord(record) {
+  return {
+    id: record.id,
+    grantId: record.grant_id,
+    frameworkId: record.framework_id,
+    controlId: record.control_id || null,
+    evidenceId: record.evidence_id || null,
+    type: record.type,
+    body: record.body,
+    author: record.author,
+    createdAt: record.created_at,
+    status: record.status,
+    responses: record.responses || []
+  };
+}
+
+export class AuditorAccessService extends EventEmitter {
+  constructor({
+    backend = defaultBackend,
+    engine = complianceAutomationEngine,
+    auditLogger = globalAuditLogger
+  } = {}) {
+    super();
+    this.backend = backend;
+    this.engine = engine;
+    this.auditLogger = auditLogger;
+  }
+
+  /**
+   * Grant an auditor access to one framework for an audit period and
+   * publish the evidence in scope. Returns the sign-in token once; only its
+   * hash is kept.
+   */
+  async createGrant({ auditorEmail, auditorName = '', firm = '', frameworkId, periodStart, periodEnd, expiresAt, createdBy }) {
+    if (!auditorEmail || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(auditorEmail)) {
+      throw new Error('Auditor access requires a valid email address');
+    }
+    if (!this.engine.frameworks.has(frameworkId)) {
+      throw new Error(`Unknown framework: ${frameworkId}`);
+    }
+    if (!createdBy) {
+      throw new Error('Auditor access requires the granting user');
+    }
+
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw new Error('Audit period requires a start date before its end date');
+    }
+
+    const now = new Date();
+    const expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= now) {
+      throw new Error('Auditor access requires an expiry date in the future');
+    }
+    if (expiry - now > MAX_AUDITOR_ACCESS_DAYS * DAY_MS) {
+      throw new Error(`Auditor access cannot last longer than ${MAX_AUDITOR_ACCESS_DAYS} days`);
+    }
+
+    const token = generateToken();
+    const Grants = await this.backend.grants();
+    const record = await Grants.create({
+      auditor_email: auditorEmail.trim().toLowerCase(),
+      auditor_name: auditorName,
+      firm,
+      framework_id: frameworkId,
+      framework_name: this.engine.frameworks.get(frameworkId).name,
+      period_start: start.toISOString(),
+      period_end: end.toISOString(),
+      expires_at: expiry.toISOString(),
+      token_hash: await hashToken(token),
+      created_by: createdBy,
+      created_at: now.toISOString(),
+      revoked_at: null,
+      revoked_by: null,
+      expiry_logged: false,
+      last_access_at: null,
+      access_count: 0,
+      scope: null
+    });
+
+    const grant = await this.publishScope(fromGrantRecord(record));
+    this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_ACCESS_GRANTED, grant, {
+      createdBy,
+      periodStart: grant.periodStart,
+      periodEnd: grant.periodEnd,
+      expiresAt: grant.expiresAt
+    });
+    this.emit('grant_created', grant);
+    return { grant, token };
+  }
+
+  /**
+   * Publish the framework controls, evidence and snapshots the grant covers.
+   * Runs in the issuing organisation's browser, where the evidence vault is;
+   * evidence content is uploaded once per evidence item.
+   */
+  async publishScope(grant) {
+    const evidence = this.engine.getEvidenceRepository()
+      .filter(item => item.status === 'active' && this.isInPeriod(grant, item.timestamp));
+    const evidenceIds = new Set(evidence.map(item => item.id));
+
+    const controls = this.engine.getControlCoverage(grant.frameworkId).map(control => {
+      const inScope = control.evidence.filter(link => evidenceIds.has(link.evidenceId));
+      return {
+        controlId: control.controlId,
+        description: control.description,
+        group: control.group,
+        satisfied: inScope.length > 0,
+        evidence: inScope
+      };
+    });
+
+    const linked = new Set(controls.flatMap(control => control.evidence.map(link => link.evidenceId)));
+    const published = new Map((grant.scope?.evidence || []).map(item => [item.id, item]));
+    const scopedEvidence = [];
+    for (const item of evidence.filter(candidate => linked.has(candidate.id))) {
+      let fileUri = published.get(item.id)?.fileUri;
+      if (!fileUri) {
+        const { archive, fileName } = await this.engine.exportEvidenceBundle([item.id], {
+          exportedBy: grant.createdBy,
+          title: `${grant.frameworkName} audit evidence`
+        });
+        const file = new File([archive], fileName, { type: 'application/zip' });
+        ({ file_uri: fileUri } = await this.backend.uploadPrivateFile({ file }));
+      }
+      scopedEvidence.push({ ...item, fileUri });
+    }
+
+    const snapshots = this.engine.getSnapshots()
+      .filter(snapshot => this.isInPeriod(grant, snapshot.capturedAt))
+      .map(snapshot => {
+        const framework = this.engine.getSnapshot(snapshot.id).frameworks.find(item => item.id === grant.frameworkId);
+        return { ...snapshot, frameworkScore: framework?.score ?? null, controls: framework?.controls || [] };
+      });
+
+    const publishedAt = new Date().toISOString();
+    const scope = { controls, evidence: scopedEvidence, snapshots };
+    const Grants = await this.backend.grants();
+    await Grants.update(grant.id, { scope, published_at: publishedAt });
+    return { ...grant, scope, publishedAt };
+  }
+
+  async revokeGrant(grantId, { revokedBy }) {
+    const grant = await this.getGrant(grantId);
+    if (!grant || getGrantStatus(grant) !== 'active') {
+      throw new Error(`Auditor access ${grantId} is not active`);
+    }
+
+    const revokedAt = new Date().toISOString();
+    const Grants = await this.backend.grants();
+    await Grants.update(grantId, { revoked_at: revokedAt, revoked_by: revokedBy });
+    const revoked = { ...grant, revokedAt, revokedBy };
+    this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_ACCESS_REVOKED, revoked, { revokedBy });
+    this.emit('grant_revoked', revoked);
+    return revoked;
+  }
+
+  /**
+   * Log grants that have passed their expiry; access checks already refuse them
+   */
+  async expireGrants(grants = null, now = new Date()) {
+    const candidates = grants || await this.listGrants();
+    const expired = candidates.filter(grant => !grant.expiryLogged && getGrantStatus(grant, now) === 'expired');
+    if (expired.length === 0) return [];
+
+    const Grants = await this.backend.grants();
+    for (const grant of expired) {
+      await Grants.update(grant.id, { expiry_logged: true });
+      grant.expiryLogged = true;
+      this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_ACCESS_EXPIRED, grant, { expiresAt: grant.expiresAt });
+      this.emit('grant_expired', grant);
+    }
+    return expired;
+  }
+
+  async listGrants() {
+    const Grants = await this.backend.grants();
+    return (await Grants.list('-created_at')).map(fromGrantRecord);
+  }
+
+  async getGrant(grantId) {
+    const Grants = await this.backend.grants();
+    const [record] = await Grants.filter({ id: grantId });
+    return record ? fromGrantRecord(record) : null;
+  }
+
+  async getGrants() {
+    const grants = await this.listGrants();
+    await this.expireGrants(grants);
+    return grants
+      .map(grant => ({ ...grant, status: getGrantStatus(grant) }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Resolve a sign-in token to an active grant
+   */
+  async authenticate(token, { login = false } = {}) {
+    const Grants = await this.backend.grants();
+    const [record] = token ? await Grants.filter({ token_hash: await hashToken(token) }) : [];
+    const grant = record ? fromGrantRecord(record) : null;
+    const status = grant ? getGrantStatus(grant) : 'unknown';
+
+    if (status !== 'active') {
+      if (grant) await this.expireGrants([grant]);
+      this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_ACCESS_DENIED, grant, { reason: status });
+      throw new Error(status === 'unknown' ? 'Invalid auditor access link' : `Auditor access has ${status === 'revoked' ? 'been revoked' : 'expired'}`);
+    }
+
+    if (login) {
+      grant.lastAccessAt = new Date().toISOString();
+      grant.accessCount++;
+      await Grants.update(grant.id, { last_access_at: grant.lastAccessAt, access_count: grant.accessCount });
+      this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_LOGIN, grant);
+    }
+    return grant;
+  }
+
+  isInPeriod(grant, timestamp) {
+    const time = new Date(timestamp).getTime();
+    return time >= new Date(grant.periodStart).getTime() && time <= new Date(grant.periodEnd).getTime();
+  }
+
+  /**
+   * Framework controls, evidence and snapshots published for a grant. Control
+   * status only counts evidence collected during the audit period.
+   */
+  async getScopedView(grant) {
+    const scope = grant.scope || { controls: [], evidence: [], snapshots: [] };
+    return {
+      framework: { id: grant.frameworkId, name: grant.frameworkName },
+      period: { start: grant.periodStart, end: grant.periodEnd },
+      publishedAt: grant.publishedAt,
+      controls: scope.controls,
+      evidence: scope.evidence,
+      snapshots: scope.snapshots,
+      requests: await this.getRequests({ grantId: grant.id })
+    };
+  }
+
+  /**
+   * Record an auditor view, e.g. a tab, a control or a piece of evidence
+   */
+  recordView(grant, view, details = {}) {
+    this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_VIEW, grant, { view, ...details });
+  }
+
+  /**
+   * Short-lived download link for a published evidence bundle
+   */
+  async exportEvidence(grant, evidenceId) {
+    const item = (grant.scope?.evidence || []).find(candidate => candidate.id === evidenceId);
+    if (!item) {
+      this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_ACCESS_DENIED, grant, { reason: 'evidence_out_of_scope', evidenceId });
+      throw new Error('Evidence is outside the scope of this audit');
+    }
+
+    const { signed_url: url } = await this.backend.createFileSignedUrl({ file_uri: item.fileUri, expires_in: DOWNLOAD_LINK_SECONDS });
+    this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_EVIDENCE_EXPORTED, grant, { evidenceId });
+    return { url, fileName: `${item.id}.zip` };
+  }
+
+  /**
+   * Comment or evidence request from an auditor, optionally about a control
+   */
+  async addRequest(grant, { type = 'comment', controlId = null, evidenceId = null, body }) {
+    if (getGrantStatus(grant) !== 'active') {
+      throw new Error('Auditor access is no longer active');
+    }
+    if (!AUDITOR_REQUEST_TYPES.includes(type)) {
+      throw new Error(`Unknown request type: ${type}`);
+    }
+    if (!body || !String(body).trim()) {
+      throw new Error('Comments require some text');
+    }
+
+    const Requests = await this.backend.requests();
+    const request = fromRequestRecord(await Requests.create({
+      grant_id: grant.id,
+      framework_id: grant.frameworkId,
+      control_id: controlId,
+      evidence_id: evidenceId,
+      type,
+      body: String(body).trim(),
+      author: grant.auditorEmail,
+      created_at: new Date().toISOString(),
+      status: 'open',
+      responses: []
+    }));
+
+    this.auditLogger.logAuditor(AuditEventTypes.AUDITOR_COMMENT_CREATED, grant, { requestId: request.id, type, controlId });
+    this.emit('request_created', request);
+    return request;
+  }
+
+  /**
+   * Internal response to an auditor comment or evidence request. Responding
+   * with evidence republishes the grant's scope so the auditor can see it.
+   */
+  async respondToRequest(requestId, { author, body, evidenceId = null, status = 'open' }) {
+    const Requests = await this.backend.requests();
+    const [record] = await Requests.filter({ id: requestId });
+    if (!record) {
+      throw new Error(`Request not found: ${requestId}`);
+    }
+    if (!['open', 'fulfilled', 'closed'].includes(status)) {
+      throw new Error(`Unknown request status: ${status}`);
+    }
+
+    const request = fromRequestRecord(record);
+    request.responses = [...request.responses, { author, body, evidenceId, createdAt: new Date().toISOString() }];
+    request.status = status;
+    await Requests.update(requestId, { responses: request.responses, status });
+
+    if (evidenceId) {
+      const grant = await this.getGrant(request.grantId);
+      if (grant && getGrantStatus(grant) === 'active') await this.publishScope(grant);
+    }
+
+    this.emit('request_updated', request);
+    return request;
+  }
+
+  async getRequests({ grantId = null, status = null } = {}) {
+    const Requests = await this.backend.requests();
+    const query = Object.fromEntries(Object.entries({ grant_id: grantId, status }).filter(([, value]) => value));
+    const records = Object.keys(query).length > 0 ? await Requests.filter(query) : await Requests.list('-created_at');
+    return records
+      .map(fromRequestRecord)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+export const auditorAccessService = new AuditorAccessService();
+export default auditorAccessService;
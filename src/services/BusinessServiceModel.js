@@ -0,0 +1,436 @@
+/**
+ * Business Service Model
+ * Business services are made up of applications, and applications run on
+ * assets. Services and applications carry an owner, a criticality and a
+ * data classification; an asset inherits the highest criticality and the
+ * most sensitive classification of everything it supports, and the owner
+ * nearest to it. Asset discovery, vulnerability prioritisation and risk
+ * analytics all read criticality from here so an asset is rated the same
+ * way everywhere.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { assetIdentityResolver } from './AssetIdentityResolver.js';
+
+const STORAGE_KEY = 'business_service_model';
+
+export const CRITICALITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+export const DATA_CLASSIFICATIONS = ['public', 'internal', 'confidential', 'restricted'];
+
+// 1-10 scale used by vulnerability prioritisation and CVSS security requirements
+export const CRITICALITY_SCORES = { low: 3, medium: 5, high: 8, critical: 10 };
+
+const DEFAULT_SERVICES = [
+  {
+    id: 'payment_processing',
+    name: 'Payment Processing',
+    description: 'Card payments, refunds and settlement',
+    owner: 'Payments Engineering',
+    criticality: 'critical',
+    dataClassification: 'restricted',
+    financialValue: 75000000, // $75M
+    regulatoryImplications: ['PCI-DSS', 'SOX'],
+    applications: ['payment_gateway', 'billing']
+  },
+  {
+    id: 'customer_platform',
+    name: 'Customer Platform',
+    description: 'Customer accounts and the personal data behind them',
+    owner: 'Customer Engineering',
+    criticality: 'critical',
+    dataClassification: 'restricted',
+    financialValue: 50000000, // $50M
+    regulatoryImplications: ['GDPR', 'CCPA', 'HIPAA'],
+    applications: ['customer_portal', 'crm']
+  },
+  {
+    id: 'product_development',
+    name: 'Product Development',
+    description: 'Source code, build pipelines and other intellectual property',
+    owner: 'Engineering',
+    criticality: 'critical',
+    dataClassification: 'confidential',
+    financialValue: 100000000, // $100M
+    regulatoryImplications: ['Trade Secrets', 'Patents'],
+    applications: ['source_control', 'build_pipeline']
+  },
+  {
+    id: 'core_operations',
+    name: 'Core Operations',
+    description: 'Internal systems the business runs on',
+    owner: 'IT Operations',
+    criticality: 'high',
+    dataClassification: 'internal',
+    financialValue: 25000000, // $25M
+    regulatoryImplications: ['SOC2', 'ISO27001'],
+    applications: ['erp', 'directory_services']
+  },
+  {
+    id: 'public_website',
+    name: 'Public Website',
+    description: 'Brand, marketing and public communications',
+    owner: 'Marketing',
+    criticality: 'high',
+    dataClassification: 'public',
+    financialValue: 200000000, // $200M
+    regulatoryImplications: ['Public Relations', 'Marketing'],
+    applications: ['corporate_website']
+  },
+  {
+    id: 'hr_payroll',
+    name: 'HR and Payroll',
+    description: 'Employee records and payroll',
+    owner: 'People Operations',
+    criticality: 'medium',
+    dataClassification: 'confidential',
+    financialValue: 5000000, // $5M
+    regulatoryImplications: ['GDPR', 'Employment Law'],
+    applications: ['hr_system', 'payroll']
+  }
+];
+
+const DEFAULT_APPLICATIONS = [
+  { id: 'payment_gateway', name: 'Payment Gateway', hostPatterns: ['pay-*', 'payments-*'] },
+  { id: 'billing', name: 'Billing', hostPatterns: ['billing-*'] },
+  { id: 'customer_portal', name: 'Customer Portal', hostPatterns: ['portal-*'] },
+  { id: 'crm', name: 'CRM', hostPatterns: ['crm-*'] },
+  { id: 'source_control', name: 'Source Control', hostPatterns: ['git-*', 'gitlab-*'] },
+  { id: 'build_pipeline', name: 'Build Pipeline', hostPatterns: ['ci-*', 'build-*'] },
+  { id: 'erp', name: 'ERP', hostPatterns: ['erp-*'] },
+  // Domain controllers hold the keys to everything else
+  { id: 'directory_services', name: 'Directory Services', owner: 'Identity Team', criticality: 'critical', hostPatterns: ['dc-*', 'ad-*'] },
+  { id: 'corporate_website', name: 'Corporate Website', hostPatterns: ['www-*', 'web-*'] },
+  { id: 'hr_system', name: 'HR System', hostPatterns: ['hr-*'] },
+  { id: 'payroll', name: 'Payroll', hostPatterns: ['payroll-*'] }
+];
+
+function rankOf(levels, value) {
+  return levels.indexOf(value);
+}
+
+function matchesPattern(value, pattern) {
+  if (!value) return false;
+  const expression = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${expression}$`, 'i').test(value);
+}
+
+function validateLevels({ criticality, dataClassification }) {
+  if (criticality && !CRITICALITY_LEVELS.includes(criticality)) {
+    throw new Error(`Unknown criticality: ${criticality}`);
+  }
+  if (dataClassification && !DATA_CLASSIFICATIONS.includes(dataClassification)) {
+    throw new Error(`Unknown data classification: ${dataClassification}`);
+  }
+}
+
+export class BusinessServiceModel extends EventEmitter {
+  constructor({
+    storage = typeof localStorage !== 'undefined' ? localStorage : null,
+    identities = assetIdentityResolver
+  } = {}) {
+    super();
+    this.storage = storage;
+    this.identities = identities;
+    this.services = new Map();
+    this.applications = new Map();
+    this.assetOwnership = new Map(); // assetId -> { owner, criticality, dataClassification }
+    this.load();
+  }
+
+  getServices() {
+    return Array.from(this.services.values());
+  }
+
+  getService(serviceId) {
+    return this.services.get(serviceId) || null;
+  }
+
+  getApplications() {
+    return Array.from(this.applications.values());
+  }
+
+  getApplication(applicationId) {
+    return this.applications.get(applicationId) || null;
+  }
+
+  /**
+   * Create or update a business service
+   */
+  saveService(service) {
+    if (!service.name) {
+      throw new Error('Business service requires a name');
+    }
+    validateLevels(service);
+    (service.applications || []).forEach(applicationId => {
+      if (!this.applications.has(applicationId)) throw new Error(`Application not found: ${applicationId}`);
+    });
+
+    const existing = this.services.get(service.id);
+    const saved = {
+      owner: null,
+      criticality: 'medium',
+      dataClassification: 'internal',
+      financialValue: 0,
+      regulatoryImplications: [],
+      applications: [],
+      ...existing,
+      ...service,
+      id: service.id || `svc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    };
+    this.services.set(saved.id, saved);
+    this.changed();
+    return saved;
+  }
+
+  removeService(serviceId) {
+    if (!this.services.delete(serviceId)) return false;
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Create or update an application. Criticality, classification and owner
+   * are optional; without them the application inherits from its services.
+   */
+  saveApplication(application) {
+    if (!application.name) {
+      throw new Error('Application requires a name');
+    }
+    validateLevels(application);
+
+    const existing = this.applications.get(application.id);
+    const saved = {
+      owner: null,
+      criticality: null,
+      dataClassification: null,
+      assets: [],
+      hostPatterns: [],
+      ...existing,
+      ...application,
+      id: application.id || `app_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    };
+    this.applications.set(saved.id, saved);
+    this.changed();
+    return saved;
+  }
+
+  removeApplication(applicationId) {
+    if (!this.applications.delete(applicationId)) return false;
+    this.services.forEach(service => {
+      service.applications = service.applications.filter(id => id !== applicationId);
+    });
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Attach an application to a service
+   */
+  linkApplication(serviceId, applicationId) {
+    const service = this.services.get(serviceId);
+    if (!service) throw new Error(`Business service not found: ${serviceId}`);
+    if (!this.applications.has(applicationId)) throw new Error(`Application not found: ${applicationId}`);
+    if (service.applications.includes(applicationId)) return;
+    service.applications = [...service.applications, applicationId];
+    this.changed();
+  }
+
+  unlinkApplication(serviceId, applicationId) {
+    const service = this.services.get(serviceId);
+    if (!service) return;
+    service.applications = service.applications.filter(id => id !== applicationId);
+    this.changed();
+  }
+
+  /**
+   * Place an asset under an application
+   */
+  assignAsset(applicationId, assetId) {
+    const application = this.applications.get(applicationId);
+    if (!application) throw new Error(`Application not found: ${applicationId}`);
+    if (application.assets.includes(assetId)) return;
+    application.assets = [...application.assets, assetId];
+    this.changed();
+  }
+
+  unassignAsset(applicationId, assetId) {
+    const application = this.applications.get(applicationId);
+    if (!application) return;
+    application.assets = application.assets.filter(id => id !== assetId);
+    this.changed();
+  }
+
+  /**
+   * Owner, criticality and data classification set on the asset itself.
+   * Null values fall back to what the asset inherits.
+   */
+  setAssetOwnership(assetId, { owner = null, criticality = null, dataClassification = null }) {
+    validateLevels({ criticality, dataClassification });
+    if (!owner && !criticality && !dataClassification) {
+      this.assetOwnership.delete(assetId);
+    } else {
+      this.assetOwnership.set(assetId, { owner, criticality, dataClassification });
+    }
+    this.changed();
+  }
+
+  getAssetOwnership(assetId) {
+    return this.assetOwnership.get(assetId) || null;
+  }
+
+  /**
+   * Services an application supports
+   */
+  getServicesForApplication(applicationId) {
+    return this.getServices().filter(service => service.applications.includes(applicationId));
+  }
+
+  /**
+   * Asset ids and names to match an asset by: the id it was looked up with,
+   * plus the inventory and discovery ids of the same resolved identity
+   */
+  assetKeys(asset) {
+    const ids = new Set([asset.id]);
+    const identity = this.identities?.getIdentity(asset.id) ||
+      this.identities?.getIdentityForSource('inventory', asset.id);
+    if (identity) {
+      ids.add(identity.id);
+      identity.observations
+        .filter(observation => observation.source === 'inventory')
+        .forEach(observation => ids.add(observation.sourceId));
+    }
+    const names = [asset.hostname, asset.name, identity?.attributes.hostname].filter(Boolean);
+    return { ids: Array.from(ids), names };
+  }
+
+  /**
+   * Applications an asset runs, by explicit assignment or host name pattern
+   */
+  getApplicationsForAsset(asset) {
+    const { ids, names } = this.assetKeys(typeof asset === 'string' ? { id: asset } : asset);
+    return this.getApplications().filter(application =>
+      application.assets.some(id => ids.includes(id)) ||
+      application.hostPatterns.some(pattern => names.some(name => matchesPattern(name, pattern)))
+    );
+  }
+
+  /**
+   * Effective criticality, classification and owner of an application,
+   * with where each came from
+   */
+  resolveApplication(applicationId) {
+    const application = this.applications.get(applicationId);
+    if (!application) return null;
+    const services = this.getServicesForApplication(applicationId);
+    const via = (node, kind) => ({ kind, id: node.id, name: node.name });
+    const sources = [
+      { node: application, kind: 'application' },
+      ...services.map(service => ({ node: service, kind: 'service' }))
+    ];
+
+    const pick = (field, levels) => sources
+      .filter(({ node }) => node[field])
+      .reduce((best, { node, kind }) => !best || rankOf(levels, node[field]) > rankOf(levels, best.value)
+        ? { value: node[field], source: via(node, kind) }
+        : best, null);
+
+    const ownerSource = sources.find(({ node }) => node.owner);
+
+    return {
+      application,
+      services,
+      criticality: pick('criticality', CRITICALITY_LEVELS),
+      dataClassification: pick('dataClassification', DATA_CLASSIFICATIONS),
+      owner: ownerSource ? { value: ownerSource.node.owner, source: via(ownerSource.node, ownerSource.kind) } : null
+    };
+  }
+
+  /**
+   * Business context of an asset: the applications and services it
+   * supports, and its inherited criticality, data classification and owner.
+   * `mapped` is false when nothing in the model covers the asset.
+   */
+  getAssetContext(asset) {
+    const subject = typeof asset === 'string' ? { id: asset } : asset;
+    const { ids } = this.assetKeys(subject);
+    const own = ids.map(id => this.assetOwnership.get(id)).find(Boolean) || {};
+    const resolved = this.getApplicationsForAsset(subject).map(application => this.resolveApplication(application.id));
+    const self = { kind: 'asset', id: subject.id, name: subject.hostname || subject.name || subject.id };
+
+    const pick = (field, levels) => [
+      ...(own[field] ? [{ value: own[field], source: self }] : []),
+      ...resolved.map(entry => entry[field]).filter(Boolean)
+    ].reduce((best, candidate) => !best || rankOf(levels, candidate.value) > rankOf(levels, best.value) ? candidate : best, null);
+
+    const criticality = pick('criticality', CRITICALITY_LEVELS);
+    const dataClassification = pick('dataClassification', DATA_CLASSIFICATIONS);
+    const owner = own.owner ? { value: own.owner, source: self } : resolved.map(entry => entry.owner).find(Boolean) || null;
+    const services = new Map();
+    resolved.forEach(entry => entry.services.forEach(service => services.set(service.id, service)));
+
+    return {
+      mapped: Boolean(criticality || dataClassification || owner),
+      criticality: criticality?.value || null,
+      criticalityScore: criticality ? CRITICALITY_SCORES[criticality.value] : null,
+      dataClassification: dataClassification?.value || null,
+      owner: owner?.value || null,
+      applications: resolved.map(entry => ({ id: entry.application.id, name: entry.application.name })),
+      services: Array.from(services.values()).map(service => ({ id: service.id, name: service.name })),
+      provenance: {
+        criticality: criticality?.source || null,
+        dataClassification: dataClassification?.source || null,
+        owner: owner?.source || null
+      }
+    };
+  }
+
+  changed() {
+    this.save();
+    this.emit('model_updated');
+  }
+
+  load() {
+    const seed = () => {
+      DEFAULT_APPLICATIONS.forEach(application => this.applications.set(application.id, {
+        owner: null, criticality: null, dataClassification: null, assets: [], hostPatterns: [], ...application
+      }));
+      DEFAULT_SERVICES.forEach(service => this.services.set(service.id, { ...service }));
+    };
+
+    if (!this.storage) {
+      seed();
+      return;
+    }
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      if (!stored) {
+        seed();
+        return;
+      }
+      (stored.applications || []).forEach(application => this.applications.set(application.id, application));
+      (stored.services || []).forEach(service => this.services.set(service.id, service));
+      Object.entries(stored.assetOwnership || {}).forEach(([assetId, ownership]) => this.assetOwnership.set(assetId, ownership));
+    } catch (error) {
+      console.error('Failed to load business service model:', error);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({
+        services: this.getServices(),
+        applications: this.getApplications(),
+        assetOwnership: Object.fromEntries(this.assetOwnership)
+      }));
+    } catch (error) {
+      console.error('Failed to save business service model:', error);
+    }
+  }
+}
+
+export const businessServiceModel = new BusinessServiceModel();
+export default businessServiceModel;
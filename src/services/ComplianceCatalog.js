@@ -0,0 +1,367 @@
+/**
+ * Compliance Framework Catalogue
+ * Loads compliance frameworks from versioned OSCAL-style catalogue files,
+ * lets teams author custom frameworks in the same format, and keeps a
+ * crosswalk of equivalent controls across frameworks.
+ *
+ * Catalogue controls are identified by their `label` prop (e.g. A.8.8);
+ * control props carry category, automation-type, frequency and status.
+ *
+ * Crosswalk mappings link a source control to target controls:
+ *   equivalent  evidence for either side counts toward the other
+ *   subset      evidence for the source counts toward the targets only
+ * Mappings are not transitive; every pairing is listed explicitly.
+ */
+
+import soc2Catalog from './compliance-catalogs/soc2.json';
+import iso27001Catalog from './compliance-catalogs/iso27001.json';
+import nistCatalog from './compliance-catalogs/nist.json';
+import hipaaCatalog from './compliance-catalogs/hipaa.json';
+import gdprCatalog from './compliance-catalogs/gdpr.json';
+import pcidssCatalog from './compliance-catalogs/pcidss.json';
+import defaultCrosswalk from './compliance-catalogs/crosswalks.json';
+
+export const OSCAL_VERSION = '1.1.2';
+
+export const BUILT_IN_CATALOGS = [soc2Catalog, iso27001Catalog, nistCatalog, hipaaCatalog, gdprCatalog, pcidssCatalog];
+export const BUILT_IN_CROSSWALKS = [defaultCrosswalk];
+
+export const MAPPING_RELATIONSHIPS = ['equivalent', 'subset'];
+
+/**
+ * Error raised for malformed catalogue or crosswalk documents
+ */
+export class ComplianceCatalogError extends Error {
+  constructor(message, source = null) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ComplianceCatalogError';
+    this.source = source;
+  }
+}
+
+export function controlRef(frameworkId, controlId) {
+  return `${frameworkId}:${controlId}`;
+}
+
+function getProp(item, name) {
+  return item?.props?.find(prop => prop.name === name)?.value;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function uuid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+  });
+}
+
+function parseControl(control, group, source) {
+  const id = getProp(control, 'label') || control.id;
+  if (!id) {
+    throw new ComplianceCatalogError(`Control in group "${group.title}" has no id`, source);
+  }
+
+  const statement = control.parts?.find(part => part.name === 'statement')?.prose;
+  const parsed = {
+    id,
+    title: control.title || id,
+    description: statement || control.title || id,
+    category: getProp(control, 'category') || group.title,
+    automationType: getProp(control, 'automation-type') || 'manual_review',
+    frequency: getProp(control, 'frequency') || 'annually',
+    status: getProp(control, 'status') || 'active',
+    group: group.title
+  };
+  if (group.class) parsed[group.class] = group.title;
+
+  // Control enhancements are listed alongside their parent
+  const enhancements = (control.controls || []).map(child => parseControl(child, group, source));
+  return [parsed, ...enhancements];
+}
+
+/**
+ * Convert an OSCAL catalogue document into the engine's framework shape
+ */
+export function parseOscalCatalog(document, source = null) {
+  const catalog = document?.catalog;
+  if (!catalog || !catalog.metadata) {
+    throw new ComplianceCatalogError('Document is not an OSCAL catalog', source);
+  }
+
+  const { metadata } = catalog;
+  const id = getProp(metadata, 'framework-id');
+  if (!id) {
+    throw new ComplianceCatalogError('Catalog metadata requires a framework-id prop', source);
+  }
+  if (!metadata.version) {
+    throw new ComplianceCatalogError(`Catalog ${id} requires a version`, source);
+  }
+
+  const groups = catalog.groups || [];
+  const controls = groups.flatMap(group =>
+    (group.controls || []).flatMap(control => parseControl(control, group, source))
+  );
+  if (controls.length === 0) {
+    throw new ComplianceCatalogError(`Catalog ${id} has no controls`, source);
+  }
+
+  const seen = new Set();
+  controls.forEach(control => {
+    if (seen.has(control.id)) {
+      throw new ComplianceCatalogError(`Catalog ${id} defines control ${control.id} more than once`, source);
+    }
+    seen.add(control.id);
+  });
+
+  const framework = {
+    id,
+    name: metadata.title,
+    version: metadata.version,
+    catalogUuid: catalog.uuid,
+    lastModified: metadata['last-modified'] || null,
+    source,
+    custom: getProp(metadata, 'custom') === 'true',
+    groups: groups.map(group => group.title),
+    groupClass: groups.find(group => group.class)?.class || null,
+    groupDimension: getProp(metadata, 'group-dimension') || null,
+    controls,
+    automationLevel: Number(getProp(metadata, 'automation-level')) || 0
+  };
+
+  // e.g. trustPrinciples for SOC 2, functions for NIST CSF
+  if (framework.groupDimension) framework[framework.groupDimension] = framework.groups;
+
+  return framework;
+}
+
+/**
+ * Convert a framework back into an OSCAL catalogue document
+ */
+export function toOscalCatalog(framework) {
+  const groupTitles = framework.groups?.length
+    ? framework.groups
+    : Array.from(new Set(framework.controls.map(control => control.group || control.category || 'General')));
+
+  const metadataProps = [
+    { name: 'framework-id', value: framework.id },
+    { name: 'automation-level', value: String(framework.automationLevel || 0) }
+  ];
+  if (framework.groupDimension) metadataProps.push({ name: 'group-dimension', value: framework.groupDimension });
+  if (framework.custom) metadataProps.push({ name: 'custom', value: 'true' });
+
+  return {
+    catalog: {
+      uuid: framework.catalogUuid || uuid(),
+      metadata: {
+        title: framework.name,
+        'last-modified': framework.lastModified || new Date().toISOString(),
+        version: framework.version,
+        'oscal-version': OSCAL_VERSION,
+        props: metadataProps
+      },
+      groups: groupTitles.map(title => ({
+        id: slug(title),
+        ...(framework.groupClass ? { class: framework.groupClass } : {}),
+        title,
+        controls: framework.controls
+          .filter(control => (control.group || control.category || 'General') === title)
+          .map(control => ({
+            id: slug(control.id),
+            title: control.title || control.id,
+            props: [
+              { name: 'label', value: control.id },
+              { name: 'category', value: control.category || title },
+              { name: 'automation-type', value: control.automationType || 'manual_review' },
+              { name: 'frequency', value: control.frequency || 'annually' },
+              { name: 'status', value: control.status || 'active' }
+            ],
+            parts: [{ id: `${slug(control.id)}_smt`, name: 'statement', prose: control.description || control.title || control.id }]
+          }))
+      }))
+    }
+  };
+}
+
+/**
+ * Read the mappings from a crosswalk document
+ */
+export function parseCrosswalk(document, source = null) {
+  const crosswalk = document?.crosswalk;
+  if (!crosswalk || !Array.isArray(crosswalk.mappings)) {
+    throw new ComplianceCatalogError('Document is not a crosswalk', source);
+  }
+
+  return crosswalk.mappings.flatMap((mapping, index) => {
+    const relationship = mapping.relationship || 'equivalent';
+    if (!MAPPING_RELATIONSHIPS.includes(relationship)) {
+      throw new ComplianceCatalogError(`Mapping ${index} has unknown relationship "${relationship}"`, source);
+    }
+    if (!mapping.source?.framework || !mapping.source?.control || !Array.isArray(mapping.targets)) {
+      throw new ComplianceCatalogError(`Mapping ${index} requires a source control and targets`, source);
+    }
+
+    return mapping.targets.map(target => {
+      if (!target.framework || !target.control) {
+        throw new ComplianceCatalogError(`Mapping ${index} has a target without framework and control`, source);
+      }
+      return {
+        source: controlRef(mapping.source.framework, mapping.source.control),
+        target: controlRef(target.framework, target.control),
+        relationship,
+        remarks: mapping.remarks || null,
+        crosswalk: crosswalk.metadata?.title || source
+      };
+    });
+  });
+}
+
+export class ComplianceCatalog {
+  constructor({ catalogs = BUILT_IN_CATALOGS, crosswalks = BUILT_IN_CROSSWALKS } = {}) {
+    this.frameworks = new Map(); // framework id -> Map(version -> framework)
+    this.activeVersions = new Map();
+    this.mappings = new Map(); // control ref -> Map(control ref -> mapping) in the direction evidence flows
+
+    catalogs.forEach(document => this.loadCatalog(document));
+    crosswalks.forEach(document => this.loadCrosswalk(document));
+  }
+
+  /**
+   * Register a catalogue version; it becomes the active version unless
+   * activate is false
+   */
+  loadCatalog(document, { source = null, activate = true } = {}) {
+    const framework = parseOscalCatalog(document, source);
+
+    if (!this.frameworks.has(framework.id)) {
+      this.frameworks.set(framework.id, new Map());
+    }
+    this.frameworks.get(framework.id).set(framework.version, framework);
+
+    if (activate || !this.activeVersions.has(framework.id)) {
+      this.activeVersions.set(framework.id, framework.version);
+    }
+    return framework;
+  }
+
+  /**
+   * Author an internal framework; stored as a catalogue so it can be
+   * exported and versioned like the built-in ones
+   */
+  createCustomFramework({ id, name, version = '1.0', automationLevel = 0, controls = [] }) {
+    if (!id || !name) {
+      throw new ComplianceCatalogError('Custom framework requires an id and a name');
+    }
+    if (this.frameworks.has(id) && !this.getFramework(id).custom) {
+      throw new ComplianceCatalogError(`Framework ${id} is built in and cannot be redefined as custom`);
+    }
+    controls.forEach((control, index) => {
+      if (!control.id) throw new ComplianceCatalogError(`Custom framework ${id} control ${index} requires an id`);
+    });
+
+    const document = toOscalCatalog({
+      id,
+      name,
+      version,
+      automationLevel,
+      custom: true,
+      controls
+    });
+    return this.loadCatalog(document, { source: 'custom' });
+  }
+
+  getFramework(id, version = null) {
+    const versions = this.frameworks.get(id);
+    if (!versions) return null;
+    return versions.get(version || this.activeVersions.get(id)) || null;
+  }
+
+  /**
+   * Active version of every framework
+   */
+  getFrameworks() {
+    return Array.from(this.frameworks.keys()).map(id => this.getFramework(id));
+  }
+
+  getVersions(id) {
+    return Array.from(this.frameworks.get(id)?.keys() || []);
+  }
+
+  setActiveVersion(id, version) {
+    if (!this.frameworks.get(id)?.has(version)) {
+      throw new ComplianceCatalogError(`Framework ${id} has no version ${version}`);
+    }
+    this.activeVersions.set(id, version);
+    return this.getFramework(id);
+  }
+
+  hasControl(frameworkId, controlId) {
+    return Boolean(this.getFramework(frameworkId)?.controls.some(control => control.id === controlId));
+  }
+
+  /**
+   * Load crosswalk mappings; returns the mappings and any that reference
+   * controls missing from the active catalogues
+   */
+  loadCrosswalk(document, { source = null } = {}) {
+    const mappings = parseCrosswalk(document, source);
+
+    mappings.forEach(mapping => {
+      this.addMapping(mapping.source, mapping.target, mapping);
+      if (mapping.relationship === 'equivalent') {
+        this.addMapping(mapping.target, mapping.source, mapping);
+      }
+    });
+
+    const unresolved = mappings.filter(mapping =>
+      [mapping.source, mapping.target].some(ref => {
+        const [frameworkId, ...rest] = ref.split(':');
+        return !this.hasControl(frameworkId, rest.join(':'));
+      })
+    );
+    return { mappings, unresolved };
+  }
+
+  addMapping(from, to, mapping) {
+    if (!this.mappings.has(from)) {
+      this.mappings.set(from, new Map());
+    }
+    this.mappings.get(from).set(to, mapping);
+  }
+
+  /**
+   * Controls whose evidence also counts toward the given control
+   */
+  getContributingControls(frameworkId, controlId) {
+    const ref = controlRef(frameworkId, controlId);
+    const contributing = [];
+
+    this.mappings.forEach((targets, from) => {
+      const mapping = targets.get(ref);
+      if (mapping) contributing.push({ ref: from, relationship: mapping.relationship, crosswalk: mapping.crosswalk });
+    });
+    return contributing;
+  }
+
+  /**
+   * Controls mapped to the given control, in either direction
+   */
+  getMappedControls(frameworkId, controlId) {
+    const ref = controlRef(frameworkId, controlId);
+    const outgoing = Array.from(this.mappings.get(ref)?.entries() || [])
+      .map(([target, mapping]) => ({ ref: target, relationship: mapping.relationship, direction: 'outgoing' }));
+    const incoming = this.getContributingControls(frameworkId, controlId)
+      .filter(({ ref: source }) => !outgoing.some(item => item.ref === source))
+      .map(item => ({ ref: item.ref, relationship: item.relationship, direction: 'incoming' }));
+
+    return [...outgoing, ...incoming].map(item => {
+      const [mappedFramework, ...rest] = item.ref.split(':');
+      return { ...item, frameworkId: mappedFramework, controlId: rest.join(':') };
+    });
+  }
+}
+
+export default ComplianceCatalog;
@@ -0,0 +1,185 @@
+/**
+ * Compliance Exceptions
+ * Shared model for compliance exceptions (risk acceptances): a time-boxed,
+ * approved deviation from a framework control, a policy, or an asset-level
+ * compliance issue. Used by the PolicyEngine, which owns the lifecycle, and
+ * by the exception management views.
+ */
+
+export const EXCEPTION_SCOPE_TYPES = ['control', 'policy', 'asset'];
+
+export const EXCEPTION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+export const MAX_EXCEPTION_DAYS = 365;
+
+// Approvals needed before an exception takes effect, by accepted risk
+export const APPROVAL_ROUTES = {
+  low: ['security_lead'],
+  medium: ['security_lead'],
+  high: ['security_lead', 'risk_owner'],
+  critical: ['security_lead', 'ciso']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORAGE_KEY = 'compliance_exceptions';
+
+/**
+ * Validate an exception request and normalize it into a pending exception
+ */
+export function createExceptionRequest(request, now = new Date()) {
+  const { scope = {}, justification, compensatingControls = [], expiresAt, requestedBy, riskRating = 'medium' } = request;
+
+  if (!EXCEPTION_SCOPE_TYPES.includes(scope.type)) {
+    throw new Error(`Exception scope must be one of: ${EXCEPTION_SCOPE_TYPES.join(', ')}`);
+  }
+  if (scope.type === 'control' && (!scope.frameworkId || !scope.controlId)) {
+    throw new Error('Control exceptions require a framework and control');
+  }
+  if (scope.type === 'policy' && !scope.policyId) {
+    throw new Error('Policy exceptions require a policy');
+  }
+  if (scope.type === 'asset' && (!scope.assetId || !scope.issueType)) {
+    throw new Error('Asset exceptions require an asset and issue type');
+  }
+  if (!justification || !String(justification).trim()) {
+    throw new Error('Exceptions require a justification');
+  }
+  if (!requestedBy) {
+    throw new Error('Exceptions require a requester');
+  }
+  if (!APPROVAL_ROUTES[riskRating]) {
+    throw new Error(`Unknown risk rating: ${riskRating}`);
+  }
+
+  const expiry = new Date(expiresAt);
+  validateExpiry(expiry, now);
+
+  return {
+    id: `exception_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+    scope: { ...scope },
+    justification: String(justification).trim(),
+    compensatingControls: compensatingControls.map(control => String(control).trim()).filter(Boolean),
+    riskRating,
+    requestedBy,
+    requestedAt: now.toISOString(),
+    expiresAt: expiry.toISOString(),
+    approvalRoute: APPROVAL_ROUTES[riskRating],
+    approvals: [],
+    status: EXCEPTION_STATUS.PENDING,
+    decidedAt: null,
+    history: [{ action: 'requested', by: requestedBy, at: now.toISOString() }]
+  };
+}
+
+export function validateExpiry(expiry, now = new Date()) {
+  if (Number.isNaN(expiry.getTime())) {
+    throw new Error('Exceptions require a valid expiry date');
+  }
+  if (expiry <= now) {
+    throw new Error('Exception expiry must be in the future');
+  }
+  if (expiry - now > MAX_EXCEPTION_DAYS * DAY_MS) {
+    throw new Error(`Exceptions cannot run longer than ${MAX_EXCEPTION_DAYS} days`);
+  }
+}
+
+/**
+ * Role that must sign off the next step of a pending exception's approval route
+ */
+export function getNextApprovalRole(exception) {
+  return exception.approvalRoute[exception.approvals.length] || null;
+}
+
+/**
+ * Whether someone may decide the next approval step: they hold its role, did
+ * not request the exception and have not already approved it
+ */
+export function canDecideException(exception, { approver, roles = [] }) {
+  return exception.status === EXCEPTION_STATUS.PENDING &&
+    Boolean(approver) &&
+    approver !== exception.requestedBy &&
+    !exception.approvals.some(approval => approval.approver === approver) &&
+    roles.includes(getNextApprovalRole(exception));
+}
+
+/**
+ * Status as of now: approved exceptions past their expiry count as expired
+ * even before the engine has processed them
+ */
+export function getExceptionStatus(exception, now = new Date()) {
+  if (exception.status === EXCEPTION_STATUS.APPROVED && new Date(exception.expiresAt) <= now) {
+    return EXCEPTION_STATUS.EXPIRED;
+  }
+  return exception.status;
+}
+
+export function isExceptionActive(exception, now = new Date()) {
+  return getExceptionStatus(exception, now) === EXCEPTION_STATUS.APPROVED;
+}
+
+/**
+ * Whether an exception scope covers a subject of the same shape. Policy and
+ * asset scopes without a resource or issue cover every one of them.
+ */
+export function exceptionCovers(scope, subject) {
+  if (scope.type !== subject.type) return false;
+
+  switch (scope.type) {
+    case 'control':
+      return scope.frameworkId === subject.frameworkId && scope.controlId === subject.controlId;
+    case 'policy':
+      return scope.policyId === subject.policyId && (!scope.resourceId || scope.resourceId === subject.resourceId);
+    case 'asset':
+      return scope.assetId === subject.assetId && scope.issueType === subject.issueType;
+    default:
+      return false;
+  }
+}
+
+export function describeExceptionScope(scope) {
+  switch (scope.type) {
+    case 'control':
+      return `${scope.frameworkId.toUpperCase()} ${scope.controlId}`;
+    case 'policy':
+      return scope.resourceId ? `${scope.policyId} (${scope.resourceId})` : scope.policyId;
+    case 'asset':
+      return `${scope.assetName || scope.assetId}: ${scope.issueType}`;
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Stored copy of every exception, closed ones included, so approvals and
+ * their history survive a reload
+ */
+export class ComplianceExceptionStore {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+  }
+
+  load() {
+    if (!this.storage) return [];
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.error('Failed to load compliance exceptions:', error);
+      return [];
+    }
+  }
+
+  save(exceptions) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(exceptions));
+    } catch (error) {
+      console.error('Failed to save compliance exceptions:', error);
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Compliance Snapshots
+ * Immutable point-in-time records of framework scores, control statuses and
+ * gaps, captured on a schedule or on demand. Snapshots are frozen and carry a
+ * SHA-256 hash of their content so historical scores ("what was our PCI score
+ * on the audit date?") can be reported and verified later. Includes the diff
+ * and trend helpers used by the compliance views.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { sha256Hex } from './EvidenceVault.js';
+
+const STORAGE_KEY = 'compliance_snapshots';
+
+export const SNAPSHOT_TRIGGERS = ['scheduled', 'manual'];
+
+// Higher is better; a drop between snapshots is a regression
+const CONTROL_STATUS_RANK = {
+  unsatisfied: 0,
+  excepted: 1,
+  satisfied: 2
+};
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+async function hashSnapshotContent(snapshot) {
+  const content = { ...snapshot };
+  delete content.id;
+  delete content.contentHash;
+  return sha256Hex(new TextEncoder().encode(JSON.stringify(content)));
+}
+
+export class ComplianceSnapshotStore extends EventEmitter {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null, maxSnapshots = 400 } = {}) {
+    super();
+    this.storage = storage;
+    this.maxSnapshots = maxSnapshots;
+    this.snapshots = [];
+    this.load();
+  }
+
+  /**
+   * Freeze, hash and store a snapshot of the given compliance state
+   */
+  async capture(state, { label = null, trigger = 'manual', capturedBy = null } = {}) {
+    if (!SNAPSHOT_TRIGGERS.includes(trigger)) {
+      throw new Error(`Unknown snapshot trigger: ${trigger}`);
+    }
+
+    const capturedAt = new Date();
+    const snapshot = {
+      id: `snapshot_${capturedAt.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+      label: label || `${trigger === 'manual' ? 'Manual' : 'Scheduled'} snapshot ${capturedAt.toISOString().slice(0, 10)}`,
+      trigger,
+      capturedBy,
+      capturedAt: capturedAt.toISOString(),
+      ...JSON.parse(JSON.stringify(state))
+    };
+    snapshot.contentHash = await hashSnapshotContent(snapshot);
+
+    this.snapshots.push(deepFreeze(snapshot));
+    this.prune();
+    this.save();
+    this.emit('snapshot_captured', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Drop the oldest scheduled snapshots beyond the limit; manual snapshots
+   * (audit dates, board reports) are only dropped when nothing else is left
+   */
+  prune() {
+    while (this.snapshots.length > this.maxSnapshots) {
+      const index = this.snapshots.findIndex(snapshot => snapshot.trigger === 'scheduled');
+      this.snapshots.splice(index === -1 ? 0 : index, 1);
+    }
+  }
+
+  list() {
+    return [...this.snapshots];
+  }
+
+  get(snapshotId) {
+    return this.snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+  }
+
+  /**
+   * Latest snapshot captured at or before the given date
+   */
+  getAt(date) {
+    const cutoff = new Date(date).getTime();
+    return this.snapshots.filter(snapshot => new Date(snapshot.capturedAt).getTime() <= cutoff).pop() || null;
+  }
+
+  latest(trigger = null) {
+    return this.snapshots.filter(snapshot => !trigger || snapshot.trigger === trigger).pop() || null;
+  }
+
+  async verify(snapshotId) {
+    const snapshot = this.get(snapshotId);
+    if (!snapshot) return { verified: false, reason: 'Snapshot not found' };
+
+    const actual = await hashSnapshotContent(snapshot);
+    return actual === snapshot.contentHash
+      ? { verified: true, contentHash: actual }
+      : { verified: false, reason: 'Content hash mismatch', expected: snapshot.contentHash, actual };
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+      this.snapshots = stored
+        .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt))
+        .map(deepFreeze);
+    } catch (error) {
+      console.error('Failed to load compliance snapshots:', error);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.snapshots));
+    } catch (error) {
+      console.error('Failed to save compliance snapshots:', error);
+    }
+  }
+}
+
+/**
+ * Compare two snapshots, oldest first: score changes per framework, controls
+ * that regressed or improved, and gaps opened or closed
+ */
+export function diffSnapshots(a, b) {
+  const [from, to] = new Date(a.capturedAt) <= new Date(b.capturedAt) ? [a, b] : [b, a];
+  const fromFrameworks = new Map(from.frameworks.map(framework => [framework.id, framework]));
+  const toFrameworks = new Map(to.frameworks.map(framework => [framework.id, framework]));
+  const frameworkIds = [...new Set([...fromFrameworks.keys(), ...toFrameworks.keys()])];
+
+  const frameworks = frameworkIds.map(frameworkId => {
+    const before = fromFrameworks.get(frameworkId);
+    const after = toFrameworks.get(frameworkId);
+    const beforeControls = new Map((before?.controls || []).map(control => [control.controlId, control]));
+    const afterControls = new Map((after?.controls || []).map(control => [control.controlId, control]));
+
+    const regressed = [];
+    const improved = [];
+    afterControls.forEach((control, controlId) => {
+      const previous = beforeControls.get(controlId);
+      if (!previous || previous.status === control.status) return;
+
+      const change = { controlId, description: control.description, from: previous.status, to: control.status };
+      (CONTROL_STATUS_RANK[control.status] < CONTROL_STATUS_RANK[previous.status] ? regressed : improved).push(change);
+    });
+
+    return {
+      id: frameworkId,
+      name: after?.name || before?.name,
+      versionFrom: before?.version || null,
+      versionTo: after?.version || null,
+      scoreFrom: before?.score ?? null,
+      scoreTo: after?.score ?? null,
+      delta: before && after ? after.score - before.score : null,
+      regressed,
+      improved,
+      added: [...afterControls.keys()].filter(controlId => !beforeControls.has(controlId)),
+      removed: [...beforeControls.keys()].filter(controlId => !afterControls.has(controlId))
+    };
+  });
+
+  const gapKey = gap => `${gap.frameworkId}:${gap.controlId}`;
+  const fromGaps = new Set(from.gaps.map(gapKey));
+  const toGaps = new Set(to.gaps.map(gapKey));
+
+  return {
+    from: { id: from.id, label: from.label, capturedAt: from.capturedAt },
+    to: { id: to.id, label: to.label, capturedAt: to.capturedAt },
+    overallScore: { from: from.overallScore, to: to.overallScore, delta: to.overallScore - from.overallScore },
+    frameworks,
+    gaps: {
+      opened: to.gaps.filter(gap => !fromGaps.has(gapKey(gap))),
+      closed: from.gaps.filter(gap => !toGaps.has(gapKey(gap)))
+    }
+  };
+}
+
+/**
+ * Chart rows from snapshot history: one row per snapshot with the overall
+ * score and a column per framework score
+ */
+export function snapshotTrend(snapshots) {
+  return [...snapshots]
+    .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt))
+    .map(snapshot => ({
+      snapshotId: snapshot.id,
+      label: snapshot.label,
+      capturedAt: snapshot.capturedAt,
+      overall: snapshot.overallScore,
+      ...Object.fromEntries(snapshot.frameworks.map(framework => [framework.id, framework.score]))
+    }));
+}
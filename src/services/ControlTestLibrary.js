@@ -0,0 +1,389 @@
+/**
+ * Control Test Library
+ * Compliance control tests expressed as queries over records the platform
+ * already holds (findings, devices, identity users, cloud scan findings,
+ * access review campaigns). A test selects a population of records with
+ * `scope`, requires each of them to satisfy `expect`, and passes when the
+ * failures stay inside its threshold. Failing records are returned so they
+ * can be attached to the control's evidence.
+ *
+ * Conditions:
+ *   { field, op, value }          op is one of CONDITION_OPERATORS
+ *   { all: [...] } { any: [...] } { not: condition }
+ * Thresholds:
+ *   { maxFailures: 0 }            at most this many failing records
+ *   { minPassRate: 0.95 }         at least this share of records pass
+ */
+
+export const CONDITION_OPERATORS = [
+  'equals', 'not_equals', 'in', 'not_in', 'contains',
+  'gt', 'gte', 'lt', 'lte',
+  'exists', 'missing', 'is_true', 'is_false',
+  'older_than_days', 'within_days'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OFFENDING_RECORDS = 100;
+const DISPLAY_FIELDS = ['id', 'title', 'name', 'hostname', 'email', 'username'];
+
+function getField(record, field) {
+  if (record == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(record, field)) return record[field];
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function normalize(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function ageInDays(value, now) {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : (now - time) / DAY_MS;
+}
+
+/**
+ * Evaluate a condition against a record
+ */
+export function evaluateCondition(record, condition, now = Date.now()) {
+  if (!condition) return true;
+  if (Array.isArray(condition.all)) return condition.all.every(item => evaluateCondition(record, item, now));
+  if (Array.isArray(condition.any)) return condition.any.some(item => evaluateCondition(record, item, now));
+  if (condition.not) return !evaluateCondition(record, condition.not, now);
+
+  const actual = getField(record, condition.field);
+  const expected = condition.value;
+
+  switch (condition.op) {
+    case 'equals':
+      return normalize(actual) === normalize(expected);
+    case 'not_equals':
+      return normalize(actual) !== normalize(expected);
+    case 'in':
+      return [].concat(expected).map(normalize).includes(normalize(actual));
+    case 'not_in':
+      return ![].concat(expected).map(normalize).includes(normalize(actual));
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.map(normalize).includes(normalize(expected))
+        : String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    case 'exists':
+      return actual !== undefined && actual !== null && actual !== '';
+    case 'missing':
+      return actual === undefined || actual === null || actual === '';
+    case 'is_true':
+      return actual === true || actual === 'true';
+    case 'is_false':
+      return actual !== true && actual !== 'true';
+    case 'older_than_days': {
+      const age = ageInDays(actual, now);
+      return age !== null && age > expected;
+    }
+    case 'within_days': {
+      const age = ageInDays(actual, now);
+      return age !== null && age <= expected;
+    }
+    default:
+      throw new Error(`Unknown condition operator: ${condition.op}`);
+  }
+}
+
+function conditionFields(condition, fields = new Set()) {
+  if (!condition) return fields;
+  [condition.all, condition.any].filter(Array.isArray).flat().forEach(item => conditionFields(item, fields));
+  if (condition.not) conditionFields(condition.not, fields);
+  if (condition.field) fields.add(condition.field);
+  return fields;
+}
+
+function validateCondition(condition, testId) {
+  if (!condition) return;
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    (condition.all || condition.any).forEach(item => validateCondition(item, testId));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, testId);
+    return;
+  }
+  if (!condition.field || !CONDITION_OPERATORS.includes(condition.op)) {
+    throw new Error(`Control test ${testId} has an invalid condition: ${JSON.stringify(condition)}`);
+  }
+}
+
+/**
+ * Check a test definition; returns it with defaults applied
+ */
+export function validateControlTest(test) {
+  if (!test?.id || !test.name) {
+    throw new Error('Control test requires an id and a name');
+  }
+  if (!test.source) {
+    throw new Error(`Control test ${test.id} requires a data source`);
+  }
+  if (!test.expect) {
+    throw new Error(`Control test ${test.id} requires an expect condition`);
+  }
+  validateCondition(test.scope, test.id);
+  validateCondition(test.expect, test.id);
+
+  return { threshold: { maxFailures: 0 }, ...test };
+}
+
+/**
+ * Run a test over a set of records. An empty source is inconclusive, not
+ * passed: no devices or users says nothing about the control.
+ */
+export function runControlTest(test, records, now = Date.now()) {
+  if (records.length === 0) {
+    return inconclusiveResult(test, 'no records in scope', now);
+  }
+  const population = records.filter(record => evaluateCondition(record, test.scope, now));
+  const failing = population.filter(record => !evaluateCondition(record, test.expect, now));
+  const passRate = population.length > 0 ? (population.length - failing.length) / population.length : 1;
+
+  const { threshold } = test;
+  const success = threshold.minPassRate !== undefined
+    ? passRate >= threshold.minPassRate
+    : failing.length <= (threshold.maxFailures ?? 0);
+
+  const fields = new Set([...DISPLAY_FIELDS, ...conditionFields(test.scope), ...conditionFields(test.expect)]);
+  const offendingRecords = failing.slice(0, MAX_OFFENDING_RECORDS).map(record => {
+    const summary = { source: test.source };
+    fields.forEach(field => {
+      const value = getField(record, field);
+      if (value !== undefined) summary[field] = value;
+    });
+    return summary;
+  });
+
+  const findings = [];
+  if (population.length === 0) {
+    findings.push(`${test.name}: no ${test.source} records in scope`);
+  } else if (failing.length > 0) {
+    findings.push(`${test.name}: ${failing.length} of ${population.length} ${test.source} records failed`);
+  }
+
+  return {
+    testId: test.id,
+    name: test.name,
+    source: test.source,
+    status: success ? 'passed' : 'failed',
+    success,
+    populationSize: population.length,
+    passedCount: population.length - failing.length,
+    failedCount: failing.length,
+    passRate,
+    threshold,
+    effectivenessScore: Math.round(passRate * 100),
+    findings,
+    offendingRecords,
+    offendingTotal: failing.length,
+    evaluatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Result for a test that could not be evaluated, e.g. its data source failed to load
+ */
+export function inconclusiveResult(test, reason, now = Date.now()) {
+  return {
+    testId: test.id,
+    name: test.name,
+    source: test.source,
+    status: 'inconclusive',
+    success: null,
+    populationSize: 0,
+    passedCount: 0,
+    failedCount: 0,
+    passRate: null,
+    threshold: test.threshold,
+    effectivenessScore: null,
+    findings: [`${test.name}: ${reason}`],
+    offendingRecords: [],
+    offendingTotal: 0,
+    evaluatedAt: new Date(now).toISOString()
+  };
+}
+
+// ============================================================================
+// DATA SOURCES
+// ============================================================================
+
+const DEFAULT_LOADERS = {
+  findings: async () => (await import('../api/entities.js')).Finding.list(),
+  devices: async () => (await import('../api/entities.js')).Device.list(),
+  access_reviews: async () => (await import('../api/entities.js')).AccessReviewCampaign.list(),
+  identity_users: async () => {
+    const { identityManagementService } = await import('./IdentityManagementService.js');
+    return Array.from(identityManagementService.userStore.values());
+  },
+  cloud_scan_findings: async () => {
+    const { useCloudStore } = await import('../stores/cloudStore.js');
+    // Latest completed scan per provider; history is newest first
+    const latest = new Map();
+    useCloudStore.getState().scanHistory
+      .filter(scan => scan.status === 'completed')
+      .forEach(scan => {
+        if (!latest.has(scan.provider)) latest.set(scan.provider, scan);
+      });
+    return Array.from(latest.values()).flatMap(scan =>
+      (scan.findings || []).map(finding => ({ ...finding, scanId: scan.id, provider: scan.provider }))
+    );
+  }
+};
+
+export const CONTROL_TEST_SOURCES = Object.keys(DEFAULT_LOADERS);
+
+/**
+ * Loads and caches the records control tests run over. Records pushed with
+ * setRecords take precedence over the loaders.
+ */
+export class ControlTestDataProvider {
+  constructor({ loaders = DEFAULT_LOADERS, ttl = 60000 } = {}) {
+    this.loaders = new Map(Object.entries(loaders));
+    this.ttl = ttl;
+    this.cache = new Map(); // source -> { records, loadedAt, pinned }
+  }
+
+  registerLoader(source, loader) {
+    this.loaders.set(source, loader);
+    this.cache.delete(source);
+  }
+
+  setRecords(source, records) {
+    this.cache.set(source, { records: Array.from(records), loadedAt: Date.now(), pinned: true });
+  }
+
+  invalidate(source = null) {
+    if (source) {
+      this.cache.delete(source);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  hasSource(source) {
+    return this.loaders.has(source) || this.cache.has(source);
+  }
+
+  async getRecords(source) {
+    const cached = this.cache.get(source);
+    if (cached && (cached.pinned || Date.now() - cached.loadedAt < this.ttl)) {
+      return cached.records;
+    }
+
+    const loader = this.loaders.get(source);
+    if (!loader) {
+      throw new Error(`No data source registered for ${source}`);
+    }
+
+    const records = Array.from(await loader() || []);
+    this.cache.set(source, { records, loadedAt: Date.now(), pinned: false });
+    return records;
+  }
+}
+
+// ============================================================================
+// DEFAULT TESTS
+// ============================================================================
+
+const RESOLVED_FINDING_STATUSES = ['resolved', 'false_positive', 'accepted'];
+
+export const DEFAULT_CONTROL_TESTS = [
+  {
+    id: 'critical_vulns_sla',
+    name: 'No critical vulnerabilities older than 15 days',
+    source: 'findings',
+    scope: { field: 'severity', op: 'equals', value: 'critical' },
+    expect: {
+      any: [
+        { field: 'status', op: 'in', value: RESOLVED_FINDING_STATUSES },
+        { field: 'created_date', op: 'within_days', value: 15 }
+      ]
+    },
+    threshold: { maxFailures: 0 }
+  },
+  {
+    id: 'high_vulns_sla',
+    name: 'High vulnerabilities remediated within 30 days',
+    source: 'findings',
+    scope: { field: 'severity', op: 'equals', value: 'high' },
+    expect: {
+      any: [
+        { field: 'status', op: 'in', value: RESOLVED_FINDING_STATUSES },
+        { field: 'created_date', op: 'within_days', value: 30 }
+      ]
+    },
+    threshold: { minPassRate: 0.95 }
+  },
+  {
+    id: 'critical_findings_triaged',
+    name: 'Critical findings triaged within 24 hours',
+    source: 'findings',
+    scope: { field: 'severity', op: 'equals', value: 'critical' },
+    expect: {
+      any: [
+        { field: 'status', op: 'not_equals', value: 'open' },
+        { field: 'created_date', op: 'within_days', value: 1 }
+      ]
+    },
+    threshold: { maxFailures: 0 }
+  },
+  {
+    id: 'admin_mfa_enabled',
+    name: 'MFA enabled for all admins',
+    source: 'identity_users',
+    scope: {
+      all: [
+        { field: 'status', op: 'not_in', value: ['deactivated', 'terminated'] },
+        {
+          any: [
+            { field: 'roles', op: 'contains', value: 'admin' },
+            { field: 'role', op: 'in', value: ['admin', 'super_admin'] },
+            { field: 'isPrivileged', op: 'is_true' }
+          ]
+        }
+      ]
+    },
+    expect: { field: 'mfaEnabled', op: 'is_true' },
+    threshold: { maxFailures: 0 }
+  },
+  {
+    id: 'access_reviews_on_time',
+    name: 'Access review campaigns completed by their end date',
+    source: 'access_reviews',
+    scope: { field: 'end_date', op: 'older_than_days', value: 0 },
+    expect: { field: 'status', op: 'equals', value: 'completed' },
+    threshold: { maxFailures: 0 }
+  },
+  {
+    id: 'devices_compliant',
+    name: 'Managed devices meet their compliance policy',
+    source: 'devices',
+    expect: { field: 'compliance_state', op: 'equals', value: 'compliant' },
+    threshold: { minPassRate: 0.9 }
+  },
+  {
+    id: 'devices_checked_in',
+    name: 'Devices checked in within the last 30 days',
+    source: 'devices',
+    expect: { field: 'last_seen', op: 'within_days', value: 30 },
+    threshold: { minPassRate: 0.95 }
+  },
+  {
+    id: 'cloud_critical_misconfigurations',
+    name: 'No open critical or high cloud misconfigurations',
+    source: 'cloud_scan_findings',
+    scope: { field: 'severity', op: 'in', value: ['critical', 'high'] },
+    expect: { field: 'status', op: 'in', value: RESOLVED_FINDING_STATUSES },
+    threshold: { maxFailures: 0 }
+  }
+];
@@ -0,0 +1,253 @@
+/**
+ * Detection Rule Test Harness
+ * Runs detection rules against fixture events to prove they fire on known-bad
+ * data and stay quiet on known-good data. Each suite targets one rule and
+ * ships positive and negative cases; the report gives precision and recall
+ * per rule and lists rules that have no suite.
+ *
+ * Suite format (YAML or JSON):
+ *   rule: hunt_003
+ *   type: hunting | sigma | signature | correlation
+ *   positives:
+ *     - name: mimikatz run from lsass
+ *       event: { process_name: lsass.exe, cmdline: 'mimikatz sekurlsa::logonpasswords' }
+ *   negatives:
+ *     - name: lsass without tooling
+ *       event: { process_name: lsass.exe, cmdline: 'lsass.exe' }
+ * Correlation cases list their events in order under `events` instead.
+ */
+
+import { parseAllDocuments } from 'yaml';
+import { ThreatDetectionEngine } from './ThreatDetectionEngine.js';
+import { ThreatIntelligenceEngine } from './ThreatIntelligenceEngine.js';
+
+export const RULE_TYPES = ['hunting', 'sigma', 'signature', 'correlation'];
+
+/**
+ * Error raised for malformed fixture suites
+ */
+export class DetectionFixtureError extends Error {
+  constructor(message, path = null) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'DetectionFixtureError';
+    this.path = path;
+  }
+}
+
+/**
+ * Parse fixture suites from YAML/JSON sources (strings or { path, content })
+ */
+export function parseDetectionFixtures(sources) {
+  return [].concat(sources).flatMap(source => {
+    const path = typeof source === 'string' ? null : source.path || null;
+    const content = typeof source === 'string' ? source : source.content;
+
+    return parseAllDocuments(content)
+      .filter(document => document.contents !== null)
+      .map(document => {
+        if (document.errors.length > 0) {
+          throw new DetectionFixtureError(`Invalid YAML: ${document.errors[0].message}`, path);
+        }
+        return validateSuite(document.toJS(), path);
+      });
+  });
+}
+
+function validateSuite(suite, path) {
+  if (!suite || typeof suite !== 'object' || !suite.rule) {
+    throw new DetectionFixtureError('Suite requires a rule', path);
+  }
+  if (!RULE_TYPES.includes(suite.type)) {
+    throw new DetectionFixtureError(`Suite for ${suite.rule} has unknown type "${suite.type}"`, path);
+  }
+
+  ['positives', 'negatives'].forEach(kind => {
+    if (!Array.isArray(suite[kind]) || suite[kind].length === 0) {
+      throw new DetectionFixtureError(`Suite for ${suite.rule} requires at least one of ${kind}`, path);
+    }
+    suite[kind].forEach((fixture, index) => {
+      const events = fixture?.events || (fixture?.event ? [fixture.event] : null);
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new DetectionFixtureError(`${suite.rule} ${kind}[${index}] requires an event or events`, path);
+      }
+    });
+  });
+
+  return {
+    rule: String(suite.rule),
+    type: suite.type,
+    description: suite.description || '',
+    path,
+    positives: suite.positives,
+    negatives: suite.negatives
+  };
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+export class DetectionRuleTestHarness {
+  /**
+   * Engines default to fresh instances so tests never touch live state
+   */
+  constructor({ detectionEngine = null, intelligenceEngine = null } = {}) {
+    this.detectionEngine = detectionEngine || new ThreatDetectionEngine();
+    this.intelligenceEngine = intelligenceEngine || this.createIntelligenceEngine();
+    this.suites = [];
+  }
+
+  createIntelligenceEngine() {
+    const engine = new ThreatIntelligenceEngine();
+    engine.setupHuntingRules();
+    return engine;
+  }
+
+  /**
+   * Import Sigma rules under test into the harness's detection engine
+   */
+  loadSigmaRules(sources) {
+    return this.detectionEngine.importSigmaRules(sources, { replace: true });
+  }
+
+  loadFixtures(sources) {
+    const suites = parseDetectionFixtures(sources);
+    this.suites.push(...suites);
+    return suites;
+  }
+
+  addSuite(suite) {
+    this.suites.push(validateSuite(suite, suite.path || null));
+  }
+
+  /**
+   * Whether a rule fires for the given events
+   */
+  fires(type, ruleId, events) {
+    switch (type) {
+      case 'hunting':
+        return events.some(event => this.intelligenceEngine.matchesHuntingRule(ruleId, event));
+      case 'sigma':
+        return events.some(event => this.detectionEngine.matchesDetectionRule(ruleId, event));
+      case 'signature':
+        return events.some(event => this.detectionEngine.matchesSignature(ruleId, event));
+      case 'correlation':
+        return this.detectionEngine.runCorrelationRule(ruleId, events)
+          .some(alert => alert.ruleName === ruleId);
+      default:
+        throw new Error(`Unknown rule type: ${type}`);
+    }
+  }
+
+  runSuite(suite) {
+    const result = {
+      rule: suite.rule,
+      type: suite.type,
+      path: suite.path,
+      truePositives: 0,
+      falseNegatives: 0,
+      trueNegatives: 0,
+      falsePositives: 0,
+      precision: null,
+      recall: null,
+      failures: []
+    };
+
+    const runCase = (fixture, index, expected) => {
+      const name = fixture.name || `${expected ? 'positive' : 'negative'} #${index + 1}`;
+      const events = fixture.events || [fixture.event];
+
+      let fired;
+      try {
+        fired = this.fires(suite.type, suite.rule, events);
+      } catch (error) {
+        result.failures.push({ case: name, expected, error: error.message });
+        return;
+      }
+
+      if (expected && fired) result.truePositives++;
+      if (expected && !fired) result.falseNegatives++;
+      if (!expected && fired) result.falsePositives++;
+      if (!expected && !fired) result.trueNegatives++;
+
+      if (fired !== expected) {
+        result.failures.push({ case: name, expected, actual: fired });
+      }
+    };
+
+    suite.positives.forEach((fixture, index) => runCase(fixture, index, true));
+    suite.negatives.forEach((fixture, index) => runCase(fixture, index, false));
+
+    result.precision = ratio(result.truePositives, result.truePositives + result.falsePositives);
+    result.recall = ratio(result.truePositives, result.truePositives + result.falseNegatives);
+    result.passed = result.failures.length === 0;
+    return result;
+  }
+
+  /**
+   * Rules known to the engines that no suite covers
+   */
+  findUntestedRules() {
+    const tested = new Set(this.suites.map(suite => `${suite.type}:${suite.rule}`));
+    const known = [
+      ...Array.from(this.intelligenceEngine.huntingRules.keys()).map(rule => ({ type: 'hunting', rule })),
+      ...this.detectionEngine.getDetectionRules().map(rule => ({ type: 'sigma', rule: rule.id })),
+      ...Array.from(this.detectionEngine.mlEngine.models.patternRecognition.attackSignatures.keys())
+        .map(rule => ({ type: 'signature', rule })),
+      ...this.detectionEngine.getCorrelationRules().map(rule => ({ type: 'correlation', rule: rule.name }))
+    ];
+    return known.filter(({ type, rule }) => !tested.has(`${type}:${rule}`));
+  }
+
+  run() {
+    const rules = this.suites.map(suite => this.runSuite(suite));
+    const cases = rules.reduce(
+      (sum, rule) => sum + rule.truePositives + rule.falseNegatives + rule.trueNegatives + rule.falsePositives,
+      0
+    );
+
+    return {
+      rules,
+      untested: this.findUntestedRules(),
+      summary: {
+        rules: rules.length,
+        passed: rules.filter(rule => rule.passed).length,
+        failed: rules.filter(rule => !rule.passed).length,
+        cases
+      }
+    };
+  }
+}
+
+/**
+ * Plain-text report for the console
+ */
+export function formatReport(report) {
+  const percent = (value) => (value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+  const lines = [];
+
+  report.rules.forEach(rule => {
+    lines.push(
+      `${rule.passed ? 'PASS' : 'FAIL'}  ${`${rule.type}:${rule.rule}`.padEnd(40)} ` +
+      `precision ${percent(rule.precision)}  recall ${percent(rule.recall)}  ` +
+      `(TP ${rule.truePositives} FN ${rule.falseNegatives} TN ${rule.trueNegatives} FP ${rule.falsePositives})`
+    );
+    rule.failures.forEach(failure => {
+      const detail = failure.error
+        ? `error: ${failure.error}`
+        : `expected ${failure.expected ? 'a match' : 'no match'}, got ${failure.actual ? 'a match' : 'no match'}`;
+      lines.push(`      - ${failure.case}: ${detail}`);
+    });
+  });
+
+  if (report.untested.length > 0) {
+    lines.push('', `Rules without fixtures (${report.untested.length}):`);
+    report.untested.forEach(({ type, rule }) => lines.push(`      - ${type}:${rule}`));
+  }
+
+  const { summary } = report;
+  lines.push('', `${summary.passed}/${summary.rules} rules passed, ${summary.cases} cases`);
+  return lines.join('\n');
+}
+
+export default DetectionRuleTestHarness;
@@ -0,0 +1,446 @@
+/**
+ * Evidence Vault
+ * Content-addressed store for compliance evidence. Content (test results,
+ * uploaded files) is stored once under its SHA-256 hash; evidence records
+ * point at it with the control they support, a retention period and an
+ * optional legal hold. Retention is enforced: expired evidence loses its
+ * content and keeps a tombstone, unless a legal hold blocks expiry.
+ * Selected evidence can be exported as a ZIP bundle with a manifest and a
+ * SHA256SUMS file for external auditors.
+ *
+ * Records and content are persisted in IndexedDB when it is available.
+ * Repeat observations of unchanged automated results are counted on the
+ * existing record instead of adding a new one, and extend its retention.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { createZip } from '../utils/zip.js';
+
+export const DEFAULT_RETENTION = '3 years';
+
+const RETENTION_UNITS = {
+  day: (date, amount) => date.setDate(date.getDate() + amount),
+  month: (date, amount) => date.setMonth(date.getMonth() + amount),
+  year: (date, amount) => date.setFullYear(date.getFullYear() + amount)
+};
+
+/**
+ * Expiry date for a retention period such as '7 years', '18 months' or '90 days'
+ */
+export function calculateRetainUntil(retention, from = new Date()) {
+  const match = String(retention).trim().match(/^(\d+)\s*(day|month|year)s?$/i);
+  if (!match) {
+    throw new Error(`Invalid retention period: ${retention}`);
+  }
+
+  const date = new Date(from);
+  RETENTION_UNITS[match[2].toLowerCase()](date, Number(match[1]));
+  return date.toISOString();
+}
+
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalize evidence content to bytes with a media type and file name
+ * Accepts File/Blob, Uint8Array, ArrayBuffer, strings and JSON values
+ */
+async function readContent(content, fileName = null, mediaType = null) {
+  if (content && typeof content.arrayBuffer === 'function') {
+    return {
+      bytes: new Uint8Array(await content.arrayBuffer()),
+      fileName: fileName || content.name || 'attachment',
+      mediaType: mediaType || content.type || 'application/octet-stream'
+    };
+  }
+  if (content instanceof Uint8Array || content instanceof ArrayBuffer) {
+    return {
+      bytes: new Uint8Array(content),
+      fileName: fileName || 'attachment',
+      mediaType: mediaType || 'application/octet-stream'
+    };
+  }
+  if (typeof content === 'string') {
+    return {
+      bytes: new TextEncoder().encode(content),
+      fileName: fileName || 'evidence.txt',
+      mediaType: mediaType || 'text/plain'
+    };
+  }
+  return {
+    bytes: new TextEncoder().encode(JSON.stringify(content ?? null, null, 2)),
+    fileName: fileName || 'evidence.json',
+    mediaType: mediaType || 'application/json'
+  };
+}
+
+function safeFileName(name) {
+  return String(name).replace(/[\\/:*?"<>|]+/g, '_');
+}
+
+export class MemoryEvidenceStore {
+  constructor() {
+    this.records = new Map();
+    this.blobs = new Map();
+  }
+
+  async loadAll() {
+    return {
+      records: Array.from(this.records.values()),
+      blobs: Array.from(this.blobs.values())
+    };
+  }
+
+  async saveRecord(record) {
+    this.records.set(record.id, record);
+  }
+
+  async saveBlob(blob) {
+    this.blobs.set(blob.hash, blob);
+  }
+
+  async deleteBlob(hash) {
+    this.blobs.delete(hash);
+  }
+}
+
+export class IndexedDbEvidenceStore {
+  constructor({ dbName = 'redscan-evidence-vault' } = {}) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('records', { keyPath: 'id' });
+          request.result.createObjectStore('blobs', { keyPath: 'hash' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async loadAll() {
+    const [records, blobs] = await Promise.all([
+      this.transaction('records', 'readonly', store => store.getAll()),
+      this.transaction('blobs', 'readonly', store => store.getAll())
+    ]);
+    return { records: records || [], blobs: blobs || [] };
+  }
+
+  async saveRecord(record) {
+    await this.transaction('records', 'readwrite', store => store.put(record));
+  }
+
+  async saveBlob(blob) {
+    await this.transaction('blobs', 'readwrite', store => store.put(blob));
+  }
+
+  async deleteBlob(hash) {
+    await this.transaction('blobs', 'readwrite', store => store.delete(hash));
+  }
+}
+
+export class EvidenceVault extends EventEmitter {
+  constructor({ persistence = typeof indexedDB !== 'undefined' ? new IndexedDbEvidenceStore() : new MemoryEvidenceStore() } = {}) {
+    super();
+    this.persistence = persistence;
+    this.records = new Map();
+    this.blobs = new Map(); // sha256 -> Uint8Array
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const { records, blobs } = await this.persistence.loadAll();
+      blobs.forEach(blob => {
+        if (!this.blobs.has(blob.hash)) this.blobs.set(blob.hash, new Uint8Array(blob.bytes));
+      });
+      records.forEach(record => {
+        if (!this.records.has(record.id)) this.records.set(record.id, record);
+      });
+    } catch (error) {
+      console.error('Failed to load evidence vault:', error);
+    }
+  }
+
+  async persistRecord(record) {
+    try {
+      await this.persistence.saveRecord(record);
+    } catch (error) {
+      console.error('Failed to persist evidence record:', error);
+    }
+  }
+
+  /**
+   * Store evidence content and its record. With a dedupeKey, evidence whose
+   * key matches the latest active record of the same control and type is
+   * counted as another observation of that record instead.
+   */
+  async store({
+    content,
+    fileName = null,
+    mediaType = null,
+    controlId,
+    controlRefs = [],
+    type = 'manual',
+    description = '',
+    collectedBy = null,
+    retention = DEFAULT_RETENTION,
+    dedupeKey = null,
+    metadata = {}
+  }) {
+    if (!controlId) {
+      throw new Error('Evidence requires a control');
+    }
+    await this.ready;
+
+    const collectedAt = new Date();
+    if (dedupeKey) {
+      const latest = this.list({ status: 'active', controlId }).find(record => record.type === type);
+      if (latest?.dedupeKey === dedupeKey) {
+        latest.observations = (latest.observations || 1) + 1;
+        latest.lastObservedAt = collectedAt.toISOString();
+        // Retention runs from the latest observation, not the first
+        latest.retainUntil = calculateRetainUntil(latest.retention || retention, collectedAt);
+        await this.persistRecord(latest);
+        this.emit('evidence_observed', latest);
+        return latest;
+      }
+    }
+
+    const file = await readContent(content, fileName, mediaType);
+    const contentHash = await sha256Hex(file.bytes);
+
+    if (!this.blobs.has(contentHash)) {
+      this.blobs.set(contentHash, file.bytes);
+      try {
+        await this.persistence.saveBlob({ hash: contentHash, bytes: file.bytes });
+      } catch (error) {
+        console.error('Failed to persist evidence content:', error);
+      }
+    }
+
+    // Metadata comes first so it cannot overwrite the record's own fields
+    const record = {
+      ...metadata,
+      id: `evidence_${collectedAt.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+      controlId,
+      controlRefs,
+      type,
+      description,
+      collectedBy,
+      collectedAt: collectedAt.toISOString(),
+      contentHash,
+      fileName: file.fileName,
+      mediaType: file.mediaType,
+      size: file.bytes.length,
+      retention,
+      retainUntil: calculateRetainUntil(retention, collectedAt),
+      legalHold: null,
+      integrity: { verified: true, verifiedAt: collectedAt.toISOString() },
+      status: 'active',
+      expiredAt: null,
+      dedupeKey,
+      observations: 1,
+      lastObservedAt: collectedAt.toISOString()
+    };
+
+    this.records.set(record.id, record);
+    await this.persistRecord(record);
+    this.emit('evidence_stored', record);
+    return record;
+  }
+
+  get(evidenceId) {
+    return this.records.get(evidenceId) || null;
+  }
+
+  /**
+   * Evidence records, newest first
+   */
+  list({ status = null, controlId = null } = {}) {
+    return Array.from(this.records.values())
+      .filter(record => (!status || record.status === status) && (!controlId || record.controlId === controlId))
+      .sort((a, b) => new Date(b.collectedAt) - new Date(a.collectedAt));
+  }
+
+  getContent(evidenceId) {
+    const record = this.records.get(evidenceId);
+    return record && record.status === 'active' ? this.blobs.get(record.contentHash) || null : null;
+  }
+
+  /**
+   * Re-hash stored content and compare it with the record
+   */
+  async verify(evidenceId) {
+    const record = this.records.get(evidenceId);
+    if (!record) return { verified: false, reason: 'Evidence not found' };
+    if (record.status !== 'active') return { verified: false, reason: 'Evidence has expired' };
+
+    const content = this.blobs.get(record.contentHash);
+    if (!content) return { verified: false, reason: 'Content missing' };
+
+    const actual = await sha256Hex(content);
+    const verified = actual === record.contentHash;
+    record.integrity = { verified, verifiedAt: new Date().toISOString() };
+    await this.persistRecord(record);
+
+    return verified
+      ? { verified: true, contentHash: actual }
+      : { verified: false, reason: 'Content hash mismatch', expected: record.contentHash, actual };
+  }
+
+  placeLegalHold(evidenceId, { reason, placedBy = null, matter = null }) {
+    const record = this.records.get(evidenceId);
+    if (!record) {
+      throw new Error(`Evidence not found: ${evidenceId}`);
+    }
+    if (record.status !== 'active') {
+      throw new Error(`Evidence ${evidenceId} has expired and cannot be held`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error('Legal hold requires a reason');
+    }
+
+    record.legalHold = { reason: String(reason).trim(), placedBy, matter, placedAt: new Date().toISOString() };
+    this.persistRecord(record);
+    this.emit('legal_hold_placed', record);
+    return record;
+  }
+
+  releaseLegalHold(evidenceId, { releasedBy = null } = {}) {
+    const record = this.records.get(evidenceId);
+    if (!record?.legalHold) return false;
+
+    const hold = record.legalHold;
+    record.legalHold = null;
+    this.persistRecord(record);
+    this.emit('legal_hold_released', { ...record, releasedHold: hold, releasedBy });
+    return true;
+  }
+
+  /**
+   * Expire evidence past its retention date. Held evidence is kept; expired
+   * records keep their metadata and hash but lose their content.
+   */
+  enforceRetention(now = new Date()) {
+    const expired = [];
+    const held = [];
+
+    this.records.forEach(record => {
+      if (record.status !== 'active' || new Date(record.retainUntil) > now) return;
+      if (record.legalHold) {
+        held.push(record.id);
+        return;
+      }
+
+      record.status = 'expired';
+      record.expiredAt = now.toISOString();
+      this.persistRecord(record);
+      expired.push(record.id);
+      this.emit('evidence_expired', record);
+    });
+
+    this.collectUnreferencedContent();
+    return { expired, held };
+  }
+
+  collectUnreferencedContent() {
+    const referenced = new Set(
+      Array.from(this.records.values())
+        .filter(record => record.status === 'active')
+        .map(record => record.contentHash)
+    );
+    Array.from(this.blobs.keys())
+      .filter(hash => !referenced.has(hash))
+      .forEach(hash => {
+        this.blobs.delete(hash);
+        this.persistence.deleteBlob(hash).catch(error => {
+          console.error('Failed to delete expired evidence content:', error);
+        });
+      });
+  }
+
+  /**
+   * Build a ZIP bundle of the given evidence with manifest.json and SHA256SUMS
+   */
+  async exportBundle(evidenceIds, { exportedBy = null, title = 'Compliance evidence bundle' } = {}) {
+    const records = evidenceIds.map(id => this.records.get(id)).filter(Boolean);
+    const files = [];
+    const items = [];
+    const excluded = [];
+
+    for (const record of records) {
+      const content = this.getContent(record.id);
+      if (!content) {
+        excluded.push({ id: record.id, status: record.status, contentHash: record.contentHash, expiredAt: record.expiredAt });
+        continue;
+      }
+
+      const path = `evidence/${record.id}/${safeFileName(record.fileName)}`;
+      files.push({ path, data: content, modifiedAt: record.collectedAt });
+      items.push({
+        id: record.id,
+        path,
+        sha256: record.contentHash,
+        size: record.size,
+        mediaType: record.mediaType,
+        controlId: record.controlId,
+        controlRefs: record.controlRefs,
+        type: record.type,
+        description: record.description,
+        collectedBy: record.collectedBy,
+        collectedAt: record.collectedAt,
+        lastObservedAt: record.lastObservedAt || record.collectedAt,
+        observations: record.observations || 1,
+        retainUntil: record.retainUntil,
+        legalHold: record.legalHold
+      });
+    }
+
+    const manifest = {
+      title,
+      createdAt: new Date().toISOString(),
+      exportedBy,
+      hashAlgorithm: 'SHA-256',
+      items,
+      excluded
+    };
+
+    const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+    const checksums = [
+      ...items.map(item => `${item.sha256}  ${item.path}`),
+      `${await sha256Hex(manifestBytes)}  manifest.json`
+    ].join('\n') + '\n';
+
+    const archive = createZip([
+      { path: 'manifest.json', data: manifestBytes },
+      { path: 'SHA256SUMS', data: checksums },
+      ...files
+    ]);
+
+    this.emit('bundle_exported', { exportedBy, count: items.length, excluded: excluded.length });
+    return { archive, manifest, fileName: `evidence-bundle-${Date.now()}.zip` };
+  }
+}
+
+export default EvidenceVault;
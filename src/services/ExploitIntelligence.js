@@ -0,0 +1,305 @@
+/**
+ * Exploit Intelligence
+ * Offline EPSS scores and the CISA Known Exploited Vulnerabilities (KEV)
+ * catalogue, imported from local data files so prioritisation works
+ * air-gapped. Supports the EPSS daily CSV (optionally gzipped) and the KEV
+ * catalogue as JSON or CSV. Datasets are kept in IndexedDB when available.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { parseCsv, parseCsvRecords } from '../utils/csv.js';
+
+const CVE_PATTERN = /^CVE-\d{4}-\d{4,}$/i;
+
+/**
+ * Parse an EPSS CSV snapshot. The first line carries the model version and
+ * score date as a comment: #model_version:v2023.03.01,score_date:2024-05-01T00:00:00+0000
+ */
+export function parseEpssCsv(text) {
+  const lines = String(text).split(/\r?\n/);
+  const meta = {};
+  while (lines.length > 0 && lines[0].startsWith('#')) {
+    lines.shift().slice(1).split(',').forEach(pair => {
+      const index = pair.indexOf(':');
+      if (index > 0) meta[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    });
+  }
+
+  const [header = [], ...rows] = parseCsv(lines.join('\n'));
+  const columns = header.map(column => column.trim().toLowerCase());
+  const cveIndex = columns.indexOf('cve');
+  const epssIndex = columns.indexOf('epss');
+  const percentileIndex = columns.indexOf('percentile');
+  if (cveIndex === -1 || epssIndex === -1) {
+    throw new Error('EPSS file must have cve and epss columns');
+  }
+
+  const entries = [];
+  rows.forEach(cells => {
+    const cve = cells[cveIndex]?.trim().toUpperCase();
+    const epss = Number(cells[epssIndex]);
+    if (!CVE_PATTERN.test(cve) || Number.isNaN(epss)) return;
+    entries.push([cve, epss, percentileIndex === -1 ? null : Number(cells[percentileIndex])]);
+  });
+  if (entries.length === 0) {
+    throw new Error('EPSS file contains no scores');
+  }
+
+  return {
+    modelVersion: meta.model_version || null,
+    scoreDate: meta.score_date || null,
+    entries
+  };
+}
+
+function toKevEntry(item) {
+  return {
+    cve: String(item.cveID).trim().toUpperCase(),
+    vendorProject: item.vendorProject || null,
+    product: item.product || null,
+    vulnerabilityName: item.vulnerabilityName || null,
+    dateAdded: item.dateAdded || null,
+    dueDate: item.dueDate || null,
+    requiredAction: item.requiredAction || null,
+    knownRansomwareCampaignUse: item.knownRansomwareCampaignUse || 'Unknown'
+  };
+}
+
+/**
+ * Parse the CISA KEV catalogue from its JSON feed or CSV export
+ */
+export function parseKevCatalog(text) {
+  const content = String(text).trim();
+  let catalogVersion = null;
+  let dateReleased = null;
+  let items;
+
+  if (content.startsWith('{')) {
+    const catalog = JSON.parse(content);
+    if (!Array.isArray(catalog.vulnerabilities)) {
+      throw new Error('KEV JSON must contain a vulnerabilities array');
+    }
+    catalogVersion = catalog.catalogVersion || null;
+    dateReleased = catalog.dateReleased || null;
+    items = catalog.vulnerabilities;
+  } else {
+    items = parseCsvRecords(content);
+    if (items.length > 0 && !('cveID' in items[0])) {
+      throw new Error('KEV CSV must have a cveID column');
+    }
+  }
+
+  const entries = items
+    .filter(item => CVE_PATTERN.test(String(item.cveID || '').trim()))
+    .map(item => {
+      const entry = toKevEntry(item);
+      return [entry.cve, entry];
+    });
+  if (entries.length === 0) {
+    throw new Error('KEV file contains no vulnerabilities');
+  }
+
+  return { catalogVersion, dateReleased, entries };
+}
+
+/**
+ * Detect whether a data file is an EPSS snapshot or a KEV catalogue
+ */
+export function detectDatasetKind(text) {
+  const head = String(text).slice(0, 2048);
+  if (head.trimStart().startsWith('{') || /(^|\n)"?cveID"?,/.test(head)) return 'kev';
+  if (/(^|\n)#?model_version|(^|\n)cve,epss/i.test(head)) return 'epss';
+  return null;
+}
+
+async function readFileText(file) {
+  if (/\.gz$/i.test(file.name) && typeof DecompressionStream !== 'undefined') {
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+  return file.text();
+}
+
+export class MemoryDatasetStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async save(record) {
+    this.records.set(record.id, record);
+  }
+
+  async load(id) {
+    return this.records.get(id) || null;
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+export class IndexedDbDatasetStore {
+  constructor({ dbName = 'redscan-exploit-intel', storeName = 'datasets' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async save(record) {
+    await this.transaction('readwrite', store => store.put(record));
+  }
+
+  async load(id) {
+    return (await this.transaction('readonly', store => store.get(id))) || null;
+  }
+
+  async delete(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+  }
+}
+
+export class ExploitIntelligence extends EventEmitter {
+  constructor({ store = typeof indexedDB !== 'undefined' ? new IndexedDbDatasetStore() : new MemoryDatasetStore() } = {}) {
+    super();
+    this.store = store;
+    this.epss = new Map(); // cve -> { epss, percentile }
+    this.kev = new Map(); // cve -> KEV entry
+    this.datasets = { epss: null, kev: null };
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const [epss, kev] = await Promise.all([this.store.load('epss'), this.store.load('kev')]);
+      if (epss) this.applyDataset(epss);
+      if (kev) this.applyDataset(kev);
+    } catch (error) {
+      console.error('Failed to load exploit intelligence data:', error);
+    }
+  }
+
+  applyDataset(record) {
+    const { entries, ...meta } = record;
+    if (record.id === 'epss') {
+      this.epss = new Map(entries.map(([cve, epss, percentile]) => [cve, { epss, percentile }]));
+    } else {
+      this.kev = new Map(entries);
+    }
+    this.datasets[record.id] = meta;
+    this.emit('dataset_loaded', meta);
+  }
+
+  async importDataset(kind, text, { fileName = null } = {}) {
+    const parsed = kind === 'epss' ? parseEpssCsv(text) : parseKevCatalog(text);
+    const record = {
+      id: kind,
+      ...parsed,
+      count: parsed.entries.length,
+      fileName,
+      importedAt: new Date().toISOString()
+    };
+
+    this.applyDataset(record);
+    try {
+      await this.store.save(record);
+    } catch (error) {
+      console.error(`Failed to save ${kind.toUpperCase()} data:`, error);
+    }
+    this.emit('dataset_imported', this.datasets[kind]);
+    return this.datasets[kind];
+  }
+
+  importEpss(text, options) {
+    return this.importDataset('epss', text, options);
+  }
+
+  importKev(text, options) {
+    return this.importDataset('kev', text, options);
+  }
+
+  /**
+   * Import a local EPSS (.csv, .csv.gz) or KEV (.json, .csv) file
+   */
+  async importFile(file) {
+    const text = await readFileText(file);
+    const kind = detectDatasetKind(text);
+    if (!kind) {
+      throw new Error(`${file.name} is not a recognised EPSS or KEV file`);
+    }
+    return this.importDataset(kind, text, { fileName: file.name });
+  }
+
+  async clear(kind) {
+    if (kind === 'epss') this.epss = new Map();
+    else this.kev = new Map();
+    this.datasets[kind] = null;
+    await this.store.delete(kind);
+    this.emit('dataset_cleared', kind);
+  }
+
+  getEpss(cve) {
+    return this.epss.get(String(cve).toUpperCase()) || null;
+  }
+
+  getKev(cve) {
+    return this.kev.get(String(cve).toUpperCase()) || null;
+  }
+
+  /**
+   * Exploit context for a finding's CVEs: the highest EPSS score and the
+   * first KEV listing among them
+   */
+  getExploitContext(cveIds = []) {
+    const cves = [...new Set(cveIds.filter(Boolean).map(cve => String(cve).toUpperCase()))];
+
+    let epss = null;
+    cves.forEach(cve => {
+      const score = this.epss.get(cve);
+      if (score && (!epss || score.epss > epss.epss)) {
+        epss = { cve, ...score };
+      }
+    });
+
+    const kevCve = cves.find(cve => this.kev.has(cve));
+
+    return {
+      cves,
+      epss,
+      kev: kevCve ? this.kev.get(kevCve) : null,
+      epssScoreDate: this.datasets.epss?.scoreDate || null,
+      kevCatalogVersion: this.datasets.kev?.catalogVersion || null
+    };
+  }
+
+  getStatus() {
+    return { ...this.datasets };
+  }
+}
+
+export const exploitIntelligence = new ExploitIntelligence();
+export default exploitIntelligence;
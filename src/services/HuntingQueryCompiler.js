@@ -0,0 +1,188 @@
+/**
+ * Hunting Query Compiler
+ * Compiles the query strings of threat hunting rules into event predicates.
+ *
+ * Syntax:
+ *   field:value              case-insensitive match, * and ? wildcards
+ *   field:(a OR b)           any of the listed values
+ *   field:*                  field is present and not empty
+ *   term                     event type equals term, or a flag field of that name is true
+ *   AND, OR, NOT, ( )        boolean operators, AND binds tighter than OR
+ * Values run until the next AND/OR/NOT keyword or closing parenthesis, so
+ * they may contain spaces: cmdline:*-WindowStyle Hidden*
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+export class HuntingQueryError extends Error {
+  constructor(message, query) {
+    super(`${message} in query: ${query}`);
+    this.name = 'HuntingQueryError';
+    this.query = query;
+  }
+}
+
+const cache = new Map();
+
+/**
+ * Compile a hunting query; compiled predicates are cached by query text
+ */
+export function compileHuntingQuery(query) {
+  if (!cache.has(query)) {
+    cache.set(query, new QueryParser(query).parse());
+  }
+  return cache.get(query);
+}
+
+function getField(event, field) {
+  if (event == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(event, field)) return event[field];
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+function wildcardPattern(value) {
+  const source = value
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\/]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function fieldMatcher(field, values) {
+  const patterns = values.map(value => (value === '*' ? null : wildcardPattern(value)));
+
+  return (event) => {
+    const actual = getField(event, field);
+    const candidates = Array.isArray(actual) ? actual : [actual];
+    return candidates.some(candidate => {
+      if (candidate === undefined || candidate === null || candidate === '') return false;
+      return patterns.some(pattern => pattern === null || pattern.test(String(candidate)));
+    });
+  };
+}
+
+function termMatcher(term) {
+  return (event) => event?.type === term || getField(event, term) === true;
+}
+
+class QueryParser {
+  constructor(query) {
+    this.query = query;
+    this.position = 0;
+  }
+
+  parse() {
+    const predicate = this.parseOr();
+    this.skipWhitespace();
+    if (this.position < this.query.length) {
+      this.fail(`Unexpected "${this.query[this.position]}" at position ${this.position}`);
+    }
+    return predicate;
+  }
+
+  fail(message) {
+    throw new HuntingQueryError(message, this.query);
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.query[this.position] || '')) this.position++;
+  }
+
+  peekKeyword() {
+    this.skipWhitespace();
+    const match = this.query.slice(this.position).match(/^(AND|OR|NOT)(?=[\s(]|$)/);
+    return match ? match[1] : null;
+  }
+
+  consume(text) {
+    this.position += text.length;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peekKeyword() === 'OR') {
+      this.consume('OR');
+      const a = left;
+      const b = this.parseAnd();
+      left = (event) => a(event) || b(event);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    while (this.peekKeyword() === 'AND') {
+      this.consume('AND');
+      const a = left;
+      const b = this.parseUnary();
+      left = (event) => a(event) && b(event);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.peekKeyword() === 'NOT') {
+      this.consume('NOT');
+      const operand = this.parseUnary();
+      return (event) => !operand(event);
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    this.skipWhitespace();
+    if (this.position >= this.query.length) this.fail('Unexpected end of query');
+
+    if (this.query[this.position] === '(') {
+      this.consume('(');
+      const inner = this.parseOr();
+      this.skipWhitespace();
+      if (this.query[this.position] !== ')') this.fail('Missing closing parenthesis');
+      this.consume(')');
+      return inner;
+    }
+
+    const name = this.query.slice(this.position).match(/^[A-Za-z0-9_.-]+/);
+    if (!name || KEYWORDS.includes(name[0])) {
+      this.fail(`Expected a field or term at position ${this.position}`);
+    }
+    this.consume(name[0]);
+
+    if (this.query[this.position] !== ':') {
+      return termMatcher(name[0]);
+    }
+    this.consume(':');
+
+    return fieldMatcher(name[0], this.parseValues());
+  }
+
+  parseValues() {
+    this.skipWhitespace();
+    if (this.query[this.position] !== '(') {
+      return [this.parseValue()];
+    }
+
+    this.consume('(');
+    const values = [this.parseValue()];
+    while (this.peekKeyword() === 'OR') {
+      this.consume('OR');
+      values.push(this.parseValue());
+    }
+    this.skipWhitespace();
+    if (this.query[this.position] !== ')') this.fail('Missing closing parenthesis in value list');
+    this.consume(')');
+    return values;
+  }
+
+  parseValue() {
+    this.skipWhitespace();
+    const rest = this.query.slice(this.position);
+    const match = rest.match(/^(.*?)(?=\s+(?:AND|OR|NOT)(?=[\s(]|$)|\)|$)/s);
+    const value = match[1].trim();
+    if (!value) this.fail(`Missing value at position ${this.position}`);
+    this.consume(match[1]);
+    return value.replace(/^"(.*)"$/s, '$1');
+  }
+}
+
+export default compileHuntingQuery;
@@ -4,6 +4,11 @@
  * evidence collection, stakeholder notification, and AI-powered analysis
  */
 
+import { z } from 'zod';
+import { securityActionRegistry } from './SecurityActionRegistry';
+import { ActionSimulator } from './SecurityActionSimulator';
+import { assetDependencyGraph } from './AssetDependencyGraph';
+
 class IncidentResponseEngine {
   constructor() {
     this.isRunning = false;
@@ -24,6 +29,7 @@ class IncidentResponseEngine {
     };
     this.integrations = new Map();
     this.aiEngine = null;
+    this.dependencyGraph = assetDependencyGraph;
     this.stakeholders = new Map();
     this.templates = new Map();
     this.reports = new Map();
@@ -33,6 +39,7 @@ class IncidentResponseEngine {
     try {
       console.log('🚨 Initializing Incident Response Engine...');
       
+      this.registerActions();
       await this.loadPlaybooks();
       await this.setupWorkflows();
       await this.initializeIntegrations();
@@ -51,6 +58,58 @@ class IncidentResponseEngine {
     }
   }
 
+  registerActions() {
+    // Built-in playbook actions; integrations may register replacements first
+    const actions = [
+      {
+        name: 'endpoint_isolation',
+        category: 'containment',
+        timeout: 300,
+        inputSchema: z.object({ preserve_evidence: z.boolean().optional() }).passthrough(),
+        handler: (incident, parameters) => this.isolateEndpoint(incident, parameters)
+      },
+      {
+        name: 'evidence_collection',
+        category: 'investigation',
+        timeout: 600,
+        inputSchema: z.object({ scope: z.array(z.string()).min(1) }).passthrough(),
+        handler: (incident, parameters) => this.collectEvidence(incident, parameters)
+      },
+      {
+        name: 'threat_intelligence',
+        category: 'enrichment',
+        timeout: 900,
+        handler: (incident, parameters) => this.enrichThreatIntelligence(incident, parameters)
+      },
+      {
+        name: 'send_notification',
+        category: 'notification',
+        timeout: 120,
+        inputSchema: z.object({ severity: z.string(), channels: z.array(z.string()) }).passthrough(),
+        handler: (incident, parameters) => this.sendNotification(incident, parameters)
+      },
+      {
+        name: 'remediation',
+        category: 'remediation',
+        timeout: 1800,
+        handler: (incident, parameters) => this.executeRemediation(incident, parameters)
+      }
+    ];
+
+    actions.forEach(({ handler, ...action }) => {
+      if (securityActionRegistry.has(action.name)) return;
+
+      securityActionRegistry.register({
+        ...action,
+        provider: 'incident_response',
+        handler: async (parameters, context) => ({
+          success: true,
+          details: await handler(context.incident, parameters)
+        })
+      });
+    });
+  }
+
   async loadPlaybooks() {
     // Comprehensive incident response playbooks
     const playbooks = [
@@ -745,6 +804,17 @@ Contact: {{primary_contact}}
         }
       };
 
+      // What the affected assets can reach and what depends on them
+      if (incident.affectedAssets.length > 0) {
+        incident.blastRadius = this.dependencyGraph.blastRadius(incident.affectedAssets);
+        incident.timeline.push({
+          timestamp: new Date().toISOString(),
+          event: 'blast_radius_assessed',
+          description: `${incident.blastRadius.affectedCount} assets reachable from or dependent on the affected assets (${incident.blastRadius.criticalCount} high or critical)`,
+          actor: 'system'
+        });
+      }
+
       // Store incident
       this.incidents.set(incidentId, incident);
       
@@ -847,7 +917,11 @@ Contact: {{primary_contact}}
     return score;
   }
 
-  async executePlaybook(incidentId, playbookId) {
+  async executePlaybook(incidentId, playbookId, options = {}) {
+    if (options.dryRun) {
+      return this.simulatePlaybook(incidentId, playbookId, options);
+    }
+
     try {
       const incident = this.incidents.get(incidentId);
       const playbook = this.playbooks.get(playbookId);
@@ -930,26 +1004,92 @@ Contact: {{primary_contact}}
     }
   }
 
+  /**
+   * Dry-run a playbook: actions resolve to recorded or mock responses and the
+   * incident, metrics and stakeholders are left untouched. Options accept
+   * mocks (see ActionSimulator), a historical incident to replay and an
+   * unregistered playbook definition.
+   */
+  async simulatePlaybook(incidentId, playbookId, { mocks = {}, incident = null, playbook = null } = {}) {
+    const replayed = incident || this.incidents.get(incidentId);
+    const target = playbook || this.playbooks.get(playbookId);
+
+    if (!replayed || !target) {
+      throw new Error('Incident or playbook not found');
+    }
+
+    console.log(`🧪 Dry-running playbook ${target.id} for incident ${replayed.id}`);
+
+    const simulator = new ActionSimulator(mocks);
+    const execution = {
+      id: `DRYRUN-${Date.now()}`,
+      dryRun: true,
+      incidentId: replayed.id,
+      playbookId: target.id,
+      status: 'running',
+      steps: target.steps.map(step => ({
+        id: step.id,
+        name: step.name,
+        action: step.action,
+        priority: step.priority,
+        status: 'pending',
+        result: null,
+        error: null
+      })),
+      errors: []
+    };
+
+    for (const [index, step] of target.steps.entries()) {
+      const simulated = execution.steps[index];
+      const result = await simulator.execute({
+        stepId: step.id,
+        stepName: step.name,
+        action: step.action,
+        params: step.parameters || {}
+      });
+
+      if (result.success) {
+        simulated.status = 'completed';
+        simulated.result = result.details ?? null;
+        continue;
+      }
+
+      simulated.status = 'failed';
+      simulated.error = result.error;
+      execution.errors.push(`Step ${step.name} failed: ${result.error}`);
+
+      if (step.priority <= 2) {
+        // A live run escalates the incident and stops here
+        simulator.recordEvent('escalation', { step: step.id, reason: 'critical_step_failure' });
+        break;
+      }
+    }
+
+    execution.status = execution.steps.every(s => s.status === 'completed') ? 'completed' : 'failed';
+    execution.trace = simulator.buildTrace({
+      target: { type: 'playbook', id: target.id, name: target.name },
+      incident: replayed,
+      status: execution.status,
+      errors: execution.errors
+    });
+
+    return execution;
+  }
+
   async executePlaybookStep(incident, step) {
-    switch (step.action) {
-      case 'endpoint_isolation':
-        return await this.isolateEndpoint(incident, step.parameters);
-      
-      case 'evidence_collection':
-        return await this.collectEvidence(incident, step.parameters);
-      
-      case 'threat_intelligence':
-        return await this.enrichThreatIntelligence(incident, step.parameters);
-      
-      case 'send_notification':
-        return await this.sendNotification(incident, step.parameters);
-      
-      case 'remediation':
-        return await this.executeRemediation(incident, step.parameters);
-      
-      default:
-        throw new Error(`Unknown action: ${step.action}`);
+    const result = await securityActionRegistry.execute(
+      step.action,
+      step.parameters || {},
+      { incident, incidentId: incident.id, source: 'incident_response' },
+      { timeout: step.timeout }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
     }
+
+    step.compensation = result.compensation;
+    return result.details;
   }
 
   async isolateEndpoint(incident, parameters) {
@@ -5,6 +5,8 @@
  * Manages WebSocket connections, data synchronization, and event broadcasting
  */
 
+import { alertSuppressionService } from './AlertSuppressionService.js';
+
 export class RealTimeDataService {
   constructor() {
     this.ws = null;
@@ -243,6 +245,13 @@ export class RealTimeDataService {
    * Handle security alerts
    */
   handleSecurityAlert(alert) {
+    // Known-benign alerts are hidden by suppression rules before anyone sees them
+    const suppressedBy = alertSuppressionService.check(alert, 'realtime_alerts');
+    if (suppressedBy) {
+      this.notifySubscribers('alert_suppressed', { alert, ruleId: suppressedBy.id });
+      return;
+    }
+
     this.cache.alerts.unshift(alert);
     
     if (this.cache.alerts.length > this.maxQueueSize) {
@@ -0,0 +1,722 @@
+/**
+ * Scan Result Importer
+ * Parses scanner output into Finding and Vulnerability records and maps each
+ * result to an asset by hostname, IP, image or repository. Supports SARIF 2.1,
+ * Nessus (.nessus v2), OpenVAS/GVM XML reports, Trivy JSON and Nuclei JSONL.
+ * Parsers are pure so they run in Node against the fixtures in tests/importers.
+ */
+
+import { parseXml, xmlChild, xmlChildren, xmlChildText, xmlFindAll } from '../utils/xml.js';
+import { calculateCvss, getCvssSeverity, isValidCvssVector } from '../utils/cvss.js';
+
+const CVE_PATTERN = /CVE-\d{4}-\d{4,}/gi;
+const IP_PATTERN = /^(\d{1,3}\.){3}\d{1,3}$|^[0-9a-f]*:[0-9a-f:]+$/i;
+
+function extractCves(...values) {
+  const cves = new Set();
+  values.flat().filter(Boolean).forEach(value => {
+    (String(value).match(CVE_PATTERN) || []).forEach(cve => cves.add(cve.toUpperCase()));
+  });
+  return [...cves];
+}
+
+function normaliseSeverity(value) {
+  switch (String(value || '').trim().toLowerCase()) {
+    case 'critical': return 'critical';
+    case 'high': return 'high';
+    case 'medium':
+    case 'moderate': return 'medium';
+    case 'low': return 'low';
+    default: return 'info';
+  }
+}
+
+function severityFromScore(score) {
+  const severity = getCvssSeverity(score);
+  return severity === 'none' ? 'info' : severity;
+}
+
+/**
+ * CVSS score and vector, keeping only vectors the CVSS calculator understands
+ */
+function cvssFields(vector, score) {
+  const validVector = vector && isValidCvssVector(vector) ? vector : null;
+  let cvssScore = score !== undefined && score !== null && score !== '' ? Number(score) : null;
+  if (Number.isNaN(cvssScore)) cvssScore = null;
+  if (cvssScore === null && validVector) {
+    cvssScore = calculateCvss(validVector).baseScore;
+  }
+  return { cvss_score: cvssScore, cvss_vector: validVector };
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function createRecord(scanner, fields) {
+  const record = {
+    scanner,
+    rule_id: null,
+    title: null,
+    description: null,
+    severity: 'info',
+    informational: false,
+    source: null,
+    cve_ids: [],
+    cvss_score: null,
+    cvss_vector: null,
+    solution: null,
+    references: [],
+    component: null,
+    target: {},
+    evidence: { location: null, snippet: null },
+    ...fields
+  };
+  record.title = record.title || record.rule_id;
+  record.fingerprint = record.fingerprint ||
+    [scanner, record.rule_id, describeTarget(record.target), record.evidence.location].filter(Boolean).join('|');
+  return record;
+}
+
+// SARIF 2.1
+
+function getSourceFromRuleId(ruleId) {
+  if (!ruleId) return 'sast';
+  const lowerRuleId = ruleId.toLowerCase();
+  if (lowerRuleId.includes('gitleaks')) return 'secrets';
+  if (lowerRuleId.includes('semgrep')) return 'sast';
+  if (lowerRuleId.includes('grype') || lowerRuleId.includes('dependency')) return 'sca';
+  if (lowerRuleId.includes('checkov')) return 'iac';
+  if (lowerRuleId.includes('bandit')) return 'sast';
+  if (lowerRuleId.includes('gosec')) return 'sast';
+  return 'sast'; // Default to SAST
+}
+
+function mapSarifLevel(level) {
+  switch (level) {
+    case 'error': return 'high';
+    case 'warning': return 'medium';
+    case 'note': return 'low';
+    default: return 'info';
+  }
+}
+
+export function parseSarif(text) {
+  const sarif = JSON.parse(text);
+  if (!Array.isArray(sarif.runs)) {
+    throw new Error('SARIF file has no runs');
+  }
+  if (sarif.version && !String(sarif.version).startsWith('2.')) {
+    throw new Error(`Unsupported SARIF version ${sarif.version}`);
+  }
+
+  const records = [];
+  const errors = [];
+
+  sarif.runs.forEach((run, runIndex) => {
+    const driver = run.tool?.driver || {};
+    const toolName = driver.name || 'SARIF';
+    const rules = [driver, ...(run.tool?.extensions || [])].flatMap(component => component.rules || []);
+    const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+    const repository = run.versionControlProvenance?.[0]?.repositoryUri || null;
+
+    (run.results || []).forEach((result, resultIndex) => {
+      const rule = rules[result.ruleIndex ?? result.rule?.index] || rulesById.get(result.ruleId || result.rule?.id);
+      const ruleId = result.ruleId || result.rule?.id || rule?.id;
+      const message = result.message?.text || rule?.shortDescription?.text;
+      if (!ruleId && !message) {
+        errors.push({ item: `runs[${runIndex}].results[${resultIndex}]`, message: 'Result has no rule or message' });
+        return;
+      }
+
+      const location = result.locations?.[0]?.physicalLocation;
+      const file = location?.artifactLocation?.uri || 'Unknown file';
+      const line = location?.region?.startLine || 1;
+      const securitySeverity = parseFloat(result.properties?.['security-severity'] ?? rule?.properties?.['security-severity']);
+      const level = result.level || rule?.defaultConfiguration?.level || 'warning';
+      const fingerprint = Object.values(result.fingerprints || result.partialFingerprints || {})[0];
+
+      records.push(createRecord('sarif', {
+        rule_id: ruleId,
+        title: message || ruleId,
+        description: rule?.fullDescription?.text || rule?.shortDescription?.text ||
+          `Finding for rule: ${ruleId}. Full details in scan report.`,
+        severity: Number.isNaN(securitySeverity) ? mapSarifLevel(level) : severityFromScore(securitySeverity),
+        source: getSourceFromRuleId(`${toolName} ${ruleId}`),
+        cve_ids: extractCves(ruleId, rule?.properties?.tags, message),
+        solution: rule?.help?.text || null,
+        references: asList(rule?.helpUri),
+        target: repository ? { repository } : {},
+        evidence: {
+          location: `${file}#L${line}`,
+          snippet: location?.contextRegion?.snippet?.text || location?.region?.snippet?.text || 'No snippet available.'
+        },
+        tool: toolName,
+        fingerprint: fingerprint ? `sarif|${fingerprint}` : null
+      }));
+    });
+  });
+
+  return { records, errors };
+}
+
+// Nessus (.nessus v2)
+
+const NESSUS_SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+export function parseNessus(text) {
+  const report = parseXml(text);
+  if (report.name !== 'NessusClientData_v2') {
+    throw new Error('Not a Nessus v2 report (expected NessusClientData_v2)');
+  }
+
+  const records = [];
+  const errors = [];
+
+  xmlFindAll(report, 'ReportHost').forEach(host => {
+    const properties = Object.fromEntries(
+      xmlChildren(xmlChild(host, 'HostProperties'), 'tag').map(tag => [tag.attributes.name, tag.text.trim()])
+    );
+    const name = host.attributes.name;
+    const ip = properties['host-ip'] || (IP_PATTERN.test(name) ? name : null);
+    const hostname = properties['host-fqdn'] || (IP_PATTERN.test(name) ? null : name) ||
+      properties['hostname'] || properties['netbios-name'] || null;
+
+    xmlChildren(host, 'ReportItem').forEach((item, itemIndex) => {
+      const { pluginID, pluginName, port, protocol } = item.attributes;
+      if (!pluginID) {
+        errors.push({ item: `${name} ReportItem ${itemIndex + 1}`, message: 'ReportItem has no pluginID' });
+        return;
+      }
+
+      const severityLevel = Number(item.attributes.severity);
+      const cvss = xmlChildText(item, 'cvss3_vector')
+        ? cvssFields(xmlChildText(item, 'cvss3_vector'), xmlChildText(item, 'cvss3_base_score'))
+        : cvssFields(null, xmlChildText(item, 'cvss_base_score'));
+      const synopsis = xmlChildText(item, 'synopsis');
+      const description = xmlChildText(item, 'description');
+
+      records.push(createRecord('nessus', {
+        rule_id: pluginID,
+        title: pluginName || xmlChildText(item, 'plugin_name'),
+        description: [synopsis, description].filter(Boolean).join('\n\n') || null,
+        severity: NESSUS_SEVERITIES[severityLevel] || normaliseSeverity(xmlChildText(item, 'risk_factor')),
+        informational: severityLevel === 0,
+        source: 'network',
+        cve_ids: extractCves(xmlChildren(item, 'cve').map(cve => cve.text)),
+        ...cvss,
+        solution: xmlChildText(item, 'solution'),
+        references: (xmlChildText(item, 'see_also') || '').split(/\s+/).filter(Boolean),
+        target: { hostname, ip },
+        evidence: {
+          location: `${hostname || ip || name}:${port || 0}/${protocol || 'tcp'}`,
+          snippet: xmlChildText(item, 'plugin_output') || 'No plugin output.'
+        },
+        plugin_family: item.attributes.pluginFamily || null
+      }));
+    });
+  });
+
+  return { records, errors };
+}
+
+// OpenVAS / Greenbone XML report
+
+function parseOpenVasTags(tags) {
+  return Object.fromEntries((tags || '').split('|').map(pair => {
+    const index = pair.indexOf('=');
+    return index === -1 ? [pair, ''] : [pair.slice(0, index), pair.slice(index + 1)];
+  }).filter(([key]) => key));
+}
+
+const OPENVAS_INFORMATIONAL = ['log', 'debug', 'false positive'];
+
+export function parseOpenVas(text) {
+  const report = parseXml(text);
+  if (!['report', 'get_reports_response'].includes(report.name)) {
+    throw new Error('Not an OpenVAS report (expected a report element)');
+  }
+
+  const records = [];
+  const errors = [];
+
+  xmlFindAll(report, 'results').flatMap(results => xmlChildren(results, 'result')).forEach((result, resultIndex) => {
+    const nvt = xmlChild(result, 'nvt');
+    const oid = nvt?.attributes.oid;
+    if (!oid) {
+      errors.push({ item: `result ${result.attributes.id || resultIndex + 1}`, message: 'Result has no NVT OID' });
+      return;
+    }
+
+    const hostElement = xmlChild(result, 'host');
+    const ip = hostElement?.text.trim() || null;
+    const hostname = xmlChildText(hostElement, 'hostname');
+    const port = xmlChildText(result, 'port') || 'general/tcp';
+    const tags = parseOpenVasTags(xmlChildText(nvt, 'tags'));
+    const threat = (xmlChildText(result, 'threat') || '').toLowerCase();
+    const score = parseFloat(xmlChildText(result, 'severity') ?? xmlChildText(nvt, 'cvss_base'));
+    const v3Severity = xmlChildren(xmlChild(nvt, 'severities'), 'severity')
+      .find(severity => /^cvss_base_v[34]/.test(severity.attributes.type));
+    const refs = xmlChildren(xmlChild(nvt, 'refs'), 'ref');
+    const informational = OPENVAS_INFORMATIONAL.includes(threat);
+
+    records.push(createRecord('openvas', {
+      rule_id: oid,
+      title: xmlChildText(result, 'name') || xmlChildText(nvt, 'name'),
+      description: [tags.summary, tags.insight].filter(Boolean).join('\n\n') || null,
+      severity: informational ? 'info' : Number.isNaN(score) || score <= 0 ? normaliseSeverity(threat) : severityFromScore(score),
+      informational,
+      source: 'network',
+      cve_ids: extractCves(
+        refs.filter(ref => ref.attributes.type?.toLowerCase() === 'cve').map(ref => ref.attributes.id),
+        xmlChildText(nvt, 'cve')
+      ),
+      ...cvssFields(xmlChildText(v3Severity, 'value') || tags.cvss_base_vector, Number.isNaN(score) || score <= 0 ? null : score),
+      solution: xmlChildText(nvt, 'solution') || tags.solution || null,
+      references: refs.filter(ref => ref.attributes.type === 'url').map(ref => ref.attributes.id),
+      target: { hostname, ip },
+      evidence: {
+        location: `${hostname || ip}:${port}`,
+        snippet: xmlChildText(result, 'description') || 'No detection output.'
+      },
+      plugin_family: xmlChildText(nvt, 'family')
+    }));
+  });
+
+  return { records, errors };
+}
+
+// Trivy JSON
+
+function pickTrivyCvss(vulnerability) {
+  const sources = vulnerability.CVSS || {};
+  const preferred = sources[vulnerability.SeveritySource] || sources.nvd;
+  const source = [preferred, ...Object.values(sources)].find(entry => entry?.V40Vector || entry?.V3Vector);
+  if (!source) return { cvss_score: null, cvss_vector: null };
+  return source.V40Vector ? cvssFields(source.V40Vector, source.V40Score) : cvssFields(source.V3Vector, source.V3Score);
+}
+
+function trivyTarget(report) {
+  switch (report.ArtifactType) {
+    case 'container_image': return { image: report.ArtifactName };
+    case 'repository': return { repository: report.ArtifactName };
+    default: return report.ArtifactName ? { path: report.ArtifactName } : {};
+  }
+}
+
+export function parseTrivy(text) {
+  const report = JSON.parse(text);
+  if (!Array.isArray(report.Results)) {
+    if (report.SchemaVersion) return { records: [], errors: [] }; // Clean scan
+    throw new Error('Not a Trivy JSON report (no Results)');
+  }
+
+  const records = [];
+  const errors = [];
+  const target = trivyTarget(report);
+
+  report.Results.forEach(result => {
+    (result.Vulnerabilities || []).forEach((vuln, index) => {
+      if (!vuln.VulnerabilityID || !vuln.PkgName) {
+        errors.push({ item: `${result.Target} vulnerability ${index + 1}`, message: 'Vulnerability has no ID or package' });
+        return;
+      }
+      records.push(createRecord('trivy', {
+        rule_id: vuln.VulnerabilityID,
+        title: `${vuln.PkgName}: ${vuln.VulnerabilityID}`,
+        description: vuln.Description || `Vulnerability ${vuln.VulnerabilityID} found in ${vuln.PkgName}.`,
+        severity: normaliseSeverity(vuln.Severity),
+        source: result.Class === 'lang-pkgs' ? 'sca' : 'cspm',
+        cve_ids: extractCves(vuln.VulnerabilityID, vuln.VendorIDs),
+        ...pickTrivyCvss(vuln),
+        solution: vuln.FixedVersion ? `Upgrade ${vuln.PkgName} to ${vuln.FixedVersion}` : null,
+        references: asList(vuln.PrimaryURL || vuln.References?.[0]),
+        component: `${vuln.PkgName}@${vuln.InstalledVersion}`,
+        fixed_version: vuln.FixedVersion || null,
+        target,
+        evidence: {
+          location: `Package: ${vuln.PkgName}@${vuln.InstalledVersion} (${result.Target})`,
+          snippet: `Fixed Version: ${vuln.FixedVersion || 'N/A'}`
+        }
+      }));
+    });
+
+    (result.Misconfigurations || []).filter(misconfig => misconfig.Status !== 'PASS').forEach((misconfig, index) => {
+      const id = misconfig.AVDID || misconfig.ID;
+      if (!id) {
+        errors.push({ item: `${result.Target} misconfiguration ${index + 1}`, message: 'Misconfiguration has no ID' });
+        return;
+      }
+      const line = misconfig.CauseMetadata?.StartLine;
+      records.push(createRecord('trivy', {
+        rule_id: id,
+        title: misconfig.Title || id,
+        description: [misconfig.Description, misconfig.Message].filter(Boolean).join('\n\n') || null,
+        severity: normaliseSeverity(misconfig.Severity),
+        source: 'iac',
+        solution: misconfig.Resolution || null,
+        references: asList(misconfig.PrimaryURL),
+        target,
+        evidence: {
+          location: line ? `${result.Target}#L${line}` : result.Target,
+          snippet: misconfig.Message || 'No snippet available.'
+        }
+      }));
+    });
+
+    (result.Secrets || []).forEach((secret, index) => {
+      if (!secret.RuleID) {
+        errors.push({ item: `${result.Target} secret ${index + 1}`, message: 'Secret has no RuleID' });
+        return;
+      }
+      records.push(createRecord('trivy', {
+        rule_id: secret.RuleID,
+        title: secret.Title || secret.RuleID,
+        description: `${secret.Title || secret.RuleID} found in ${result.Target}.`,
+        severity: normaliseSeverity(secret.Severity),
+        source: 'secrets',
+        target,
+        evidence: {
+          location: `${result.Target}#L${secret.StartLine || 1}`,
+          snippet: secret.Match || 'No snippet available.'
+        }
+      }));
+    });
+  });
+
+  return { records, errors };
+}
+
+// Nuclei JSONL (or the -json-export array)
+
+function hostnameOf(value) {
+  if (!value) return null;
+  try {
+    return new URL(value.includes('://') ? value : `scheme://${value}`).hostname || null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseNuclei(text) {
+  const records = [];
+  const errors = [];
+  let items;
+
+  if (text.trimStart().startsWith('[')) {
+    items = JSON.parse(text).map((item, index) => ({ item, line: index + 1 }));
+  } else {
+    items = [];
+    text.split(/\r?\n/).forEach((content, index) => {
+      if (!content.trim()) return;
+      try {
+        items.push({ item: JSON.parse(content), line: index + 1 });
+      } catch {
+        errors.push({ line: index + 1, message: 'Line is not valid JSON' });
+      }
+    });
+  }
+
+  items.forEach(({ item, line }) => {
+    const templateId = item['template-id'] || item.templateID;
+    if (!templateId) {
+      errors.push({ line, message: 'Result has no template-id' });
+      return;
+    }
+
+    const info = item.info || {};
+    const classification = info.classification || {};
+    const matched = item['matched-at'] || item.matched || item.host;
+    const hostname = hostnameOf(item.host) || hostnameOf(matched);
+    const severity = normaliseSeverity(info.severity);
+    const extracted = asList(item['extracted-results']);
+
+    records.push(createRecord('nuclei', {
+      rule_id: templateId,
+      title: info.name || templateId,
+      description: info.description?.trim() || null,
+      severity,
+      informational: severity === 'info',
+      source: 'dast',
+      cve_ids: extractCves(classification['cve-id'], templateId),
+      ...cvssFields(classification['cvss-metrics'], classification['cvss-score']),
+      solution: info.remediation?.trim() || null,
+      references: asList(info.reference),
+      target: {
+        url: matched || null,
+        hostname: hostname && !IP_PATTERN.test(hostname) ? hostname : null,
+        ip: item.ip || (hostname && IP_PATTERN.test(hostname) ? hostname : null)
+      },
+      evidence: {
+        location: matched,
+        snippet: extracted.length > 0
+          ? extracted.join(', ')
+          : item['matcher-name'] ? `Matched ${item['matcher-name']}` : 'No snippet available.'
+      },
+      fingerprint: ['nuclei', templateId, item['matcher-name'], matched].filter(Boolean).join('|')
+    }));
+  });
+
+  return { records, errors };
+}
+
+export const SCAN_FORMATS = {
+  sarif: { label: 'SARIF 2.1', extensions: ['.sarif', '.json'], parse: parseSarif },
+  nessus: { label: 'Nessus', extensions: ['.nessus', '.xml'], parse: parseNessus },
+  openvas: { label: 'OpenVAS XML', extensions: ['.xml'], parse: parseOpenVas },
+  trivy: { label: 'Trivy JSON', extensions: ['.json'], parse: parseTrivy },
+  nuclei: { label: 'Nuclei JSONL', extensions: ['.jsonl', '.json'], parse: parseNuclei }
+};
+
+export const SCAN_FILE_EXTENSIONS = [...new Set(Object.values(SCAN_FORMATS).flatMap(format => format.extensions))];
+
+/**
+ * Detect a scan result format from the file content, falling back to the
+ * file extension
+ */
+export function detectScanFormat(text, fileName = '') {
+  const head = String(text).slice(0, 4096).trimStart();
+
+  if (head.startsWith('<')) {
+    if (head.includes('<NessusClientData_v2')) return 'nessus';
+    if (/<(get_reports_response|report)[\s>]/.test(head)) return 'openvas';
+    return null;
+  }
+  if (/"\$schema"\s*:\s*"[^"]*sarif/i.test(head) || (/"runs"\s*:/.test(head) && /"version"\s*:\s*"2\./.test(head))) return 'sarif';
+  if (/"(SchemaVersion|ArtifactName)"\s*:/.test(head)) return 'trivy';
+  if (/"(template-id|templateID)"\s*:/.test(head)) return 'nuclei';
+
+  const extension = fileName.toLowerCase().match(/\.[a-z]+$/)?.[0];
+  if (extension === '.sarif') return 'sarif';
+  if (extension === '.nessus') return 'nessus';
+  if (extension === '.jsonl') return 'nuclei';
+  return null;
+}
+
+/**
+ * Parse scan output into normalised records. Parse failures are returned as
+ * errors rather than thrown so one bad file doesn't stop a batch import.
+ */
+export function parseScanResults(text, { fileName = '', format = null, includeInformational = false } = {}) {
+  const detected = format || detectScanFormat(text, fileName);
+  if (!SCAN_FORMATS[detected]) {
+    return { format: null, records: [], errors: [{ message: 'Unrecognised scan result format' }], skipped: 0 };
+  }
+
+  try {
+    const { records, errors } = SCAN_FORMATS[detected].parse(String(text));
+    const kept = includeInformational ? records : records.filter(record => !record.informational);
+    return { format: detected, records: kept, errors, skipped: records.length - kept.length };
+  } catch (error) {
+    return { format: detected, records: [], errors: [{ message: error.message }], skipped: 0 };
+  }
+}
+
+// Asset matching
+
+function normaliseIdentifier(value) {
+  if (value === undefined || value === null) return null;
+  const identifier = String(value).trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '');
+  return identifier || null;
+}
+
+function imageName(image) {
+  if (!image) return null;
+  const name = String(image).split('@')[0];
+  const tagIndex = name.lastIndexOf(':');
+  return tagIndex > name.lastIndexOf('/') ? name.slice(0, tagIndex) : name;
+}
+
+function describeTarget(target = {}) {
+  return target.image || target.hostname || target.ip || target.url || target.repository || target.path || null;
+}
+
+/**
+ * Build a lookup that maps a scan target to an asset by image, hostname, IP,
+ * URL host or repository
+ */
+export function createAssetMatcher(assets = []) {
+  const index = new Map();
+  const add = (value, asset) => {
+    const key = normaliseIdentifier(value);
+    if (key && !index.has(key)) index.set(key, asset);
+  };
+
+  assets.forEach(asset => {
+    [asset.hostname, asset.ip_address, asset.ip, asset.image, asset.url, asset.name].forEach(value => add(value, asset));
+  });
+  assets.forEach(asset => {
+    [asset.url, asset.hostname].forEach(value => add(hostnameOf(value), asset));
+    [asset.image, asset.name].forEach(value => add(imageName(value), asset));
+  });
+
+  return (target = {}) => {
+    const candidates = [
+      target.image,
+      imageName(target.image),
+      target.hostname,
+      target.hostname?.split('.')[0],
+      target.ip,
+      target.url,
+      hostnameOf(target.url),
+      target.repository
+    ];
+    for (const candidate of candidates) {
+      const asset = index.get(normaliseIdentifier(candidate));
+      if (asset) return asset;
+    }
+    return null;
+  };
+}
+
+/**
+ * Finding entity fields for a normalised record
+ */
+export function toFinding(record, { assetId, organizationId = null, now = new Date().toISOString() }) {
+  return {
+    title: record.title,
+    description: record.description,
+    severity: record.severity,
+    status: 'open',
+    asset_id: assetId,
+    organization_id: organizationId,
+    source: record.source,
+    scanner: record.scanner,
+    rule_id: record.rule_id,
+    fingerprint: record.fingerprint,
+    cve_ids: record.cve_ids,
+    cvss_score: record.cvss_score,
+    cvss_vector: record.cvss_vector,
+    remediation: record.solution,
+    references: record.references,
+    evidence: record.evidence,
+    first_seen: now,
+    last_seen: now
+  };
+}
+
+/**
+ * Vulnerability entity fields, one per CVE in the record
+ */
+export function toVulnerabilities(record, { assetId, now = new Date().toISOString() }) {
+  return record.cve_ids.map(cveId => ({
+    cve_id: cveId,
+    title: record.cve_ids.length > 1 ? `${cveId}: ${record.title}` : record.title,
+    description: record.description,
+    severity: record.severity === 'info' ? 'low' : record.severity,
+    cvss_score: record.cvss_score,
+    cvss_vector: record.cvss_vector,
+    asset_id: assetId,
+    affected_component: record.component,
+    fixed_version: record.fixed_version || null,
+    source: record.scanner,
+    first_seen: now
+  }));
+}
+
+/**
+ * Parse one scan result file and map it to assets. Results whose target
+ * doesn't match an asset go to defaultAssetId, or are reported as errors
+ * when there is no default.
+ */
+export function importScanResults(text, {
+  fileName = '',
+  format = null,
+  assets = [],
+  defaultAssetId = null,
+  organizationId = null,
+  includeInformational = false,
+  now = new Date().toISOString()
+} = {}) {
+  const parsed = parseScanResults(text, { fileName, format, includeInformational });
+  const matchAsset = createAssetMatcher(assets);
+  const findings = [];
+  const vulnerabilities = new Map();
+  const unmatchedTargets = new Map();
+  const matchedAssets = new Set();
+
+  parsed.records.forEach(record => {
+    const asset = matchAsset(record.target);
+    const assetId = asset?.id || defaultAssetId;
+    if (!assetId) {
+      const target = describeTarget(record.target) || 'an unidentified target';
+      unmatchedTargets.set(target, (unmatchedTargets.get(target) || 0) + 1);
+      return;
+    }
+    if (asset) matchedAssets.add(asset.id);
+
+    findings.push(toFinding(record, { assetId, organizationId, now }));
+    toVulnerabilities(record, { assetId, now }).forEach(vulnerability => {
+      vulnerabilities.set(`${assetId}|${vulnerability.cve_id}`, vulnerability);
+    });
+  });
+
+  const errors = [...parsed.errors];
+  unmatchedTargets.forEach((count, target) => {
+    errors.push({ message: `No asset matches ${target}; ${count} result${count === 1 ? '' : 's'} skipped` });
+  });
+
+  return {
+    fileName,
+    format: parsed.format,
+    findings,
+    vulnerabilities: [...vulnerabilities.values()],
+    matchedAssets: [...matchedAssets],
+    skipped: parsed.skipped,
+    errors
+  };
+}
+
+/**
+ * Import a batch of uploaded File objects, one result per file
+ */
+export async function importScanFiles(files, options = {}) {
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push(importScanResults(await file.text(), { ...options, fileName: file.name }));
+    } catch (error) {
+      results.push({ fileName: file.name, format: null, findings: [], vulnerabilities: [], matchedAssets: [], skipped: 0, errors: [{ message: error.message }] });
+    }
+  }
+  return results;
+}
+
+/**
+ * Save imported results through the given Finding and Vulnerability entities.
+ * A CVE already recorded against an asset is not created again. Each result
+ * gets a `saved` summary of what was written for it.
+ */
+export async function saveScanImport(results, { Finding, Vulnerability }) {
+  const totals = { findings: 0, vulnerabilities: 0, existingVulnerabilities: 0 };
+  const seen = new Set();
+
+  for (const result of results) {
+    const saved = { findings: 0, vulnerabilities: 0, existingVulnerabilities: 0 };
+    for (const finding of result.findings) {
+      await Finding.create(finding);
+      saved.findings++;
+    }
+    for (const vulnerability of result.vulnerabilities) {
+      const key = `${vulnerability.asset_id}|${vulnerability.cve_id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const existing = await Vulnerability.filter({ asset_id: vulnerability.asset_id, cve_id: vulnerability.cve_id });
+      if (existing.length > 0) {
+        saved.existingVulnerabilities++;
+      } else {
+        await Vulnerability.create(vulnerability);
+        saved.vulnerabilities++;
+      }
+    }
+    result.saved = saved;
+    Object.keys(totals).forEach(key => { totals[key] += saved[key]; });
+  }
+
+  return totals;
+}
@@ -0,0 +1,206 @@
+/**
+ * Security Action Registry
+ * Shared catalogue of response actions used by the SOAR orchestration engine
+ * and the incident response engine. Integrations register actions here with
+ * input/output schemas, a timeout and an optional compensating "undo" action.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const DEFAULT_ACTION_TIMEOUT = 300; // seconds
+
+/**
+ * Error raised for invalid action registrations
+ */
+export class ActionRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActionRegistryError';
+  }
+}
+
+export class SecurityActionRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.actions = new Map();
+  }
+
+  /**
+   * Register an action
+   *
+   * @param {Object} definition
+   * @param {string} definition.name - unique action name referenced by workflow and playbook steps
+   * @param {Function} definition.handler - async (params, context) => { success, message?, details? }
+   * @param {Object} [definition.inputSchema] - zod-compatible schema (anything with safeParse) for params
+   * @param {Object} [definition.outputSchema] - zod-compatible schema for the result details
+   * @param {number} [definition.timeout] - default timeout in seconds
+   * @param {string} [definition.undo] - name of the compensating action
+   * @param {Function} [definition.undoParams] - (params, details) => params for the undo action
+   * @param {string} [definition.provider] - integration that supplies the action
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - replace an existing registration instead of failing
+   */
+  register(definition, { replace = false } = {}) {
+    const { name, handler } = definition;
+    if (!name || typeof name !== 'string') {
+      throw new ActionRegistryError('Action name is required');
+    }
+    if (typeof handler !== 'function') {
+      throw new ActionRegistryError(`Action ${name} requires a handler function`);
+    }
+    if (this.actions.has(name) && !replace) {
+      throw new ActionRegistryError(`Action already registered: ${name}`);
+    }
+
+    const action = {
+      description: '',
+      category: 'general',
+      provider: 'builtin',
+      inputSchema: null,
+      outputSchema: null,
+      timeout: DEFAULT_ACTION_TIMEOUT,
+      undo: null,
+      undoParams: (params, details) => ({ ...params, ...details }),
+      ...definition
+    };
+
+    this.actions.set(name, action);
+    this.emit('actionRegistered', { name, provider: action.provider });
+    return action;
+  }
+
+  unregister(name) {
+    const removed = this.actions.delete(name);
+    if (removed) {
+      this.emit('actionUnregistered', { name });
+    }
+    return removed;
+  }
+
+  has(name) {
+    return this.actions.has(name);
+  }
+
+  get(name) {
+    return this.actions.get(name) || null;
+  }
+
+  /**
+   * List registered actions without their handlers
+   */
+  list() {
+    return Array.from(this.actions.values()).map(action => {
+      const summary = { ...action };
+      delete summary.handler;
+      delete summary.undoParams;
+      return summary;
+    });
+  }
+
+  /**
+   * Execute an action by name
+   * Never throws; failures are returned as { success: false, error }
+   */
+  async execute(name, params = {}, context = {}, { timeout } = {}) {
+    const action = this.actions.get(name);
+    if (!action) {
+      return { success: false, action: name, error: `Unknown action: ${name}` };
+    }
+
+    const input = this.validate(action.inputSchema, params);
+    if (!input.success) {
+      return { success: false, action: name, error: `Invalid input for ${name}: ${input.error}` };
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this.withTimeout(
+        Promise.resolve(action.handler(input.data, context)),
+        timeout ?? action.timeout,
+        name
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    if (!result || !result.success) {
+      const failure = { success: false, action: name, error: result?.error || 'Action failed', durationMs };
+      this.emit('actionFailed', { ...failure, context });
+      return failure;
+    }
+
+    if (action.outputSchema) {
+      const output = this.validate(action.outputSchema, result.details);
+      if (!output.success) {
+        const failure = { success: false, action: name, error: `Invalid output from ${name}: ${output.error}`, durationMs };
+        this.emit('actionFailed', { ...failure, context });
+        return failure;
+      }
+    }
+
+    const executed = {
+      ...result,
+      action: name,
+      durationMs,
+      compensation: action.undo
+        ? { action: action.undo, params: action.undoParams(input.data, result.details || {}) }
+        : null
+    };
+
+    this.emit('actionExecuted', { action: name, durationMs, context });
+    return executed;
+  }
+
+  /**
+   * Run the compensating actions for previously executed results, most recent first
+   */
+  async compensate(results, context = {}) {
+    const compensations = results
+      .filter(result => result && result.success && result.compensation)
+      .reverse();
+
+    const outcomes = [];
+    for (const { action, compensation } of compensations) {
+      const outcome = await this.execute(compensation.action, compensation.params, context);
+      outcomes.push({ ...outcome, compensates: action });
+    }
+
+    this.emit('actionsCompensated', { count: outcomes.length, context });
+    return outcomes;
+  }
+
+  validate(schema, value) {
+    if (!schema) {
+      return { success: true, data: value };
+    }
+
+    const parsed = schema.safeParse(value);
+    if (parsed.success) {
+      return { success: true, data: parsed.data };
+    }
+
+    const issues = parsed.error?.issues || [];
+    return {
+      success: false,
+      error: issues.map(issue => `${issue.path.join('.') || '<root>'}: ${issue.message}`).join('; ') || 'validation failed'
+    };
+  }
+
+  withTimeout(promise, seconds, name) {
+    if (!seconds) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Action ${name} timed out after ${seconds}s`)), seconds * 1000);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+// Create and export singleton instance
+export const securityActionRegistry = new SecurityActionRegistry();
+export default securityActionRegistry;
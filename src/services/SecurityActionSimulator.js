@@ -0,0 +1,263 @@
+/**
+ * Security Action Simulator
+ * Dry-run support for SOAR workflows and incident response playbooks.
+ * Actions resolve to recorded or mock responses instead of running, and every
+ * action call, branch decision and approval is written to an execution trace.
+ * Traces serialise deterministically so they can be committed next to the
+ * workflow definition and compared between runs.
+ */
+
+import { stringify as stringifyYaml } from 'yaml';
+import { securityActionRegistry } from './SecurityActionRegistry.js';
+
+export const TRACE_VERSION = 1;
+
+// Response used for registered actions that have no mock
+const DEFAULT_RESPONSE = { success: true, details: { simulated: true } };
+
+// Execution bookkeeping that is never part of a recorded mock response
+const VOLATILE_RESULT_FIELDS = ['action', 'durationMs', 'compensation', 'stepId', 'stepName', 'attempts', 'simulated'];
+
+/**
+ * Resolves actions to mock responses and records the execution trace
+ *
+ * Mocks: {
+ *   steps: { [stepId]: response | response[] },
+ *   actions: { [actionName]: response | response[] },
+ *   approvals: { [stepId]: { approved, decidedBy, justification } }
+ * }
+ * A response is { success, details?, error? }, a bare details object, or a
+ * function (params, step) returning either. Arrays are consumed one call at a
+ * time and the last entry repeats, which allows retries to be simulated.
+ */
+export class ActionSimulator {
+  constructor(mocks = {}, { registry = securityActionRegistry } = {}) {
+    this.mocks = {
+      steps: mocks.steps || {},
+      actions: mocks.actions || {},
+      approvals: mocks.approvals || {}
+    };
+    this.registry = registry;
+    this.calls = new Map();
+    this.entries = [];
+  }
+
+  /**
+   * Resolve an action call without executing it
+   */
+  async execute({ stepId, stepName, action, params = {}, attempt = 1 }) {
+    const step = { id: stepId, name: stepName, action };
+    let source;
+    let response;
+
+    if (this.mocks.steps[stepId] !== undefined) {
+      source = 'mock';
+      response = this.nextResponse(`step:${stepId}`, this.mocks.steps[stepId], params, step);
+    } else if (this.mocks.actions[action] !== undefined) {
+      source = 'mock';
+      response = this.nextResponse(`action:${action}`, this.mocks.actions[action], params, step);
+    } else {
+      source = 'default';
+      response = this.defaultResponse(action, params);
+    }
+
+    this.entries.push({
+      step: stepId,
+      name: stepName,
+      type: 'action',
+      action,
+      attempt,
+      params: sortKeys(params),
+      source,
+      response: sortKeys(response)
+    });
+
+    return { ...response, action, simulated: true };
+  }
+
+  /**
+   * Resolve an approval step; approvals without a mock are granted
+   */
+  approve(step) {
+    const mock = this.mocks.approvals[step.id];
+    const decision = {
+      approved: mock?.approved ?? true,
+      decidedBy: mock?.decidedBy || 'simulation',
+      justification: mock?.justification || 'Approved by dry run'
+    };
+
+    this.entries.push({
+      step: step.id,
+      name: step.name || step.id,
+      type: 'approval',
+      approvers: step.approvers || [],
+      source: mock ? 'mock' : 'default',
+      decision: decision.approved ? 'approved' : 'denied'
+    });
+
+    return decision;
+  }
+
+  /**
+   * Record a branch decision of a condition step
+   */
+  recordDecision(step, outcome) {
+    this.entries.push({
+      step: step.id,
+      name: step.name || step.id,
+      type: 'condition',
+      branch: outcome ? 'then' : 'else'
+    });
+  }
+
+  /**
+   * Record a side effect the real run would have performed, e.g. an escalation
+   */
+  recordEvent(event, details = {}) {
+    this.entries.push({ type: 'event', event, ...details });
+  }
+
+  nextResponse(key, mock, params, step) {
+    let response = mock;
+    if (Array.isArray(mock)) {
+      const index = this.calls.get(key) || 0;
+      this.calls.set(key, index + 1);
+      response = mock[Math.min(index, mock.length - 1)];
+    }
+    if (typeof response === 'function') {
+      response = response(params, step);
+    }
+    return normalizeResponse(response);
+  }
+
+  /**
+   * Actions the real run could not execute fail in the dry run as well
+   */
+  defaultResponse(action, params) {
+    const definition = this.registry.get(action);
+    if (!definition) {
+      return { success: false, error: `Unknown action: ${action}` };
+    }
+
+    const input = this.registry.validate(definition.inputSchema, params);
+    if (!input.success) {
+      return { success: false, error: `Invalid input for ${action}: ${input.error}` };
+    }
+
+    return { ...DEFAULT_RESPONSE, details: { ...DEFAULT_RESPONSE.details } };
+  }
+
+  /**
+   * Build the execution trace for a finished simulation
+   */
+  buildTrace({ target, incident, status, errors = [] }) {
+    return {
+      traceVersion: TRACE_VERSION,
+      target,
+      incident: incident
+        ? { id: incident.id ?? null, type: incident.type ?? null, severity: incident.severity ?? null }
+        : null,
+      status,
+      entries: this.entries,
+      errors
+    };
+  }
+}
+
+function normalizeResponse(response) {
+  if (response && typeof response === 'object' && typeof response.success === 'boolean') {
+    return response;
+  }
+  return { success: true, details: response ?? {} };
+}
+
+/**
+ * Build step mocks from a previous execution so it can be replayed.
+ * Accepts SOAR executions (stepResults) and playbook executions (steps).
+ */
+export function recordActionMocks(execution) {
+  const steps = {};
+
+  (execution.stepResults || []).forEach(result => {
+    if (!result.action) return;
+    const response = { ...result };
+    VOLATILE_RESULT_FIELDS.forEach(field => delete response[field]);
+    steps[result.stepId] = response;
+  });
+
+  (execution.steps || []).forEach(step => {
+    if (step.status === 'completed') {
+      steps[step.id] = { success: true, details: step.result ?? {} };
+    } else if (step.status === 'failed') {
+      steps[step.id] = { success: false, error: step.error };
+    }
+  });
+
+  return { steps };
+}
+
+/**
+ * Serialise a trace; action params and responses are key-sorted when recorded,
+ * so identical runs produce identical text
+ */
+export function serializeTrace(trace, format = 'yaml') {
+  const normalized = JSON.parse(JSON.stringify(trace));
+  if (format === 'json') {
+    return `${JSON.stringify(normalized, null, 2)}\n`;
+  }
+  if (format === 'yaml') {
+    return stringifyYaml(normalized);
+  }
+  throw new Error(`Unsupported trace format: ${format}`);
+}
+
+/**
+ * List the differences between two traces as { path, expected, actual }
+ */
+export function compareTraces(expected, actual) {
+  const differences = [];
+
+  const visit = (left, right, path) => {
+    if (isPlainObject(left) && isPlainObject(right)) {
+      const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+      Array.from(keys).sort().forEach(key => visit(left[key], right[key], path ? `${path}.${key}` : key));
+      return;
+    }
+    if (Array.isArray(left) && Array.isArray(right)) {
+      for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        visit(left[i], right[i], `${path}[${i}]`);
+      }
+      return;
+    }
+    if (JSON.stringify(left) !== JSON.stringify(right)) {
+      differences.push({ path, expected: left, actual: right });
+    }
+  };
+
+  visit(sortKeys(expected), sortKeys(actual), '');
+  return differences;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+export default ActionSimulator;
@@ -0,0 +1,409 @@
+/**
+ * Sigma Rule Compiler
+ * Compiles Sigma detection rules (YAML) into event matchers for the threat
+ * detection engine. Supports search identifiers built from field maps, lists
+ * and keywords, the and/or/not/"1 of"/"all of" condition syntax and the
+ * contains, startswith, endswith, re, cidr, exists, gt/gte/lt/lte, all and
+ * cased modifiers. Aggregations and encoding modifiers are reported as
+ * unsupported rather than silently ignored.
+ */
+
+import { parseAllDocuments } from 'yaml';
+
+// Sigma level -> threat detection level
+export const SIGMA_LEVEL_SEVERITY = {
+  informational: 'info',
+  low: 'low',
+  medium: 'medium',
+  high: 'high',
+  critical: 'critical'
+};
+
+const VALUE_MODIFIERS = ['contains', 'startswith', 'endswith', 're', 'cidr', 'exists', 'gt', 'gte', 'lt', 'lte'];
+const FLAG_MODIFIERS = ['all', 'cased', 'i', 'm', 's'];
+
+/**
+ * Error raised when a Sigma rule cannot be compiled
+ */
+export class SigmaRuleError extends Error {
+  constructor(message, rule = null) {
+    super(message);
+    this.name = 'SigmaRuleError';
+    this.ruleId = rule?.id || null;
+    this.ruleTitle = rule?.title || null;
+  }
+}
+
+/**
+ * Compile every rule in one or more Sigma YAML sources
+ * Sources are strings or { path, content }; returns { rules, failed } where
+ * failed lists the rules that could not be compiled and why
+ */
+export function compileSigmaRules(sources) {
+  const rules = [];
+  const failed = [];
+  const seen = new Set();
+
+  [].concat(sources).forEach((source, sourceIndex) => {
+    const path = typeof source === 'string' ? null : source.path || null;
+    const content = typeof source === 'string' ? source : source.content;
+    const origin = path || `source ${sourceIndex + 1}`;
+
+    parseAllDocuments(content).forEach((document, documentIndex) => {
+      if (document.contents === null) return;
+
+      const location = { path, document: documentIndex + 1 };
+      if (document.errors.length > 0) {
+        failed.push({ ...location, id: null, title: null, error: `Invalid YAML in ${origin}: ${document.errors[0].message}` });
+        return;
+      }
+
+      const definition = document.toJS();
+      try {
+        const rule = compileSigmaRule(definition);
+        if (seen.has(rule.id)) {
+          throw new SigmaRuleError(`Duplicate rule id: ${rule.id}`, rule);
+        }
+        seen.add(rule.id);
+        rules.push({ ...rule, path });
+      } catch (error) {
+        failed.push({
+          ...location,
+          id: definition?.id || null,
+          title: definition?.title || null,
+          error: error.message
+        });
+      }
+    });
+  });
+
+  return { rules, failed };
+}
+
+/**
+ * Compile a single parsed Sigma rule
+ * Throws SigmaRuleError when the rule uses unsupported features
+ */
+export function compileSigmaRule(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new SigmaRuleError('Rule must be a YAML mapping');
+  }
+  if (definition.action) {
+    throw new SigmaRuleError(`Rule collections (action: ${definition.action}) are not supported`, definition);
+  }
+  if (!definition.title) {
+    throw new SigmaRuleError('Rule is missing a title', definition);
+  }
+
+  const { detection } = definition;
+  if (!detection || typeof detection !== 'object' || !detection.condition) {
+    throw new SigmaRuleError('Rule is missing detection.condition', definition);
+  }
+
+  const searches = {};
+  Object.entries(detection).forEach(([name, search]) => {
+    if (name === 'condition' || name === 'timeframe') return;
+    try {
+      searches[name] = compileSearch(search);
+    } catch (error) {
+      throw new SigmaRuleError(`Search "${name}": ${error.message}`, definition);
+    }
+  });
+
+  const conditions = [].concat(detection.condition).map(condition => {
+    try {
+      return compileCondition(String(condition), searches);
+    } catch (error) {
+      throw new SigmaRuleError(`Condition "${condition}": ${error.message}`, definition);
+    }
+  });
+
+  const level = String(definition.level || 'medium').toLowerCase();
+
+  return {
+    id: String(definition.id || slugify(definition.title)),
+    title: definition.title,
+    description: definition.description || '',
+    status: definition.status || 'experimental',
+    level,
+    severity: SIGMA_LEVEL_SEVERITY[level] || 'medium',
+    tags: definition.tags || [],
+    logsource: definition.logsource || {},
+    falsepositives: definition.falsepositives || [],
+    enabled: true,
+    // A list of conditions matches when any of them does
+    matches: (event) => conditions.some(condition => condition(event))
+  };
+}
+
+/**
+ * A search is a field map (AND), a list of field maps (OR) or a keyword list
+ */
+function compileSearch(search) {
+  if (Array.isArray(search)) {
+    if (search.length === 0) throw new Error('search list is empty');
+
+    if (search.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      const maps = search.map(compileFieldMap);
+      return (event) => maps.some(match => match(event));
+    }
+    if (search.every(item => item === null || typeof item !== 'object')) {
+      const keywords = search.map(keyword => compileValue(keyword, 'contains', {}));
+      return (event) => keywords.some(match => eventValues(event).some(value => match(value)));
+    }
+    throw new Error('search list mixes field maps and keywords');
+  }
+
+  if (search && typeof search === 'object') {
+    return compileFieldMap(search);
+  }
+
+  const keyword = compileValue(search, 'contains', {});
+  return (event) => eventValues(event).some(value => keyword(value));
+}
+
+function compileFieldMap(fieldMap) {
+  const fields = Object.entries(fieldMap).map(([key, expected]) => {
+    const [field, ...modifiers] = key.split('|');
+    return compileField(field, modifiers, expected);
+  });
+  return (event) => fields.every(match => match(event));
+}
+
+function compileField(field, modifiers, expected) {
+  const unknown = modifiers.filter(modifier => !VALUE_MODIFIERS.includes(modifier) && !FLAG_MODIFIERS.includes(modifier));
+  if (unknown.length > 0) {
+    throw new Error(`unsupported modifier "${unknown[0]}" on field ${field}`);
+  }
+
+  const valueModifiers = modifiers.filter(modifier => VALUE_MODIFIERS.includes(modifier));
+  if (valueModifiers.length > 1) {
+    throw new Error(`modifiers ${valueModifiers.join('|')} cannot be combined on field ${field}`);
+  }
+
+  const operator = valueModifiers[0] || 'equals';
+  const flags = {
+    cased: modifiers.includes('cased'),
+    regexFlags: ['i', 'm', 's'].filter(flag => modifiers.includes(flag)).join('')
+  };
+
+  if (operator === 'exists') {
+    const shouldExist = expected !== false && expected !== 'false';
+    return (event) => (getField(event, field) !== undefined) === shouldExist;
+  }
+
+  const values = [].concat(expected);
+  if (values.length === 0) throw new Error(`field ${field} has an empty value list`);
+
+  const matchers = values.map(value => compileValue(value, operator, flags));
+  const requireAll = modifiers.includes('all');
+
+  return (event) => {
+    const actual = getField(event, field);
+    const candidates = Array.isArray(actual) ? actual : [actual];
+    const matchOne = (match) => candidates.some(candidate => match(candidate));
+    return requireAll ? matchers.every(matchOne) : matchers.some(matchOne);
+  };
+}
+
+function compileValue(expected, operator, { cased = false, regexFlags = '' }) {
+  if (expected === null) {
+    return (actual) => actual === undefined || actual === null || actual === '';
+  }
+
+  if (['gt', 'gte', 'lt', 'lte'].includes(operator)) {
+    const limit = Number(expected);
+    if (Number.isNaN(limit)) throw new Error(`${operator} requires a number, got "${expected}"`);
+    return (actual) => {
+      const value = Number(actual);
+      if (actual === null || actual === undefined || actual === '' || Number.isNaN(value)) return false;
+      return operator === 'gt' ? value > limit
+        : operator === 'gte' ? value >= limit
+          : operator === 'lt' ? value < limit
+            : value <= limit;
+    };
+  }
+
+  if (operator === 'cidr') {
+    const range = parseCidr(String(expected));
+    return (actual) => {
+      const address = parseIPv4(String(actual ?? ''));
+      return address !== null && ((address & range.mask) >>> 0) === range.network;
+    };
+  }
+
+  let pattern;
+  if (operator === 're') {
+    try {
+      pattern = new RegExp(String(expected), regexFlags);
+    } catch (error) {
+      throw new Error(`invalid regular expression: ${error.message}`);
+    }
+  } else {
+    const glob = globToRegex(String(expected));
+    const source = operator === 'contains' ? glob
+      : operator === 'startswith' ? `^${glob}`
+        : operator === 'endswith' ? `${glob}$`
+          : `^${glob}$`;
+    pattern = new RegExp(source, cased ? 's' : 'is');
+  }
+
+  return (actual) => actual !== undefined && actual !== null && typeof actual !== 'object' && pattern.test(String(actual));
+}
+
+/**
+ * Compile a condition expression into a predicate over the event
+ */
+function compileCondition(condition, searches) {
+  if (condition.includes('|')) {
+    throw new Error('aggregation expressions are not supported');
+  }
+
+  const tokens = condition.match(/\(|\)|[^\s()]+/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position]?.toLowerCase();
+  const next = () => tokens[position++];
+
+  const resolveSearches = (pattern) => {
+    const names = pattern === 'them'
+      ? Object.keys(searches).filter(name => !name.startsWith('_'))
+      : Object.keys(searches).filter(name => identifierPattern(pattern).test(name));
+    if (names.length === 0) throw new Error(`no search identifiers match "${pattern}"`);
+    return names.map(name => searches[name]);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('unexpected end of condition');
+
+    if (token === '(') {
+      const inner = parseOr();
+      if (next() !== ')') throw new Error('missing closing parenthesis');
+      return inner;
+    }
+
+    const lower = token.toLowerCase();
+    if (lower === 'not') {
+      const operand = parsePrimary();
+      return (event) => !operand(event);
+    }
+
+    if ((lower === '1' || lower === 'all' || lower === 'any') && peek() === 'of') {
+      next();
+      const target = next();
+      if (!target) throw new Error(`"${token} of" requires a search pattern`);
+      const matchers = resolveSearches(target);
+      return lower === 'all'
+        ? (event) => matchers.every(match => match(event))
+        : (event) => matchers.some(match => match(event));
+    }
+
+    if (['and', 'or', ')'].includes(lower)) {
+      throw new Error(`unexpected "${token}"`);
+    }
+    if (!searches[token]) {
+      throw new Error(`unknown search identifier "${token}"`);
+    }
+    return searches[token];
+  };
+
+  const parseAnd = () => {
+    let left = parsePrimary();
+    while (peek() === 'and') {
+      next();
+      const a = left;
+      const b = parsePrimary();
+      left = (event) => a(event) && b(event);
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === 'or') {
+      next();
+      const a = left;
+      const b = parseAnd();
+      left = (event) => a(event) || b(event);
+    }
+    return left;
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position]}"`);
+  }
+  return predicate;
+}
+
+/**
+ * Read a field by exact name first, then as a dotted path
+ */
+function getField(event, field) {
+  if (event == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(event, field)) return event[field];
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+function eventValues(event, values = []) {
+  Object.values(event || {}).forEach(value => {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      eventValues(value, values);
+    } else if (value !== undefined && value !== null) {
+      values.push(value);
+    }
+  });
+  return values;
+}
+
+// Sigma wildcards: * and ? with backslash escapes
+function globToRegex(value) {
+  let source = '';
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && ['*', '?', '\\'].includes(value[i + 1])) {
+      source += escapeRegex(value[++i]);
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+}
+
+function identifierPattern(pattern) {
+  return new RegExp(`^${globToRegex(pattern)}$`);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function parseIPv4(value) {
+  const parts = value.split('.');
+  if (parts.length !== 4) return null;
+  const octets = parts.map(Number);
+  if (octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) return null;
+  return octets.reduce((address, octet) => ((address << 8) | octet) >>> 0, 0);
+}
+
+function parseCidr(value) {
+  const [address, bits = '32'] = value.split('/');
+  const network = parseIPv4(address);
+  const prefix = Number(bits);
+  if (network === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    throw new Error(`cidr requires an IPv4 range, got "${value}"`);
+  }
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return { network: (network & mask) >>> 0, mask };
+}
+
+function slugify(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+export default compileSigmaRules;
@@ -0,0 +1,176 @@
+/**
+ * SOAR Approval Queue
+ * Human-in-the-loop approvals for workflow steps. Each request waits for an
+ * approver's decision and justification; once its SLA lapses the request is
+ * either auto-approved or escalated to the step's escalation group.
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { parseDuration } from './SoarTriggerExpression.js';
+
+export class SoarApprovalQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.approvals = new Map();
+    this.waiters = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Open an approval request for a workflow step
+   * Resolves with the decision: { approved, decidedBy, justification, automatic }
+   */
+  request({ executionId, workflowId, incidentId, step }) {
+    // A resumed execution waits on the request it already opened
+    const existing = Array.from(this.approvals.values()).find(approval =>
+      approval.executionId === executionId && approval.stepId === step.id && approval.status === 'pending'
+    );
+    const approval = existing || this.createApproval({ executionId, workflowId, incidentId, step });
+
+    return new Promise(resolve => {
+      const waiters = this.waiters.get(approval.id) || [];
+      waiters.push(resolve);
+      this.waiters.set(approval.id, waiters);
+    });
+  }
+
+  createApproval({ executionId, workflowId, incidentId, step }) {
+    const requestedAt = new Date();
+    const slaMs = step.sla !== undefined ? parseDuration(step.sla) : null;
+
+    const approval = {
+      id: `apr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      executionId,
+      workflowId,
+      incidentId,
+      stepId: step.id,
+      stepName: step.name || step.id,
+      message: step.message || '',
+      approvers: step.approvers || [],
+      escalateTo: step.escalateTo || [],
+      onTimeout: step.on_timeout || 'escalate',
+      status: 'pending',
+      requestedAt,
+      dueAt: slaMs !== null ? new Date(requestedAt.getTime() + slaMs) : null,
+      escalated: false,
+      escalatedAt: null,
+      decidedBy: null,
+      decidedAt: null,
+      justification: null,
+      automatic: false
+    };
+
+    this.approvals.set(approval.id, approval);
+    if (slaMs !== null) {
+      this.timers.set(approval.id, setTimeout(() => this.handleSlaBreach(approval.id), slaMs));
+    }
+
+    this.emit('approvalRequested', approval);
+    return approval;
+  }
+
+  approve(approvalId, { approver, roles, justification }) {
+    return this.decide(approvalId, true, { approver, roles, justification });
+  }
+
+  deny(approvalId, { approver, roles, justification }) {
+    return this.decide(approvalId, false, { approver, roles, justification });
+  }
+
+  /**
+   * Whether a user may decide a request: the step's approvers (or, once
+   * escalated, its escalation group) list either their identity or a role
+   */
+  canDecide(approvalId, { approver, roles = [] }) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || !approver) return false;
+    return approval.approvers.some(entry => entry === approver || roles.includes(entry));
+  }
+
+  /**
+   * Record a decision. Manual decisions require a listed approver and a justification.
+   */
+  decide(approvalId, approved, { approver, roles = [], justification, automatic = false }) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || approval.status !== 'pending') {
+      return { success: false, error: 'Approval not found or already decided' };
+    }
+    if (!approver) {
+      return { success: false, error: 'An approver is required' };
+    }
+    if (!automatic && !this.canDecide(approvalId, { approver, roles })) {
+      return { success: false, error: `${approver} is not an approver for ${approval.stepName}` };
+    }
+    if (!justification || !justification.trim()) {
+      return { success: false, error: 'A justification is required' };
+    }
+
+    approval.status = approved ? 'approved' : 'denied';
+    approval.decidedBy = approver;
+    approval.decidedAt = new Date();
+    approval.justification = justification.trim();
+    approval.automatic = automatic;
+
+    clearTimeout(this.timers.get(approvalId));
+    this.timers.delete(approvalId);
+
+    const decision = {
+      approved,
+      approvalId,
+      decidedBy: approval.decidedBy,
+      justification: approval.justification,
+      automatic
+    };
+    (this.waiters.get(approvalId) || []).forEach(resolve => resolve(decision));
+    this.waiters.delete(approvalId);
+
+    this.emit('approvalDecided', { ...approval });
+    return { success: true, approval };
+  }
+
+  /**
+   * Apply the step's SLA policy: auto-approve, or escalate and keep waiting
+   */
+  handleSlaBreach(approvalId) {
+    this.timers.delete(approvalId);
+    const approval = this.approvals.get(approvalId);
+    if (!approval || approval.status !== 'pending') return;
+
+    if (approval.onTimeout === 'approve') {
+      this.decide(approvalId, true, {
+        approver: 'system',
+        justification: `Auto-approved: approval SLA expired at ${approval.dueAt.toISOString()}`,
+        automatic: true
+      });
+      return;
+    }
+
+    approval.escalated = true;
+    approval.escalatedAt = new Date();
+    if (approval.escalateTo.length > 0) {
+      approval.approvers = [...approval.escalateTo];
+    }
+    this.emit('approvalEscalated', { ...approval });
+  }
+
+  /**
+   * Deny every pending request of an execution, e.g. when it is stopped
+   */
+  cancelForExecution(executionId, reason) {
+    Array.from(this.approvals.values())
+      .filter(approval => approval.executionId === executionId && approval.status === 'pending')
+      .forEach(approval => this.decide(approval.id, false, { approver: 'system', justification: reason, automatic: true }));
+  }
+
+  list({ status } = {}) {
+    return Array.from(this.approvals.values())
+      .filter(approval => !status || approval.status === status)
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  get(approvalId) {
+    return this.approvals.get(approvalId) || null;
+  }
+}
+
+export default SoarApprovalQueue;
@@ -0,0 +1,173 @@
+/**
+ * SOAR Execution Store
+ * Persistence adapters for workflow execution checkpoints. Every adapter
+ * implements the same async interface: save(execution), load(id), list(), delete(id).
+ * - IndexedDbExecutionStore: durable browser storage
+ * - FileExecutionStore: JSON file on disk, for Node-based tests and tooling
+ * - MemoryExecutionStore: non-durable fallback
+ */
+
+const DATE_FIELDS = ['startedAt', 'completedAt', 'pausedAt', 'resumedAt', 'stoppedAt', 'checkpointedAt', 'rolledBackAt'];
+
+/**
+ * Convert an execution into a plain JSON-safe record
+ */
+export function toExecutionRecord(execution) {
+  return JSON.parse(JSON.stringify(execution));
+}
+
+/**
+ * Rebuild an execution from a stored record, restoring Date fields
+ */
+export function fromExecutionRecord(record) {
+  if (!record) return null;
+
+  const execution = { ...record };
+  DATE_FIELDS.forEach(field => {
+    if (execution[field]) {
+      execution[field] = new Date(execution[field]);
+    }
+  });
+  return execution;
+}
+
+export class MemoryExecutionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async save(execution) {
+    this.records.set(execution.id, toExecutionRecord(execution));
+  }
+
+  async load(id) {
+    return fromExecutionRecord(this.records.get(id));
+  }
+
+  async list() {
+    return Array.from(this.records.values()).map(fromExecutionRecord);
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+export class IndexedDbExecutionStore {
+  constructor({ dbName = 'redscan-soar', storeName = 'executions' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async save(execution) {
+    await this.transaction('readwrite', store => store.put(toExecutionRecord(execution)));
+  }
+
+  async load(id) {
+    return fromExecutionRecord(await this.transaction('readonly', store => store.get(id)));
+  }
+
+  async list() {
+    const records = await this.transaction('readonly', store => store.getAll());
+    return (records || []).map(fromExecutionRecord);
+  }
+
+  async delete(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+  }
+}
+
+export class FileExecutionStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = Promise.resolve();
+  }
+
+  async fs() {
+    // Resolved at runtime so browser bundles never pull in Node built-ins
+    const moduleName = 'node:fs/promises';
+    return import(/* @vite-ignore */ moduleName);
+  }
+
+  async read() {
+    const fs = await this.fs();
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  // Writes are serialised and replace the file atomically
+  update(mutate) {
+    const write = this.pending.then(async () => {
+      const fs = await this.fs();
+      const records = await this.read();
+      mutate(records);
+      const tempPath = `${this.filePath}.${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    });
+    // A failed write must not block later ones
+    this.pending = write.catch(() => {});
+    return write;
+  }
+
+  async save(execution) {
+    const record = toExecutionRecord(execution);
+    await this.update(records => {
+      records[record.id] = record;
+    });
+  }
+
+  async load(id) {
+    await this.pending;
+    const records = await this.read();
+    return fromExecutionRecord(records[id]);
+  }
+
+  async list() {
+    await this.pending;
+    return Object.values(await this.read()).map(fromExecutionRecord);
+  }
+
+  async delete(id) {
+    await this.update(records => {
+      delete records[id];
+    });
+  }
+}
+
+/**
+ * Pick the most durable store available in the current environment
+ */
+export function createDefaultExecutionStore() {
+  return typeof indexedDB !== 'undefined' ? new IndexedDbExecutionStore() : new MemoryExecutionStore();
+}
@@ -4,10 +4,31 @@
  * Manages playbooks, incident response automation, and workflow execution
  */
 
-import { EventEmitter } from '../utils/EventEmitter';
+import { z } from 'zod';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { securityActionRegistry } from './SecurityActionRegistry.js';
+import {
+  WORKFLOW_SCHEMA_VERSION,
+  parseWorkflowDefinition,
+  exportWorkflowDefinition,
+  countExecutableSteps
+} from './SoarWorkflowDefinition.js';
+import { WorkflowInterpreter } from './SoarWorkflowInterpreter.js';
+import { createDefaultExecutionStore } from './SoarExecutionStore.js';
+import { TriggerMatcher, compileTriggerExpression } from './SoarTriggerExpression.js';
+import { SoarApprovalQueue } from './SoarApprovalQueue.js';
+import { ActionSimulator } from './SecurityActionSimulator.js';
+import { globalAuditLogger, AuditEventTypes } from './AuditLogger.js';
+import { assetChangeHistory } from './AssetChangeHistory.js';
+import { assetDependencyGraph } from './AssetDependencyGraph.js';
 
 class SoarOrchestrationEngine extends EventEmitter {
-  constructor() {
+  constructor({
+    executionStore = createDefaultExecutionStore(),
+    auditLogger = globalAuditLogger,
+    assetChanges = assetChangeHistory,
+    dependencyGraph = assetDependencyGraph
+  } = {}) {
     super();
     this.workflows = new Map();
     this.playbooks = new Map();
@@ -15,12 +36,113 @@ class SoarOrchestrationEngine extends EventEmitter {
     this.executions = new Map();
     this.integrations = new Map();
     this.automationRules = new Map();
+    this.executionStore = executionStore;
+    this.resumeSignals = new Map();
+    this.activeRuns = new Set();
+    this.triggerMatcher = new TriggerMatcher({
+      matchCondition: (trigger, incident) => this.matchesTrigger(trigger, incident)
+    });
+    this.auditLogger = auditLogger;
+    this.approvals = new SoarApprovalQueue();
+    this.assetChanges = assetChanges;
+    this.dependencyGraph = dependencyGraph;
     
     // Initialize default data
+    this.initializeApprovalAuditing();
+    this.initializeActions();
     this.initializeDefaultWorkflows();
     this.initializeDefaultPlaybooks();
     this.initializeDefaultIncidents();
     this.initializeIntegrations();
+    this.initializeAssetDriftTriggers();
+
+    // Pick up executions interrupted by a reload or crash
+    this.ready = this.recoverExecutions();
+  }
+
+  /**
+   * Record every approval request, escalation and decision in the audit log
+   */
+  initializeApprovalAuditing() {
+    const auditDetails = (approval) => ({
+      approvalId: approval.id,
+      executionId: approval.executionId,
+      workflowId: approval.workflowId,
+      incidentId: approval.incidentId,
+      stepId: approval.stepId,
+      stepName: approval.stepName,
+      approvers: approval.approvers
+    });
+
+    this.approvals.on('approvalRequested', (approval) => {
+      this.auditLogger.logSecurity(AuditEventTypes.SOAR_APPROVAL_REQUESTED, {
+        ...auditDetails(approval),
+        dueAt: approval.dueAt?.toISOString() || null
+      });
+      this.emit('approvalRequested', approval);
+    });
+
+    this.approvals.on('approvalEscalated', (approval) => {
+      this.auditLogger.logSecurity(AuditEventTypes.SOAR_APPROVAL_ESCALATED, auditDetails(approval));
+      this.emit('approvalEscalated', approval);
+    });
+
+    this.approvals.on('approvalDecided', (approval) => {
+      const eventType = approval.status === 'approved'
+        ? AuditEventTypes.SOAR_APPROVAL_GRANTED
+        : AuditEventTypes.SOAR_APPROVAL_DENIED;
+
+      this.auditLogger.logSecurity(eventType, {
+        ...auditDetails(approval),
+        decidedBy: approval.decidedBy,
+        justification: approval.justification,
+        automatic: approval.automatic,
+        escalated: approval.escalated
+      });
+      this.emit('approvalDecided', approval);
+    });
+  }
+
+  /**
+   * Register built-in response actions with the shared action registry.
+   * Actions already registered by an integration are left in place.
+   */
+  initializeActions() {
+    const target = (field) => z.object({ [field]: z.string().optional() }).passthrough();
+    const details = z.record(z.unknown());
+
+    const actions = [
+      { name: 'isolate_endpoint', category: 'containment', timeout: 30, inputSchema: target('endpoint'), undo: 'release_endpoint', handler: this.isolateEndpoint },
+      { name: 'release_endpoint', category: 'recovery', timeout: 30, inputSchema: target('endpoint'), handler: this.releaseEndpoint },
+      { name: 'collect_forensics', category: 'investigation', timeout: 300, handler: this.collectForensics },
+      { name: 'analyze_malware', category: 'investigation', timeout: 600, handler: this.analyzeMalware },
+      { name: 'update_threat_intelligence', category: 'enrichment', timeout: 60, handler: this.updateThreatIntelligence },
+      { name: 'send_alert', category: 'notification', timeout: 30, handler: this.sendAlert },
+      { name: 'block_domain', category: 'containment', timeout: 30, inputSchema: target('domain'), undo: 'unblock_domain', handler: this.blockDomain },
+      { name: 'unblock_domain', category: 'recovery', timeout: 30, inputSchema: target('domain'), handler: this.unblockDomain },
+      { name: 'quarantine_emails', category: 'containment', timeout: 120, handler: this.quarantineEmails },
+      { name: 'update_email_rules', category: 'containment', timeout: 60, handler: this.updateEmailRules },
+      { name: 'user_notification', category: 'notification', timeout: 30, handler: this.sendUserNotification },
+      { name: 'lock_account', category: 'containment', timeout: 30, inputSchema: target('account'), undo: 'unlock_account', handler: this.lockAccount },
+      { name: 'unlock_account', category: 'recovery', timeout: 30, inputSchema: target('account'), handler: this.unlockAccount },
+      { name: 'block_ip', category: 'containment', timeout: 30, inputSchema: target('ip'), undo: 'unblock_ip', handler: this.blockIP },
+      { name: 'unblock_ip', category: 'recovery', timeout: 30, inputSchema: target('ip'), handler: this.unblockIP },
+      { name: 'analyze_behavior', category: 'investigation', timeout: 180, handler: this.analyzeBehavior },
+      { name: 'user_alert', category: 'notification', timeout: 30, handler: this.sendUserAlert }
+    ];
+
+    actions.forEach(({ handler, ...action }) => {
+      if (securityActionRegistry.has(action.name)) return;
+
+      securityActionRegistry.register({
+        ...action,
+        provider: 'soar',
+        outputSchema: details,
+        // Undo actions only need the target of the original action, not its result
+        undoParams: (params) => params,
+        handler: (params, context) => handler.call(this, context.incidentId, params)
+      });
+    });
   }
 
   /**
@@ -34,11 +156,9 @@ class SoarOrchestrationEngine extends EventEmitter {
         description: 'Automated response to malware detection alerts',
         enabled: true,
         trigger: {
-          type: 'alert',
-          conditions: {
-            alertType: 'malware_detected',
-            severity: ['high', 'critical']
-          }
+          type: 'expression',
+          expression: 'type in ["malware_detected", "Malware"] AND severity >= high',
+          cooldown: '10m'
         },
         steps: [
           {
@@ -46,28 +166,40 @@ class SoarOrchestrationEngine extends EventEmitter {
             name: 'Isolate Affected System',
             type: 'action',
             action: 'isolate_endpoint',
-            timeout: 30
+            timeout: 30,
+            retry: { attempts: 3, delay: 2, backoff: 2 }
           },
           {
             id: 'step_2',
             name: 'Collect Forensic Data',
             type: 'action',
             action: 'collect_forensics',
-            timeout: 300
+            timeout: 300,
+            on_failure: 'continue'
           },
           {
             id: 'step_3',
             name: 'Analyze Sample',
             type: 'action',
             action: 'analyze_malware',
-            timeout: 600
+            timeout: 600,
+            output: 'analysis'
           },
           {
             id: 'step_4',
-            name: 'Update IOCs',
-            type: 'action',
-            action: 'update_threat_intelligence',
-            timeout: 60
+            name: 'Check Threat Level',
+            type: 'condition',
+            if: { var: 'vars.analysis.threatLevel', op: 'in', value: ['high', 'critical'] },
+            then: [
+              {
+                id: 'step_4a',
+                name: 'Update IOCs',
+                type: 'action',
+                action: 'update_threat_intelligence',
+                params: { iocs: '{{ vars.analysis.iocs }}' },
+                timeout: 60
+              }
+            ]
           },
           {
             id: 'step_5',
@@ -86,10 +218,11 @@ class SoarOrchestrationEngine extends EventEmitter {
         description: 'Automated response to phishing email detection',
         enabled: true,
         trigger: {
-          type: 'email_analysis',
-          conditions: {
-            phishingScore: { min: 0.8 }
-          }
+          type: 'expression',
+          expression: 'type = "Phishing" AND (phishingScore >= 0.8 OR NOT phishingScore exists)',
+          // One response per campaign rather than one per reported email
+          cooldown: '30m',
+          dedupeBy: ['type']
         },
         steps: [
           {
@@ -101,20 +234,31 @@ class SoarOrchestrationEngine extends EventEmitter {
           },
           {
             id: 'step_2',
-            name: 'Quarantine Similar Emails',
-            type: 'action',
-            action: 'quarantine_emails',
-            timeout: 120
+            name: 'Contain Campaign',
+            type: 'parallel',
+            branches: [
+              [
+                {
+                  id: 'step_2a',
+                  name: 'Quarantine Similar Emails',
+                  type: 'action',
+                  action: 'quarantine_emails',
+                  timeout: 120
+                }
+              ],
+              [
+                {
+                  id: 'step_2b',
+                  name: 'Update Email Filters',
+                  type: 'action',
+                  action: 'update_email_rules',
+                  timeout: 60
+                }
+              ]
+            ]
           },
           {
             id: 'step_3',
-            name: 'Update Email Filters',
-            type: 'action',
-            action: 'update_email_rules',
-            timeout: 60
-          },
-          {
-            id: 'step_4',
             name: 'User Awareness Alert',
             type: 'notification',
             action: 'user_notification',
@@ -130,39 +274,62 @@ class SoarOrchestrationEngine extends EventEmitter {
         description: 'Response to suspicious failed login attempts',
         enabled: true,
         trigger: {
-          type: 'authentication',
-          conditions: {
-            failedAttempts: { min: 5 },
-            timeWindow: 300 // 5 minutes
-          }
+          type: 'expression',
+          expression: 'type = "Authentication"',
+          // 5 authentication incidents against the same asset within 5 minutes
+          window: { count: 5, within: '5m', groupBy: 'affectedAssets' },
+          cooldown: '15m'
         },
         steps: [
           {
-            id: 'step_1',
-            name: 'Lock User Account',
-            type: 'action',
-            action: 'lock_account',
-            timeout: 30
+            id: 'step_0',
+            name: 'Approve Account Lockout',
+            type: 'approval',
+            message: 'Lock the targeted account and block the source IP?',
+            approvers: ['soc_lead'],
+            sla: '15m',
+            on_timeout: 'approve'
           },
           {
-            id: 'step_2',
-            name: 'Block Source IP',
-            type: 'action',
-            action: 'block_ip',
-            timeout: 30
+            id: 'step_1',
+            name: 'Contain Account Takeover',
+            type: 'parallel',
+            branches: [
+              [
+                {
+                  id: 'step_1a',
+                  name: 'Lock User Account',
+                  type: 'action',
+                  action: 'lock_account',
+                  timeout: 30
+                }
+              ],
+              [
+                {
+                  id: 'step_1b',
+                  name: 'Block Source IP',
+                  type: 'action',
+                  action: 'block_ip',
+                  timeout: 30,
+                  retry: { attempts: 2, delay: 5 }
+                }
+              ]
+            ]
           },
           {
-            id: 'step_3',
+            id: 'step_2',
             name: 'Analyze Login Patterns',
             type: 'analysis',
             action: 'analyze_behavior',
-            timeout: 180
+            timeout: 180,
+            output: 'behavior'
           },
           {
-            id: 'step_4',
+            id: 'step_3',
             name: 'Notify User',
             type: 'notification',
             action: 'user_alert',
+            params: { riskScore: '{{ vars.behavior.riskScore }}' },
             timeout: 30
           }
         ],
@@ -175,11 +342,9 @@ class SoarOrchestrationEngine extends EventEmitter {
         description: 'Automated response to critical vulnerability detection',
         enabled: true,
         trigger: {
-          type: 'vulnerability_scan',
-          conditions: {
-            cvssScore: { min: 9.0 },
-            exploitAvailable: true
-          }
+          type: 'expression',
+          expression: 'type = "Vulnerability" AND severity = critical AND (cvssScore >= 9.0 OR NOT cvssScore exists)',
+          cooldown: '1h'
         },
         steps: [
           {
@@ -189,12 +354,32 @@ class SoarOrchestrationEngine extends EventEmitter {
             action: 'scan_affected_systems',
             timeout: 300
           },
+          {
+            id: 'step_2_approval',
+            name: 'Approve Emergency Change',
+            type: 'approval',
+            message: 'Apply emergency patches to production systems outside the change window?',
+            approvers: ['change_manager'],
+            sla: '1h',
+            on_timeout: 'escalate',
+            escalateTo: ['ciso']
+          },
           {
             id: 'step_2',
             name: 'Apply Emergency Patches',
             type: 'action',
             action: 'emergency_patch',
-            timeout: 1800
+            timeout: 1800,
+            on_failure: [
+              {
+                id: 'step_2_escalate',
+                name: 'Escalate Failed Patch',
+                type: 'notification',
+                action: 'send_alert',
+                params: { reason: 'Emergency patch failed: {{ error.error }}' },
+                timeout: 30
+              }
+            ]
           },
           {
             id: 'step_3',
@@ -213,14 +398,70 @@ class SoarOrchestrationEngine extends EventEmitter {
         ],
         executionCount: 23,
         successRate: 87.5
+      },
+      {
+        id: 'wf_remote_access_exposed',
+        name: 'Remote Access Exposure Response',
+        description: 'Notify asset owners when discovery finds a remote access port newly opened',
+        enabled: true,
+        trigger: {
+          type: 'expression',
+          expression: 'type = "asset_drift" AND driftType = "port_exposed" AND port in [22, 23, 3389, 5900]',
+          cooldown: '24h',
+          dedupeBy: ['assetId', 'port']
+        },
+        steps: [
+          {
+            id: 'step_1',
+            name: 'Notify Asset Owner',
+            type: 'notification',
+            action: 'send_alert',
+            params: { reason: '{{ incident.title }}' },
+            timeout: 30
+          }
+        ]
       }
     ];
 
     defaultWorkflows.forEach(workflow => {
-      this.workflows.set(workflow.id, workflow);
+      this.registerWorkflow({ schemaVersion: WORKFLOW_SCHEMA_VERSION, ...workflow });
     });
   }
 
+  /**
+   * Validate and register a workflow definition
+   */
+  registerWorkflow(definition) {
+    const { executionCount, successRate, ...rest } = definition;
+    const workflow = parseWorkflowDefinition(rest);
+    workflow.executionCount = executionCount || 0;
+    workflow.successRate = successRate ?? null;
+
+    this.workflows.set(workflow.id, workflow);
+    this.emit('workflowRegistered', { workflowId: workflow.id });
+    return workflow;
+  }
+
+  /**
+   * Import a workflow definition from YAML or JSON text
+   */
+  importWorkflow(source, format = 'auto') {
+    const workflow = this.registerWorkflow(parseWorkflowDefinition(source, format));
+    this.emit('workflowImported', { workflowId: workflow.id });
+    return workflow;
+  }
+
+  /**
+   * Export a workflow definition as YAML or JSON text
+   */
+  exportWorkflow(workflowId, format = 'yaml') {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+    return exportWorkflowDefinition(workflow, format);
+  }
+
   /**
    * Initialize default security playbooks
    */
@@ -564,8 +805,15 @@ class SoarOrchestrationEngine extends EventEmitter {
 
   /**
    * Execute a workflow for an incident
+   *
+   * With { dryRun: true } no action is executed: see simulateWorkflow for
+   * the remaining options.
    */
-  async executeWorkflow(workflowId, incidentId, params = {}) {
+  async executeWorkflow(workflowId, incidentId, params = {}, options = {}) {
+    if (options.dryRun) {
+      return this.simulateWorkflow(workflowId, incidentId, params, options);
+    }
+
     const workflow = this.workflows.get(workflowId);
     if (!workflow || !workflow.enabled) {
       throw new Error('Workflow not found or disabled');
@@ -575,23 +823,107 @@ class SoarOrchestrationEngine extends EventEmitter {
       id: this.generateExecutionId(),
       workflowId,
       incidentId,
+      params,
       startedAt: new Date(),
       status: 'running',
       currentStep: 0,
-      totalSteps: workflow.steps.length,
+      totalSteps: countExecutableSteps(workflow.steps),
       stepResults: [],
+      variables: {},
+      decisions: [],
+      checkpoint: null,
       progress: 0,
       errors: []
     };
 
     this.executions.set(execution.id, execution);
+    await this.persistExecution(execution);
 
-    try {
-      // Execute workflow steps
-      for (let i = 0; i < workflow.steps.length; i++) {
-        const step = workflow.steps[i];
-        execution.currentStep = i + 1;
-        execution.progress = Math.round(((i + 1) / workflow.steps.length) * 100);
+    return this.runExecution(execution);
+  }
+
+  /**
+   * Dry-run a workflow against an incident. Actions resolve to recorded or
+   * mock responses, approvals are granted unless mocked otherwise, and nothing
+   * is persisted or counted. Returns the execution result with its trace.
+   *
+   * @param {Object} options
+   * @param {Object} [options.mocks] - see ActionSimulator
+   * @param {Object} [options.incident] - historical incident to replay instead of a stored one
+   * @param {Object|string} [options.workflow] - unregistered definition (object, YAML or JSON) to test
+   */
+  async simulateWorkflow(workflowId, incidentId, params = {}, { mocks = {}, incident = null, workflow: definition = null } = {}) {
+    const workflow = definition ? parseWorkflowDefinition(definition) : this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+
+    const replayed = incident || this.incidents.get(incidentId) || null;
+    const simulator = new ActionSimulator(mocks);
+    const attempts = new Map();
+    const interpreter = new WorkflowInterpreter({
+      onStepStart: ({ step, attempt }) => attempts.set(step.id, attempt),
+      executeAction: (step, stepParams) => simulator.execute({
+        stepId: step.id,
+        stepName: step.name || step.id,
+        action: step.action,
+        params: stepParams,
+        attempt: attempts.get(step.id)
+      }),
+      requestApproval: (step) => simulator.approve(step),
+      onDecision: ({ step, outcome }) => simulator.recordDecision(step, outcome),
+      retryDelays: false
+    });
+
+    const result = await interpreter.run(workflow, {
+      incident: replayed,
+      incidentId: replayed?.id ?? incidentId,
+      params
+    });
+
+    return {
+      dryRun: true,
+      workflowId: workflow.id,
+      incidentId: replayed?.id ?? incidentId,
+      status: result.status,
+      stepResults: result.stepResults,
+      variables: result.variables,
+      decisions: result.decisions,
+      errors: result.errors,
+      trace: simulator.buildTrace({
+        target: { type: 'workflow', id: workflow.id, name: workflow.name },
+        incident: replayed,
+        status: result.status,
+        errors: result.errors
+      })
+    };
+  }
+
+  /**
+   * Drive an execution to completion, starting from its last checkpoint
+   */
+  async runExecution(execution) {
+    const { workflowId, incidentId } = execution;
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+
+    this.activeRuns.add(execution.id);
+
+    const interpreter = new WorkflowInterpreter({
+      executeAction: (step, stepParams) => this.executeWorkflowStep(step, incidentId, stepParams),
+      beforeStep: () => this.waitWhilePaused(execution),
+      requestApproval: (step) => this.approvals.request({
+        executionId: execution.id,
+        workflowId,
+        incidentId,
+        step
+      }),
+      onStepStart: ({ step, attempt }) => {
+        if (attempt === 1) {
+          execution.currentStep = Math.min(execution.currentStep + 1, execution.totalSteps);
+        }
 
         this.emit('workflowExecuted', {
           workflowId,
@@ -599,102 +931,193 @@ class SoarOrchestrationEngine extends EventEmitter {
           currentStep: execution.currentStep,
           totalSteps: execution.totalSteps,
           progress: execution.progress,
-          stepName: step.name
+          stepName: step.name,
+          attempt
         });
+      },
+      onCheckpoint: (snapshot) => {
+        this.applySnapshot(execution, snapshot);
+        execution.progress = Math.round((snapshot.completed.length / execution.totalSteps) * 100);
+        return this.persistExecution(execution);
+      },
+      // Simulate execution time between steps
+      stepDelay: 1000
+    });
 
-        // Simulate step execution
-        const stepResult = await this.executeWorkflowStep(step, incidentId, params);
-        execution.stepResults.push(stepResult);
+    try {
+      const result = await interpreter.run(workflow, {
+        incident: this.incidents.get(incidentId) || null,
+        incidentId,
+        params: execution.params || {}
+      }, this.getResumeCheckpoint(execution));
 
-        // Check if step failed
-        if (!stepResult.success) {
-          execution.status = 'failed';
-          execution.errors.push(`Step ${step.name} failed: ${stepResult.error}`);
-          break;
-        }
+      this.applySnapshot(execution, result);
 
-        // Simulate execution time
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      // A halted or stopped run already carries its status
+      if (result.status !== 'halted' && execution.status === 'running') {
+        execution.status = result.status;
       }
 
-      if (execution.status !== 'failed') {
-        execution.status = 'completed';
+      if (execution.status === 'completed') {
         execution.completedAt = new Date();
-        
+        execution.progress = 100;
+
         // Update workflow execution count
         workflow.executionCount = (workflow.executionCount || 0) + 1;
       }
 
-      this.emit('workflowCompleted', {
-        workflowId,
-        executionId: execution.id,
-        status: execution.status,
-        duration: execution.completedAt ? 
-          execution.completedAt.getTime() - execution.startedAt.getTime() : null
-      });
+      await this.persistExecution(execution);
+
+      if (['completed', 'failed'].includes(execution.status)) {
+        this.emit('workflowCompleted', {
+          workflowId,
+          executionId: execution.id,
+          status: execution.status,
+          duration: execution.completedAt ? 
+            execution.completedAt.getTime() - execution.startedAt.getTime() : null
+        });
+      }
 
       return execution;
     } catch (error) {
       execution.status = 'failed';
       execution.errors.push(error.message);
+      await this.persistExecution(execution);
       this.emit('workflowFailed', { workflowId, executionId: execution.id, error: error.message });
       throw error;
+    } finally {
+      this.activeRuns.delete(execution.id);
     }
   }
 
   /**
-   * Execute a single workflow step
+   * Block the step loop while an execution is paused
+   * Resolves false when the execution should stop
    */
-  async executeWorkflowStep(step, incidentId, params) {
+  async waitWhilePaused(execution) {
+    // Every parallel branch of the execution may be waiting here
+    while (execution.status === 'paused') {
+      await new Promise(resolve => {
+        const waiters = this.resumeSignals.get(execution.id) || [];
+        waiters.push(resolve);
+        this.resumeSignals.set(execution.id, waiters);
+      });
+    }
+    return execution.status === 'running';
+  }
+
+  /**
+   * Wake every step waiting in waitWhilePaused
+   */
+  releasePausedSteps(executionId) {
+    (this.resumeSignals.get(executionId) || []).forEach(resolve => resolve());
+    this.resumeSignals.delete(executionId);
+  }
+
+  applySnapshot(execution, snapshot) {
+    const { stepResults, variables, decisions, errors, ...checkpoint } = snapshot;
+    execution.stepResults = stepResults;
+    execution.variables = variables;
+    execution.decisions = decisions;
+    execution.errors = errors;
+    execution.checkpoint = {
+      steps: checkpoint.steps,
+      completed: checkpoint.completed,
+      failedSteps: checkpoint.failedSteps,
+      failure: checkpoint.failure
+    };
+    execution.currentStep = checkpoint.completed.length;
+    execution.checkpointedAt = new Date();
+  }
+
+  getResumeCheckpoint(execution) {
+    if (!execution.checkpoint) return {};
+
+    return {
+      ...execution.checkpoint,
+      stepResults: execution.stepResults,
+      variables: execution.variables,
+      decisions: execution.decisions,
+      errors: execution.errors
+    };
+  }
+
+  async persistExecution(execution) {
     try {
-      switch (step.action) {
-        case 'isolate_endpoint':
-          return await this.isolateEndpoint(incidentId, params);
-        
-        case 'collect_forensics':
-          return await this.collectForensics(incidentId, params);
-        
-        case 'analyze_malware':
-          return await this.analyzeMalware(incidentId, params);
-        
-        case 'update_threat_intelligence':
-          return await this.updateThreatIntelligence(incidentId, params);
-        
-        case 'send_alert':
-          return await this.sendAlert(incidentId, params);
-        
-        case 'block_domain':
-          return await this.blockDomain(incidentId, params);
-        
-        case 'quarantine_emails':
-          return await this.quarantineEmails(incidentId, params);
-        
-        case 'update_email_rules':
-          return await this.updateEmailRules(incidentId, params);
-        
-        case 'user_notification':
-          return await this.sendUserNotification(incidentId, params);
-        
-        case 'lock_account':
-          return await this.lockAccount(incidentId, params);
-        
-        case 'block_ip':
-          return await this.blockIP(incidentId, params);
-        
-        case 'analyze_behavior':
-          return await this.analyzeBehavior(incidentId, params);
-        
-        case 'user_alert':
-          return await this.sendUserAlert(incidentId, params);
-        
-        default:
-          return { success: false, error: `Unknown action: ${step.action}` };
-      }
+      await this.executionStore.save(execution);
     } catch (error) {
-      return { success: false, error: error.message };
+      console.error('Failed to persist SOAR execution:', error);
+      this.emit('executionPersistenceFailed', { executionId: execution.id, error: error.message });
     }
   }
 
+  /**
+   * Reload persisted executions. Running ones resume from their last
+   * completed step; paused ones wait for resumeWorkflow.
+   */
+  async recoverExecutions() {
+    let stored = [];
+    try {
+      stored = await this.executionStore.list();
+    } catch (error) {
+      console.error('Failed to load persisted SOAR executions:', error);
+      return [];
+    }
+
+    const recovered = stored.filter(execution =>
+      !this.executions.has(execution.id) && this.workflows.has(execution.workflowId)
+    );
+
+    recovered.forEach(execution => {
+      this.executions.set(execution.id, execution);
+
+      if (execution.status === 'running') {
+        execution.recoveredAt = new Date();
+        this.emit('workflowRecovered', { executionId: execution.id, workflowId: execution.workflowId });
+        this.runExecution(execution).catch(error => {
+          console.error(`Failed to resume execution ${execution.id}:`, error);
+        });
+      }
+    });
+
+    return recovered;
+  }
+
+  /**
+   * Execute a single workflow step through the shared action registry
+   */
+  async executeWorkflowStep(step, incidentId, params) {
+    return securityActionRegistry.execute(
+      step.action,
+      params,
+      { incidentId, incident: this.incidents.get(incidentId) || null, source: 'soar' },
+      { timeout: step.timeout }
+    );
+  }
+
+  /**
+   * Roll back a finished execution by running the compensating action of
+   * every successful step, most recent first
+   */
+  async rollbackWorkflow(executionId) {
+    const execution = this.executions.get(executionId);
+    if (!execution || ['running', 'paused'].includes(execution.status)) {
+      return { success: false, error: 'Execution not found or still active' };
+    }
+
+    const outcomes = await securityActionRegistry.compensate(execution.stepResults, {
+      incidentId: execution.incidentId,
+      incident: this.incidents.get(execution.incidentId) || null,
+      source: 'soar'
+    });
+
+    execution.compensations = outcomes;
+    execution.rolledBackAt = new Date();
+
+    this.emit('workflowRolledBack', { executionId, compensations: outcomes.length });
+    return { success: outcomes.every(outcome => outcome.success), compensations: outcomes };
+  }
+
   /**
    * Workflow action implementations
    */
@@ -846,6 +1269,58 @@ class SoarOrchestrationEngine extends EventEmitter {
     };
   }
 
+  async releaseEndpoint(incidentId, params) {
+    // Simulate lifting endpoint isolation
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return { 
+      success: true, 
+      message: 'Endpoint released from isolation',
+      details: {
+        endpoint: params.endpoint || 'WS-001',
+        releasedAt: new Date()
+      }
+    };
+  }
+
+  async unblockDomain(incidentId, params) {
+    // Simulate domain unblocking
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return { 
+      success: true, 
+      message: 'Domain unblocked',
+      details: {
+        domain: params.domain || 'phishing.evil.com',
+        unblockedAt: new Date()
+      }
+    };
+  }
+
+  async unlockAccount(incidentId, params) {
+    // Simulate account unlocking
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return { 
+      success: true, 
+      message: 'Account unlocked',
+      details: {
+        account: params.account || 'user.suspicious',
+        unlockedAt: new Date()
+      }
+    };
+  }
+
+  async unblockIP(incidentId, params) {
+    // Simulate IP unblocking
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return { 
+      success: true, 
+      message: 'IP address unblocked',
+      details: {
+        ip: params.ip || '192.168.1.100',
+        unblockedAt: new Date()
+      }
+    };
+  }
+
   async analyzeBehavior(incidentId, params) {
     // Simulate behavior analysis
     await new Promise(resolve => setTimeout(resolve, 5000));
@@ -875,12 +1350,14 @@ class SoarOrchestrationEngine extends EventEmitter {
 
   /**
    * Pause workflow execution
+   * The step in progress finishes; the next step waits until resumed
    */
   async pauseWorkflow(executionId) {
     const execution = this.executions.get(executionId);
     if (execution && execution.status === 'running') {
       execution.status = 'paused';
       execution.pausedAt = new Date();
+      await this.persistExecution(execution);
       
       this.emit('workflowPaused', { executionId });
       return { success: true };
@@ -896,6 +1373,16 @@ class SoarOrchestrationEngine extends EventEmitter {
     if (execution && execution.status === 'paused') {
       execution.status = 'running';
       execution.resumedAt = new Date();
+      await this.persistExecution(execution);
+
+      if (this.activeRuns.has(executionId)) {
+        this.releasePausedSteps(executionId);
+      } else {
+        // Paused before a reload: no step loop is waiting, so start one from the checkpoint
+        this.runExecution(execution).catch(error => {
+          console.error(`Failed to resume execution ${executionId}:`, error);
+        });
+      }
       
       this.emit('workflowResumed', { executionId });
       return { success: true };
@@ -911,6 +1398,12 @@ class SoarOrchestrationEngine extends EventEmitter {
     if (execution && ['running', 'paused'].includes(execution.status)) {
       execution.status = 'stopped';
       execution.stoppedAt = new Date();
+      await this.persistExecution(execution);
+
+      this.approvals.cancelForExecution(executionId, 'Workflow execution stopped');
+
+      // Release a paused step loop so it can exit
+      this.releasePausedSteps(executionId);
       
       this.emit('workflowStopped', { executionId });
       return { success: true };
@@ -918,11 +1411,61 @@ class SoarOrchestrationEngine extends EventEmitter {
     return { success: false, error: 'Execution not found or cannot be stopped' };
   }
 
+  /**
+   * Get approval requests, optionally filtered by status
+   */
+  getApprovals(status) {
+    return this.approvals.list({ status });
+  }
+
+  /**
+   * Whether the user (identity plus roles) is listed as an approver for the step
+   */
+  canDecideApproval(approvalId, { approver, roles }) {
+    return this.approvals.canDecide(approvalId, { approver, roles });
+  }
+
+  /**
+   * Approve a pending approval step
+   */
+  approveStep(approvalId, { approver, roles, justification }) {
+    return this.approvals.approve(approvalId, { approver, roles, justification });
+  }
+
+  /**
+   * Deny a pending approval step; the step fails and its on_failure policy applies
+   */
+  denyStep(approvalId, { approver, roles, justification }) {
+    return this.approvals.deny(approvalId, { approver, roles, justification });
+  }
+
+  /**
+   * Open an incident for asset drift that an enabled workflow responds to;
+   * other drift only stays in the asset's change log
+   */
+  initializeAssetDriftTriggers() {
+    if (!this.assetChanges) return;
+
+    this.assetChanges.on('drift_detected', (drift) => {
+      const handled = Array.from(this.workflows.values())
+        .some(workflow => workflow.enabled && this.matchesTrigger(workflow.trigger, drift));
+      if (!handled) return;
+
+      this.createIncident({
+        ...drift,
+        driftId: drift.id,
+        affectedAssets: [drift.assetId]
+      });
+    });
+  }
+
   /**
    * Create new incident
    */
   createIncident(incidentData) {
     const incident = {
+      // Keep any extra fields (source, scores, tags) for trigger expressions
+      ...incidentData,
       id: this.generateIncidentId(),
       title: incidentData.title,
       description: incidentData.description,
@@ -936,6 +1479,11 @@ class SoarOrchestrationEngine extends EventEmitter {
       automatedActions: []
     };
 
+    // Blast radius is available to trigger expressions (blastRadius.criticalCount > 0)
+    if (this.dependencyGraph && incident.affectedAssets.length > 0) {
+      incident.blastRadius = this.dependencyGraph.blastRadius(incident.affectedAssets);
+    }
+
     this.incidents.set(incident.id, incident);
     
     // Check for automation triggers
@@ -952,23 +1500,43 @@ class SoarOrchestrationEngine extends EventEmitter {
     const workflows = Array.from(this.workflows.values());
     
     workflows.forEach(workflow => {
-      if (workflow.enabled && this.matchesTrigger(workflow.trigger, incident)) {
+      if (!workflow.enabled) return;
+
+      const decision = this.triggerMatcher.evaluate(workflow, incident);
+      if (decision.fire) {
         // Auto-execute workflow
-        this.executeWorkflow(workflow.id, incident.id);
+        this.executeWorkflow(workflow.id, incident.id).catch(error => {
+          console.error(`Automated workflow ${workflow.id} failed:`, error);
+        });
         
         this.emit('automationTriggered', {
           workflowId: workflow.id,
           incidentId: incident.id,
           trigger: workflow.trigger
         });
+      } else if (decision.reason !== 'no_match') {
+        this.emit('automationSuppressed', {
+          workflowId: workflow.id,
+          incidentId: incident.id,
+          reason: decision.reason,
+          count: decision.count,
+          required: decision.required
+        });
       }
     });
   }
 
   /**
    * Check if incident matches workflow trigger conditions
+   * Time windows and cool-downs are applied separately by the trigger matcher
    */
   matchesTrigger(trigger, incident) {
+    if (!trigger) return false;
+
+    if (trigger.expression) {
+      return compileTriggerExpression(trigger.expression)(incident);
+    }
+
     switch (trigger.type) {
       case 'alert':
         return trigger.conditions.alertType === incident.type &&
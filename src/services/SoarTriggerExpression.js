@@ -0,0 +1,501 @@
+/**
+ * SOAR Trigger Expressions
+ * Boolean expression language for matching incidents to automation workflows,
+ * plus the stateful matcher that applies time windows and cool-downs.
+ *
+ * Grammar:
+ *   expr       := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := NOT factor | '(' expr ')' | comparison
+ *   comparison := field (op value | EXISTS)
+ *   op         := = | == | != | > | >= | < | <= | contains | in | not in | matches | startswith | endswith
+ *   value      := "string" | number | ipv4 | true | false | null | bareword | '[' value (',' value)* ']'
+ *
+ * Example: severity >= high AND affectedAssets contains "prod" AND NOT source in ["scanner", "qa"]
+ */
+
+export const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'matches', 'startswith', 'endswith', 'exists', 'true', 'false', 'null'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '>', '>=', '<', '<='];
+const WORD_OPERATORS = ['contains', 'in', 'matches', 'startswith', 'endswith'];
+
+const DEFAULT_DEDUPE_FIELDS = ['type', 'affectedAssets'];
+const MAX_TRACKED_KEYS = 1000;
+
+/**
+ * Error raised for malformed trigger expressions, with the offending position
+ */
+export class TriggerExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'TriggerExpressionError';
+    this.position = position;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new TriggerExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const operator = ['>=', '<=', '!=', '==', '=', '>', '<'].find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if ('()[],'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    // IPv4 addresses are string literals, so `sourceIp = 10.0.0.5` needs no quotes
+    const address = source.slice(i).match(/^\d{1,3}(\.\d{1,3}){3}(?![\w.])/);
+    if (address) {
+      tokens.push({ type: 'string', value: address[0], position: i });
+      i += address[0].length;
+      continue;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(\.\d+)?(?![\w.])/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_][\w.-]*/);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      tokens.push(KEYWORDS.includes(lower)
+        ? { type: 'keyword', value: lower, position: i }
+        : { type: 'word', value: word[0], position: i });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new TriggerExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new TriggerExpressionError(`Expected "${type}"`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new TriggerExpressionError(`Unexpected "${token.value}"`, token.position);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.isKeyword('or')) {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseFactor()];
+    while (this.isKeyword('and')) {
+      this.next();
+      clauses.push(this.parseFactor());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  }
+
+  parseFactor() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return { type: 'not', clause: this.parseFactor() };
+    }
+    if (this.peek().type === '(') {
+      this.next();
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const field = this.next();
+    if (field.type !== 'word') {
+      throw new TriggerExpressionError('Expected a field name', field.position);
+    }
+
+    if (this.isKeyword('exists')) {
+      this.next();
+      return { type: 'compare', field: field.value, op: 'exists' };
+    }
+
+    let negate = false;
+    if (this.isKeyword('not')) {
+      this.next();
+      negate = true;
+    }
+
+    const token = this.next();
+    const op = token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)
+      ? (token.value === '==' ? '=' : token.value)
+      : token.type === 'keyword' && WORD_OPERATORS.includes(token.value) ? token.value : null;
+
+    if (!op || (negate && COMPARISON_OPERATORS.includes(op))) {
+      throw new TriggerExpressionError(`Expected an operator after "${field.value}"`, token.position);
+    }
+
+    const comparison = { type: 'compare', field: field.value, op, value: this.parseValue() };
+    if (op === 'in' && !Array.isArray(comparison.value)) {
+      throw new TriggerExpressionError('"in" requires a list', token.position);
+    }
+    if (op === 'matches') {
+      try {
+        comparison.pattern = new RegExp(comparison.value, 'i');
+      } catch (error) {
+        throw new TriggerExpressionError(`Invalid pattern: ${error.message}`, token.position);
+      }
+    }
+
+    return negate ? { type: 'not', clause: comparison } : comparison;
+  }
+
+  parseValue() {
+    const token = this.next();
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return token.value;
+      case 'word':
+        // Bare words are literals, so `severity >= high` needs no quotes
+        return token.value;
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        break;
+      case '[': {
+        const values = [];
+        if (this.peek().type !== ']') {
+          values.push(this.parseValue());
+          while (this.peek().type === ',') {
+            this.next();
+            values.push(this.parseValue());
+          }
+        }
+        this.expect(']');
+        return values;
+      }
+      default:
+        break;
+    }
+    throw new TriggerExpressionError('Expected a value', token.position);
+  }
+}
+
+/**
+ * Resolve a dotted field path. Non-numeric keys applied to an array are
+ * mapped over its items, so "affectedAssets.type" yields every asset type.
+ */
+export function resolveField(source, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value == null) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.flatMap(item => {
+        const resolved = item == null ? undefined : item[key];
+        return resolved === undefined ? [] : resolved;
+      });
+    }
+    return value[key];
+  }, source);
+}
+
+function normalize(value) {
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function equals(actual, expected) {
+  return normalize(actual) === normalize(expected);
+}
+
+function compareOrdered(actual, expected) {
+  const a = normalize(actual);
+  const b = normalize(expected);
+  if (typeof a === 'string' && typeof b === 'string' && a in SEVERITY_RANK && b in SEVERITY_RANK) {
+    return SEVERITY_RANK[a] - SEVERITY_RANK[b];
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  const numericA = Number(a);
+  const numericB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numericA) && !Number.isNaN(numericB)) {
+    return numericA - numericB;
+  }
+  return null;
+}
+
+function evaluateNode(node, incident) {
+  switch (node.type) {
+    case 'and':
+      return node.clauses.every(clause => evaluateNode(clause, incident));
+    case 'or':
+      return node.clauses.some(clause => evaluateNode(clause, incident));
+    case 'not':
+      return !evaluateNode(node.clause, incident);
+    default:
+      return evaluateComparison(node, incident);
+  }
+}
+
+function evaluateComparison({ field, op, value, pattern }, incident) {
+  const actual = resolveField(incident, field);
+
+  if (op === 'exists') {
+    return actual !== undefined && actual !== null && !(Array.isArray(actual) && actual.length === 0);
+  }
+
+  if (op === 'contains') {
+    if (Array.isArray(actual)) return actual.some(item => equals(item, value));
+    return typeof actual === 'string' && actual.toLowerCase().includes(String(value).toLowerCase());
+  }
+
+  // Scalar operators on a list field match when any item matches
+  if (Array.isArray(actual)) {
+    return actual.some(item => compareValue(item, op, value, pattern));
+  }
+  return compareValue(actual, op, value, pattern);
+}
+
+function compareValue(target, op, value, pattern) {
+  switch (op) {
+    case '=':
+      return equals(target, value);
+    case '!=':
+      return !equals(target, value);
+    case '>':
+    case '>=':
+    case '<':
+    case '<=': {
+      const difference = compareOrdered(target, value);
+      if (difference === null) return false;
+      return op === '>' ? difference > 0
+        : op === '>=' ? difference >= 0
+          : op === '<' ? difference < 0
+            : difference <= 0;
+    }
+    case 'in':
+      return value.some(item => equals(target, item));
+    case 'matches':
+      return typeof target === 'string' && pattern.test(target);
+    case 'startswith':
+      return typeof target === 'string' && target.toLowerCase().startsWith(String(value).toLowerCase());
+    case 'endswith':
+      return typeof target === 'string' && target.toLowerCase().endsWith(String(value).toLowerCase());
+    default:
+      return false;
+  }
+}
+
+const compiledExpressions = new Map();
+
+/**
+ * Compile a trigger expression into a predicate over incidents
+ * Compiled predicates are cached by source text
+ */
+export function compileTriggerExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new TriggerExpressionError('Trigger expression must be a non-empty string');
+  }
+
+  if (!compiledExpressions.has(source)) {
+    const ast = new Parser(source).parse();
+    const predicate = (incident) => evaluateNode(ast, incident || {});
+    predicate.ast = ast;
+    compiledExpressions.set(source, predicate);
+  }
+  return compiledExpressions.get(source);
+}
+
+/**
+ * Convert a duration (seconds, or a string such as "90s", "10m", "2h") to milliseconds
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') return duration * 1000;
+
+  const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i);
+  if (!match) {
+    throw new TriggerExpressionError(`Invalid duration: ${duration}`);
+  }
+  const multipliers = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * multipliers[(match[2] || 's').toLowerCase()];
+}
+
+function groupKey(incident, fields) {
+  return fields
+    .map(field => {
+      const value = resolveField(incident, field);
+      return Array.isArray(value) ? [...value].sort().join('|') : String(value ?? '');
+    })
+    .join('::');
+}
+
+// A windowed trigger cools down per group unless dedupeBy says otherwise
+function cooldownFields(trigger) {
+  if (trigger.dedupeBy) return trigger.dedupeBy;
+  if (trigger.window?.groupBy) return [].concat(trigger.window.groupBy);
+  return DEFAULT_DEDUPE_FIELDS;
+}
+
+function incidentTime(incident) {
+  const createdAt = incident?.createdAt ? new Date(incident.createdAt).getTime() : NaN;
+  return Number.isNaN(createdAt) ? Date.now() : createdAt;
+}
+
+/**
+ * Stateful trigger evaluation for automation workflows
+ *
+ * A trigger may carry, alongside its match condition:
+ * - window:   { count, within, groupBy } - fire only once `count` matching incidents
+ *             sharing the `groupBy` fields arrive within the `within` duration
+ * - cooldown: duration during which the workflow will not fire again for the same
+ *             incident key (`dedupeBy` fields, else the window's `groupBy`, else
+ *             type and affected assets)
+ */
+export class TriggerMatcher {
+  constructor({ matchCondition }) {
+    this.matchCondition = matchCondition;
+    this.windows = new Map();
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Decide whether a workflow should fire for an incident
+   * Returns { fire, reason } where reason is matched, no_match, window_pending or cooldown
+   */
+  evaluate(workflow, incident, now = incidentTime(incident)) {
+    const { trigger } = workflow;
+    if (!trigger || !this.matchCondition(trigger, incident)) {
+      return { fire: false, reason: 'no_match' };
+    }
+
+    if (trigger.cooldown !== undefined) {
+      const key = `${workflow.id}::${groupKey(incident, cooldownFields(trigger))}`;
+      const lastFired = this.cooldowns.get(key);
+      if (lastFired !== undefined && now - lastFired < parseDuration(trigger.cooldown)) {
+        return { fire: false, reason: 'cooldown', key };
+      }
+    }
+
+    if (trigger.window) {
+      const pending = this.recordWindowEvent(workflow, incident, now);
+      if (pending) {
+        return { fire: false, reason: 'window_pending', ...pending };
+      }
+    }
+
+    if (trigger.cooldown !== undefined) {
+      const key = `${workflow.id}::${groupKey(incident, cooldownFields(trigger))}`;
+      this.remember(this.cooldowns, key, now);
+    }
+
+    return { fire: true, reason: 'matched' };
+  }
+
+  /**
+   * Track an incident in the workflow's time window
+   * Returns null once the threshold is reached, otherwise the current count
+   */
+  recordWindowEvent(workflow, incident, now) {
+    const { count, within, groupBy = [] } = workflow.trigger.window;
+    const key = `${workflow.id}::${groupKey(incident, [].concat(groupBy))}`;
+    const windowMs = parseDuration(within);
+
+    // Keep at most `count` timestamps per key inside the window
+    const events = (this.windows.get(key) || []).filter(timestamp => now - timestamp < windowMs);
+    events.push(now);
+    if (events.length > count) events.splice(0, events.length - count);
+
+    if (events.length >= count) {
+      this.windows.delete(key);
+      return null;
+    }
+
+    this.remember(this.windows, key, events);
+    return { key, count: events.length, required: count };
+  }
+
+  // Maps are capped; the least recently updated key is dropped first
+  remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_TRACKED_KEYS) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  reset(workflowId) {
+    [this.windows, this.cooldowns].forEach(map => {
+      Array.from(map.keys())
+        .filter(key => !workflowId || key.startsWith(`${workflowId}::`))
+        .forEach(key => map.delete(key));
+    });
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * SOAR Workflow Definition Format
+ * Versioned, declarative workflow format used by the SOAR orchestration engine.
+ * Handles schema validation, YAML/JSON import and export of workflow definitions.
+ */
+
+import { z } from 'zod';
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import { compileTriggerExpression } from './SoarTriggerExpression.js';
+
+export const WORKFLOW_SCHEMA_VERSION = 1;
+
+// Step types that resolve to a single action call
+export const ACTION_STEP_TYPES = ['action', 'notification', 'analysis', 'discovery', 'verification'];
+
+// Step types that control the flow of execution
+export const CONTROL_STEP_TYPES = ['condition', 'parallel'];
+
+// Step type that waits for a human decision before the workflow continues
+export const APPROVAL_STEP_TYPE = 'approval';
+
+export const CONDITION_OPERATORS = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte',
+  'in', 'not_in', 'contains', 'matches', 'exists'
+];
+
+// Runtime bookkeeping that is never part of an exported definition
+const RUNTIME_FIELDS = ['executionCount', 'successRate', 'lastExecutedAt'];
+
+/**
+ * Error raised when a workflow definition cannot be parsed or validated
+ */
+export class WorkflowDefinitionError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'WorkflowDefinitionError';
+    this.issues = issues;
+  }
+}
+
+const conditionSchema = z.lazy(() => z.union([
+  z.object({ all: z.array(conditionSchema).min(1) }).strict(),
+  z.object({ any: z.array(conditionSchema).min(1) }).strict(),
+  z.object({ not: conditionSchema }).strict(),
+  z.object({
+    var: z.string().min(1),
+    op: z.enum(CONDITION_OPERATORS),
+    value: z.unknown().optional()
+  }).strict().superRefine((condition, ctx) => {
+    if (condition.op !== 'matches') return;
+    if (typeof condition.value !== 'string') {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message: '"matches" needs a regular expression string' });
+      return;
+    }
+    // Templated patterns are only known at run time; the interpreter reports those
+    if (condition.value.includes('{{')) return;
+    try {
+      new RegExp(condition.value);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message: error.message });
+    }
+  })
+]));
+
+const retrySchema = z.object({
+  attempts: z.number().int().min(1).max(10),
+  delay: z.number().min(0).default(1), // seconds before the first retry
+  backoff: z.number().min(1).default(2), // multiplier applied to each subsequent delay
+  maxDelay: z.number().positive().optional()
+}).strict();
+
+// Seconds, or a string such as "90s", "10m", "2h"
+const durationSchema = z.union([
+  z.number().positive(),
+  z.string().regex(/^\d+(\.\d+)?\s*[smhd]?$/i, 'Duration must be seconds or a value such as "10m"')
+]);
+
+const triggerSchema = z.object({
+  type: z.string().min(1),
+  conditions: z.record(z.unknown()).default({}),
+  expression: z.string().min(1).optional(),
+  window: z.object({
+    count: z.number().int().min(2),
+    within: durationSchema,
+    groupBy: z.union([z.string(), z.array(z.string())]).optional()
+  }).strict().optional(),
+  cooldown: durationSchema.optional(),
+  dedupeBy: z.array(z.string()).min(1).optional()
+}).passthrough().superRefine((trigger, ctx) => {
+  if (!trigger.expression) return;
+  try {
+    compileTriggerExpression(trigger.expression);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['expression'], message: error.message });
+  }
+});
+
+const stepSchema = z.lazy(() => z.object({
+  id: z.string().regex(/^[A-Za-z0-9_-]+$/, 'Step id may only contain letters, digits, "-" and "_"'),
+  name: z.string().optional(),
+  description: z.string().optional(),
+  type: z.enum([...ACTION_STEP_TYPES, ...CONTROL_STEP_TYPES, APPROVAL_STEP_TYPE]),
+  action: z.string().min(1).optional(),
+  params: z.record(z.unknown()).optional(),
+  timeout: z.number().positive().optional(), // seconds
+  retry: retrySchema.optional(),
+  on_failure: z.union([z.enum(['abort', 'continue']), z.array(stepSchema).min(1)]).optional(),
+  output: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Output must be a valid variable name').optional(),
+  if: conditionSchema.optional(),
+  then: z.array(stepSchema).optional(),
+  else: z.array(stepSchema).optional(),
+  branches: z.array(z.array(stepSchema).min(1)).min(2).optional(),
+  join: z.enum(['all', 'any']).optional(),
+  approvers: z.array(z.string().min(1)).min(1).optional(),
+  message: z.string().optional(),
+  sla: durationSchema.optional(),
+  on_timeout: z.enum(['approve', 'escalate']).optional(),
+  escalateTo: z.array(z.string().min(1)).min(1).optional()
+}).strict().superRefine((step, ctx) => {
+  if (ACTION_STEP_TYPES.includes(step.type) && !step.action) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['action'], message: `${step.type} steps require an action` });
+  }
+  if (step.type === 'condition') {
+    if (!step.if) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['if'], message: 'condition steps require an "if" clause' });
+    }
+    if (!step.then && !step.else) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['then'], message: 'condition steps require a "then" or "else" branch' });
+    }
+  }
+  if (step.type === 'parallel' && !step.branches) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['branches'], message: 'parallel steps require at least two branches' });
+  }
+  if (step.type === APPROVAL_STEP_TYPE && !step.approvers) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['approvers'], message: 'approval steps require at least one approver' });
+  }
+}));
+
+const workflowSchema = z.object({
+  schemaVersion: z.literal(WORKFLOW_SCHEMA_VERSION).default(WORKFLOW_SCHEMA_VERSION),
+  id: z.string().min(1),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  enabled: z.boolean().default(true),
+  trigger: triggerSchema.optional(),
+  variables: z.record(z.unknown()).default({}),
+  steps: z.array(stepSchema).min(1)
+}).passthrough().superRefine((workflow, ctx) => {
+  const seen = new Set();
+  walkSteps(workflow.steps, step => {
+    if (seen.has(step.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['steps'], message: `Duplicate step id: ${step.id}` });
+    }
+    seen.add(step.id);
+  });
+});
+
+/**
+ * Visit every step in a workflow, including nested branches and failure handlers
+ */
+export function walkSteps(steps = [], visit) {
+  steps.forEach(step => {
+    visit(step);
+    walkSteps(step.then, visit);
+    walkSteps(step.else, visit);
+    (step.branches || []).forEach(branch => walkSteps(branch, visit));
+    if (Array.isArray(step.on_failure)) {
+      walkSteps(step.on_failure, visit);
+    }
+  });
+}
+
+/**
+ * Count the action and approval steps reachable in a workflow
+ */
+export function countExecutableSteps(steps = []) {
+  let count = 0;
+  walkSteps(steps, step => {
+    if (ACTION_STEP_TYPES.includes(step.type) || step.type === APPROVAL_STEP_TYPE) count++;
+  });
+  return count;
+}
+
+/**
+ * Validate a workflow definition object
+ * Returns { valid, workflow, errors } without throwing
+ */
+export function validateWorkflowDefinition(definition) {
+  const result = workflowSchema.safeParse(definition);
+  if (result.success) {
+    return { valid: true, workflow: result.data, errors: [] };
+  }
+
+  return {
+    valid: false,
+    workflow: null,
+    errors: result.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message
+    }))
+  };
+}
+
+/**
+ * Parse and validate a workflow definition from YAML or JSON text
+ */
+export function parseWorkflowDefinition(source, format = 'auto') {
+  let definition = source;
+
+  if (typeof source === 'string') {
+    const resolvedFormat = format === 'auto' ? detectFormat(source) : format;
+    try {
+      definition = resolvedFormat === 'json' ? JSON.parse(source) : parseYaml(source);
+    } catch (error) {
+      throw new WorkflowDefinitionError(`Invalid ${resolvedFormat.toUpperCase()} workflow definition: ${error.message}`);
+    }
+  }
+
+  if (!definition || typeof definition !== 'object') {
+    throw new WorkflowDefinitionError('Workflow definition must be an object');
+  }
+
+  if (definition.schemaVersion !== undefined && definition.schemaVersion !== WORKFLOW_SCHEMA_VERSION) {
+    throw new WorkflowDefinitionError(
+      `Unsupported workflow schema version: ${definition.schemaVersion} (expected ${WORKFLOW_SCHEMA_VERSION})`
+    );
+  }
+
+  const { valid, workflow, errors } = validateWorkflowDefinition(definition);
+  if (!valid) {
+    const summary = errors.map(e => `${e.path || '<root>'}: ${e.message}`).join('; ');
+    throw new WorkflowDefinitionError(`Invalid workflow definition: ${summary}`, errors);
+  }
+
+  return workflow;
+}
+
+/**
+ * Serialise a workflow to YAML or JSON, dropping runtime statistics
+ */
+export function exportWorkflowDefinition(workflow, format = 'yaml') {
+  const definition = { schemaVersion: WORKFLOW_SCHEMA_VERSION };
+  Object.entries(workflow).forEach(([key, value]) => {
+    if (!RUNTIME_FIELDS.includes(key) && value !== undefined) {
+      definition[key] = value;
+    }
+  });
+
+  if (format === 'json') {
+    return JSON.stringify(definition, null, 2);
+  }
+  if (format === 'yaml') {
+    return stringifyYaml(definition);
+  }
+  throw new WorkflowDefinitionError(`Unsupported export format: ${format}`);
+}
+
+function detectFormat(source) {
+  const trimmed = source.trimStart();
+  return trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : 'yaml';
+}
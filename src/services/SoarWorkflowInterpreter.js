@@ -0,0 +1,346 @@
+/**
+ * SOAR Workflow Interpreter
+ * Executes declarative workflow definitions: conditional branches, parallel
+ * fan-out/fan-in, per-step retries with backoff, failure handlers and
+ * variables passed between steps. Runs can be halted between steps and
+ * resumed from a checkpoint without repeating completed actions.
+ */
+
+import { ACTION_STEP_TYPES, APPROVAL_STEP_TYPE } from './SoarWorkflowDefinition.js';
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+/**
+ * Read a dotted path ("steps.isolate.details.endpoint") from an object
+ */
+export function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Resolve {{ path }} templates in step parameters against the execution scope.
+ * A value that is a single template keeps the referenced value's type.
+ */
+export function resolveTemplates(value, scope) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_TEMPLATE_PATTERN);
+    if (single) {
+      return getPath(scope, single[1]);
+    }
+    return value.replace(TEMPLATE_PATTERN, (match, path) => {
+      const resolved = getPath(scope, path);
+      return resolved == null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, scope));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, scope)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Evaluate a condition clause ({ all }, { any }, { not } or { var, op, value })
+ */
+export function evaluateCondition(condition, scope) {
+  if (condition.all) {
+    return condition.all.every(clause => evaluateCondition(clause, scope));
+  }
+  if (condition.any) {
+    return condition.any.some(clause => evaluateCondition(clause, scope));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, scope);
+  }
+
+  const actual = getPath(scope, condition.var);
+  const expected = resolveTemplates(condition.value, scope);
+
+  switch (condition.op) {
+    case 'eq':
+      return actual === expected;
+    case 'neq':
+      return actual !== expected;
+    case 'gt':
+      return actual > expected;
+    case 'gte':
+      return actual >= expected;
+    case 'lt':
+      return actual < expected;
+    case 'lte':
+      return actual <= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'not_in':
+      return Array.isArray(expected) && !expected.includes(actual);
+    case 'contains':
+      return (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected);
+    case 'matches':
+      return typeof actual === 'string' && new RegExp(expected).test(actual);
+    case 'exists':
+      return (actual !== undefined && actual !== null) === (expected !== false);
+    default:
+      return false;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class WorkflowInterpreter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.executeAction - (step, params, scope) => Promise<{ success, error?, details? }>
+   * @param {Function} [options.onStepStart] - called before each action attempt
+   * @param {Function} [options.onStepComplete] - called once an action step has settled
+   * @param {Function} [options.onDecision] - called when a condition step picks a branch
+   * @param {Function} [options.onCheckpoint] - async, receives a resumable snapshot after each action step
+   * @param {Function} [options.beforeStep] - async, return false to halt the run before a step
+   * @param {Function} [options.requestApproval] - (step, scope) => Promise<{ approved, decidedBy, justification }>
+   * @param {number} [options.stepDelay] - pause in ms after each successful action step
+   * @param {boolean} [options.retryDelays] - wait between retries; dry runs retry immediately
+   */
+  constructor({
+    executeAction,
+    onStepStart = () => {},
+    onStepComplete = () => {},
+    onDecision = () => {},
+    onCheckpoint = async () => {},
+    beforeStep = async () => true,
+    requestApproval = async () => ({ approved: false, error: 'No approval handler configured' }),
+    stepDelay = 0,
+    retryDelays = true
+  }) {
+    this.executeAction = executeAction;
+    this.onStepStart = onStepStart;
+    this.onStepComplete = onStepComplete;
+    this.onDecision = onDecision;
+    this.onCheckpoint = onCheckpoint;
+    this.beforeStep = beforeStep;
+    this.requestApproval = requestApproval;
+    this.stepDelay = stepDelay;
+    this.retryDelays = retryDelays;
+  }
+
+  /**
+   * Run a validated workflow definition, optionally resuming from a checkpoint
+   * Returns the final snapshot with a status of completed, failed or halted
+   */
+  async run(workflow, { incident = null, incidentId = null, params = {} } = {}, checkpoint = {}) {
+    const state = {
+      incident,
+      incidentId,
+      params,
+      variables: { ...(workflow.variables || {}), ...(checkpoint.variables || {}) },
+      steps: { ...(checkpoint.steps || {}) },
+      stepResults: [...(checkpoint.stepResults || [])],
+      decisions: [...(checkpoint.decisions || [])],
+      errors: [...(checkpoint.errors || [])],
+      completed: [...(checkpoint.completed || [])],
+      failedSteps: [...(checkpoint.failedSteps || [])],
+      failure: checkpoint.failure || null,
+      halted: false
+    };
+
+    const completed = await this.runSteps(workflow.steps, state);
+    const status = state.halted ? 'halted' : completed ? 'completed' : 'failed';
+    return { ...this.checkpoint(state), status };
+  }
+
+  /**
+   * Serialisable snapshot of a run, accepted by run() to resume it
+   */
+  checkpoint(state) {
+    return {
+      variables: state.variables,
+      steps: state.steps,
+      stepResults: state.stepResults,
+      decisions: state.decisions,
+      errors: state.errors,
+      completed: state.completed,
+      failedSteps: state.failedSteps,
+      failure: state.failure
+    };
+  }
+
+  async runSteps(steps = [], state) {
+    for (const step of steps) {
+      const ok = await this.runStep(step, state);
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  async runStep(step, state) {
+    if (state.halted || !(await this.beforeStep({ step }))) {
+      state.halted = true;
+      return false;
+    }
+
+    if (step.type === 'condition') {
+      // A resumed run keeps the branch it already took
+      const recorded = state.decisions.find(decision => decision.stepId === step.id);
+      let outcome;
+      try {
+        outcome = recorded
+          ? recorded.outcome === 'then'
+          : evaluateCondition(step.if, this.getScope(state));
+      } catch (error) {
+        return this.handleFailure(step, state, `Invalid condition: ${error.message}`);
+      }
+      if (!recorded) {
+        state.decisions.push({ stepId: step.id, outcome: outcome ? 'then' : 'else' });
+        this.onDecision({ step, outcome });
+      }
+      state.steps[step.id] = { success: true, outcome };
+      return this.runSteps(outcome ? step.then : step.else, state);
+    }
+
+    if (step.type === 'parallel') {
+      const results = await Promise.all(step.branches.map(branch => this.runSteps(branch, state)));
+      if (state.halted) return false;
+
+      const success = step.join === 'any' ? results.some(Boolean) : results.every(Boolean);
+      state.steps[step.id] = { success, branches: results };
+      return success || this.handleFailure(step, state, `${results.filter(r => !r).length} branch(es) failed`);
+    }
+
+    if (ACTION_STEP_TYPES.includes(step.type)) {
+      // Actions completed before a checkpoint are not executed again
+      const previous = state.completed.includes(step.id) ? state.steps[step.id] : null;
+      const result = previous || await this.runAction(step, state);
+      if (result.success) {
+        if (!previous && this.stepDelay) await sleep(this.stepDelay);
+        return true;
+      }
+      return this.handleFailure(step, state, result.error);
+    }
+
+    if (step.type === APPROVAL_STEP_TYPE) {
+      const previous = state.completed.includes(step.id) ? state.steps[step.id] : null;
+      const result = previous || await this.runApproval(step, state);
+      return result.success || this.handleFailure(step, state, result.error);
+    }
+
+    return this.handleFailure(step, state, `Unsupported step type: ${step.type}`);
+  }
+
+  /**
+   * Wait for an approval decision; a denial fails the step
+   */
+  async runApproval(step, state) {
+    this.onStepStart({ step, attempt: 1, params: {} });
+
+    let decision;
+    try {
+      decision = await this.requestApproval(step, this.getScope(state));
+    } catch (error) {
+      decision = { approved: false, error: error.message };
+    }
+
+    const result = decision.approved
+      ? { success: true, details: decision }
+      : { success: false, details: decision, error: decision.error || `Denied by ${decision.decidedBy}: ${decision.justification}` };
+
+    return this.recordResult(step, result, 1, state);
+  }
+
+  /**
+   * Execute an action step, retrying with exponential backoff
+   */
+  async runAction(step, state) {
+    const attempts = step.retry?.attempts || 1;
+    let delay = step.retry?.delay ?? 1;
+    let result;
+    let attempt = 0;
+
+    while (attempt < attempts) {
+      attempt++;
+      const params = { ...state.params, ...resolveTemplates(step.params || {}, this.getScope(state)) };
+      this.onStepStart({ step, attempt, params });
+
+      result = await this.invokeWithTimeout(step, params, state);
+      if (result.success || attempt >= attempts) break;
+
+      if (this.retryDelays) await sleep(delay * 1000);
+      delay = Math.min(delay * (step.retry.backoff || 1), step.retry.maxDelay ?? Infinity);
+    }
+
+    return this.recordResult(step, result, attempt, state);
+  }
+
+  /**
+   * Store a settled step's result and checkpoint the run
+   */
+  async recordResult(step, result, attempts, state) {
+    const stepResult = { stepId: step.id, stepName: step.name || step.id, action: step.action, attempts, ...result };
+    state.stepResults.push(stepResult);
+    state.steps[step.id] = result;
+    if (result.success && step.output) {
+      state.variables[step.output] = result.details ?? result;
+    }
+
+    state.completed.push(step.id);
+
+    this.onStepComplete({ step, result: stepResult });
+    await this.onCheckpoint(this.checkpoint(state));
+    return result;
+  }
+
+  async invokeWithTimeout(step, params, state) {
+    let timer;
+    const timeout = step.timeout
+      ? new Promise(resolve => {
+          timer = setTimeout(
+            () => resolve({ success: false, error: `Timed out after ${step.timeout}s` }),
+            step.timeout * 1000
+          );
+        })
+      : null;
+
+    try {
+      const execution = Promise.resolve(this.executeAction(step, params, this.getScope(state)));
+      const result = await (timeout ? Promise.race([execution, timeout]) : execution);
+      return result || { success: false, error: 'Action returned no result' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Apply a step's on_failure policy: abort (default), continue, or run handler steps
+   */
+  async handleFailure(step, state, error) {
+    if (!state.failedSteps.includes(step.id)) {
+      state.failedSteps.push(step.id);
+      state.errors.push(`Step ${step.name || step.id} failed: ${error}`);
+    }
+
+    const policy = step.on_failure || 'abort';
+    if (policy === 'continue') return true;
+    if (policy === 'abort') return false;
+
+    state.failure = { stepId: step.id, error };
+    return this.runSteps(policy, state);
+  }
+
+  getScope(state) {
+    return {
+      incident: state.incident,
+      incidentId: state.incidentId,
+      params: state.params,
+      vars: state.variables,
+      steps: state.steps,
+      error: state.failure
+    };
+  }
+}
+
+export { WorkflowInterpreter };
+export default WorkflowInterpreter;
@@ -0,0 +1,284 @@
+/**
+ * Threat Correlation Engine
+ * Stateful correlation over the security event stream. Rules group events by
+ * key fields and fire a correlated alert, referencing the contributing event
+ * IDs, when a threshold, distinct-count or ordered sequence is satisfied inside
+ * a sliding time window. State is bounded per group and in the number of groups.
+ *
+ * Rule types:
+ * - threshold:      minEvents matching events per group within the window
+ * - distinct_count: minEvents distinct values of the `distinct` field per group
+ * - sequence:       ordered steps (each with its own filter and minEvents), first
+ *                   to last within the window, e.g. failed logins then a success
+ */
+
+export const CORRELATION_RULE_TYPES = ['threshold', 'distinct_count', 'sequence'];
+
+const DEFAULT_WINDOW = 3600000; // 1 hour in milliseconds
+const DEFAULT_MAX_EVENTS_PER_GROUP = 200;
+const DEFAULT_MAX_GROUPS = 5000;
+
+/**
+ * Read a dotted field path from an event
+ */
+function getField(event, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+function eventTime(event) {
+  const time = event.timestamp ? new Date(event.timestamp).getTime() : NaN;
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * Event filters are functions or field maps; a field map matches when every
+ * field equals its value, or one of the values when given a list
+ */
+function matchesFilter(event, filter) {
+  if (!filter) return true;
+  if (typeof filter === 'function') return Boolean(filter(event));
+
+  return Object.entries(filter).every(([field, expected]) => {
+    const actual = getField(event, field);
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+export class ThreatCorrelationEngine {
+  constructor({
+    maxEventsPerGroup = DEFAULT_MAX_EVENTS_PER_GROUP,
+    maxGroups = DEFAULT_MAX_GROUPS
+  } = {}) {
+    this.rules = new Map();
+    this.groups = new Map(); // `${ruleName}::${groupKey}` -> group state, least recently used first
+    this.maxEventsPerGroup = maxEventsPerGroup;
+    this.maxGroups = maxGroups;
+  }
+
+  addRule(rule) {
+    if (!rule || !rule.name) {
+      throw new Error('Correlation rule requires a name');
+    }
+    if (!CORRELATION_RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Correlation rule ${rule.name} has unknown type: ${rule.type}`);
+    }
+    if (rule.type === 'sequence' && (!Array.isArray(rule.steps) || rule.steps.length < 2)) {
+      throw new Error(`Sequence rule ${rule.name} requires at least two steps`);
+    }
+    if (rule.type === 'distinct_count' && !rule.distinct) {
+      throw new Error(`Distinct-count rule ${rule.name} requires a distinct field`);
+    }
+
+    this.rules.set(rule.name, {
+      severity: 'medium',
+      window: DEFAULT_WINDOW,
+      minEvents: 1,
+      ...rule,
+      groupBy: [].concat(rule.groupBy || [])
+    });
+    this.reset(rule.name);
+  }
+
+  removeRule(name) {
+    this.reset(name);
+    return this.rules.delete(name);
+  }
+
+  /**
+   * Drop correlation state for one rule, or for all rules
+   */
+  reset(ruleName = null) {
+    if (!ruleName) {
+      this.groups.clear();
+      return;
+    }
+    Array.from(this.groups.keys())
+      .filter(key => key.startsWith(`${ruleName}::`))
+      .forEach(key => this.groups.delete(key));
+  }
+
+  /**
+   * Feed an event through every rule
+   * Returns the rules currently satisfied for the event's groups, and the
+   * alerts raised by this event
+   */
+  process(event) {
+    const matches = [];
+    const alerts = [];
+
+    for (const rule of this.rules.values()) {
+      if (!this.isRelevant(rule, event)) continue;
+
+      const groupKey = this.groupKey(rule, event);
+      if (groupKey === null) continue;
+
+      const group = this.touchGroup(rule, groupKey);
+      const time = eventTime(event);
+      this.record(group, rule, event, time);
+
+      const evaluation = this.evaluate(rule, group, time);
+      if (!evaluation) {
+        group.alerted = false;
+        continue;
+      }
+
+      matches.push({ ruleName: rule.name, groupKey: group.key, ...evaluation });
+
+      if (!group.alerted) {
+        alerts.push(this.createAlert(rule, group, evaluation));
+        // Sequences consume their events; thresholds alert once per burst
+        if (rule.type === 'sequence') {
+          const consumed = new Set(evaluation.eventIds);
+          group.events = group.events.filter(entry => !consumed.has(entry.id));
+        } else {
+          group.alerted = true;
+        }
+      }
+    }
+
+    return { matches, alerts };
+  }
+
+  isRelevant(rule, event) {
+    if (rule.type === 'sequence') {
+      return rule.steps.some(step => matchesFilter(event, step.filter));
+    }
+    return matchesFilter(event, rule.filter);
+  }
+
+  groupKey(rule, event) {
+    const values = {};
+    for (const field of rule.groupBy) {
+      const value = getField(event, field);
+      if (value === undefined || value === null || value === '') return null;
+      values[field] = value;
+    }
+    return values;
+  }
+
+  /**
+   * Fetch or create a group's state and mark it most recently used
+   */
+  touchGroup(rule, groupKey) {
+    const id = `${rule.name}::${JSON.stringify(groupKey)}`;
+    let group = this.groups.get(id);
+    if (group) {
+      this.groups.delete(id);
+    } else {
+      group = { key: groupKey, events: [], latest: 0, alerted: false };
+    }
+    this.groups.set(id, group);
+
+    while (this.groups.size > this.maxGroups) {
+      this.groups.delete(this.groups.keys().next().value);
+    }
+    return group;
+  }
+
+  record(group, rule, event, time) {
+    group.latest = Math.max(group.latest, time);
+    const cutoff = group.latest - rule.window;
+
+    group.events.push({
+      id: event.id,
+      time,
+      distinct: rule.distinct ? getField(event, rule.distinct) : undefined,
+      steps: rule.type === 'sequence'
+        ? rule.steps.map(step => matchesFilter(event, step.filter))
+        : null
+    });
+
+    group.events = group.events
+      .filter(entry => entry.time > cutoff)
+      .sort((a, b) => a.time - b.time)
+      .slice(-this.maxEventsPerGroup);
+  }
+
+  evaluate(rule, group, time) {
+    switch (rule.type) {
+      case 'threshold': {
+        if (group.events.length < rule.minEvents) return null;
+        return this.result(rule, group.events, group.events.length);
+      }
+      case 'distinct_count': {
+        const values = new Set(group.events.map(entry => entry.distinct).filter(value => value !== undefined));
+        if (values.size < rule.minEvents) return null;
+        return { ...this.result(rule, group.events, values.size), distinctValues: Array.from(values) };
+      }
+      case 'sequence':
+        return this.evaluateSequence(rule, group, time);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the steps in order, earliest events first, finishing with the
+   * current event's step
+   */
+  evaluateSequence(rule, group, time) {
+    const contributing = [];
+    let position = 0;
+
+    for (const [index, step] of rule.steps.entries()) {
+      const required = step.minEvents || 1;
+      const found = [];
+      while (position < group.events.length && found.length < required) {
+        const entry = group.events[position++];
+        if (entry.steps[index] && time - entry.time <= rule.window) {
+          found.push(entry);
+        }
+      }
+      if (found.length < required) return null;
+      contributing.push(...found);
+    }
+
+    return { score: 1.0, count: contributing.length, ...this.span(contributing) };
+  }
+
+  result(rule, entries, count) {
+    return {
+      score: Math.min(1.0, count / (rule.optimalEvents || rule.minEvents)),
+      count,
+      ...this.span(entries)
+    };
+  }
+
+  span(entries) {
+    return {
+      eventIds: entries.map(entry => entry.id),
+      firstSeen: new Date(entries[0].time),
+      lastSeen: new Date(entries[entries.length - 1].time)
+    };
+  }
+
+  createAlert(rule, group, evaluation) {
+    const groupDescription = Object.entries(group.key).map(([field, value]) => `${field}=${value}`).join(', ');
+
+    return {
+      id: `corr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ruleName: rule.name,
+      ruleType: rule.type,
+      severity: rule.severity,
+      description: `${rule.description || rule.name}${groupDescription ? ` (${groupDescription})` : ''}`,
+      groupKey: group.key,
+      score: evaluation.score,
+      count: evaluation.count,
+      distinctValues: evaluation.distinctValues,
+      eventIds: evaluation.eventIds,
+      firstSeen: evaluation.firstSeen,
+      lastSeen: evaluation.lastSeen,
+      timestamp: new Date()
+    };
+  }
+
+  getStatistics() {
+    return {
+      rules: this.rules.size,
+      groups: this.groups.size,
+      bufferedEvents: Array.from(this.groups.values()).reduce((sum, group) => sum + group.events.length, 0)
+    };
+  }
+}
+
+export default ThreatCorrelationEngine;
@@ -5,6 +5,21 @@
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
+import { compileSigmaRules } from './SigmaRuleCompiler.js';
+import { ThreatCorrelationEngine } from './ThreatCorrelationEngine.js';
+import { alertSuppressionService } from './AlertSuppressionService.js';
+import { assetChangeHistory } from './AssetChangeHistory.js';
+
+// Pattern score contributed by a detection rule match, by rule severity
+const RULE_SEVERITY_SCORES = {
+  critical: 1.0,
+  high: 0.85,
+  medium: 0.7,
+  low: 0.5,
+  info: 0.3
+};
+
+const THREAT_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
 
 // Machine Learning Models for Threat Detection
 class ThreatMLEngine {
@@ -42,10 +57,12 @@ class ThreatMLEngine {
       // Pattern Recognition
       const patternResult = await this.models.patternRecognition.analyze(event);
       analysis.riskScore += patternResult.score * 0.25;
+      analysis.ruleMatches = patternResult.ruleMatches;
       
       // Threat Correlation
       const correlationResult = await this.models.threatCorrelation.analyze(event);
       analysis.riskScore += correlationResult.score * 0.2;
+      analysis.correlatedAlerts = correlationResult.alerts;
 
       // Determine threat type and confidence
       analysis.threatType = this.classifyThreat(analysis.riskScore, [
@@ -404,6 +421,7 @@ class PatternRecognitionModel {
   constructor() {
     this.knownPatterns = new Map();
     this.attackSignatures = this.loadAttackSignatures();
+    this.detectionRules = new Map();
   }
 
   async analyze(event) {
@@ -423,9 +441,25 @@ class PatternRecognitionModel {
       }
     }
 
+    // Check against imported detection rules
+    const ruleMatches = [];
+    for (const rule of this.detectionRules.values()) {
+      if (!rule.enabled || !rule.matches(event)) continue;
+
+      const ruleScore = RULE_SEVERITY_SCORES[rule.severity] ?? RULE_SEVERITY_SCORES.medium;
+      ruleMatches.push({ ruleId: rule.id, title: rule.title, severity: rule.severity, tags: rule.tags });
+      patterns.push({
+        name: rule.id,
+        match: { score: ruleScore, matches: [rule.id], description: `Matched detection rule: ${rule.title}` },
+        severity: rule.severity
+      });
+      score = Math.max(score, ruleScore);
+    }
+
     return {
       score,
       patterns,
+      ruleMatches,
       indicators: patterns.map(p => ({
         type: 'pattern',
         subtype: p.name,
@@ -435,6 +469,14 @@ class PatternRecognitionModel {
     };
   }
 
+  matchesSignature(name, event) {
+    const signature = this.attackSignatures.get(name);
+    if (!signature) {
+      throw new Error(`Unknown attack signature: ${name}`);
+    }
+    return this.matchPattern(event, signature).score > 0.6;
+  }
+
   matchPattern(event, signature) {
     let score = 0;
     let matches = [];
@@ -506,94 +548,74 @@ class PatternRecognitionModel {
 // Threat Correlation Model
 class ThreatCorrelationModel {
   constructor() {
-    this.eventWindow = 3600000; // 1 hour in milliseconds
-    this.correlationRules = this.loadCorrelationRules();
-    this.eventHistory = [];
+    this.correlationEngine = new ThreatCorrelationEngine();
+    this.loadCorrelationRules().forEach(rule => this.correlationEngine.addRule(rule));
   }
 
   async analyze(event) {
-    // Add event to history
-    this.eventHistory.push(event);
-    
-    // Clean old events
-    const cutoff = Date.now() - this.eventWindow;
-    this.eventHistory = this.eventHistory.filter(e => new Date(e.timestamp) > cutoff);
-    
-    const correlations = [];
-    let score = 0;
-
-    // Check correlation rules
-    for (const rule of this.correlationRules) {
-      const correlation = this.checkCorrelation(event, rule);
-      if (correlation.score > 0.6) {
-        correlations.push(correlation);
-        score = Math.max(score, correlation.score);
-      }
-    }
+    const { matches, alerts } = this.correlationEngine.process(event);
+    const correlations = matches.filter(match => match.score > 0.6);
+    const score = correlations.reduce((max, correlation) => Math.max(max, correlation.score), 0);
 
     return {
       score,
       correlations,
+      alerts,
       indicators: correlations.map(c => ({
         type: 'correlation',
         subtype: c.ruleName,
-        value: c.description,
+        value: `${c.count} related events found for ${c.ruleName}`,
         confidence: c.score
       }))
     };
   }
 
-  checkCorrelation(currentEvent, rule) {
-    const relatedEvents = this.eventHistory.filter(event => 
-      event.id !== currentEvent.id && this.matchesRule(event, rule.conditions)
-    );
-
-    let score = 0;
-    if (relatedEvents.length >= rule.minEvents) {
-      score = Math.min(1.0, relatedEvents.length / rule.optimalEvents);
-    }
-
-    return {
-      ruleName: rule.name,
-      score,
-      relatedEvents: relatedEvents.length,
-      description: `${relatedEvents.length} related events found for ${rule.name}`
-    };
-  }
-
-  matchesRule(event, conditions) {
-    return conditions.every(condition => {
-      switch (condition.type) {
-        case 'same_user':
-          return event.user_id === condition.value;
-        case 'same_ip':
-          return event.source_ip === condition.value;
-        case 'event_type':
-          return event.type === condition.value;
-        default:
-          return false;
-      }
-    });
-  }
-
   loadCorrelationRules() {
     return [
       {
         name: 'coordinated_login_attack',
+        type: 'threshold',
+        description: 'Repeated failed logins from one source',
+        severity: 'high',
+        filter: { type: 'login_failed' },
+        groupBy: ['source_ip'],
+        window: 3600000,
         minEvents: 3,
-        optimalEvents: 10,
-        conditions: [
-          { type: 'event_type', value: 'login_failed' },
-          { type: 'same_ip', value: 'current' }
-        ]
+        optimalEvents: 10
       },
       {
         name: 'privilege_escalation_chain',
+        type: 'threshold',
+        description: 'Multiple privilege changes for one user',
+        severity: 'high',
+        filter: { type: 'privilege_change' },
+        groupBy: ['user_id'],
+        window: 3600000,
         minEvents: 2,
-        optimalEvents: 5,
-        conditions: [
-          { type: 'same_user', value: 'current' },
-          { type: 'event_type', value: 'privilege_change' }
+        optimalEvents: 5
+      },
+      {
+        name: 'password_spray',
+        type: 'distinct_count',
+        description: 'Failed logins against many accounts from one source',
+        severity: 'high',
+        filter: { type: 'login_failed' },
+        groupBy: ['source_ip'],
+        distinct: 'user_id',
+        window: 1800000,
+        minEvents: 5,
+        optimalEvents: 20
+      },
+      {
+        name: 'brute_force_success',
+        type: 'sequence',
+        description: 'Successful login after repeated failures',
+        severity: 'critical',
+        groupBy: ['user_id'],
+        window: 600000,
+        steps: [
+          { filter: { type: 'login_failed' }, minEvents: 3 },
+          { filter: { type: ['login', 'login_success'] } }
         ]
       }
     ];
@@ -615,6 +637,11 @@ export class ThreatDetectionEngine extends EventEmitter {
       high: 0.8,
       critical: 0.9
     };
+    this.detectionRules = this.mlEngine.models.patternRecognition.detectionRules;
+    this.correlationEngine = this.mlEngine.models.threatCorrelation.correlationEngine;
+    this.suppressions = alertSuppressionService;
+    this.assetChanges = assetChangeHistory;
+    this.ruleImportReport = { imported: [], failed: [] };
   }
 
   async initialize() {
@@ -631,6 +658,15 @@ export class ThreatDetectionEngine extends EventEmitter {
       this.startProcessingEngine();
       
       this.isRunning = true;
+
+      // Asset drift from discovery runs goes through the detection rules
+      // like any other event
+      this.assetChanges.on('drift_detected', drift => {
+        this.processEvent(drift).catch(error => {
+          console.error('Error processing asset drift event:', error);
+        });
+      });
+
       this.emit('initialized');
       
       console.log('Threat Detection Engine initialized successfully');
@@ -645,6 +681,9 @@ export class ThreatDetectionEngine extends EventEmitter {
       throw new Error('Threat Detection Engine not initialized');
     }
 
+    // Raw telemetry for consumers such as scheduled threat hunts
+    this.emit('event_received', event);
+
     try {
       // Add to processing queue
       this.processingQueue.push(event);
@@ -652,8 +691,14 @@ export class ThreatDetectionEngine extends EventEmitter {
       // Analyze with ML engine
       const analysis = await this.mlEngine.analyzeEvent(event);
       
-      // Determine threat level
-      const threatLevel = this.determineThreatLevel(analysis.riskScore);
+      // Determine threat level; matched detection rules and correlated
+      // alerts set the minimum level
+      const ruleMatches = analysis.ruleMatches || [];
+      const correlatedAlerts = analysis.correlatedAlerts || [];
+      const threatLevel = [...ruleMatches, ...correlatedAlerts].reduce(
+        (level, match) => this.maxThreatLevel(level, match.severity),
+        this.determineThreatLevel(analysis.riskScore)
+      );
       
       // Create threat detection result
       const result = {
@@ -666,9 +711,34 @@ export class ThreatDetectionEngine extends EventEmitter {
         threatType: analysis.threatType,
         indicators: analysis.indicators,
         recommendations: analysis.recommendations,
+        ruleMatches,
+        correlatedAlerts,
         mlAnalysis: analysis
       };
 
+      // Suppressed detections are counted against their rule but never surfaced
+      const suppressedBy = this.suppressions.check({
+        ...event,
+        eventId: event.id,
+        id: result.id,
+        threatLevel,
+        threatType: analysis.threatType,
+        riskScore: analysis.riskScore,
+        rules: ruleMatches.map(match => match.ruleId)
+      }, 'threat_detection');
+
+      // Correlated alerts span many events and are suppressed on their own
+      // merits, so they surface even when this event's detection is suppressed
+      correlatedAlerts
+        .filter(alert => !this.suppressions.check({ ...alert.groupKey, ...alert }, 'threat_detection'))
+        .forEach(alert => this.emit('correlated_alert', { ...alert, detectionId: result.id }));
+
+      if (suppressedBy) {
+        result.suppressedBy = suppressedBy.id;
+        this.emit('threat_suppressed', { detectionId: result.id, eventId: event.id, ruleId: suppressedBy.id });
+        return result;
+      }
+
       // Store result
       this.detectionResults.set(result.id, result);
       
@@ -694,6 +764,128 @@ export class ThreatDetectionEngine extends EventEmitter {
     return 'info';
   }
 
+  maxThreatLevel(a, b) {
+    return THREAT_LEVELS.indexOf(b) > THREAT_LEVELS.indexOf(a) ? b : a;
+  }
+
+  /**
+   * Import Sigma detection rules from YAML sources (strings or { path, content })
+   * Rules that cannot be compiled are skipped and listed in the returned report.
+   * severityMap overrides the Sigma level mapping, e.g. { medium: 'high' }.
+   */
+  importSigmaRules(sources, { enabled = true, replace = false, severityMap = {} } = {}) {
+    const { rules, failed } = compileSigmaRules(sources);
+    const imported = [];
+
+    rules.forEach(rule => {
+      if (this.detectionRules.has(rule.id) && !replace) {
+        failed.push({ path: rule.path, id: rule.id, title: rule.title, error: `Rule ${rule.id} is already loaded` });
+        return;
+      }
+
+      const severity = severityMap[rule.level] || rule.severity;
+      if (!THREAT_LEVELS.includes(severity)) {
+        failed.push({ path: rule.path, id: rule.id, title: rule.title, error: `Unknown severity: ${severity}` });
+        return;
+      }
+
+      this.detectionRules.set(rule.id, { ...rule, severity, enabled, importedAt: new Date() });
+      imported.push({ id: rule.id, title: rule.title, severity });
+    });
+
+    this.ruleImportReport = { imported, failed, importedAt: new Date() };
+    this.emit('rules_imported', this.ruleImportReport);
+    return this.ruleImportReport;
+  }
+
+  getRuleImportReport() {
+    return this.ruleImportReport;
+  }
+
+  getDetectionRules() {
+    return Array.from(this.detectionRules.values()).map(rule => ({
+      id: rule.id,
+      title: rule.title,
+      description: rule.description,
+      status: rule.status,
+      level: rule.level,
+      severity: rule.severity,
+      tags: rule.tags,
+      logsource: rule.logsource,
+      path: rule.path,
+      enabled: rule.enabled
+    }));
+  }
+
+  setRuleEnabled(ruleId, enabled) {
+    const rule = this.detectionRules.get(ruleId);
+    if (!rule) return false;
+
+    rule.enabled = enabled;
+    this.emit('rule_updated', { ruleId, enabled });
+    return true;
+  }
+
+  enableRule(ruleId) {
+    return this.setRuleEnabled(ruleId, true);
+  }
+
+  disableRule(ruleId) {
+    return this.setRuleEnabled(ruleId, false);
+  }
+
+  setRuleSeverity(ruleId, severity) {
+    const rule = this.detectionRules.get(ruleId);
+    if (!rule || !THREAT_LEVELS.includes(severity)) return false;
+
+    rule.severity = severity;
+    this.emit('rule_updated', { ruleId, severity });
+    return true;
+  }
+
+  removeRule(ruleId) {
+    return this.detectionRules.delete(ruleId);
+  }
+
+  addCorrelationRule(rule) {
+    this.correlationEngine.addRule(rule);
+  }
+
+  removeCorrelationRule(name) {
+    return this.correlationEngine.removeRule(name);
+  }
+
+  getCorrelationRules() {
+    return Array.from(this.correlationEngine.rules.values());
+  }
+
+  /**
+   * Rule evaluation for the detection rule test harness; each check runs a
+   * single rule in isolation without touching the engine's live state
+   */
+  matchesDetectionRule(ruleId, event) {
+    const rule = this.detectionRules.get(ruleId);
+    if (!rule) {
+      throw new Error(`Unknown detection rule: ${ruleId}`);
+    }
+    return rule.matches(event);
+  }
+
+  matchesSignature(name, event) {
+    return this.mlEngine.models.patternRecognition.matchesSignature(name, event);
+  }
+
+  runCorrelationRule(name, events) {
+    const rule = this.correlationEngine.rules.get(name);
+    if (!rule) {
+      throw new Error(`Unknown correlation rule: ${name}`);
+    }
+
+    const correlation = new ThreatCorrelationEngine();
+    correlation.addRule(rule);
+    return events.flatMap(event => correlation.process(event).alerts);
+  }
+
   async initializeThreatIntelligence() {
     // Simulate loading threat intelligence feeds
     const threatFeeds = [
@@ -5,14 +5,21 @@
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
+import { compileHuntingQuery } from './HuntingQueryCompiler.js';
+import { threatDetectionEngine } from './ThreatDetectionEngine.js';
 
 // ============================================================================
 // THREAT INTELLIGENCE ENGINE
 // ============================================================================
 
 export class ThreatIntelligenceEngine extends EventEmitter {
-  constructor() {
+  constructor({ eventSource = threatDetectionEngine } = {}) {
     super();
+    this.eventSource = eventSource;
+    this.huntingQueue = []; // events received since the last hunt
+    this.huntedEvents = new WeakSet();
+    this.maxHuntingQueueSize = 10000;
+    this.huntingMatchers = new Map(); // query -> compiled matcher
     this.threatFeeds = new Map();
     this.indicators = new Map();
     this.threatActors = new Map();
@@ -743,7 +750,9 @@ export class ThreatIntelligenceEngine extends EventEmitter {
    * Start threat hunting process
    */
   startThreatHunting() {
-    // Simulate threat hunting every 45 seconds for demo
+    this.eventSource?.on('event_received', event => this.queueHuntingEvent(event));
+
+    // Hunt over the events received since the last run every 45 seconds for demo
     setInterval(() => {
       this.executeThreatHunting();
     }, 45000);
@@ -789,30 +798,40 @@ export class ThreatIntelligenceEngine extends EventEmitter {
   }
 
   /**
-   * Execute threat hunting
+   * Queue an event for the next hunt. The detection engine can hand over
+   * the same event more than once; it is only hunted once.
+   */
+  queueHuntingEvent(event) {
+    if (!event || typeof event !== 'object' || this.huntedEvents.has(event)) return;
+
+    this.huntedEvents.add(event);
+    this.huntingQueue.push(event);
+    if (this.huntingQueue.length > this.maxHuntingQueueSize) {
+      this.huntingQueue.splice(0, this.huntingQueue.length - this.maxHuntingQueueSize);
+    }
+  }
+
+  /**
+   * Execute threat hunting: run every hunting rule's query over the events
+   * received since the last run. True and false positives are left to
+   * analyst triage.
    */
-  async executeThreatHunting() {
+  async executeThreatHunting(events = this.huntingQueue.splice(0)) {
     for (const [ruleId, rule] of this.huntingRules) {
       try {
-        // Simulate rule execution
-        const results = this.simulateHuntingExecution(rule);
+        const matcher = this.getHuntingMatcher(rule);
+        const matches = events.filter(event => matcher(event));
         
-        // Update rule metrics
         this.huntingRules.set(ruleId, {
           ...rule,
           executionCount: rule.executionCount + 1,
-          alertsGenerated: rule.alertsGenerated + results.alerts,
-          truePositives: rule.truePositives + results.truePositives,
-          falsePositives: rule.falsePositives + results.falsePositives,
-          effectiveness: this.calculateRuleEffectiveness({
-            ...rule,
-            truePositives: rule.truePositives + results.truePositives,
-            falsePositives: rule.falsePositives + results.falsePositives
-          })
+          eventsHunted: (rule.eventsHunted || 0) + events.length,
+          alertsGenerated: rule.alertsGenerated + matches.length,
+          lastExecution: new Date().toISOString()
         });
 
-        if (results.alerts > 0) {
-          this.emit('hunting_alert', { ruleId, rule, results });
+        if (matches.length > 0) {
+          this.emit('hunting_alert', { ruleId, rule, results: { alerts: matches.length, matches } });
         }
       } catch (error) {
         console.error(`Failed to execute hunting rule ${ruleId}:`, error);
@@ -914,13 +933,22 @@ export class ThreatIntelligenceEngine extends EventEmitter {
     return indicators;
   }
 
-  simulateHuntingExecution(rule) {
-    const baseAlertRate = 0.05; // 5% base alert rate
-    const alerts = Math.random() < baseAlertRate ? Math.floor(Math.random() * 3) + 1 : 0;
-    const truePositives = Math.floor(alerts * (1 - rule.falsePositiveRate));
-    const falsePositives = alerts - truePositives;
+  /**
+   * Check whether a hunting rule's query matches an event
+   */
+  matchesHuntingRule(ruleId, event) {
+    const rule = this.huntingRules.get(ruleId);
+    if (!rule) {
+      throw new Error(`Unknown hunting rule: ${ruleId}`);
+    }
+    return this.getHuntingMatcher(rule)(event);
+  }
 
-    return { alerts, truePositives, falsePositives };
+  getHuntingMatcher(rule) {
+    if (!this.huntingMatchers.has(rule.query)) {
+      this.huntingMatchers.set(rule.query, compileHuntingQuery(rule.query));
+    }
+    return this.huntingMatchers.get(rule.query);
   }
 
   calculateRuleEffectiveness(rule) {
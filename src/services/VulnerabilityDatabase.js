@@ -0,0 +1,687 @@
+/**
+ * Vulnerability Database
+ * Offline matching of software inventory against a local snapshot of
+ * vulnerability data. NVD JSON feeds (1.1 feed files and API 2.0 responses)
+ * give CPE applicability with version ranges; OSV records (single files,
+ * JSON lines or the per-ecosystem ZIP dumps) give package version ranges for
+ * language ecosystems and Linux distributions. Inventory items are
+ * normalised to CPE names, or to a Package URL when the package manager is
+ * known, and compared using the version rules of their ecosystem.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { IndexedDbDatasetStore, MemoryDatasetStore } from './ExploitIntelligence.js';
+import { parseCpe, formatCpe, parsePurl, formatPurl } from '../utils/packageIdentifiers.js';
+import { compareVersions, isVersionInRange } from '../utils/versions.js';
+import { calculateCvss, getCvssSeverity } from '../utils/cvss.js';
+import { readZip } from '../utils/zip.js';
+
+const CVE_PATTERN = /^CVE-\d{4}-\d{4,}$/i;
+
+// Version rules for each OSV ecosystem; anything else is compared loosely
+const ECOSYSTEM_SCHEMES = {
+  npm: 'semver',
+  'crates.io': 'semver',
+  Go: 'semver',
+  Hex: 'semver',
+  Pub: 'semver',
+  NuGet: 'semver',
+  Debian: 'debian',
+  Ubuntu: 'debian',
+  'Red Hat': 'rpm',
+  AlmaLinux: 'rpm',
+  'Rocky Linux': 'rpm',
+  openSUSE: 'rpm',
+  SUSE: 'rpm',
+  Mageia: 'rpm'
+};
+
+const PURL_ECOSYSTEMS = {
+  npm: 'npm',
+  pypi: 'PyPI',
+  maven: 'Maven',
+  golang: 'Go',
+  cargo: 'crates.io',
+  gem: 'RubyGems',
+  nuget: 'NuGet',
+  composer: 'Packagist',
+  hex: 'Hex',
+  pub: 'Pub',
+  apk: 'Alpine'
+};
+
+// How OSV writes a namespaced package name (org.apache.logging.log4j:log4j-core, @babel/core)
+const PURL_NAMESPACE_SEPARATORS = { maven: ':', golang: '/', composer: '/', npm: '/' };
+
+const RPM_DISTRIBUTIONS = {
+  redhat: 'Red Hat',
+  almalinux: 'AlmaLinux',
+  rocky: 'Rocky Linux',
+  opensuse: 'openSUSE',
+  suse: 'SUSE',
+  mageia: 'Mageia'
+};
+
+// CPE names for common products whose inventory names don't match their
+// NVD vendor and product
+const KNOWN_PRODUCTS = [
+  [/^apache( http server| httpd)?$|^httpd$/i, ['a:apache:http_server']],
+  [/^(apache )?tomcat$/i, ['a:apache:tomcat']],
+  [/^nginx$/i, ['a:f5:nginx', 'a:nginx:nginx']],
+  [/^mysql( server| community server)?$/i, ['a:oracle:mysql']],
+  [/^postgresql$/i, ['a:postgresql:postgresql']],
+  [/^php$/i, ['a:php:php']],
+  [/^openssh$/i, ['a:openbsd:openssh']],
+  [/^openssl$/i, ['a:openssl:openssl']],
+  [/^(google )?chrome$/i, ['a:google:chrome']],
+  [/^(mozilla )?firefox$/i, ['a:mozilla:firefox']],
+  [/^(microsoft )?edge$/i, ['a:microsoft:edge_chromium']],
+  [/^adobe acrobat reader( dc)?$/i, ['a:adobe:acrobat_reader_dc']],
+  [/^(microsoft )?office$/i, ['a:microsoft:office']],
+  [/^node\.?js$/i, ['a:nodejs:node.js']],
+  [/^7-zip$/i, ['a:7-zip:7-zip']],
+  [/^git$/i, ['a:git-scm:git']]
+];
+
+// Windows build number -> NVD product per release
+const WINDOWS_BUILDS = {
+  17763: { client: 'windows_10_1809', server: 'windows_server_2019' },
+  19041: { client: 'windows_10_2004' },
+  19042: { client: 'windows_10_20h2' },
+  19043: { client: 'windows_10_21h1' },
+  19044: { client: 'windows_10_21h2' },
+  19045: { client: 'windows_10_22h2' },
+  20348: { server: 'windows_server_2022' },
+  22000: { client: 'windows_11_21h2' },
+  22621: { client: 'windows_11_22h2' },
+  22631: { client: 'windows_11_23h2' },
+  26100: { client: 'windows_11_24h2', server: 'windows_server_2025' }
+};
+
+const ORGANISATION_SUFFIXES = /[,.]?\s+(inc|incorporated|corp|corporation|co|ltd|limited|llc|gmbh|ag|foundation|software|project)\.?$/i;
+
+function cpeName(value) {
+  let name = String(value).trim().toLowerCase();
+  while (ORGANISATION_SUFFIXES.test(name)) name = name.replace(ORGANISATION_SUFFIXES, '');
+  return name.replace(/[^a-z0-9._\-+]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function osvPackageName(ecosystem, name) {
+  const lower = String(name).toLowerCase();
+  return ecosystem === 'PyPI' ? lower.replace(/[-_.]+/g, '-') : lower;
+}
+
+function packageKey(ecosystem, name) {
+  return `pkg:${ecosystem.toLowerCase()}:${osvPackageName(ecosystem, name)}`;
+}
+
+function cpeKey(part, product) {
+  return `cpe:${part}:${product}`;
+}
+
+/**
+ * CPE and distribution of an operating system name such as
+ * "Windows 10 Enterprise 10.0.19044.1288" or "Ubuntu 20.04.3 LTS"
+ */
+function operatingSystemCpes(text) {
+  const value = String(text);
+  const build = /\b(10\.0\.(\d{5})(?:\.\d+)?)\b/.exec(value);
+
+  if (/windows/i.test(value)) {
+    const server = /server/i.test(value);
+    const named = server ? /server (\d{4})/i.exec(value) : /windows (10|11)\b/i.exec(value);
+    const product = (build && WINDOWS_BUILDS[build[2]]?.[server ? 'server' : 'client']) ||
+      (named && (server ? `windows_server_${named[1]}` : `windows_${named[1]}`));
+    return product
+      ? { cpes: [{ part: 'o', vendor: 'microsoft', product }], version: build ? build[1] : null, scheme: 'windows' }
+      : null;
+  }
+
+  const linux = [
+    [/ubuntu\s+(\d+\.\d+)/i, 'canonical', 'ubuntu_linux', 'ubuntu'],
+    [/debian(?: gnu\/linux)?\s+(\d+)/i, 'debian', 'debian_linux', 'debian'],
+    [/red hat enterprise linux(?: server)?\s+(\d+)/i, 'redhat', 'enterprise_linux', 'rhel'],
+    [/centos(?: linux| stream)?\s+(\d+)/i, 'centos', 'centos', 'centos'],
+    [/rocky linux\s+(\d+)/i, 'rocky', 'rocky_linux', 'rocky'],
+    [/almalinux\s+(\d+)/i, 'almalinux', 'almalinux', 'almalinux'],
+    [/macos(?: [a-z ]+)?\s+(\d+(?:\.\d+)*)/i, 'apple', 'macos', null]
+  ];
+  for (const [pattern, vendor, product, distro] of linux) {
+    const match = pattern.exec(value);
+    if (match) {
+      return {
+        cpes: [{ part: 'o', vendor, product }],
+        version: match[1],
+        scheme: 'generic',
+        distro: distro ? `${distro}-${match[1]}` : null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalise an inventory item ({ name, version } from discovery, or a
+ * SoftwareItem with optional vendor/publisher, cpe, purl and package type)
+ * into the identifiers used for matching
+ */
+export function normaliseSoftware(item, { operatingSystem = null } = {}) {
+  const name = String(item.name || item.product || '').trim();
+  const software = {
+    name,
+    version: item.version ? String(item.version).trim() : null,
+    cpes: [],
+    cpe: null,
+    purl: null,
+    ecosystem: null,
+    packageName: null,
+    distro: item.distro || operatingSystemCpes(operatingSystem || '')?.distro || null,
+    scheme: 'generic'
+  };
+
+  const packageType = item.purl ? null : String(item.package_type || item.package_manager || '').toLowerCase();
+  const purl = item.purl
+    ? parsePurl(item.purl)
+    : packageType && (PURL_ECOSYSTEMS[packageType] || packageType === 'deb' || packageType === 'rpm')
+      ? { type: packageType, namespace: item.namespace || null, name, version: software.version, qualifiers: {} }
+      : null;
+
+  if (purl) {
+    let ecosystem = PURL_ECOSYSTEMS[purl.type] || null;
+    const separator = PURL_NAMESPACE_SEPARATORS[purl.type];
+    let packageName = purl.namespace && separator ? `${purl.namespace}${separator}${purl.name}` : purl.name;
+
+    // Distribution packages carry the distribution as namespace and qualifier
+    const distroPackage = ['deb', 'rpm', 'apk'].includes(purl.type);
+    const distro = distroPackage ? purl.qualifiers.distro || software.distro : null;
+    const vendor = String(purl.namespace || distro || '').toLowerCase().replace(/-.*/, '').replace(/^rhel$/, 'redhat');
+    if (purl.type === 'deb') {
+      ecosystem = vendor === 'ubuntu' ? 'Ubuntu' : 'Debian';
+      packageName = purl.name;
+    } else if (purl.type === 'rpm') {
+      ecosystem = RPM_DISTRIBUTIONS[vendor] || 'Red Hat';
+      packageName = purl.name;
+    }
+
+    if (ecosystem) {
+      software.version = purl.version || software.version;
+      software.ecosystem = ecosystem;
+      software.packageName = packageName;
+      software.distro = distro || null;
+      software.scheme = ECOSYSTEM_SCHEMES[ecosystem] || 'generic';
+      software.purl = formatPurl({
+        ...purl,
+        namespace: purl.namespace || (distroPackage && vendor) || null,
+        version: software.version,
+        qualifiers: { ...purl.qualifiers, distro: software.distro }
+      });
+      // Distribution and language packages are matched on OSV data only:
+      // NVD ranges don't know about backported fixes
+      return software;
+    }
+  }
+
+  if (item.cpe) {
+    const cpe = parseCpe(item.cpe);
+    software.cpes = [{ part: cpe.part, vendor: cpe.vendor, product: cpe.product }];
+    if (!software.version && !['*', '-'].includes(cpe.version)) software.version = cpe.version;
+  } else {
+    // Discovery reports the OS as "Operating System" with the OS name as its version
+    const system = item.type === 'os' || /^operating system$/i.test(name)
+      ? operatingSystemCpes(software.version)
+      : operatingSystemCpes(`${name} ${software.version || ''}`);
+    const known = KNOWN_PRODUCTS.find(([pattern]) => pattern.test(name));
+
+    if (system) {
+      software.cpes = system.cpes;
+      software.version = system.version;
+      software.scheme = system.scheme;
+      software.distro = software.distro || system.distro || null;
+    } else if (known) {
+      software.cpes = known[1].map(value => {
+        const [part, vendor, product] = value.split(':');
+        return { part, vendor, product };
+      });
+    } else if (name) {
+      const vendor = item.vendor || item.publisher ? cpeName(item.vendor || item.publisher) : null;
+      let product = cpeName(name);
+      if (vendor && product.startsWith(`${vendor}_`)) product = product.slice(vendor.length + 1);
+      software.cpes = [{ part: 'a', vendor, product }];
+    }
+  }
+
+  if (software.cpes.length > 0) {
+    software.cpe = formatCpe({ ...software.cpes[0], vendor: software.cpes[0].vendor || '*', version: software.version || '*' });
+  }
+  return software;
+}
+
+function datasetMeta({ id, source, fileName, generatedAt, importedAt, count }) {
+  return { id, source, fileName, generatedAt, importedAt, count };
+}
+
+function nvdSeverity(score, severity) {
+  if (severity) return String(severity).toLowerCase();
+  return score > 0 ? getCvssSeverity(score) : null;
+}
+
+// Applicable CPEs of an NVD configuration tree. Platform conditions in AND
+// nodes (vulnerable: false) are not evaluated; the vulnerable component alone
+// decides the match.
+function nvdCpeMatches(nodes = []) {
+  return nodes.flatMap(node => {
+    if (node.negate) return [];
+    const matches = (node.cpeMatch || node.cpe_match || []).filter(match => match.vulnerable);
+    return [...matches, ...nvdCpeMatches(node.children)];
+  });
+}
+
+function toCpeAffected(match) {
+  const cpe = parseCpe(match.criteria || match.cpe23Uri);
+  const start = match.versionStartIncluding || match.versionStartExcluding || null;
+  const end = match.versionEndIncluding || match.versionEndExcluding || null;
+
+  return {
+    type: 'cpe',
+    part: cpe.part,
+    vendor: cpe.vendor,
+    product: cpe.product,
+    version: cpe.version,
+    ranges: start || end
+      ? [{ start, startInclusive: !match.versionStartExcluding, end, endInclusive: Boolean(match.versionEndIncluding) }]
+      : []
+  };
+}
+
+function fromNvd11(item) {
+  const cve = item.cve || {};
+  const v3 = item.impact?.baseMetricV3?.cvssV3;
+  const v2 = item.impact?.baseMetricV2;
+  const score = v3?.baseScore ?? v2?.cvssV2?.baseScore ?? null;
+
+  return {
+    id: cve.CVE_data_meta?.ID,
+    cve: cve.CVE_data_meta?.ID,
+    aliases: [],
+    source: 'nvd',
+    summary: (cve.description?.description_data || []).find(entry => entry.lang === 'en')?.value || '',
+    published: item.publishedDate || null,
+    modified: item.lastModifiedDate || null,
+    cvss: score,
+    cvssVector: v3?.vectorString || v2?.cvssV2?.vectorString || null,
+    severity: nvdSeverity(score, v3?.baseSeverity || v2?.severity),
+    references: (cve.references?.reference_data || []).map(reference => reference.url),
+    affected: nvdCpeMatches(item.configurations?.nodes).map(toCpeAffected)
+  };
+}
+
+function fromNvd20(cve) {
+  const metrics = cve.metrics || {};
+  const metric = ['cvssMetricV31', 'cvssMetricV30', 'cvssMetricV40', 'cvssMetricV2']
+    .map(key => (metrics[key] || []).find(entry => entry.type === 'Primary') || metrics[key]?.[0])
+    .find(Boolean);
+  const score = metric?.cvssData?.baseScore ?? null;
+
+  return {
+    id: cve.id,
+    cve: cve.id,
+    aliases: [],
+    source: 'nvd',
+    summary: (cve.descriptions || []).find(entry => entry.lang === 'en')?.value || '',
+    published: cve.published || null,
+    modified: cve.lastModified || null,
+    cvss: score,
+    cvssVector: metric?.cvssData?.vectorString || null,
+    severity: nvdSeverity(score, metric?.cvssData?.baseSeverity || metric?.baseSeverity),
+    references: (cve.references || []).map(reference => reference.url),
+    affected: (cve.configurations || []).flatMap(configuration => nvdCpeMatches(configuration.nodes)).map(toCpeAffected),
+    rejected: cve.vulnStatus === 'Rejected'
+  };
+}
+
+/**
+ * Parse an NVD 1.1 JSON feed (CVE_Items) or an NVD API 2.0 response
+ * (vulnerabilities[].cve) into advisories
+ */
+export function parseNvdFeed(data) {
+  const feed = typeof data === 'string' ? JSON.parse(data) : data;
+  let advisories;
+  if (Array.isArray(feed?.CVE_Items)) {
+    advisories = feed.CVE_Items.map(fromNvd11);
+  } else if (Array.isArray(feed?.vulnerabilities)) {
+    advisories = feed.vulnerabilities.map(entry => fromNvd20(entry.cve || {})).filter(advisory => !advisory.rejected);
+  } else {
+    throw new Error('Not an NVD JSON feed');
+  }
+
+  return {
+    generatedAt: feed.CVE_data_timestamp || feed.timestamp || null,
+    advisories: advisories
+      .filter(advisory => advisory.id && advisory.affected.length > 0)
+      .map(advisory => ({ ...advisory, rejected: undefined }))
+  };
+}
+
+// OSV events in order: each introduced opens a range, fixed (exclusive) or
+// last_affected (inclusive) closes it
+function osvRanges(events = []) {
+  const ranges = [];
+  let current = null;
+  events.forEach(event => {
+    if ('introduced' in event) {
+      current = { start: event.introduced === '0' ? null : event.introduced, startInclusive: true, end: null, endInclusive: false };
+      ranges.push(current);
+    } else if (current && ('fixed' in event || 'limit' in event)) {
+      current.end = event.fixed ?? event.limit;
+      current = null;
+    } else if (current && 'last_affected' in event) {
+      current.end = event.last_affected;
+      current.endInclusive = true;
+      current = null;
+    }
+  });
+  return ranges;
+}
+
+function osvSeverity(record) {
+  for (const entry of record.severity || []) {
+    try {
+      const result = calculateCvss(entry.score);
+      return { cvss: result.baseScore, cvssVector: entry.score, severity: result.baseSeverity };
+    } catch {
+      // CVSS v2 vectors and other score types are skipped
+    }
+  }
+  const label = String(record.database_specific?.severity || '').toLowerCase();
+  return {
+    cvss: null,
+    cvssVector: null,
+    severity: { moderate: 'medium' }[label] || (['low', 'medium', 'high', 'critical'].includes(label) ? label : null)
+  };
+}
+
+/**
+ * Parse OSV records into advisories. GIT ranges are skipped: inventory
+ * versions are never commit hashes.
+ */
+export function parseOsvRecords(records) {
+  return {
+    generatedAt: null,
+    advisories: [records].flat()
+      .filter(record => record && record.id && Array.isArray(record.affected) && !record.withdrawn)
+      .map(record => ({
+        id: record.id,
+        cve: [record.id, ...(record.aliases || [])].find(id => CVE_PATTERN.test(id)) || null,
+        aliases: record.aliases || [],
+        source: 'osv',
+        summary: record.summary || record.details || '',
+        published: record.published || null,
+        modified: record.modified || null,
+        ...osvSeverity(record),
+        references: (record.references || []).map(reference => reference.url),
+        affected: record.affected
+          .filter(affected => affected.package?.ecosystem && affected.package?.name)
+          .map(affected => {
+            const [ecosystem, ...release] = affected.package.ecosystem.split(':');
+            const ranges = (affected.ranges || []).filter(range => range.type !== 'GIT');
+            return {
+              type: 'package',
+              ecosystem,
+              // Debian:11, Ubuntu:22.04:LTS, Alpine:v3.18, Red Hat:enterprise_linux:8
+              release: release.find(part => /\d/.test(part))?.toLowerCase().replace(/^v/, '') || null,
+              name: osvPackageName(ecosystem, affected.package.name),
+              scheme: ranges.some(range => range.type === 'SEMVER') ? 'semver' : ECOSYSTEM_SCHEMES[ecosystem] || 'generic',
+              ranges: ranges.flatMap(range => osvRanges(range.events)),
+              versions: affected.versions || []
+            };
+          })
+      }))
+      .filter(advisory => advisory.affected.length > 0)
+  };
+}
+
+/**
+ * Detect whether parsed JSON is NVD or OSV data
+ */
+export function detectVulnerabilityFormat(json) {
+  if (Array.isArray(json?.CVE_Items) || (Array.isArray(json?.vulnerabilities) && json.vulnerabilities[0]?.cve)) return 'nvd';
+  if (Array.isArray(json) ? json.some(record => record?.affected) : json?.id && json?.affected) return 'osv';
+  return null;
+}
+
+function parseJsonOrLines(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+}
+
+async function readFileBytes(file) {
+  if (/\.gz$/i.test(file.name) && typeof DecompressionStream !== 'undefined') {
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  return new Uint8Array(await file.arrayBuffer());
+}
+
+function matchesCpe(affected, software, candidate) {
+  if (affected.part !== candidate.part || affected.product !== candidate.product) return null;
+  if (candidate.vendor && affected.vendor !== '*' && affected.vendor !== candidate.vendor) return null;
+
+  if (affected.ranges.length > 0) {
+    if (!software.version) return null;
+    const range = affected.ranges.find(r => isVersionInRange(software.version, r, software.scheme));
+    return range ? { fixedVersion: range.endInclusive ? null : range.end } : null;
+  }
+  if (affected.version === '*' || affected.version === '-') return { fixedVersion: null };
+  if (!software.version || compareVersions(software.version, affected.version, software.scheme) !== 0) return null;
+  return { fixedVersion: null };
+}
+
+function matchesPackage(affected, software) {
+  if (!software.version) return null;
+  if (affected.release && software.distro) {
+    const distro = software.distro.toLowerCase();
+    if (distro !== affected.release && !distro.endsWith(`-${affected.release}`)) return null;
+  }
+
+  if (affected.versions.includes(software.version)) {
+    return { fixedVersion: affected.ranges.find(range => range.end && !range.endInclusive)?.end || null };
+  }
+  const range = affected.ranges.find(r => isVersionInRange(software.version, r, affected.scheme));
+  return range ? { fixedVersion: range.endInclusive ? null : range.end } : null;
+}
+
+export class VulnerabilityDatabase extends EventEmitter {
+  constructor({ store = typeof indexedDB !== 'undefined' ? new IndexedDbDatasetStore({ dbName: 'redscan-vulnerability-db' }) : new MemoryDatasetStore() } = {}) {
+    super();
+    this.store = store;
+    this.datasets = []; // imported files with their advisories
+    this.index = new Map(); // cpe:part:product / pkg:ecosystem:name -> [{ advisory, affected }]
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const snapshot = await this.store.load('snapshot');
+      if (snapshot) {
+        this.datasets = snapshot.datasets || [];
+        this.rebuildIndex();
+        this.emit('database_loaded', this.getStatus());
+      }
+    } catch (error) {
+      console.error('Failed to load vulnerability database:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await this.store.save({ id: 'snapshot', datasets: this.datasets });
+    } catch (error) {
+      console.error('Failed to save vulnerability database:', error);
+    }
+  }
+
+  rebuildIndex() {
+    this.index = new Map();
+    this.datasets.forEach(dataset => dataset.advisories.forEach(advisory => {
+      advisory.affected.forEach(affected => {
+        const key = affected.type === 'cpe'
+          ? cpeKey(affected.part, affected.product)
+          : packageKey(affected.ecosystem, affected.name);
+        if (!this.index.has(key)) this.index.set(key, []);
+        this.index.get(key).push({ advisory, affected });
+      });
+    }));
+  }
+
+  /**
+   * Add a parsed NVD or OSV dataset. Importing a file with the same name
+   * again replaces the earlier import.
+   */
+  async importDataset(source, data, { fileName = null } = {}) {
+    const parsed = source === 'nvd' ? parseNvdFeed(data) : parseOsvRecords(data);
+    if (parsed.advisories.length === 0) {
+      throw new Error(`${fileName || 'File'} contains no applicable vulnerabilities`);
+    }
+
+    const dataset = {
+      id: `${source}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      source,
+      fileName,
+      generatedAt: parsed.generatedAt,
+      importedAt: new Date().toISOString(),
+      count: parsed.advisories.length,
+      advisories: parsed.advisories
+    };
+
+    this.datasets = [...this.datasets.filter(existing => !fileName || existing.fileName !== fileName), dataset];
+    this.rebuildIndex();
+    await this.save();
+
+    const meta = datasetMeta(dataset);
+    this.emit('dataset_imported', meta);
+    return meta;
+  }
+
+  importNvd(data, options) {
+    return this.importDataset('nvd', data, options);
+  }
+
+  importOsv(records, options) {
+    return this.importDataset('osv', records, options);
+  }
+
+  /**
+   * Import a local NVD feed (.json, .json.gz), OSV records (.json, .jsonl)
+   * or an OSV ecosystem dump (.zip)
+   */
+  async importFile(file) {
+    const bytes = await readFileBytes(file);
+
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+      const decoder = new TextDecoder();
+      const records = (await readZip(bytes))
+        .filter(entry => entry.path.endsWith('.json'))
+        .map(entry => JSON.parse(decoder.decode(entry.data)));
+      return this.importDataset('osv', records, { fileName: file.name });
+    }
+
+    const json = parseJsonOrLines(new TextDecoder().decode(bytes));
+    const source = detectVulnerabilityFormat(json);
+    if (!source) {
+      throw new Error(`${file.name} is not a recognised NVD feed or OSV file`);
+    }
+    return this.importDataset(source, json, { fileName: file.name });
+  }
+
+  async removeDataset(datasetId) {
+    this.datasets = this.datasets.filter(dataset => dataset.id !== datasetId);
+    this.rebuildIndex();
+    await this.save();
+    this.emit('dataset_removed', datasetId);
+  }
+
+  async clear() {
+    this.datasets = [];
+    this.index = new Map();
+    await this.store.delete('snapshot');
+    this.emit('dataset_removed', null);
+  }
+
+  getStatus() {
+    return {
+      datasets: this.datasets.map(datasetMeta),
+      advisoryCount: this.datasets.reduce((sum, dataset) => sum + dataset.count, 0)
+    };
+  }
+
+  isEmpty() {
+    return this.datasets.length === 0;
+  }
+
+  /**
+   * Known vulnerabilities of one inventory item. `operatingSystem` is the
+   * host's OS name, used to tell which distribution a package belongs to.
+   */
+  match(item, context = {}) {
+    const software = normaliseSoftware(item, context);
+    const found = new Map();
+
+    const add = (advisory, result, matchedBy) => {
+      const id = advisory.cve || advisory.id;
+      const existing = found.get(id);
+      if (existing) {
+        existing.fixedVersion = existing.fixedVersion || result.fixedVersion;
+        if (!existing.advisoryIds.includes(advisory.id)) existing.advisoryIds.push(advisory.id);
+        return;
+      }
+      found.set(id, {
+        id,
+        advisoryIds: [advisory.id],
+        aliases: advisory.aliases,
+        software: software.name,
+        version: software.version,
+        severity: advisory.severity || 'unknown',
+        cvss: advisory.cvss,
+        cvssVector: advisory.cvssVector,
+        description: advisory.summary,
+        source: advisory.source,
+        matchedBy,
+        fixedVersion: result.fixedVersion,
+        published: advisory.published,
+        references: advisory.references
+      });
+    };
+
+    if (software.ecosystem) {
+      (this.index.get(packageKey(software.ecosystem, software.packageName)) || []).forEach(({ advisory, affected }) => {
+        const result = matchesPackage(affected, software);
+        if (result) add(advisory, result, software.purl);
+      });
+    }
+
+    software.cpes.forEach(candidate => {
+      (this.index.get(cpeKey(candidate.part, candidate.product)) || []).forEach(({ advisory, affected }) => {
+        const result = matchesCpe(affected, software, candidate);
+        if (result) add(advisory, result, software.cpe);
+      });
+    });
+
+    return Array.from(found.values());
+  }
+
+  /**
+   * Match a whole inventory; returns [{ software, vulnerabilities }]
+   */
+  matchInventory(items, context = {}) {
+    return items.map(item => ({
+      software: normaliseSoftware(item, context),
+      vulnerabilities: this.match(item, context)
+    }));
+  }
+}
+
+export const vulnerabilityDatabase = new VulnerabilityDatabase();
+export default vulnerabilityDatabase;
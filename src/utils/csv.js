@@ -0,0 +1,59 @@
+/**
+ * Minimal CSV reader
+ * RFC 4180 parsing: quoted fields, escaped quotes, embedded commas and line
+ * breaks, CRLF or LF line endings. Used by the offline data and scan result
+ * importers.
+ */
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ */
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
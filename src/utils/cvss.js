@@ -0,0 +1,439 @@
+/**
+ * CVSS calculator
+ * Parses CVSS v3.0, v3.1 and v4.0 vector strings and computes base, temporal
+ * (v3) or threat (v4) and environmental scores following the FIRST
+ * specifications. Environmental metrics can be supplied separately, e.g. the
+ * modifiers derived from an asset with deriveEnvironmentalMetrics.
+ */
+
+import { CVSS40_LOOKUP, CVSS40_MAX_COMPOSED, CVSS40_MAX_SEVERITY } from './cvss40Lookup.js';
+
+const V3_METRICS = {
+  AV: ['N', 'A', 'L', 'P'],
+  AC: ['L', 'H'],
+  PR: ['N', 'L', 'H'],
+  UI: ['N', 'R'],
+  S: ['U', 'C'],
+  C: ['H', 'L', 'N'],
+  I: ['H', 'L', 'N'],
+  A: ['H', 'L', 'N'],
+  E: ['X', 'H', 'F', 'P', 'U'],
+  RL: ['X', 'U', 'W', 'T', 'O'],
+  RC: ['X', 'C', 'R', 'U'],
+  CR: ['X', 'H', 'M', 'L'],
+  IR: ['X', 'H', 'M', 'L'],
+  AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'],
+  MAC: ['X', 'L', 'H'],
+  MPR: ['X', 'N', 'L', 'H'],
+  MUI: ['X', 'N', 'R'],
+  MS: ['X', 'U', 'C'],
+  MC: ['X', 'H', 'L', 'N'],
+  MI: ['X', 'H', 'L', 'N'],
+  MA: ['X', 'H', 'L', 'N']
+};
+
+const V4_METRICS = {
+  AV: ['N', 'A', 'L', 'P'],
+  AC: ['L', 'H'],
+  AT: ['N', 'P'],
+  PR: ['N', 'L', 'H'],
+  UI: ['N', 'P', 'A'],
+  VC: ['H', 'L', 'N'],
+  VI: ['H', 'L', 'N'],
+  VA: ['H', 'L', 'N'],
+  SC: ['H', 'L', 'N'],
+  SI: ['H', 'L', 'N'],
+  SA: ['H', 'L', 'N'],
+  E: ['X', 'A', 'P', 'U'],
+  CR: ['X', 'H', 'M', 'L'],
+  IR: ['X', 'H', 'M', 'L'],
+  AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'],
+  MAC: ['X', 'L', 'H'],
+  MAT: ['X', 'N', 'P'],
+  MPR: ['X', 'N', 'L', 'H'],
+  MUI: ['X', 'N', 'P', 'A'],
+  MVC: ['X', 'H', 'L', 'N'],
+  MVI: ['X', 'H', 'L', 'N'],
+  MVA: ['X', 'H', 'L', 'N'],
+  MSC: ['X', 'H', 'L', 'N'],
+  MSI: ['X', 'S', 'H', 'L', 'N'],
+  MSA: ['X', 'S', 'H', 'L', 'N'],
+  S: ['X', 'N', 'P'],
+  AU: ['X', 'N', 'Y'],
+  R: ['X', 'A', 'U', 'I'],
+  V: ['X', 'D', 'C'],
+  RE: ['X', 'L', 'M', 'H'],
+  U: ['X', 'Clear', 'Green', 'Amber', 'Red']
+};
+
+const BASE_METRICS = {
+  3: ['AV', 'AC', 'PR', 'UI', 'S', 'C', 'I', 'A'],
+  4: ['AV', 'AC', 'AT', 'PR', 'UI', 'VC', 'VI', 'VA', 'SC', 'SI', 'SA']
+};
+
+const ENVIRONMENTAL_METRICS = {
+  3: ['CR', 'IR', 'AR', 'MAV', 'MAC', 'MPR', 'MUI', 'MS', 'MC', 'MI', 'MA'],
+  4: ['CR', 'IR', 'AR', 'MAV', 'MAC', 'MAT', 'MPR', 'MUI', 'MVC', 'MVI', 'MVA', 'MSC', 'MSI', 'MSA']
+};
+
+const V3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: {
+    U: { N: 0.85, L: 0.62, H: 0.27 },
+    C: { N: 0.85, L: 0.68, H: 0.5 }
+  },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+  E: { X: 1, H: 1, F: 0.97, P: 0.94, U: 0.91 },
+  RL: { X: 1, U: 1, W: 0.97, T: 0.96, O: 0.95 },
+  RC: { X: 1, C: 1, R: 0.96, U: 0.92 },
+  REQUIREMENT: { X: 1, H: 1.5, M: 1, L: 0.5 }
+};
+
+// Severity distance of each v4.0 metric value from the most severe value
+const V4_LEVELS = {
+  AV: { N: 0, A: 0.1, L: 0.2, P: 0.3 },
+  PR: { N: 0, L: 0.1, H: 0.2 },
+  UI: { N: 0, P: 0.1, A: 0.2 },
+  AC: { L: 0, H: 0.1 },
+  AT: { N: 0, P: 0.1 },
+  VC: { H: 0, L: 0.1, N: 0.2 },
+  VI: { H: 0, L: 0.1, N: 0.2 },
+  VA: { H: 0, L: 0.1, N: 0.2 },
+  SC: { H: 0.1, L: 0.2, N: 0.3 },
+  SI: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  SA: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  CR: { H: 0, M: 0.1, L: 0.2 },
+  IR: { H: 0, M: 0.1, L: 0.2 },
+  AR: { H: 0, M: 0.1, L: 0.2 },
+  E: { U: 0.2, P: 0.1, A: 0 }
+};
+
+const SENSITIVE_CLASSIFICATIONS = ['confidential', 'restricted', 'secret', 'top_secret'];
+
+/**
+ * Parse a CVSS vector string into its version and metric values
+ */
+export function parseCvssVector(vector) {
+  const parts = String(vector || '').trim().split('/');
+  const prefix = parts.shift().match(/^CVSS:(3\.0|3\.1|4\.0)$/);
+  if (!prefix) {
+    throw new Error(`Unsupported CVSS vector: ${vector}`);
+  }
+
+  const version = prefix[1];
+  const major = Number(version[0]);
+  const definitions = major === 4 ? V4_METRICS : V3_METRICS;
+  const metrics = {};
+
+  parts.forEach(part => {
+    const [metric, value] = part.split(':');
+    if (!definitions[metric]) {
+      throw new Error(`Unknown CVSS ${version} metric: ${metric}`);
+    }
+    if (metric in metrics) {
+      throw new Error(`Duplicate CVSS metric: ${metric}`);
+    }
+    if (!definitions[metric].includes(value)) {
+      throw new Error(`Invalid value for CVSS metric ${metric}: ${value}`);
+    }
+    metrics[metric] = value;
+  });
+
+  const missing = BASE_METRICS[major].filter(metric => !(metric in metrics));
+  if (missing.length > 0) {
+    throw new Error(`CVSS vector is missing base metrics: ${missing.join(', ')}`);
+  }
+
+  return { version, metrics };
+}
+
+export function isValidCvssVector(vector) {
+  try {
+    parseCvssVector(vector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function formatCvssVector(version, metrics) {
+  const definitions = version === '4.0' ? V4_METRICS : V3_METRICS;
+  const parts = Object.keys(definitions)
+    .filter(metric => metrics[metric] && metrics[metric] !== 'X')
+    .map(metric => `${metric}:${metrics[metric]}`);
+  return [`CVSS:${version}`, ...parts].join('/');
+}
+
+/**
+ * Qualitative severity rating for a CVSS score
+ */
+export function getCvssSeverity(score) {
+  if (score >= 9.0) return 'critical';
+  if (score >= 7.0) return 'high';
+  if (score >= 4.0) return 'medium';
+  if (score > 0) return 'low';
+  return 'none';
+}
+
+function roundUp(value, version) {
+  if (version === '3.0') {
+    return Math.ceil(value * 10) / 10;
+  }
+  const integer = Math.round(value * 100000);
+  return integer % 10000 === 0 ? integer / 100000 : (Math.floor(integer / 10000) + 1) / 10;
+}
+
+function calculateV3(version, metrics) {
+  const w = V3_WEIGHTS;
+  const value = metric => metrics[metric] || 'X';
+  const modified = metric => (metrics[`M${metric}`] && metrics[`M${metric}`] !== 'X' ? metrics[`M${metric}`] : metrics[metric]);
+
+  const scopeChanged = metrics.S === 'C';
+  const iss = 1 - (1 - w.CIA[metrics.C]) * (1 - w.CIA[metrics.I]) * (1 - w.CIA[metrics.A]);
+  const impact = scopeChanged
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const exploitability = 8.22 * w.AV[metrics.AV] * w.AC[metrics.AC] *
+    w.PR[scopeChanged ? 'C' : 'U'][metrics.PR] * w.UI[metrics.UI];
+  const baseScore = impact <= 0
+    ? 0
+    : roundUp(Math.min((scopeChanged ? 1.08 : 1) * (impact + exploitability), 10), version);
+
+  const temporalFactor = w.E[value('E')] * w.RL[value('RL')] * w.RC[value('RC')];
+  const temporalScore = roundUp(baseScore * temporalFactor, version);
+
+  const modifiedScopeChanged = modified('S') === 'C';
+  const miss = Math.min(1 -
+    (1 - w.REQUIREMENT[value('CR')] * w.CIA[modified('C')]) *
+    (1 - w.REQUIREMENT[value('IR')] * w.CIA[modified('I')]) *
+    (1 - w.REQUIREMENT[value('AR')] * w.CIA[modified('A')]), 0.915);
+  const modifiedImpact = modifiedScopeChanged
+    ? 7.52 * (miss - 0.029) - 3.25 * Math.pow(version === '3.0' ? miss - 0.02 : miss * 0.9731 - 0.02, version === '3.0' ? 15 : 13)
+    : 6.42 * miss;
+  const modifiedExploitability = 8.22 * w.AV[modified('AV')] * w.AC[modified('AC')] *
+    w.PR[modifiedScopeChanged ? 'C' : 'U'][modified('PR')] * w.UI[modified('UI')];
+  const environmentalScore = modifiedImpact <= 0
+    ? 0
+    : roundUp(roundUp(Math.min((modifiedScopeChanged ? 1.08 : 1) * (modifiedImpact + modifiedExploitability), 10), version) * temporalFactor, version);
+
+  return {
+    baseScore,
+    temporalScore,
+    environmentalScore,
+    impactSubscore: Math.round(Math.max(impact, 0) * 10) / 10,
+    exploitabilitySubscore: Math.round(exploitability * 10) / 10
+  };
+}
+
+/**
+ * Effective v4.0 metric value: modified metrics override base metrics and
+ * unset threat/requirement metrics take their worst-case defaults
+ */
+function v4Value(metrics, metric) {
+  if (metric === 'E' && (metrics.E || 'X') === 'X') return 'A';
+  if (['CR', 'IR', 'AR'].includes(metric) && (metrics[metric] || 'X') === 'X') return 'H';
+
+  const modified = metrics[`M${metric}`];
+  if (modified && modified !== 'X') return modified;
+  return metrics[metric];
+}
+
+function v4MacroVector(m) {
+  const eq1 = m('AV') === 'N' && m('PR') === 'N' && m('UI') === 'N'
+    ? 0
+    : (m('AV') === 'N' || m('PR') === 'N' || m('UI') === 'N') && m('AV') !== 'P' ? 1 : 2;
+  const eq2 = m('AC') === 'L' && m('AT') === 'N' ? 0 : 1;
+  const eq3 = m('VC') === 'H' && m('VI') === 'H'
+    ? 0
+    : m('VC') === 'H' || m('VI') === 'H' || m('VA') === 'H' ? 1 : 2;
+  const eq4 = m('SI') === 'S' || m('SA') === 'S'
+    ? 0
+    : m('SC') === 'H' || m('SI') === 'H' || m('SA') === 'H' ? 1 : 2;
+  const eq5 = { A: 0, P: 1, U: 2 }[m('E')];
+  const eq6 = (m('CR') === 'H' && m('VC') === 'H') || (m('IR') === 'H' && m('VI') === 'H') || (m('AR') === 'H' && m('VA') === 'H') ? 0 : 1;
+
+  return [eq1, eq2, eq3, eq4, eq5, eq6];
+}
+
+function v4Lookup(eqs) {
+  const score = CVSS40_LOOKUP[eqs.join('')];
+  return score === undefined ? NaN : score;
+}
+
+/**
+ * CVSS v4.0 score: the macrovector score, lowered by the mean distance of the
+ * vector from the highest-severity vector of its macrovector
+ */
+function calculateV4(metrics) {
+  const m = metric => v4Value(metrics, metric);
+  if (['VC', 'VI', 'VA', 'SC', 'SI', 'SA'].every(metric => m(metric) === 'N')) {
+    return 0;
+  }
+
+  const [eq1, eq2, eq3, eq4, eq5, eq6] = v4MacroVector(m);
+  const value = v4Lookup([eq1, eq2, eq3, eq4, eq5, eq6]);
+
+  const lowerEq1 = v4Lookup([eq1 + 1, eq2, eq3, eq4, eq5, eq6]);
+  const lowerEq2 = v4Lookup([eq1, eq2 + 1, eq3, eq4, eq5, eq6]);
+  let lowerEq3Eq6;
+  if (eq3 === 0 && eq6 === 0) {
+    lowerEq3Eq6 = Math.max(
+      v4Lookup([eq1, eq2, eq3, eq4, eq5, eq6 + 1]),
+      v4Lookup([eq1, eq2, eq3 + 1, eq4, eq5, eq6])
+    );
+  } else if (eq3 === 1 && eq6 === 0) {
+    lowerEq3Eq6 = v4Lookup([eq1, eq2, eq3, eq4, eq5, eq6 + 1]);
+  } else if (eq6 === 1 && eq3 < 2) {
+    lowerEq3Eq6 = v4Lookup([eq1, eq2, eq3 + 1, eq4, eq5, eq6]);
+  } else {
+    lowerEq3Eq6 = v4Lookup([eq1, eq2, eq3 + 1, eq4, eq5, eq6 + 1]);
+  }
+  const lowerEq4 = v4Lookup([eq1, eq2, eq3, eq4 + 1, eq5, eq6]);
+  const lowerEq5 = v4Lookup([eq1, eq2, eq3, eq4, eq5 + 1, eq6]);
+
+  const candidates = [];
+  CVSS40_MAX_COMPOSED.eq1[eq1].forEach(v1 => {
+    CVSS40_MAX_COMPOSED.eq2[eq2].forEach(v2 => {
+      CVSS40_MAX_COMPOSED.eq3[eq3][eq6].forEach(v3 => {
+        CVSS40_MAX_COMPOSED.eq4[eq4].forEach(v4 => {
+          CVSS40_MAX_COMPOSED.eq5[eq5].forEach(v5 => candidates.push(v1 + v2 + v3 + v4 + v5));
+        });
+      });
+    });
+  });
+
+  const distance = {};
+  const distanceMetrics = ['AV', 'PR', 'UI', 'AC', 'AT', 'VC', 'VI', 'VA', 'SC', 'SI', 'SA', 'CR', 'IR', 'AR'];
+  candidates.some(candidate => {
+    const max = Object.fromEntries(candidate.split('/').filter(Boolean).map(part => part.split(':')));
+    distanceMetrics.forEach(metric => {
+      distance[metric] = V4_LEVELS[metric][m(metric)] - V4_LEVELS[metric][max[metric]];
+    });
+    return distanceMetrics.every(metric => distance[metric] >= 0);
+  });
+
+  const step = 0.1;
+  const severityDistances = [
+    [lowerEq1, distance.AV + distance.PR + distance.UI, CVSS40_MAX_SEVERITY.eq1[eq1]],
+    [lowerEq2, distance.AC + distance.AT, CVSS40_MAX_SEVERITY.eq2[eq2]],
+    [lowerEq3Eq6, distance.VC + distance.VI + distance.VA + distance.CR + distance.IR + distance.AR, CVSS40_MAX_SEVERITY.eq3eq6[eq3][eq6]],
+    [lowerEq4, distance.SC + distance.SI + distance.SA, CVSS40_MAX_SEVERITY.eq4[eq4]],
+    [lowerEq5, 0, CVSS40_MAX_SEVERITY.eq5[eq5]]
+  ];
+
+  let existingLower = 0;
+  let normalizedTotal = 0;
+  severityDistances.forEach(([lowerScore, currentDistance, maxSeverity]) => {
+    const available = value - lowerScore;
+    if (Number.isNaN(available)) return;
+    existingLower++;
+    normalizedTotal += available * (currentDistance / (maxSeverity * step));
+  });
+
+  const meanDistance = existingLower === 0 ? 0 : normalizedTotal / existingLower;
+  const score = Math.min(Math.max(value - meanDistance, 0), 10);
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * Score a CVSS vector. Environmental metrics passed in `environment` override
+ * any in the vector. `score` is the most specific score available.
+ */
+export function calculateCvss(vector, environment = {}) {
+  const { version, metrics: vectorMetrics } = parseCvssVector(vector);
+  const major = Number(version[0]);
+  const definitions = major === 4 ? V4_METRICS : V3_METRICS;
+
+  Object.entries(environment).forEach(([metric, value]) => {
+    if (!ENVIRONMENTAL_METRICS[major].includes(metric) || !definitions[metric].includes(value)) {
+      throw new Error(`Invalid CVSS ${version} environmental metric ${metric}:${value}`);
+    }
+  });
+
+  const metrics = { ...vectorMetrics, ...environment };
+  const hasTemporal = (major === 4 ? ['E'] : ['E', 'RL', 'RC']).some(metric => (metrics[metric] || 'X') !== 'X');
+  const hasEnvironmental = ENVIRONMENTAL_METRICS[major].some(metric => (metrics[metric] || 'X') !== 'X');
+
+  if (major === 4) {
+    const baseMetrics = Object.fromEntries(BASE_METRICS[4].map(metric => [metric, metrics[metric]]));
+    const baseScore = calculateV4(baseMetrics);
+    const threatScore = calculateV4({ ...baseMetrics, E: metrics.E });
+    const score = calculateV4(metrics);
+    const nomenclature = `CVSS-B${hasTemporal ? 'T' : ''}${hasEnvironmental ? 'E' : ''}`;
+
+    return {
+      version,
+      vector: formatCvssVector(version, vectorMetrics),
+      environmentalVector: formatCvssVector(version, metrics),
+      metrics,
+      baseScore,
+      threatScore,
+      environmentalScore: score,
+      score,
+      nomenclature,
+      severity: getCvssSeverity(score),
+      baseSeverity: getCvssSeverity(baseScore)
+    };
+  }
+
+  const scores = calculateV3(version, metrics);
+  const score = hasEnvironmental ? scores.environmentalScore : hasTemporal ? scores.temporalScore : scores.baseScore;
+
+  return {
+    version,
+    vector: formatCvssVector(version, vectorMetrics),
+    environmentalVector: formatCvssVector(version, metrics),
+    metrics,
+    ...scores,
+    score,
+    severity: getCvssSeverity(score),
+    baseSeverity: getCvssSeverity(scores.baseScore)
+  };
+}
+
+function requirementFromCriticality(criticality) {
+  if (criticality >= 8) return 'H';
+  if (criticality >= 4) return 'M';
+  return 'L';
+}
+
+/**
+ * Environmental metrics for an affected asset, with the reason for each:
+ * security requirements from its criticality (1-10) and data classification,
+ * and a lower attack vector when a network-exploitable flaw sits on an asset
+ * that is not internet facing
+ */
+export function deriveEnvironmentalMetrics(vector, asset) {
+  const { version, metrics: vectorMetrics } = parseCvssVector(vector);
+  const metrics = {};
+  const reasons = [];
+  if (!asset) return { metrics, reasons };
+
+  if (typeof asset.criticality_score === 'number') {
+    const requirement = requirementFromCriticality(asset.criticality_score);
+    ['CR', 'IR', 'AR'].forEach(metric => {
+      metrics[metric] = requirement;
+    });
+    reasons.push({
+      metrics: ['CR', 'IR', 'AR'],
+      value: requirement,
+      reason: `Asset criticality ${asset.criticality_score}/10`
+    });
+  }
+
+  if (SENSITIVE_CLASSIFICATIONS.includes(asset.data_classification) && metrics.CR !== 'H') {
+    metrics.CR = 'H';
+    reasons.push({ metrics: ['CR'], value: 'H', reason: `Asset holds ${asset.data_classification} data` });
+  }
+
+  if (asset.public_facing === false && vectorMetrics.AV === 'N') {
+    metrics.MAV = 'A';
+    reasons.push({ metrics: ['MAV'], value: 'A', reason: 'Asset is not internet facing' });
+  }
+
+  return { version, metrics, reasons };
+}
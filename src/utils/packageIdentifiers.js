@@ -0,0 +1,83 @@
+/**
+ * Software identifiers
+ * Parsing and formatting of CPE 2.3 names (cpe:2.3:a:apache:http_server:2.4.41:*:*:*:*:*:*:*)
+ * and Package URLs (pkg:deb/debian/openssl@1.1.1n-0+deb11u4?distro=debian-11).
+ */
+
+const CPE_FIELDS = ['part', 'vendor', 'product', 'version', 'update', 'edition', 'language', 'swEdition', 'targetSw', 'targetHw', 'other'];
+
+function unescapeCpe(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+function escapeCpe(value) {
+  return String(value).replace(/[^a-z0-9._\-*]/gi, c => `\\${c}`);
+}
+
+/**
+ * Parse a CPE 2.3 formatted string or a CPE 2.2 URI. Missing fields are '*'.
+ */
+export function parseCpe(value) {
+  const text = String(value || '').trim();
+  let parts;
+
+  if (/^cpe:2\.3:/i.test(text)) {
+    parts = text.slice(8).split(/(?<!\\):/).map(unescapeCpe);
+  } else if (/^cpe:\/[aoh]/i.test(text)) {
+    parts = text.slice(5).split(':').map(part => decodeURIComponent(part) || '*');
+  } else {
+    throw new Error(`Not a CPE name: ${value}`);
+  }
+
+  const cpe = {};
+  CPE_FIELDS.forEach((field, index) => {
+    cpe[field] = (parts[index] ?? '*').toLowerCase();
+  });
+  return cpe;
+}
+
+export function formatCpe(cpe) {
+  const fields = CPE_FIELDS.map(field => {
+    const value = cpe[field];
+    return value === undefined || value === null || value === '' ? '*' : escapeCpe(value);
+  });
+  return `cpe:2.3:${fields.join(':')}`;
+}
+
+/**
+ * Parse a Package URL into { type, namespace, name, version, qualifiers, subpath }
+ */
+export function parsePurl(value) {
+  const text = String(value || '').trim();
+  const match = /^pkg:([a-z][a-z0-9.+-]*)\/([^?#]+?)(?:@([^?#]+))?(?:\?([^#]*))?(?:#(.*))?$/i.exec(text);
+  if (!match) {
+    throw new Error(`Not a Package URL: ${value}`);
+  }
+
+  const path = match[2].split('/').filter(Boolean).map(decodeURIComponent);
+  const qualifiers = {};
+  (match[4] || '').split('&').filter(Boolean).forEach(pair => {
+    const [key, ...rest] = pair.split('=');
+    qualifiers[key.toLowerCase()] = decodeURIComponent(rest.join('='));
+  });
+
+  return {
+    type: match[1].toLowerCase(),
+    namespace: path.length > 1 ? path.slice(0, -1).join('/') : null,
+    name: path[path.length - 1],
+    version: match[3] ? decodeURIComponent(match[3]) : null,
+    qualifiers,
+    subpath: match[5] || null
+  };
+}
+
+export function formatPurl({ type, namespace, name, version, qualifiers = {} }) {
+  const encode = (part) => encodeURIComponent(part).replace(/%3A/g, ':');
+  const path = [...(namespace ? namespace.split('/') : []), name].map(encode).join('/');
+  const query = Object.keys(qualifiers)
+    .filter(key => qualifiers[key])
+    .sort()
+    .map(key => `${key}=${encode(qualifiers[key])}`)
+    .join('&');
+  return `pkg:${type}/${path}${version ? `@${encode(version)}` : ''}${query ? `?${query}` : ''}`;
+}
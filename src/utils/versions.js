@@ -0,0 +1,276 @@
+/**
+ * Version comparison
+ * Ordering rules for the version schemes vulnerability data uses: semantic
+ * versions (npm, Go, crates), Debian/Ubuntu package versions (dpkg), RPM
+ * package versions (rpmvercmp), Windows build numbers and the loose dotted
+ * versions found in NVD CPE ranges.
+ */
+
+export const VERSION_SCHEMES = ['semver', 'debian', 'rpm', 'windows', 'generic'];
+
+const isDigit = (c) => c !== undefined && c >= '0' && c <= '9';
+const isAlpha = (c) => c !== undefined && /[a-z]/i.test(c);
+
+function sign(value) {
+  return value < 0 ? -1 : value > 0 ? 1 : 0;
+}
+
+function compareNumericStrings(a, b) {
+  const x = a.replace(/^0+/, '');
+  const y = b.replace(/^0+/, '');
+  if (x.length !== y.length) return sign(x.length - y.length);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Pre-release words sort before the release they lead up to; any other
+// letters (1.0.2k) sort after it
+const PRE_RELEASE = ['dev', 'snapshot', 'alpha', 'beta', 'pre', 'preview', 'rc', 'cr'];
+
+function compareGenericToken(a, b) {
+  if (a === undefined && b === undefined) return 0;
+  if (a === undefined) return -compareGenericToken(b, a);
+  if (b === undefined) {
+    if (isDigit(a[0])) return /^0+$/.test(a) ? 0 : 1;
+    return PRE_RELEASE.includes(a) ? -1 : 1;
+  }
+
+  const numericA = isDigit(a[0]);
+  const numericB = isDigit(b[0]);
+  if (numericA && numericB) return compareNumericStrings(a, b);
+  if (numericA !== numericB) {
+    const word = numericA ? b : a;
+    const wordFirst = PRE_RELEASE.includes(word) ? -1 : 1;
+    return numericA ? -wordFirst : wordFirst;
+  }
+
+  const rankA = PRE_RELEASE.indexOf(a);
+  const rankB = PRE_RELEASE.indexOf(b);
+  if (rankA !== -1 && rankB !== -1) return sign(rankA - rankB);
+  if (rankA !== -1) return -1;
+  if (rankB !== -1) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Loose comparison of dotted versions such as 2.4.41, 1.1.1k or 8.0.26-rc1
+ */
+export function compareGeneric(a, b) {
+  const tokensA = String(a).toLowerCase().match(/\d+|[a-z]+/g) || [];
+  const tokensB = String(b).toLowerCase().match(/\d+|[a-z]+/g) || [];
+  const length = Math.max(tokensA.length, tokensB.length);
+  for (let i = 0; i < length; i++) {
+    const result = compareGenericToken(tokensA[i], tokensB[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+const SEMVER = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9a-z.-]+))?(?:\+[0-9a-z.-]+)?$/i;
+
+/**
+ * Semantic Versioning 2.0 precedence. Versions that are not semver fall
+ * back to the generic comparison.
+ */
+export function compareSemver(a, b) {
+  const matchA = SEMVER.exec(String(a).trim());
+  const matchB = SEMVER.exec(String(b).trim());
+  if (!matchA || !matchB) return compareGeneric(a, b);
+
+  for (let i = 1; i <= 3; i++) {
+    const result = compareNumericStrings(matchA[i] || '0', matchB[i] || '0');
+    if (result !== 0) return result;
+  }
+
+  const preA = matchA[4];
+  const preB = matchB[4];
+  if (!preA || !preB) return preA ? -1 : preB ? 1 : 0;
+
+  const partsA = preA.split('.');
+  const partsB = preB.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+    const numericA = /^\d+$/.test(partsA[i]);
+    const numericB = /^\d+$/.test(partsB[i]);
+    if (numericA && numericB) {
+      const result = compareNumericStrings(partsA[i], partsB[i]);
+      if (result !== 0) return result;
+    } else if (numericA !== numericB) {
+      return numericA ? -1 : 1;
+    } else if (partsA[i] !== partsB[i]) {
+      return partsA[i] < partsB[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function splitEpoch(version) {
+  const match = /^(\d+):(.*)$/.exec(version);
+  return match ? [Number(match[1]), match[2]] : [0, version];
+}
+
+// dpkg character order: ~ before the end of the string, letters before
+// everything else
+function dpkgOrder(c) {
+  if (c === undefined || isDigit(c)) return 0;
+  if (isAlpha(c)) return c.charCodeAt(0);
+  if (c === '~') return -1;
+  return c.charCodeAt(0) + 256;
+}
+
+function dpkgVerrevcmp(a, b) {
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    while ((i < a.length && !isDigit(a[i])) || (j < b.length && !isDigit(b[j]))) {
+      const orderA = dpkgOrder(a[i]);
+      const orderB = dpkgOrder(b[j]);
+      if (orderA !== orderB) return sign(orderA - orderB);
+      i++;
+      j++;
+    }
+
+    while (a[i] === '0') i++;
+    while (b[j] === '0') j++;
+    let firstDiff = 0;
+    while (isDigit(a[i]) && isDigit(b[j])) {
+      if (!firstDiff) firstDiff = a.charCodeAt(i) - b.charCodeAt(j);
+      i++;
+      j++;
+    }
+    if (isDigit(a[i])) return 1;
+    if (isDigit(b[j])) return -1;
+    if (firstDiff) return sign(firstDiff);
+  }
+  return 0;
+}
+
+/**
+ * Debian package version ordering: [epoch:]upstream[-revision]
+ */
+export function compareDebian(a, b) {
+  const [epochA, restA] = splitEpoch(String(a).trim());
+  const [epochB, restB] = splitEpoch(String(b).trim());
+  if (epochA !== epochB) return sign(epochA - epochB);
+
+  const dashA = restA.lastIndexOf('-');
+  const dashB = restB.lastIndexOf('-');
+  const upstreamA = dashA === -1 ? restA : restA.slice(0, dashA);
+  const upstreamB = dashB === -1 ? restB : restB.slice(0, dashB);
+  const result = dpkgVerrevcmp(upstreamA, upstreamB);
+  if (result !== 0) return result;
+  return dpkgVerrevcmp(dashA === -1 ? '' : restA.slice(dashA + 1), dashB === -1 ? '' : restB.slice(dashB + 1));
+}
+
+function rpmvercmp(a, b) {
+  if (a === b) return 0;
+  const isSegmentChar = (c) => isDigit(c) || isAlpha(c) || c === '~' || c === '^';
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    while (i < a.length && !isSegmentChar(a[i])) i++;
+    while (j < b.length && !isSegmentChar(b[j])) j++;
+
+    // Tilde sorts before everything, even the end of the version
+    if (a[i] === '~' || b[j] === '~') {
+      if (a[i] !== '~') return 1;
+      if (b[j] !== '~') return -1;
+      i++;
+      j++;
+      continue;
+    }
+
+    // Caret sorts after the end of the version but before anything else
+    if (a[i] === '^' || b[j] === '^') {
+      if (i >= a.length) return -1;
+      if (j >= b.length) return 1;
+      if (a[i] !== '^') return 1;
+      if (b[j] !== '^') return -1;
+      i++;
+      j++;
+      continue;
+    }
+
+    if (i >= a.length || j >= b.length) break;
+
+    const numeric = isDigit(a[i]);
+    const inSegment = numeric ? isDigit : isAlpha;
+    let endA = i;
+    let endB = j;
+    while (endA < a.length && inSegment(a[endA])) endA++;
+    while (endB < b.length && inSegment(b[endB])) endB++;
+
+    const segmentA = a.slice(i, endA);
+    const segmentB = b.slice(j, endB);
+    // Segments of different types: numbers are newer than letters
+    if (segmentB.length === 0) return numeric ? 1 : -1;
+
+    const result = numeric
+      ? compareNumericStrings(segmentA, segmentB)
+      : segmentA < segmentB ? -1 : segmentA > segmentB ? 1 : 0;
+    if (result !== 0) return result;
+    i = endA;
+    j = endB;
+  }
+
+  if (i >= a.length && j >= b.length) return 0;
+  return i >= a.length ? -1 : 1;
+}
+
+/**
+ * RPM package version ordering: [epoch:]version[-release]. A release is only
+ * compared when both sides have one.
+ */
+export function compareRpm(a, b) {
+  const [epochA, restA] = splitEpoch(String(a).trim());
+  const [epochB, restB] = splitEpoch(String(b).trim());
+  if (epochA !== epochB) return sign(epochA - epochB);
+
+  const [versionA, releaseA] = restA.split(/-(?=[^-]*$)/);
+  const [versionB, releaseB] = restB.split(/-(?=[^-]*$)/);
+  const result = rpmvercmp(versionA, versionB);
+  if (result !== 0 || !releaseA || !releaseB) return result;
+  return rpmvercmp(releaseA, releaseB);
+}
+
+/**
+ * Windows build numbers (10.0.19044.2965), compared part by part as numbers
+ */
+export function compareWindowsBuild(a, b) {
+  const partsA = String(a).match(/\d+/g) || [];
+  const partsB = String(b).match(/\d+/g) || [];
+  for (let i = 0; i < Math.max(partsA.length, partsB.length, 4); i++) {
+    const result = compareNumericStrings(partsA[i] || '0', partsB[i] || '0');
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+const COMPARATORS = {
+  semver: compareSemver,
+  debian: compareDebian,
+  rpm: compareRpm,
+  windows: compareWindowsBuild,
+  generic: compareGeneric
+};
+
+export function compareVersions(a, b, scheme = 'generic') {
+  return (COMPARATORS[scheme] || compareGeneric)(a, b);
+}
+
+/**
+ * Whether a version falls in { start, startInclusive, end, endInclusive }.
+ * A missing start or end leaves that side of the range open.
+ */
+export function isVersionInRange(version, range, scheme = 'generic') {
+  if (range.start) {
+    const result = compareVersions(version, range.start, scheme);
+    if (result < 0 || (result === 0 && range.startInclusive === false)) return false;
+  }
+  if (range.end) {
+    const result = compareVersions(version, range.end, scheme);
+    if (result > 0 || (result === 0 && !range.endInclusive)) return false;
+  }
+  return true;
+}
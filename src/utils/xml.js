@@ -0,0 +1,140 @@
+/**
+ * Minimal XML reader
+ * Parses well-formed XML into a plain element tree so scanner reports can be
+ * read the same way in the browser and in Node. Handles attributes, CDATA,
+ * comments, processing instructions, DOCTYPE and the predefined and numeric
+ * character entities. Namespaces are kept as part of the element name.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const START_TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+export function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Parse an XML document and return its root element as
+ * { name, attributes, children, text }
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at line ${lineAt(text, index)}`);
+  };
+
+  const skipPast = (terminator) => {
+    const end = text.indexOf(terminator, index);
+    if (end === -1) fail(`Unterminated markup, expected ${terminator}`);
+    const content = text.slice(index, end);
+    index = end + terminator.length;
+    return content;
+  };
+
+  while (index < text.length) {
+    const current = stack[stack.length - 1];
+    const next = text.indexOf('<', index);
+
+    if (next === -1 || next > index) {
+      const end = next === -1 ? text.length : next;
+      current.text += decodeXmlEntities(text.slice(index, end));
+      index = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', index)) {
+      index += 4;
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', index)) {
+      index += 9;
+      current.text += skipPast(']]>');
+    } else if (text.startsWith('<?', index)) {
+      index += 2;
+      skipPast('?>');
+    } else if (text.startsWith('<!', index)) {
+      // DOCTYPE, including an internal subset in brackets
+      const bracket = text.indexOf('[', index);
+      const close = text.indexOf('>', index);
+      if (bracket !== -1 && bracket < close) {
+        index = bracket;
+        skipPast(']');
+      }
+      skipPast('>');
+    } else if (text[index + 1] === '/') {
+      index += 2;
+      const name = skipPast('>').trim();
+      if (current === root || current.name !== name) {
+        fail(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+    } else {
+      START_TAG.lastIndex = index;
+      const match = START_TAG.exec(text);
+      if (!match) fail('Malformed start tag');
+
+      const element = { name: match[1], attributes: {}, children: [], text: '' };
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        element.attributes[attribute[1]] = decodeXmlEntities(attribute[2] ?? attribute[3]);
+      }
+
+      if (current === root && root.children.length > 0) fail('Multiple root elements');
+      current.children.push(element);
+      if (!match[3]) stack.push(element);
+      index += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    throw new Error('Document has no root element');
+  }
+  return root.children[0];
+}
+
+/**
+ * Child elements, optionally only those with the given name
+ */
+export function xmlChildren(element, name) {
+  if (!element) return [];
+  return name ? element.children.filter(child => child.name === name) : element.children;
+}
+
+export function xmlChild(element, name) {
+  return element?.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Trimmed text of the named child element, or null when it is missing or empty
+ */
+export function xmlChildText(element, name) {
+  const text = xmlChild(element, name)?.text.trim();
+  return text || null;
+}
+
+/**
+ * Depth-first search for every descendant element with the given name
+ */
+export function xmlFindAll(element, name, found = []) {
+  xmlChildren(element).forEach(child => {
+    if (child.name === name) found.push(child);
+    xmlFindAll(child, name, found);
+  });
+  return found;
+}
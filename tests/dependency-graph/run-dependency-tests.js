@@ -0,0 +1,129 @@
+/* global process */
+/**
+ * Asset dependency graph test runner
+ * Imports every flow fixture (VPC flow logs, Zeek conn.log, CSV) into an
+ * in-memory dependency graph, registers the hosts in assets.json, adds the
+ * cloud configuration and declared dependencies, then compares the edges and
+ * the blast radius of every host with graph.expected.json and runs the
+ * hand-written checks in CHECKS.
+ *
+ * Usage: node tests/dependency-graph/run-dependency-tests.js [--fixtures dir] [--update]
+ *   --fixtures  fixture directory (default: tests/dependency-graph/fixtures)
+ *   --update    rewrite graph.expected.json from the current output
+ * Exits non-zero when the edges or any blast radius don't match, or a check
+ * fails.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import { AssetDependencyGraph } from '../../src/services/AssetDependencyGraph.js';
+import { BusinessServiceModel } from '../../src/services/BusinessServiceModel.js';
+import { FixtureReport, expect, parseFixtureArgs, readJson, runFixtureTests, writeExpected } from '../lib/fixture-runner.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const FLOW_FILE = /\.(log|csv)$/;
+
+// The parts of the graph the fixtures pin down
+function summarise(graph, assets) {
+  const name = id => graph.getNode(id).name;
+  const describe = entry => `${entry.name} (${entry.hops} hop${entry.hops === 1 ? '' : 's'}${entry.criticality ? `, ${entry.criticality}` : ''})`;
+
+  return {
+    edges: graph.toTopology().edges
+      .map(edge => `${name(edge.from)} -> ${name(edge.to)} ${edge.protocol}/${edge.port ?? '*'} [${[...edge.sources].sort().join(', ')}]`)
+      .sort(),
+    blastRadius: Object.fromEntries(assets.map(asset => {
+      const radius = graph.blastRadius([asset.id]);
+      return [asset.id, {
+        reachable: radius.reachable.map(describe).sort(),
+        dependents: radius.dependents.map(describe).sort(),
+        services: radius.services.map(service => service.name).sort()
+      }];
+    }))
+  };
+}
+
+const expectEdge = (actual, edge) => expect(actual.edges.includes(edge), `missing ${edge}`);
+
+// Behaviour the expected file must keep, checked by hand
+const CHECKS = {
+  'flows between known assets resolve to asset names'(actual) {
+    expectEdge(actual, 'web-01.corp.local -> api-01.corp.local tcp/8443 [network_flow]');
+    expectEdge(actual, 'api-01.corp.local -> mysql-server-01 tcp/3306 [network_flow]');
+  },
+  'flows to unknown addresses keep the address'(actual) {
+    expectEdge(actual, 'mysql-server-01 -> 10.0.9.40 tcp/2049 [network_flow]');
+  },
+  'load balancer targets come from the cloud configuration'(actual) {
+    expectEdge(actual, 'lb-prod -> web-01.corp.local tcp/443 [cloud_config]');
+    expectEdge(actual, 'lb-prod -> web-02.corp.local tcp/443 [cloud_config]');
+  },
+  'declared dependencies sit alongside observed ones'(actual) {
+    expectEdge(actual, 'api-01.corp.local -> dc-01.corp.local tcp/636 [declared]');
+    expectEdge(actual, 'api-01.corp.local -> dc-01.corp.local udp/53 [network_flow]');
+  },
+  'blast radius follows dependents transitively'({ blastRadius }) {
+    expect(blastRadius['dc-01'].dependents.includes('lb-prod (3 hops)'), `dc-01 dependents: ${blastRadius['dc-01'].dependents.join(', ')}`);
+    expect(blastRadius['dc-01'].reachable.length === 0, 'dc-01 reaches other assets');
+  },
+  'blast radius carries criticality from the service model'({ blastRadius }) {
+    expect(blastRadius['api-01'].reachable.includes('dc-01.corp.local (1 hop, critical)'), 'dc-01 is not critical from api-01');
+  }
+};
+
+async function main() {
+  const options = parseFixtureArgs(process.argv.slice(2), path.join(here, 'fixtures'));
+  const graph = new AssetDependencyGraph({
+    storage: null,
+    businessServices: new BusinessServiceModel({ storage: null })
+  });
+
+  // Flows first, so addresses seen before their asset is known get folded in
+  const flowFiles = (await readdir(options.fixtures)).filter(name => FLOW_FILE.test(name)).sort();
+  for (const name of flowFiles) {
+    const bytes = await readFile(path.join(options.fixtures, name));
+    const result = await graph.importFlowFile(new File([bytes], name));
+    console.log(`Loaded ${name} (${result.accepted} flows, ${result.rejected} rejected)`);
+  }
+
+  const assets = await readJson(options.fixtures, 'assets.json');
+  graph.registerAssets(assets);
+  const cloudEdges = graph.ingestCloudResources(await readJson(options.fixtures, 'cloud.json'));
+  console.log(`Loaded cloud.json (${cloudEdges} relationships)`);
+  (await readJson(options.fixtures, 'declared.json')).forEach(({ from, to, ...details }) => {
+    graph.declareDependency(from, to, details);
+  });
+
+  const actual = summarise(graph, assets);
+  const report = new FixtureReport();
+
+  if (options.update) {
+    await writeExpected(path.join(options.fixtures, 'graph.expected.json'), actual);
+  } else {
+    const expected = await readJson(options.fixtures, 'graph.expected.json');
+
+    if (isDeepStrictEqual(actual.edges, expected.edges)) {
+      report.pass('edges', actual.edges.length);
+    } else {
+      report.fail('edges',
+        ...expected.edges.filter(edge => !actual.edges.includes(edge)).map(edge => `missing ${edge}`),
+        ...actual.edges.filter(edge => !expected.edges.includes(edge)).map(edge => `unexpected ${edge}`));
+    }
+
+    assets.forEach(({ id }) => {
+      const radius = actual.blastRadius[id];
+      if (isDeepStrictEqual(radius, expected.blastRadius[id])) {
+        report.pass(id, `${radius.reachable.length} reachable, ${radius.dependents.length} dependents`);
+        return;
+      }
+      report.fail(id, `expected ${JSON.stringify(expected.blastRadius[id])}`, `got      ${JSON.stringify(radius)}`);
+    });
+  }
+
+  report.check(CHECKS, actual);
+  report.finish();
+}
+
+runFixtureTests(main);
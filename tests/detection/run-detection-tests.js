@@ -0,0 +1,81 @@
+/* global process */
+/**
+ * Detection rule test runner
+ * Runs every fixture suite against the detection engines in Node.
+ *
+ * Usage: node tests/detection/run-detection-tests.js [--fixtures dir] [--rules dir] [--json]
+ *   --fixtures  fixture suites (default: tests/detection/fixtures)
+ *   --rules     Sigma rules to load before testing (default: tests/detection/rules)
+ *   --json      print the report as JSON
+ * Exits non-zero when any rule fails its fixtures.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DetectionRuleTestHarness, formatReport } from '../../src/services/DetectionRuleTestHarness.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const options = {
+    fixtures: path.join(here, 'fixtures'),
+    rules: path.join(here, 'rules'),
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+    else if (arg === '--rules') options.rules = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+async function readYamlFiles(directory) {
+  let entries;
+  try {
+    entries = await readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = entries.filter(name => /\.(ya?ml|json)$/i.test(name)).sort();
+  return Promise.all(files.map(async name => {
+    const filePath = path.join(directory, name);
+    return { path: path.relative(process.cwd(), filePath), content: await readFile(filePath, 'utf8') };
+  }));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Engine setup logs its progress; keep stdout for the report
+  const log = console.log;
+  console.log = () => {};
+  let harness;
+  try {
+    harness = new DetectionRuleTestHarness();
+  } finally {
+    console.log = log;
+  }
+
+  const ruleImport = harness.loadSigmaRules(await readYamlFiles(options.rules));
+  ruleImport.failed.forEach(failure => {
+    console.error(`Could not compile ${failure.path || ''} ${failure.title || failure.id || ''}: ${failure.error}`);
+  });
+
+  harness.loadFixtures(await readYamlFiles(options.fixtures));
+  const report = harness.run();
+
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  process.exitCode = report.summary.failed > 0 || ruleImport.failed.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
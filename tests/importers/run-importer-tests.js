@@ -0,0 +1,102 @@
+/* global process */
+/**
+ * Scan result importer test runner
+ * Imports every fixture file against the fixture assets and compares the
+ * result with the fixture's .expected.json file, then runs the hand-written
+ * checks in CHECKS.
+ *
+ * Usage: node tests/importers/run-importer-tests.js [--fixtures dir] [--update]
+ *   --fixtures  fixture directory (default: tests/importers/fixtures)
+ *   --update    rewrite the .expected.json files from the current output
+ * Exits non-zero when any fixture doesn't match its expected output or a
+ * check fails.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importScanResults } from '../../src/services/ScanResultImporter.js';
+import { FixtureReport, expect, parseFixtureArgs, readJson, runFixtureTests, writeExpected } from '../lib/fixture-runner.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+// Fixed inputs so the output is stable between runs
+const IMPORT_OPTIONS = {
+  organizationId: 'org-fixtures',
+  now: '2026-10-12T06:00:00.000Z'
+};
+
+const hasError = (result, text) => result.errors.some(error => error.message.includes(text));
+
+// Behaviour the expected files must keep, checked by hand
+const CHECKS = {
+  'Nessus hosts map to assets by hostname and IP'({ 'internal.nessus': result }) {
+    expect(result.matchedAssets.includes('asset-web-01') && result.matchedAssets.includes('asset-db-01'),
+      `matched ${result.matchedAssets.join(', ')}`);
+    const apache = result.findings.find(finding => finding.rule_id === '183969');
+    expect(apache?.asset_id === 'asset-web-01', `plugin 183969 on ${apache?.asset_id}`);
+    expect(apache.severity === 'critical' && apache.cve_ids.includes('CVE-2023-45802'), 'plugin 183969 lost its severity or CVEs');
+  },
+  'Nessus items without a plugin ID are reported'({ 'internal.nessus': result }) {
+    expect(hasError(result, 'no pluginID'), 'no error for the item without a pluginID');
+  },
+  'truncated XML is a parse error with no findings'({ 'truncated.nessus': result }) {
+    expect(result.findings.length === 0, `${result.findings.length} findings`);
+    expect(hasError(result, 'Unclosed element'), 'no parse error reported');
+  },
+  'unmatched OpenVAS hosts are skipped with an error'({ 'greenbone.xml': result }) {
+    expect(hasError(result, 'No asset matches 192.168.50.7'), 'unmatched host not reported');
+    expect(result.findings.every(finding => finding.asset_id), 'a finding has no asset');
+  },
+  'Trivy GHSA advisories carry their CVE aliases'({ 'trivy-image.json': result }) {
+    const braces = result.findings.find(finding => finding.rule_id === 'GHSA-952p-6rrq-rcjv');
+    expect(braces?.cve_ids.includes('CVE-2024-4068'), 'GHSA-952p-6rrq-rcjv has no CVE-2024-4068');
+    expect(result.vulnerabilities.some(vulnerability => vulnerability.cve_id === 'CVE-2024-4068' && vulnerability.asset_id === 'asset-api-image'),
+      'CVE-2024-4068 is not a vulnerability of the image');
+  },
+  'Nuclei keeps reading after an invalid line'({ 'nuclei.jsonl': result }) {
+    expect(result.errors.some(error => error.line === 4), 'line 4 not reported');
+    expect(result.findings.length === 1 && result.findings[0].asset_id === 'asset-shop', 'the valid result was not imported');
+  },
+  'SARIF results map to the repository without vulnerabilities'({ 'semgrep.sarif': result }) {
+    expect(result.findings.length > 0 && result.findings.every(finding => finding.asset_id === 'asset-payments-repo'),
+      'SARIF results not mapped to asset-payments-repo');
+    expect(result.vulnerabilities.length === 0, `${result.vulnerabilities.length} vulnerabilities from code findings`);
+  }
+};
+
+async function main() {
+  const options = parseFixtureArgs(process.argv.slice(2), path.join(here, 'fixtures'));
+  const assets = await readJson(options.fixtures, 'assets.json');
+  const files = (await readdir(options.fixtures))
+    .filter(name => name !== 'assets.json' && !name.endsWith('.expected.json'))
+    .sort();
+
+  const report = new FixtureReport();
+  const results = {};
+  for (const name of files) {
+    const text = await readFile(path.join(options.fixtures, name), 'utf8');
+    const actual = importScanResults(text, { ...IMPORT_OPTIONS, fileName: name, assets });
+    const expectedName = `${name}.expected.json`;
+    results[name] = actual;
+
+    if (options.update) {
+      await writeExpected(path.join(options.fixtures, expectedName), actual);
+      continue;
+    }
+
+    let expected;
+    try {
+      expected = await readJson(options.fixtures, expectedName);
+    } catch (error) {
+      report.fail(name, `cannot read ${expectedName} (${error.message})`);
+      continue;
+    }
+    report.compare(name, actual, expected, `${actual.format}: ${actual.findings.length} findings, ${actual.errors.length} errors`);
+  }
+
+  report.check(CHECKS, results);
+  report.finish();
+}
+
+runFixtureTests(main);
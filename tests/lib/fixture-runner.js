@@ -0,0 +1,116 @@
+/* global process */
+/**
+ * Fixture runner helpers
+ * Shared scaffolding for the Node runners that compare a service's output
+ * with a checked-in .expected.json file: argument parsing, fixture reading,
+ * --update rewrites and the PASS/FAIL report. Hand-written checks run on
+ * every invocation, including --update, so regenerated expectations can't
+ * quietly bless a regression.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+
+/**
+ * Parse `[--fixtures dir] [--update]`
+ */
+export function parseFixtureArgs(argv, defaultFixtures) {
+  const options = {
+    fixtures: defaultFixtures,
+    update: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--update') options.update = true;
+    else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+export async function readJson(dir, name) {
+  return JSON.parse(await readFile(path.join(dir, name), 'utf8'));
+}
+
+export async function writeExpected(filePath, actual) {
+  await writeFile(filePath, `${JSON.stringify(actual, null, 2)}\n`);
+  console.log(`UPDATED ${path.basename(filePath)}`);
+}
+
+// Path of the first value that differs between actual and expected output
+export function firstDifference(actual, expected, at = '') {
+  if (isDeepStrictEqual(actual, expected)) return null;
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const key of keys) {
+      const difference = firstDifference(actual[key], expected[key], `${at}.${key}`);
+      if (difference) return difference;
+    }
+  }
+  return `${at || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+}
+
+/**
+ * PASS/FAIL lines and the closing summary; sets the exit code on finish
+ */
+export class FixtureReport {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  pass(name, detail = '') {
+    this.passed++;
+    console.log(`PASS ${name}${detail ? ` (${detail})` : ''}`);
+  }
+
+  fail(name, ...details) {
+    this.failed++;
+    console.log(`FAIL ${name}`);
+    details.forEach(detail => console.log(`  ${detail}`));
+  }
+
+  /**
+   * Compare with the expected output, unless the run is rewriting it
+   */
+  compare(name, actual, expected, detail = '') {
+    const difference = firstDifference(actual, expected);
+    if (difference) this.fail(name, difference);
+    else this.pass(name, detail);
+  }
+
+  /**
+   * Run named hand-written checks; each throws to fail
+   */
+  check(checks, actual) {
+    Object.entries(checks).forEach(([name, assertion]) => {
+      try {
+        assertion(actual);
+        this.pass(name);
+      } catch (error) {
+        this.fail(name, error.message);
+      }
+    });
+  }
+
+  finish() {
+    console.log(`\n${this.passed} passed, ${this.failed} failed`);
+    process.exitCode = this.failed > 0 ? 1 : 0;
+  }
+}
+
+/**
+ * Throw with a one-line message unless the condition holds
+ */
+export function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+export function runFixtureTests(main) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
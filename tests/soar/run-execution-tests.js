@@ -0,0 +1,253 @@
+/* global process */
+/**
+ * SOAR execution test runner
+ * Drives workflows through pause, resume and restart with executions
+ * checkpointed to a FileExecutionStore, and checks that every branch of a
+ * paused parallel step resumes, that a paused execution survives a restart,
+ * and that a running execution picks up from its last completed step after a
+ * crash. No step may run twice once it has completed.
+ *
+ * Usage: node tests/soar/run-execution-tests.js
+ * Exits non-zero when any scenario fails.
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const SCENARIO_TIMEOUT_MS = 20000;
+
+// The engine's default collaborators (audit logger, asset history) expect a browser
+function installBrowserGlobals() {
+  const memoryStorage = () => {
+    const items = new Map();
+    return {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    };
+  };
+
+  Object.assign(globalThis, {
+    window: { addEventListener() {}, location: { href: 'node://soar-tests' }, sessionStorage: memoryStorage() },
+    document: { referrer: '' },
+    localStorage: memoryStorage()
+  });
+  if (typeof navigator === 'undefined') {
+    Object.defineProperty(globalThis, 'navigator', { value: { userAgent: 'node', onLine: false } });
+  }
+}
+
+installBrowserGlobals();
+const { SoarOrchestrationEngine } = await import('../../src/services/SoarOrchestrationEngine.js');
+const { FileExecutionStore } = await import('../../src/services/SoarExecutionStore.js');
+const { securityActionRegistry } = await import('../../src/services/SecurityActionRegistry.js');
+
+// Every test step runs this action; a gate holds a step until the scenario opens it
+const calls = [];
+const gates = new Map();
+
+securityActionRegistry.register({
+  name: 'soar_test_step',
+  category: 'testing',
+  provider: 'tests',
+  handler: async ({ step }) => {
+    calls.push(step);
+    await gates.get(step)?.promise;
+    return { success: true, step };
+  }
+});
+
+function gate(step) {
+  let open;
+  const promise = new Promise(resolve => { open = resolve; });
+  gates.set(step, { promise, open });
+  return () => {
+    gates.delete(step);
+    open();
+  };
+}
+
+const step = id => ({ id, type: 'action', action: 'soar_test_step', params: { step: id }, timeout: 3600 });
+
+const WORKFLOWS = {
+  parallel: {
+    id: 'soar_test_parallel',
+    name: 'Parallel pause test',
+    steps: [{
+      id: 'contain',
+      type: 'parallel',
+      branches: [
+        [step('parallel_a1'), step('parallel_a2')],
+        [step('parallel_b1'), step('parallel_b2')]
+      ]
+    }]
+  },
+  restart: {
+    id: 'soar_test_restart',
+    name: 'Restart test',
+    steps: [step('restart_1'), step('restart_2'), step('restart_3')]
+  },
+  crash: {
+    id: 'soar_test_crash',
+    name: 'Crash recovery test',
+    steps: [step('crash_1'), step('crash_2'), step('crash_3')]
+  }
+};
+
+const silentAuditLogger = { logSecurity() {} };
+
+// Test workflows are registered before the engine's asynchronous recovery reads the store
+function createEngine(executionStore) {
+  const engine = new SoarOrchestrationEngine({ executionStore, auditLogger: silentAuditLogger });
+  Object.values(WORKFLOWS).forEach(workflow => engine.registerWorkflow(workflow));
+  return engine;
+}
+
+async function until(predicate, description) {
+  const deadline = Date.now() + SCENARIO_TIMEOUT_MS;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${description}`);
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+function completion(engine, executionId) {
+  return new Promise(resolve => {
+    const listener = event => {
+      if (event.executionId !== executionId) return;
+      engine.off('workflowCompleted', listener);
+      resolve(event);
+    };
+    engine.on('workflowCompleted', listener);
+  });
+}
+
+const runsOf = id => calls.filter(call => call === id).length;
+
+function expectRuns(expected) {
+  Object.entries(expected).forEach(([id, count]) => {
+    if (runsOf(id) !== count) {
+      throw new Error(`${id} ran ${runsOf(id)} time(s), expected ${count}`);
+    }
+  });
+}
+
+function expectEqual(actual, expected, what) {
+  if (actual !== expected) {
+    throw new Error(`${what} is ${actual}, expected ${expected}`);
+  }
+}
+
+async function startPaused(engine, workflowId, heldStep) {
+  const release = gate(heldStep);
+  engine.executeWorkflow(workflowId, null);
+  await until(() => runsOf(heldStep) > 0, `${heldStep} to start`);
+  const execution = engine.getActiveWorkflows().find(active => active.workflowId === workflowId);
+  await engine.pauseWorkflow(execution.id);
+  release();
+  return execution.id;
+}
+
+const scenarios = {
+  async 'paused parallel branches all resume'(store) {
+    const engine = createEngine(store);
+    await engine.ready;
+
+    const releaseB = gate('parallel_b1');
+    const run = engine.executeWorkflow(WORKFLOWS.parallel.id, null);
+    await until(() => runsOf('parallel_a1') > 0 && runsOf('parallel_b1') > 0, 'both branches to start');
+    const { id } = engine.getActiveWorkflows().find(active => active.workflowId === WORKFLOWS.parallel.id);
+    await engine.pauseWorkflow(id);
+    releaseB();
+
+    await until(() => engine.resumeSignals.get(id)?.length === 2, 'both branches to wait while paused');
+    await engine.resumeWorkflow(id);
+
+    const execution = await run;
+    expectEqual(execution.status, 'completed', 'execution status');
+    expectRuns({ parallel_a1: 1, parallel_a2: 1, parallel_b1: 1, parallel_b2: 1 });
+    expectEqual((await store.load(id)).status, 'completed', 'stored status');
+  },
+
+  async 'paused execution resumes after a restart'(store) {
+    const before = createEngine(store);
+    await before.ready;
+    const executionId = await startPaused(before, WORKFLOWS.restart.id, 'restart_2');
+
+    await until(async () => (await store.load(executionId))?.checkpoint?.completed.includes('restart_2'), 'restart_2 to be checkpointed');
+    const stored = await store.load(executionId);
+    expectEqual(stored.status, 'paused', 'stored status');
+
+    const after = createEngine(store);
+    await after.ready;
+    expectEqual(after.executions.get(executionId)?.status, 'paused', 'recovered status');
+
+    const done = completion(after, executionId);
+    await after.resumeWorkflow(executionId);
+    expectEqual((await done).status, 'completed', 'execution status');
+    expectRuns({ restart_1: 1, restart_2: 1, restart_3: 1 });
+    expectEqual((await store.load(executionId)).status, 'completed', 'stored status');
+  },
+
+  async 'running execution recovers after a crash'(store) {
+    const crashed = createEngine(store);
+    await crashed.ready;
+
+    // crash_2 never returns on the first engine, as if the process died mid-step
+    gate('crash_2');
+    crashed.executeWorkflow(WORKFLOWS.crash.id, null);
+    await until(() => runsOf('crash_2') > 0, 'crash_2 to start');
+    const { id } = crashed.getActiveWorkflows().find(active => active.workflowId === WORKFLOWS.crash.id);
+    gates.delete('crash_2');
+
+    const recovered = createEngine(store);
+    const done = completion(recovered, id);
+    const [execution] = await recovered.ready;
+    expectEqual(execution?.id, id, 'recovered execution');
+    expectEqual((await done).status, 'completed', 'execution status');
+    expectRuns({ crash_1: 1, crash_2: 2, crash_3: 1 });
+    expectEqual((await store.load(id)).status, 'completed', 'stored status');
+  }
+};
+
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} did not finish within ${SCENARIO_TIMEOUT_MS}ms`)), SCENARIO_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function main() {
+  const dir = await mkdtemp(path.join(tmpdir(), 'soar-executions-'));
+  let failed = 0;
+
+  try {
+    for (const [name, scenario] of Object.entries(scenarios)) {
+      const store = new FileExecutionStore(path.join(dir, `${name.replace(/\W+/g, '-')}.json`));
+      try {
+        await withTimeout(scenario(store), name);
+        console.log(`PASS ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}`);
+        console.log(`  ${error.message}`);
+      }
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  const total = Object.keys(scenarios).length;
+  console.log(`\n${total - failed} passed, ${failed} failed`);
+  return failed;
+}
+
+// Crashed runs and the audit logger's flush timer would keep Node alive
+main()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
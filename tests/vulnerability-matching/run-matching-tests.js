@@ -0,0 +1,109 @@
+/* global process */
+/**
+ * Vulnerability matching test runner
+ * Imports every NVD and OSV fixture into an in-memory vulnerability
+ * database, matches the software of each host in inventory.json and compares
+ * the result with inventory.expected.json, then runs the hand-written checks
+ * in CHECKS.
+ *
+ * Usage: node tests/vulnerability-matching/run-matching-tests.js [--fixtures dir] [--update]
+ *   --fixtures  fixture directory (default: tests/vulnerability-matching/fixtures)
+ *   --update    rewrite inventory.expected.json from the current output
+ * Exits non-zero when any host doesn't match its expected output or a check
+ * fails.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import { VulnerabilityDatabase } from '../../src/services/VulnerabilityDatabase.js';
+import { MemoryDatasetStore } from '../../src/services/ExploitIntelligence.js';
+import { FixtureReport, expect, parseFixtureArgs, readJson, runFixtureTests, writeExpected } from '../lib/fixture-runner.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+// The parts of a match result the fixtures pin down
+function summarise(database, host) {
+  const context = { operatingSystem: host.operatingSystem };
+  return database.matchInventory(host.software, context).map(({ software, vulnerabilities }) => ({
+    name: software.name,
+    version: software.version,
+    cpe: software.cpe,
+    purl: software.purl,
+    vulnerabilities: vulnerabilities
+      .map(({ id, severity, cvss, fixedVersion, source }) => ({ id, severity, cvss, fixedVersion, source }))
+      .sort((a, b) => a.id.localeCompare(b.id))
+  }));
+}
+
+function idsOf(actual, host, name) {
+  const item = actual[host]?.find(entry => entry.name === name);
+  expect(item, `${host} has no ${name}`);
+  return item.vulnerabilities.map(vulnerability => vulnerability.id);
+}
+
+// Behaviour the expected file must keep, checked by hand
+const CHECKS = {
+  'NVD CPE ranges match only vulnerable versions'(actual) {
+    expect(idsOf(actual, 'web-02', 'Apache HTTP Server').includes('CVE-2021-41773'), 'Apache 2.4.49 misses CVE-2021-41773');
+    expect(!idsOf(actual, 'web-01', 'Apache HTTP Server').includes('CVE-2021-41773'), 'Apache 2.4.41 matched CVE-2021-41773');
+  },
+  'distro packages match distro advisories with the distro fix'(actual) {
+    const openssl = actual['web-01'].find(entry => entry.name === 'openssl').vulnerabilities;
+    const advisory = openssl.find(vulnerability => vulnerability.id === 'CVE-2023-2650');
+    expect(advisory?.source === 'osv' && advisory.fixedVersion === '1.1.1f-1ubuntu2.19',
+      `Ubuntu openssl matched ${JSON.stringify(advisory)}`);
+  },
+  'packages at or past the fixed version are not matched'(actual) {
+    expect(idsOf(actual, 'web-02', 'libssl').length === 0, 'openssl deb11u5 still matched');
+    expect(idsOf(actual, 'ws-22', 'Google Chrome').length === 0, 'Chrome 125 still matched');
+  },
+  'operating system builds match by build number'(actual) {
+    expect(idsOf(actual, 'ws-17', 'Operating System').includes('CVE-2023-21674'), 'build 19044.1288 misses CVE-2023-21674');
+    expect(idsOf(actual, 'ws-22', 'Operating System').length === 0, 'patched build 19044.2965 still matched');
+  },
+  'purls match OSV ecosystem advisories'(actual) {
+    const ids = idsOf(actual, 'web-01', 'lodash');
+    expect(ids.includes('CVE-2020-8203') && ids.includes('CVE-2021-23337'), `lodash 4.17.15 matched ${ids.join(', ') || 'nothing'}`);
+  }
+};
+
+async function main() {
+  const options = parseFixtureArgs(process.argv.slice(2), path.join(here, 'fixtures'));
+  const database = new VulnerabilityDatabase({ store: new MemoryDatasetStore() });
+  const datasetFiles = (await readdir(options.fixtures))
+    .filter(name => !name.startsWith('inventory'))
+    .sort();
+
+  for (const name of datasetFiles) {
+    const bytes = await readFile(path.join(options.fixtures, name));
+    const dataset = await database.importFile(new File([bytes], name));
+    console.log(`Loaded ${name} (${dataset.source}: ${dataset.count} advisories)`);
+  }
+
+  const inventory = await readJson(options.fixtures, 'inventory.json');
+  const actual = Object.fromEntries(inventory.map(host => [host.host, summarise(database, host)]));
+  const report = new FixtureReport();
+
+  if (options.update) {
+    await writeExpected(path.join(options.fixtures, 'inventory.expected.json'), actual);
+  } else {
+    const expected = await readJson(options.fixtures, 'inventory.expected.json');
+    inventory.forEach(({ host }) => {
+      if (isDeepStrictEqual(actual[host], expected[host])) {
+        const count = actual[host].reduce((sum, item) => sum + item.vulnerabilities.length, 0);
+        report.pass(host, `${actual[host].length} packages, ${count} vulnerabilities`);
+        return;
+      }
+      report.fail(host, ...(expected[host] || [])
+        .filter((item, index) => !isDeepStrictEqual(actual[host][index], item))
+        .map(item => `${item.name}: expected ${JSON.stringify(item)}, got ${JSON.stringify(actual[host].find(entry => entry.name === item.name))}`));
+    });
+  }
+
+  report.check(CHECKS, actual);
+  report.finish();
+}
+
+runFixtureTests(main);